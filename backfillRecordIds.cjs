@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// backfillRecordIds.cjs
+//
+// One-time migration to stable record IDs (see src/shared/recordId.cjs):
+//   - gives every brain record an `id` and rewrites JSONL + CSV
+//   - merges records that turn out to be the same item (http vs https,
+//     tracking params, youtu.be vs youtube.com, same DOI / videoId / email)
+//   - converts alert seenArticleIds from URLs to IDs
+//
+// Usage:
+//   MIT_BRAIN=mit_brain_test17 node backfillRecordIds.cjs [--dry-run]
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+const { canonicalizeUrl } = require('./src/shared/recordId.cjs');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PEOPLE_DIR = process.env.PEOPLE_DIR || path.join(__dirname, 'people');
+
+// =============================================================================
+// Step 1: Backup Files
+// =============================================================================
+
+function backupFiles(schema) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+
+  console.log('📦 Creating backups...');
+
+  for (const filePath of [schema._getJsonlPath(), schema._getCsvPath()]) {
+    if (!fs.existsSync(filePath)) continue;
+    const backupPath = `${filePath}.backup-${timestamp}`;
+    fs.copyFileSync(filePath, backupPath);
+    console.log(`   ✅ Backed up to: ${backupPath}`);
+  }
+
+  console.log('');
+}
+
+// =============================================================================
+// Step 2: Assign IDs (MITBrainSchema does this while loading)
+// =============================================================================
+
+function assignIds(schema) {
+  console.log('🆔 Loading brain and assigning IDs...');
+  schema._loadExistingRecords();
+
+  const merged = schema._mergedDuplicates;
+  console.log(`   Records: ${schema._existingRecordsById.size}`);
+  console.log(`   IDs assigned: ${schema.stats.idsAssigned}`);
+  console.log(`   Duplicates merged: ${merged.length}`);
+  for (const m of merged.slice(0, 50)) {
+    console.log(`     ${m.id}: ${m.mergedUrl} -> ${m.keptUrl}`);
+  }
+  if (merged.length > 50) console.log(`     ... and ${merged.length - 50} more`);
+  console.log('');
+
+  return schema.stats.idsAssigned + merged.length;
+}
+
+// =============================================================================
+// Step 3: Alerts - seenArticleIds URLs -> IDs
+// =============================================================================
+
+function updateAlerts(schema) {
+  console.log('📬 Converting alert seenArticleIds...');
+
+  if (!fs.existsSync(PEOPLE_DIR)) {
+    console.log('   ⚠️  People directory not found, skipping\n');
+    return 0;
+  }
+
+  let updated = 0;
+  for (const person of fs.readdirSync(PEOPLE_DIR)) {
+    const alertsDir = path.join(PEOPLE_DIR, person, 'alerts');
+    if (!fs.existsSync(alertsDir)) continue;
+
+    for (const file of fs.readdirSync(alertsDir)) {
+      if (!file.endsWith('.json') || file === 'alerts.json') continue;
+      const alertPath = path.join(alertsDir, file);
+
+      try {
+        const alert = JSON.parse(fs.readFileSync(alertPath, 'utf8'));
+        const seen = alert.metadata?.seenArticleIds;
+        if (!Array.isArray(seen) || seen.length === 0) continue;
+
+        // Entries that are already IDs (or unknown URLs) are kept as-is
+        const converted = [...new Set(seen.map((entry) => schema._idsByUrl.get(canonicalizeUrl(entry)) || entry))];
+        if (JSON.stringify(converted) === JSON.stringify(seen)) continue;
+
+        console.log(`   ${person}/${file}: ${seen.length} -> ${converted.length} entries`);
+        if (!DRY_RUN) {
+          alert.metadata.seenArticleIds = converted;
+          fs.writeFileSync(alertPath, JSON.stringify(alert, null, 2));
+        }
+        updated++;
+      } catch (err) {
+        console.warn(`   ⚠️  Error processing ${alertPath}:`, err.message);
+      }
+    }
+  }
+
+  console.log(`   ✅ ${DRY_RUN ? 'Would update' : 'Updated'} ${updated} alerts\n`);
+  return updated;
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  try {
+    const schema = new MITBrainSchema();
+
+    console.log('\n' + '='.repeat(70));
+    console.log('BACKFILL RECORD IDs');
+    console.log('='.repeat(70));
+    console.log(`Brain: ${schema.brainName}`);
+    console.log(`JSONL: ${schema._getJsonlPath()}`);
+    console.log(`Mode:  ${DRY_RUN ? 'dry run (nothing is written)' : 'write'}`);
+    console.log('='.repeat(70) + '\n');
+
+    if (!fs.existsSync(schema._getJsonlPath())) {
+      console.log('⚠️  JSONL file not found, nothing to migrate');
+      return;
+    }
+
+    const changed = assignIds(schema);
+
+    if (!DRY_RUN) {
+      if (changed > 0) {
+        backupFiles(schema);
+        // No new records: flush() rewrites JSONL and CSV with every loaded record (now with IDs)
+        schema.flush();
+      } else {
+        console.log('ℹ️  Every record already has a unique ID, brain files left untouched\n');
+      }
+    }
+
+    const alertsUpdated = updateAlerts(schema);
+
+    console.log('='.repeat(70));
+    console.log(DRY_RUN ? '✅ DRY RUN COMPLETE' : '✅ MIGRATION COMPLETE');
+    console.log('='.repeat(70));
+    console.log(`IDs assigned: ${schema.stats.idsAssigned}`);
+    console.log(`Duplicates merged: ${schema._mergedDuplicates.length}`);
+    console.log(`Alerts updated: ${alertsUpdated}`);
+    console.log('='.repeat(70) + '\n');
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { assignIds, updateAlerts };
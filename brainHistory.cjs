@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// brainHistory.cjs
+//
+// Look through and roll back the record history MITBrainSchema keeps next to
+// the brain (brain/<MIT_BRAIN>.history.jsonl, see src/shared/recordHistory.cjs).
+//
+// Usage:
+//   node brainHistory.cjs runs
+//   node brainHistory.cjs history <id|url>
+//   node brainHistory.cjs restore <id|url> --run <runId> [--dry-run]
+//   node brainHistory.cjs materialize --run <runId> [--out <file.jsonl>]
+//
+//   runs         runs that changed the brain, oldest first
+//   history      every change to one record, with old/new values
+//   restore      put one record back the way it was when <runId> finished
+//                (removes it if it didn't exist yet); logged as a new change
+//   materialize  write the whole brain as of <runId> to a separate JSONL
+//                (default brain/<MIT_BRAIN>.asof-<runId>.jsonl); the brain
+//                itself is not touched
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+const { canonicalizeUrl } = require('./src/shared/recordId.cjs');
+const { writeJsonlSync } = require('./src/shared/jsonlStream.cjs');
+const {
+  getHistoryPaths,
+  readHistory,
+  readValues,
+  recordsAsOfRun,
+  hashesToUndo,
+} = require('./src/shared/recordHistory.cjs');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+function option(name) {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+}
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node brainHistory.cjs runs');
+  console.log('  node brainHistory.cjs history <id|url>');
+  console.log('  node brainHistory.cjs restore <id|url> --run <runId> [--dry-run]');
+  console.log('  node brainHistory.cjs materialize --run <runId> [--out <file.jsonl>]');
+  process.exit(1);
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text.length > 120 ? text.slice(0, 117) + '...' : text;
+}
+
+// Turn an ID or URL into a record ID, using the current brain and then the
+// history (so records that have since been removed can still be found)
+function resolveId(ref, currentRecords, entries) {
+  if (currentRecords.has(ref) || entries.some((e) => e.id === ref)) return ref;
+  if (!/^https?:\/\//i.test(ref) && !ref.includes('.')) return ref;
+
+  const wanted = canonicalizeUrl(ref);
+  for (const record of currentRecords.values()) {
+    if (record.url && canonicalizeUrl(record.url) === wanted) return record.id;
+  }
+
+  const urlHashes = new Map();
+  for (const entry of entries) {
+    for (const hash of entry.fields.url || []) {
+      if (hash) urlHashes.set(hash, entry.id);
+    }
+  }
+  const values = readValues(brainDir(), brainName(), new Set(urlHashes.keys()));
+  for (const [hash, url] of values) {
+    if (typeof url === 'string' && canonicalizeUrl(url) === wanted) return urlHashes.get(hash);
+  }
+  return null;
+}
+
+// Read-only view of the brain file - no lock needed
+let _schema = null;
+function schema() {
+  if (!_schema) _schema = new MITBrainSchema();
+  return _schema;
+}
+const brainDir = () => schema().brainDir;
+const brainName = () => schema().brainName;
+
+function requireRun(entries) {
+  const runId = option('--run');
+  if (!runId) usage();
+  if (!entries.some((e) => e.run === runId)) {
+    throw new Error(`Run ${runId} not found in history (see: node brainHistory.cjs runs)`);
+  }
+  return runId;
+}
+
+// =============================================================================
+// Commands
+// =============================================================================
+
+function listRuns(entries) {
+  const runs = new Map();
+  for (const entry of entries) {
+    if (!runs.has(entry.run)) {
+      runs.set(entry.run, { run: entry.run, script: entry.script, first: entry.at, last: entry.at, add: 0, update: 0, remove: 0 });
+    }
+    const run = runs.get(entry.run);
+    run.last = entry.at;
+    run[entry.op]++;
+  }
+
+  if (runs.size === 0) {
+    console.log('ℹ️  No history yet');
+    return;
+  }
+  console.log(`📜 ${runs.size} runs changed ${brainName()}:\n`);
+  for (const run of runs.values()) {
+    console.log(`   ${run.run}  ${run.last}  ${run.script}`);
+    console.log(`      +${run.add} added, ~${run.update} updated, -${run.remove} removed`);
+  }
+}
+
+function showHistory(ref, entries) {
+  const current = schema()._readPersistedRecords(null);
+  const id = resolveId(ref, current, entries);
+  const recordEntries = entries.filter((e) => e.id === id);
+  if (!id || recordEntries.length === 0) {
+    console.log(`⚠️  No history for ${ref}`);
+    return;
+  }
+
+  const hashes = new Set();
+  for (const entry of recordEntries) {
+    for (const [oldHash, newHash] of Object.values(entry.fields)) {
+      if (oldHash) hashes.add(oldHash);
+      if (newHash) hashes.add(newHash);
+    }
+  }
+  const values = readValues(brainDir(), brainName(), hashes);
+  const show = (hash) => (hash === null ? '(none)' : values.has(hash) ? preview(values.get(hash)) : `#${hash}`);
+
+  const record = current.get(id);
+  console.log(`📜 ${id}${record ? ` - ${record.title || record.url || ''}` : ' (not in the brain now)'}\n`);
+  for (const entry of recordEntries) {
+    console.log(`   ${entry.at}  ${entry.op.toUpperCase()}  run ${entry.run} (${entry.script})`);
+    if (entry.op === 'add' || entry.op === 'remove') {
+      console.log(`      ${Object.keys(entry.fields).length} fields`);
+      continue;
+    }
+    for (const [field, [oldHash, newHash]] of Object.entries(entry.fields)) {
+      console.log(`      ${field}: ${show(oldHash)} -> ${show(newHash)}`);
+    }
+  }
+}
+
+function restoreRecord(ref, entries) {
+  const runId = requireRun(entries);
+  const brain = schema();
+  const id = resolveId(ref, brain._readPersistedRecords(null), entries);
+  if (!id) throw new Error(`No record found for ${ref}`);
+
+  const onlyIds = new Set([id]);
+  const values = readValues(brainDir(), brainName(), hashesToUndo(entries, runId, onlyIds));
+
+  // Lock and load the brain so the restore is written like any other update
+  brain._loadExistingRecords();
+  const current = brain._existingRecordsById;
+  const restored = recordsAsOfRun(current, entries, runId, values, onlyIds).get(id) || null;
+  const before = current.get(id) || null;
+
+  if (JSON.stringify(restored) === JSON.stringify(before)) {
+    console.log(`ℹ️  ${id} is already as it was after run ${runId}`);
+    brain._releaseLock();
+    return;
+  }
+
+  if (!restored) {
+    console.log(`🗑️  ${id} did not exist after run ${runId}; ${DRY_RUN ? 'would remove' : 'removing'} it`);
+  } else {
+    console.log(`♻️  ${DRY_RUN ? 'Would restore' : 'Restoring'} ${id} as of run ${runId}:`);
+    for (const field of new Set([...Object.keys(before || {}), ...Object.keys(restored)])) {
+      const a = JSON.stringify(before?.[field]);
+      const b = JSON.stringify(restored[field]);
+      if (a !== b) console.log(`      ${field}: ${preview(before?.[field] ?? null)} -> ${preview(restored[field] ?? null)}`);
+    }
+  }
+
+  if (DRY_RUN) {
+    brain._releaseLock();
+    return;
+  }
+
+  if (!restored) {
+    current.delete(id);
+    brain.existingIds.delete(id);
+  } else if (before) {
+    current.set(id, restored);
+    brain._updatedRecords.add(id);
+  } else {
+    brain._addExistingRecord(restored);
+  }
+  brain.flush();
+}
+
+function materialize(entries) {
+  const runId = requireRun(entries);
+  const current = schema()._readPersistedRecords(null);
+  const values = readValues(brainDir(), brainName(), hashesToUndo(entries, runId));
+  const records = recordsAsOfRun(current, entries, runId, values);
+
+  const outPath = option('--out') || path.join(brainDir(), `${brainName()}.asof-${runId}.jsonl`);
+  writeJsonlSync(outPath, records.values());
+
+  console.log(`✅ Wrote ${records.size} records as of run ${runId} to ${outPath}`);
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  const [command, ref] = args;
+  if (!command) usage();
+
+  try {
+    if (!fs.existsSync(getHistoryPaths(brainDir(), brainName()).log)) {
+      console.log(`⚠️  No history for brain ${brainName()} yet`);
+      return;
+    }
+    const entries = readHistory(brainDir(), brainName());
+
+    switch (command) {
+      case 'runs':
+        listRuns(entries);
+        break;
+      case 'history':
+        if (!ref) usage();
+        showHistory(ref, entries);
+        break;
+      case 'restore':
+        if (!ref || ref.startsWith('--')) usage();
+        restoreRecord(ref, entries);
+        break;
+      case 'materialize':
+        materialize(entries);
+        break;
+      default:
+        usage();
+    }
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
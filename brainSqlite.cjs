@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// brainSqlite.cjs
+//
+// Move a brain between the JSONL and SQLite backends
+// (see src/shared/sqliteBrain.cjs; MIT_BRAIN_BACKEND=sqlite selects SQLite).
+//
+// Usage:
+//   MIT_BRAIN=mit_brain_test17 node brainSqlite.cjs import [--replace]
+//   MIT_BRAIN=mit_brain_test17 node brainSqlite.cjs export [--out-dir <dir>]
+//   MIT_BRAIN=mit_brain_test17 node brainSqlite.cjs stats
+//
+//   import   load brain/<MIT_BRAIN>.jsonl into brain/<MIT_BRAIN>.sqlite
+//            (--replace: also drop SQLite records that aren't in the JSONL)
+//   export   write the canonical JSONL + CSV from the SQLite brain, to the
+//            usual brain/ file names or to --out-dir
+//   stats    record counts by kind and FTS index check
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+
+const args = process.argv.slice(2);
+const REPLACE = args.includes('--replace');
+
+function option(name) {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+}
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node brainSqlite.cjs import [--replace]');
+  console.log('  node brainSqlite.cjs export [--out-dir <dir>]');
+  console.log('  node brainSqlite.cjs stats');
+  process.exit(1);
+}
+
+// =============================================================================
+// Commands
+// =============================================================================
+
+function importJsonl() {
+  // Loading through the JSONL backend assigns missing IDs, merges duplicates
+  // and recovers an interrupted run, exactly as a scraper would
+  const source = new MITBrainSchema({ backend: 'jsonl' });
+  if (!fs.existsSync(source._getJsonlPath())) {
+    throw new Error(`JSONL file not found: ${source._getJsonlPath()}`);
+  }
+  source._loadExistingRecords();
+  const records = [...source._existingRecordsById.values()];
+
+  const target = new MITBrainSchema({ backend: 'sqlite' });
+  const store = target._store;
+  const existing = store.exists() ? store.hashes() : new Map();
+  if (existing.size > 0 && !REPLACE) {
+    console.log(`ℹ️  ${store.filePath} already has ${existing.size} records; importing adds and updates only`);
+  }
+
+  const ids = new Set(records.map((r) => r.id));
+  const removed = REPLACE ? [...existing.keys()].filter((id) => !ids.has(id)) : [];
+
+  console.log(`📥 Importing ${records.length} records into ${store.filePath}...`);
+  store.write(records, removed);
+  source._releaseLock();
+
+  console.log(`✅ SQLite brain has ${store.count()} records${removed.length ? ` (${removed.length} removed)` : ''}`);
+  console.log(`   Use it with MIT_BRAIN_BACKEND=sqlite`);
+}
+
+function exportFiles() {
+  const schema = new MITBrainSchema({ backend: 'sqlite' });
+  if (!schema._store.exists()) throw new Error(`SQLite brain not found: ${schema._store.filePath}`);
+
+  const outDir = option('--out-dir');
+  const jsonlPath = outDir ? path.join(outDir, path.basename(schema._getJsonlPath())) : schema._getJsonlPath();
+  const csvPath = outDir ? path.join(outDir, path.basename(schema._getCsvPath())) : schema._getCsvPath();
+  if (outDir) fs.mkdirSync(outDir, { recursive: true });
+
+  const count = schema.exportFiles({ jsonlPath, csvPath });
+  console.log(`✅ Exported ${count} records`);
+  console.log(`   JSONL: ${jsonlPath}`);
+  console.log(`   CSV:   ${csvPath}`);
+}
+
+function printStats() {
+  const schema = new MITBrainSchema({ backend: 'sqlite' });
+  const store = schema._store;
+  if (!store.exists()) throw new Error(`SQLite brain not found: ${store.filePath}`);
+
+  console.log(`📊 ${store.filePath} (${(fs.statSync(store.filePath).size / 1024 / 1024).toFixed(1)} MB)`);
+  console.log(`   Records: ${store.count()}`);
+  for (const [kind, n] of Object.entries(store.countByKind()).sort((a, b) => b[1] - a[1])) {
+    console.log(`     ${kind}: ${n}`);
+  }
+  schema.printSanityCheck();
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  try {
+    switch (args[0]) {
+      case 'import':
+        importJsonl();
+        break;
+      case 'export':
+        exportFiles();
+        break;
+      case 'stats':
+        printStats();
+        break;
+      default:
+        usage();
+    }
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
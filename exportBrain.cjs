@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// exportBrain.cjs
+//
+// Export brain records as CSV, XLSX, columnar JSON or NDJSON
+// (see src/shared/brainExport.cjs). Works with either backend.
+//
+// Usage:
+//   MIT_BRAIN=mit_brain_test17 node exportBrain.cjs --format csv|xlsx|columnar|ndjson
+//       [--kind paper --kind video] [--from 2024-01-01] [--to 2024-12-31]
+//       [--query 'battery AND author:Langer'] [--columns id,title,url]
+//       [--out <file>]
+//
+//   --kind      only these kinds (repeatable, or comma-separated)
+//   --from/--to date range, inclusive (event date for events)
+//   --query     same query language as the search page
+//   --columns   column list (default: core fields + optional fields in use)
+//   --out       output file (default: brain/exports/<MIT_BRAIN>-<timestamp>.<ext>)
+//
+// `--format csv --out brain/<MIT_BRAIN>.csv` recreates the old CSV twin.
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+const { EXPORT_FORMATS, filterRecords, writeExportFile } = require('./src/shared/brainExport.cjs');
+const { FTS_FIELDS } = require('./src/shared/sqliteBrain.cjs');
+
+const args = process.argv.slice(2);
+
+function option(name) {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+}
+
+function options(name) {
+  return args
+    .flatMap((arg, i) => (arg === name ? String(args[i + 1] || '').split(',') : []))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+// Record predicate for a search query: same parser, stemming and synonyms
+// as the web app (ES modules, hence the dynamic import)
+async function queryMatcher(query) {
+  const { parseQuery, evaluateQuery } = await import('./src/webapp/search/queryParser.js');
+  const { analyze, compileTerm, matchesTokens, loadSynonyms } = await import('./src/webapp/search/textMatch.js');
+
+  const ast = parseQuery(query);
+  const synonyms = loadSynonyms(process.env.SEARCH_SYNONYMS || path.join(__dirname, 'people/search-synonyms.txt'));
+  const text = (value) => (Array.isArray(value) ? value.join(', ') : value == null ? '' : String(value));
+
+  return (record) => {
+    const fields = FTS_FIELDS.map((field) => analyze(text(record[field])));
+    return evaluateQuery(ast, {
+      scoreTerm: (term) => {
+        const variants = compileTerm(term, synonyms);
+        return { score: fields.some((tokens) => matchesTokens(tokens, variants)) ? 1 : 0 };
+      },
+      matchField: (field, value) => {
+        if (field === 'kind') {
+          const needle = value.toLowerCase();
+          if (needle === 'event') return record.kind === 'event' || record.kind === 'future_event';
+          if (needle === 'news') return record.kind === 'article';
+          return (record.kind || '').toLowerCase() === needle;
+        }
+        return text(record[field]).toLowerCase().includes(value.toLowerCase());
+      },
+    }).matched;
+  };
+}
+
+async function main() {
+  try {
+    const format = option('--format') || 'csv';
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+
+    const schema = new MITBrainSchema();
+    const query = option('--query');
+    const columns = options('--columns');
+    const out = option('--out') || path.join(schema.brainDir, 'exports', `${schema.brainName}-${timestamp()}.${spec.extension}`);
+
+    console.log('\n' + '='.repeat(70));
+    console.log('EXPORT BRAIN');
+    console.log('='.repeat(70));
+    console.log(`Brain:  ${schema.brainName} (${schema.backend})`);
+    console.log(`Format: ${format}`);
+    console.log(`Output: ${out}`);
+    console.log('='.repeat(70) + '\n');
+
+    if (!schema._brainExists()) throw new Error('Brain file not found');
+
+    const matches = query ? await queryMatcher(query) : null;
+    const records = filterRecords(schema._readPersistedRecords(null).values(), {
+      kinds: options('--kind'),
+      dateFrom: option('--from'),
+      dateTo: option('--to'),
+    }).filter((record) => !matches || matches(record));
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    const exported = writeExportFile(out, records, { format, columns: columns.length ? columns : null });
+
+    console.log(`✅ Exported ${records.length} records, ${exported.columns.length} columns`);
+    console.log(`   ${out}`);
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// migrateBrain.cjs
+//
+// Bring a brain file up to the current schema version by running the
+// numbered migrations in src/shared/migrations/ that it hasn't had yet.
+// The version is kept in brain/<MIT_BRAIN>.meta.json; every changed field
+// is also in the record history (brainHistory.cjs), under this run's ID.
+//
+// Usage:
+//   MIT_BRAIN=mit_brain_test17 node migrateBrain.cjs [--dry-run]
+//   MIT_BRAIN=mit_brain_test17 node migrateBrain.cjs --status
+// =============================================================================
+
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+const { SCHEMA_VERSION } = require('./src/shared/recordSchema.cjs');
+const {
+  loadMigrations,
+  readBrainMeta,
+  pendingMigrations,
+} = require('./src/shared/brainMigrations.cjs');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const STATUS = process.argv.includes('--status');
+
+function preview(value) {
+  const text = value === undefined ? '(none)' : JSON.stringify(value);
+  return text.length > 100 ? text.slice(0, 97) + '...' : text;
+}
+
+function printStatus(schema) {
+  const meta = readBrainMeta(schema.brainDir, schema.brainName);
+  const pending = pendingMigrations(meta);
+
+  console.log(`Schema version: v${meta.schemaVersion} (current v${SCHEMA_VERSION})`);
+  for (const m of meta.migrations) {
+    console.log(`   ✅ ${String(m.version).padStart(3, '0')} ${m.name}  ${m.appliedAt}  run ${m.runId}, ${m.changed} records`);
+  }
+  for (const m of pending) {
+    console.log(`   ⏳ ${String(m.version).padStart(3, '0')} ${m.name}  ${m.description}`);
+  }
+  if (pending.length === 0) console.log('   Nothing to migrate');
+}
+
+function printReport({ from, to, report }) {
+  for (const entry of report) {
+    console.log(`${String(entry.version).padStart(3, '0')} ${entry.name}: ${entry.changed} records ${DRY_RUN ? 'would change' : 'changed'}`);
+    console.log(`    ${entry.description}`);
+    for (const example of entry.examples) {
+      console.log(`    • ${example.id} ${example.title || ''}`);
+      for (const [field, [before, after]] of Object.entries(example.fields)) {
+        console.log(`        ${field}: ${preview(before)} -> ${preview(after)}`);
+      }
+    }
+    if (entry.changed > entry.examples.length) {
+      console.log(`    ... and ${entry.changed - entry.examples.length} more`);
+    }
+    console.log('');
+  }
+  console.log(`Schema version: v${from} -> v${to}${DRY_RUN ? ' (dry run, nothing written)' : ''}`);
+}
+
+function main() {
+  try {
+    const schema = new MITBrainSchema();
+
+    console.log('\n' + '='.repeat(70));
+    console.log('MIGRATE BRAIN');
+    console.log('='.repeat(70));
+    console.log(`Brain: ${schema.brainName}`);
+    console.log(schema._store ? `SQLite: ${schema._store.filePath}` : `JSONL: ${schema._getJsonlPath()}`);
+    console.log(`Migrations: ${loadMigrations().length}`);
+    console.log('='.repeat(70) + '\n');
+
+    if (STATUS) {
+      printStatus(schema);
+      return;
+    }
+
+    if (!schema._brainExists()) {
+      console.log('⚠️  Brain file not found, nothing to migrate');
+      return;
+    }
+
+    const result = schema.migrate({ dryRun: DRY_RUN });
+    console.log('');
+    if (result.report.length === 0) {
+      console.log(`✅ Brain is already at schema v${result.from}`);
+      return;
+    }
+    printReport(result);
+    if (!DRY_RUN) console.log(`\n✅ MIGRATION COMPLETE (run ${schema.runId})`);
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
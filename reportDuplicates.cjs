@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// =============================================================================
+// reportDuplicates.cjs
+//
+// Report brain records that the current URL canonicalization (see
+// canonicalizeUrl in src/shared/recordId.cjs) treats as the same item but
+// that are stored under separate IDs - e.g. saved before www, index.html,
+// doi.org or arXiv pdf links were normalized. Read-only: nothing is merged.
+//
+// Usage:
+//   MIT_BRAIN=mit_brain_test17 node reportDuplicates.cjs [--all] [--json <file>]
+//
+//   --all    list every group (default: the first 50)
+//   --json   also write the full report to <file>
+// =============================================================================
+
+const fs = require('fs');
+const { MITBrainSchema } = require('./src/shared/MITBrainSchema.cjs');
+
+const args = process.argv.slice(2);
+const SHOW_ALL = args.includes('--all');
+const JSON_PATH = args.includes('--json') ? args[args.indexOf('--json') + 1] : null;
+const LIMIT = 50;
+
+function describe(record) {
+  return { id: record.id, kind: record.kind || null, title: record.title || null, url: record.url || null };
+}
+
+function main() {
+  try {
+    const schema = new MITBrainSchema();
+
+    console.log('\n' + '='.repeat(70));
+    console.log('DUPLICATE REPORT');
+    console.log('='.repeat(70));
+    console.log(`Brain: ${schema.brainName} (${schema.backend})`);
+    console.log('='.repeat(70) + '\n');
+
+    if (!schema._brainExists()) throw new Error('Brain file not found');
+    if (JSON_PATH === undefined) throw new Error('--json needs a file path');
+
+    const groups = schema.findDuplicates();
+    const duplicateCount = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+
+    for (const group of SHOW_ALL ? groups : groups.slice(0, LIMIT)) {
+      console.log(`🔗 ${group.keep.id} [${group.keep.kind || 'unknown'}] ${group.keep.title || ''}`);
+      console.log(`   keep:  ${group.keep.url}`);
+      for (const { record, reason } of group.duplicates) {
+        console.log(`   merge: ${record.url}  (${record.id}, ${reason})`);
+      }
+    }
+    if (!SHOW_ALL && groups.length > LIMIT) console.log(`\n... and ${groups.length - LIMIT} more groups (--all to list them)`);
+
+    if (JSON_PATH) {
+      const report = groups.map((group) => ({
+        keep: describe(group.keep),
+        duplicates: group.duplicates.map(({ record, reason }) => ({ ...describe(record), reason })),
+      }));
+      fs.writeFileSync(JSON_PATH, JSON.stringify(report, null, 2));
+      console.log(`\n📄 Full report: ${JSON_PATH}`);
+    }
+
+    console.log('\n' + '='.repeat(70));
+    console.log(groups.length > 0 ? '⚠️  DUPLICATES FOUND' : '✅ NO DUPLICATES');
+    console.log('='.repeat(70));
+    console.log(`Groups: ${groups.length}`);
+    console.log(`Records that would merge: ${duplicateCount}`);
+    console.log('='.repeat(70) + '\n');
+  } catch (err) {
+    console.error('\n❌ ERROR:', err.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
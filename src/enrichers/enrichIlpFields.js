@@ -4,7 +4,7 @@
 //
 // Enrich MIT Brain records with ILP-focused fields:
 //   - ilpSummary  : short executive-facing summary for ILP members
-//   - ilpKeywords : compact keyword string for tagging/search
+//   - ilpKeywords : compact keyword list for tagging/search
 //
 // All reading/writing of JSONL + shadow CSV goes through MITBrainSchema.
 // This script assumes an ESM project ("type": "module" in package.json).
@@ -228,7 +228,7 @@ async function main() {
   schema._loadExistingRecords();
   
   // Get all existing records from the map
-  const records = Array.from(schema._existingRecordsByUrl.values());
+  const records = Array.from(schema._existingRecordsById.values());
 
   console.log(`Loaded ${records.length} records from JSONL.\n`);
 
@@ -295,12 +295,12 @@ async function main() {
         console.log(`      🎯 Contains MIT project/initiative`);
       }
       
-      // Update the record in place (it's in the _existingRecordsByUrl map)
+      // Update the record in place (it's in the _existingRecordsById map)
       record.ilpSummary = ilpSummary;
-      record.ilpKeywords = ilpKeywords;
+      record.ilpKeywords = ilpKeywords.split("|").map((k) => k.trim()).filter(Boolean);
       
-      // Mark this URL as updated so flush() saves it
-      schema._updatedRecords.add(record.url);
+      // Mark this record as updated so flush() saves it
+      schema._updatedRecords.add(record.id);
       
       enrichedCount++;
     } catch (err) {
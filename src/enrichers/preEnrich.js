@@ -323,8 +323,10 @@ async function preEnrichEvents() {
   // CRITICAL: Tell schema we're providing all records explicitly
   // Don't let it auto-load from file (which might include test events)
   schema._existingRecordsLoaded = true;
+  schema._existingRecordsById.clear();
   schema._existingRecordsByUrl.clear();
-  schema.existingUrls.clear();
+  schema._idsByUrl.clear();
+  schema.existingIds.clear();
   
   // Write all clean records
   const allCleanRecords = [...otherRecords, ...enrichedEvents];
@@ -2,37 +2,31 @@
 /**
  * loadSrts.js
  * 
- * Updates an existing CSV file with YouTube SRT captions.
- * Reads the input CSV, adds fullText from SRT files, and writes via MITBrainSchema.
+ * Adds YouTube SRT captions to the brain's video records as fullText.
+ * Reads and writes the brain through MITBrainSchema, so it works with
+ * either backend (JSONL or SQLite, see MIT_BRAIN_BACKEND).
  * 
  * Usage:
- *   node loadSrts.js <csv_file> [captions_dir]
+ *   node loadSrts.js [captions_dir]
  * 
  * Arguments:
- *   csv_file     : Path to CSV file to update (required)
- *                  Expected location: output/csv/mit_brain.csv
- *   captions_dir : Path to captions directory (optional, default: output/captions)
+ *   captions_dir : Path to captions directory (optional, default: $INPUT_DIR/captions)
  * 
  * What it does:
- *   - Reads existing CSV file
- *   - Matches videos to SRT files in captions directory
- *   - Adds/updates fullText column with inline transcript format: (HH:MM:SS) text
- *   - Writes CSV and JSONL via MITBrainSchema (which handles Excel truncation automatically)
- *   - CSV: Fields >32,000 chars truncated with "WARNING - TEXT TRUNCATED: " prefix
- *   - JSONL: Full fidelity, no truncation
+ *   - Loads the brain's records (MIT_BRAIN in BRAIN_DIR)
+ *   - Matches videos to SRT files (<videoId>.srt) in the captions directory
+ *   - Sets fullText to the inline transcript format: (HH:MM:SS) text
+ *   - Clears ilpSummary / ilpKeywords of videos that had no fullText yet,
+ *     so enrichment runs again with the captions
  * 
  * Examples:
- *   node scrapers/loadSrts.js output/csv/mit_brain.csv
- *   node scrapers/loadSrts.js output/csv/mit_brain.csv output/captions
- * 
- * Requirements:
- *   npm install csv-parse
+ *   node scrapers/loadSrts.js
+ *   node scrapers/loadSrts.js ../input/captions
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { parse } from "csv-parse/sync";
 import { createRequire } from "module";
 
 // Get current file's directory (for ES modules)
@@ -163,13 +157,11 @@ function getAllSrtFiles(captionsDir) {
   }
 }
 
-function loadSrts(csvFile, captionsDir = "captions", urlColumn = "url") {
+function loadSrts(captionsDir = "captions") {
   console.log("=".repeat(60));
-  console.log("SRT Loader - Update CSV In-Place");
+  console.log("SRT Loader - Add Transcripts to the Brain");
   console.log("=".repeat(60));
-  console.log(`Input CSV: ${csvFile}`);
   console.log(`Captions Directory: ${captionsDir}`);
-  console.log(`URL Column: ${urlColumn}`);
   console.log(`Format: (HH:MM:SS) text (HH:MM:SS) text...`);
   console.log("=".repeat(60));
   
@@ -190,204 +182,82 @@ function loadSrts(csvFile, captionsDir = "captions", urlColumn = "url") {
     return false;
   }
   
-  // Read CSV
-  console.log("\n📄 Reading CSV file...");
-  let csvContent;
-  try {
-    csvContent = fs.readFileSync(csvFile, "utf8");
-  } catch (error) {
-    console.error(`✗ Error reading CSV file: ${error.message}`);
-    return false;
-  }
-  
-  // Parse CSV
-  let records;
   try {
-    records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      relax_column_count: true,
-      bom: true
-    });
-    console.log(`📊 Loaded ${records.length} rows from CSV`);
-    
-    // Convert pipe-separated strings back to arrays for schema validation
-    const arrayFields = ['tags', 'authors', 'mitGroups', 'mitAuthors', 'ilpKeywords', 
-                         'investors', 'leadInvestors', 'mitInvestors', 'founders', 
-                         'mitFounders', 'keyExecutives', 'industries', 'mitLabs', 'speakers'];
-    
-    records = records.map(record => {
-      arrayFields.forEach(field => {
-        if (record[field] && typeof record[field] === 'string') {
-          // Split by " | " and filter out empty strings
-          record[field] = record[field].split(' | ').filter(item => item.trim());
-        } else if (!record[field]) {
-          record[field] = [];
-        }
-      });
-      return record;
-    });
-  } catch (error) {
-    console.error(`✗ Error parsing CSV: ${error.message}`);
-    return false;
-  }
-  
-  // Check URL column
-  if (records.length > 0 && !records[0].hasOwnProperty(urlColumn)) {
-    console.error(`✗ Column '${urlColumn}' not found in CSV`);
-    console.log(`Available columns: ${Object.keys(records[0]).join(", ")}`);
-    return false;
-  }
-  
-  // Update records with SRT content
-  console.log("\n📝 Matching SRT files to CSV rows and converting format...");
-  let matchCount = 0;
-  let updatedCount = 0;
-  let resetCount = 0;  // Track how many get enrichment fields reset
-  
-  for (let i = 0; i < records.length; i++) {
-    const record = records[i];
-    const url = record[urlColumn];
-    
-    if (!url) {
-      continue;
-    }
-    
-    const videoId = getVideoIdFromUrl(url);
+    // Load the brain as it is now (JSONL or SQLite)
+    const schema = new MITBrainSchema();
+    console.log(`\n📚 Loading brain: ${schema.brainName} (${schema.backend})`);
+    schema._loadExistingRecords();
     
-    if (!videoId) {
-      continue;
+    if (schema._existingRecordsById.size === 0) {
+      console.error(`✗ Brain ${schema.brainName} has no records in ${schema.brainDir}`);
+      return false;
     }
     
-    matchCount++;
+    // Update video records with SRT content
+    console.log("\n📝 Matching SRT files to videos and converting format...");
+    let videoCount = 0;
+    let matchedCount = 0;
+    let updatedCount = 0;
+    let resetCount = 0;  // Track how many get enrichment fields reset
     
-    if (srtMap[videoId]) {
-      const srtContent = readSrtFile(srtMap[videoId]);
+    for (const record of schema._existingRecordsById.values()) {
+      const videoId = record.videoId || getVideoIdFromUrl(record.url);
       
-      if (srtContent) {
-        const inlineText = convertSrtToInlineFormat(srtContent);
-        
-        if (inlineText) {
-          // OPTION 1: Auto-reset enrichment fields if fullText was empty
-          const hadNoFullText = !record.fullText || record.fullText.trim() === '';
-          
-          record.fullText = inlineText;
-          updatedCount++;
-          
-          // If fullText was empty, clear enrichment fields
-          // (they were enriched without captions, so they're poor quality)
-          if (hadNoFullText) {
-            record.ilpSummary = "";
-            record.ilpKeywords = [];
-            resetCount++;
-            
-            const preview = inlineText.substring(0, 80) + (inlineText.length > 80 ? "..." : "");
-            console.log(`  ✓ [${i + 1}] ${videoId} (${inlineText.length} chars)`);
-            console.log(`      ⚠️  Cleared enrichment fields (will re-enrich with captions)`);
-            console.log(`      ${preview}`);
-          } else {
-            const preview = inlineText.substring(0, 80) + (inlineText.length > 80 ? "..." : "");
-            console.log(`  ✓ [${i + 1}] ${videoId} (${inlineText.length} chars)`);
-            console.log(`      ${preview}`);
-          }
-        }
+      if (!videoId) {
+        continue;
       }
-    }
-  }
-  
-  console.log(`\n📊 Processing Summary:`);
-  console.log(`   Total CSV rows: ${records.length}`);
-  console.log(`   Rows with video URLs: ${matchCount}`);
-  console.log(`   Rows updated with SRT: ${updatedCount}`);
-  console.log(`   Enrichment fields reset: ${resetCount} (will re-enrich)`);
-  console.log(`   SRT files not matched: ${srtCount - updatedCount}`);
-  
-  console.log(`\n💾 Writing updated records via MITBrainSchema...`);
-  
-  try {
-    // Create schema instance - it will load existing records from JSONL
-    const schema = new MITBrainSchema();
-    
-    console.log(`   Brain file: ${schema.brainName}`);
-    console.log(`   Output directory: ${schema.outputRoot}`);
-    
-    // Track which records need enrichment cleared
-    const recordsNeedingClear = new Set();
-    
-    // First pass: identify which records just got captions
-    for (const record of records) {
-      if (!record.url) continue;
       
-      const hasNewCaptions = record.fullText && record.fullText.trim() !== '';
-      const hasEnrichment = record.ilpSummary || (record.ilpKeywords && record.ilpKeywords.length > 0);
+      videoCount++;
       
-      if (hasNewCaptions && hasEnrichment && schema._existingRecordsByUrl.has(record.url)) {
-        const existing = schema._existingRecordsByUrl.get(record.url);
-        const existingHadNoFullText = !existing.fullText || existing.fullText.trim() === '';
-        
-        if (existingHadNoFullText) {
-          recordsNeedingClear.add(record.url);
-        }
+      if (!srtMap[videoId]) {
+        continue;
       }
-    }
-    
-    console.log(`\n📝 Writing ${records.length} records...`);
-    if (recordsNeedingClear.size > 0) {
-      console.log(`   ⚠️  ${recordsNeedingClear.size} records will have enrichment force-cleared\n`);
-    }
-    
-    let writeCount = 0;
-    let updateCount = 0;
-    let skipCount = 0;
-    let forceClearCount = 0;
-    
-    for (const record of records) {
-      if (!record.url) continue;
       
-      // Force-clear enrichment for records that just got captions
-      if (recordsNeedingClear.has(record.url)) {
-        const existing = schema._existingRecordsByUrl.get(record.url);
-        existing.fullText = record.fullText;
-        existing.ilpSummary = '';
-        existing.ilpKeywords = [];
-        schema._updatedRecords.add(record.url);
-        forceClearCount++;
+      matchedCount++;
+      const srtContent = readSrtFile(srtMap[videoId]);
+      const inlineText = srtContent ? convertSrtToInlineFormat(srtContent) : "";
+      
+      if (!inlineText || inlineText === record.fullText) {
         continue;
       }
       
-      // Normal write for other records
-      const result = schema.write(record);
+      // Auto-reset enrichment fields if fullText was empty
+      // (they were enriched without captions, so they're poor quality)
+      const hadNoFullText = !record.fullText || record.fullText.trim() === '';
+      
+      record.fullText = inlineText;
+      if (hadNoFullText) {
+        record.ilpSummary = "";
+        record.ilpKeywords = [];
+        resetCount++;
+      }
+      schema._updatedRecords.add(record.id);
+      updatedCount++;
       
-      if (result.written) {
-        writeCount++;
-      } else if (result.updated) {
-        updateCount++;
-      } else if (result.skipped) {
-        skipCount++;
+      const preview = inlineText.substring(0, 80) + (inlineText.length > 80 ? "..." : "");
+      console.log(`  ✓ ${videoId} (${inlineText.length} chars)`);
+      if (hadNoFullText) {
+        console.log(`      ⚠️  Cleared enrichment fields (will re-enrich with captions)`);
       }
+      console.log(`      ${preview}`);
     }
     
-    console.log(`\n📊 Write Results:`);
-    console.log(`   New records: ${writeCount}`);
-    console.log(`   Updated records: ${updateCount}`);
-    console.log(`   Force-cleared enrichment: ${forceClearCount}`);
-    console.log(`   Skipped (no changes): ${skipCount}`);
+    console.log(`\n📊 Processing Summary:`);
+    console.log(`   Total records: ${schema._existingRecordsById.size}`);
+    console.log(`   Videos: ${videoCount}`);
+    console.log(`   Videos updated with SRT: ${updatedCount}`);
+    console.log(`   Already up to date: ${matchedCount - updatedCount}`);
+    console.log(`   Enrichment fields reset: ${resetCount} (will re-enrich)`);
+    console.log(`   SRT files not matched: ${srtCount - matchedCount}`);
     
-    // Flush to disk - writes CSV and JSONL
-    console.log(`\n💾 Flushing to disk...`);
+    // Flush to disk (a no-op rewrite when nothing changed)
     schema.flush();
     
-    // Run sanity check to verify CSV and JSONL consistency
-    schema.printSanityCheck();
-    
-    console.log("\n✅ Files written successfully via MITBrainSchema!");
-    console.log(`   📊 ${schema.records.length} total records in dataset`);
+    console.log("\n✅ Brain updated via MITBrainSchema!");
     console.log(`   📝 ${updatedCount} records updated with transcripts`);
-    console.log(`   📊 CSV: Truncated at 32,000 chars (Excel-compatible)`);
-    console.log(`   📄 JSONL: Full fidelity (no truncation)`);
     
   } catch (error) {
-    console.error(`✗ Error writing files: ${error.message}`);
+    console.error(`✗ Error updating brain: ${error.message}`);
     console.error(error.stack);
     return false;
   }
@@ -399,31 +269,22 @@ function loadSrts(csvFile, captionsDir = "captions", urlColumn = "url") {
 const args = process.argv.slice(2);
 
 // Get paths from environment or use defaults
-const brainDir = process.env.BRAIN_DIR || "../brain";
 const inputDir = process.env.INPUT_DIR || "../input";
-const brainName = process.env.MIT_BRAIN || "mit_brain_test17";
-const csvFile = args[0] || `${brainDir}/${brainName}.csv`;
-const captionsDir = args[1] || `${inputDir}/captions`;
+const captionsDir = args[0] || `${inputDir}/captions`;
 
-if (!fs.existsSync(csvFile)) {
-  console.error(`✗ File not found: ${csvFile}`);
-  console.error(`\nExpected CSV file at: ${csvFile}`);
-  console.error(`\nMake sure:`);
-  console.error(`1. MIT_BRAIN environment variable is set correctly (current: ${brainName})`);
-  console.error(`2. scrapeIlpVideos.js has run and created the CSV file`);
-  console.error(`3. Or provide the CSV path as first argument: node loadSrts.js <csv_file>`);
+// The brain used to be read from its CSV twin, which is no longer kept up to date
+if (args[0] && args[0].toLowerCase().endsWith(".csv")) {
+  console.error(`✗ loadSrts.js no longer reads a CSV: it updates the brain (MIT_BRAIN) directly`);
+  console.error(`\nUsage: node loadSrts.js [captions_dir]`);
   process.exit(1);
 }
 
-const success = loadSrts(csvFile, captionsDir);
+const success = loadSrts(captionsDir);
 
 if (success) {
   console.log("\n🎉 Processing complete!");
-  console.log(`\n📦 Updated files:`);
-  console.log(`   📊 ${csvFile} (updated with transcripts)`);
-  console.log(`   📄 ${csvFile.replace(/\.csv$/, ".jsonl").replace("/csv/", "/jsonl/")} (full fidelity)`);
   process.exit(0);
 } else {
   console.log("\n✗ Processing failed");
   process.exit(1);
-}
\ No newline at end of file
+}
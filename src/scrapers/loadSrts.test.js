@@ -0,0 +1,138 @@
+// src/scrapers/loadSrts.test.js
+//
+// loadSrts.js reads and writes the brain through MITBrainSchema (JSONL or
+// SQLite): videos get their transcript, enrichment made without one is
+// cleared, and no CSV is needed or written.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { spawnSync } from "child_process";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const { MITBrainSchema } = require("../shared/MITBrainSchema.cjs");
+
+const LOAD_SRTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "loadSrts.js");
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,000
+Welcome to the lab.
+
+2
+00:00:05,500 --> 00:00:08,000
+Today we build a “soft” gripper.
+`;
+const TRANSCRIPT = `(00:00:01) Welcome to the lab. (00:00:05) Today we build a "soft" gripper.`;
+
+const VIDEO = {
+  kind: "video", source: "youtube", title: "Gripper demo",
+  url: "https://www.youtube.com/watch?v=abc123XYZ", ilpSummary: "Guessed from the title", ilpKeywords: ["robots"],
+};
+const PAPER = {
+  kind: "paper", source: "openalex", title: "Soft robotic grippers",
+  url: "https://example.org/paper", ilpSummary: "A paper summary", ilpKeywords: ["grippers"],
+};
+
+// Runs fn(brainDir, captionsDir) against a brain seeded with a video and a paper
+function withBrain(backend, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "load-srts-test-"));
+  const saved = { ...process.env };
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    const brainDir = path.join(dir, "brain");
+    const captionsDir = path.join(dir, "input", "captions");
+    fs.mkdirSync(captionsDir, { recursive: true });
+    fs.writeFileSync(path.join(captionsDir, "abc123XYZ.en.srt"), SRT);
+    Object.assign(process.env, {
+      BRAIN_DIR: brainDir, INPUT_DIR: path.join(dir, "input"), MIT_BRAIN: "test_brain",
+      MIT_BRAIN_BACKEND: backend, MIT_BRAIN_HISTORY: "off",
+    });
+    delete process.env.MIT_BRAIN_CSV;
+
+    const schema = new MITBrainSchema();
+    schema.writeBatch([VIDEO, PAPER]);
+    schema.flush();
+    fn(brainDir, captionsDir);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    process.env = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function loadSrts(...args) {
+  return spawnSync(process.execPath, [LOAD_SRTS, ...args], { env: process.env, encoding: "utf8" });
+}
+
+function readBrain() {
+  const schema = new MITBrainSchema();
+  schema._loadExistingRecords();
+  schema._releaseLock();
+  const byUrl = (url) => [...schema._existingRecordsById.values()].find((r) => r.url === url);
+  return { video: byUrl(VIDEO.url), paper: byUrl(PAPER.url) };
+}
+
+for (const backend of ["jsonl", "sqlite"]) {
+  test(`${backend}: adds transcripts to the brain with no CSV around`, () => {
+    withBrain(backend, (brainDir) => {
+      const result = loadSrts();
+      assert.strictEqual(result.status, 0, result.stderr);
+
+      const { video, paper } = readBrain();
+      assert.strictEqual(video.fullText, TRANSCRIPT);
+      assert.strictEqual(video.ilpSummary, "", "enrichment made without captions is cleared");
+      assert.deepStrictEqual(video.ilpKeywords, []);
+      assert.strictEqual(paper.ilpSummary, PAPER.ilpSummary, "other records are left alone");
+      assert.deepStrictEqual(paper.ilpKeywords, PAPER.ilpKeywords);
+      assert.deepStrictEqual(fs.readdirSync(brainDir).filter((f) => f.endsWith(".csv")), []);
+    });
+  });
+}
+
+test("keeps edits made since the CSV twin was last written", () => {
+  withBrain("jsonl", (brainDir, captionsDir) => {
+    // A stale CSV (from before MIT_BRAIN_CSV went opt-in) must not be read back
+    fs.writeFileSync(path.join(brainDir, "test_brain.csv"), `url,title,kind\n${VIDEO.url},Old title,video\n`);
+
+    const result = loadSrts(captionsDir);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const { video, paper } = readBrain();
+    assert.strictEqual(video.title, VIDEO.title);
+    assert.strictEqual(video.fullText, TRANSCRIPT);
+    assert.ok(paper, "records missing from the CSV are kept");
+  });
+});
+
+test("re-running leaves an up-to-date transcript and its enrichment alone", () => {
+  withBrain("jsonl", () => {
+    assert.strictEqual(loadSrts().status, 0);
+    const schema = new MITBrainSchema();
+    schema._loadExistingRecords();
+    const video = [...schema._existingRecordsById.values()].find((r) => r.url === VIDEO.url);
+    video.ilpSummary = "Enriched with captions";
+    schema._updatedRecords.add(video.id);
+    schema.flush();
+
+    const result = loadSrts();
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Videos updated with SRT: 0/);
+    assert.strictEqual(readBrain().video.ilpSummary, "Enriched with captions");
+  });
+});
+
+test("a CSV argument is refused with the new usage", () => {
+  withBrain("jsonl", (brainDir) => {
+    const result = loadSrts(path.join(brainDir, "test_brain.csv"));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /no longer reads a CSV/);
+    assert.match(result.stderr, /Usage: node loadSrts\.js \[captions_dir\]/);
+  });
+});
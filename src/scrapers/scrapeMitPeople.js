@@ -334,10 +334,8 @@ async function mapRowToPersonRecord(row, runId, options = {}) {
 
     title: `${firstName} ${lastName}${title ? ` - ${title}` : ""}`,
     url,
-    
-    // IMPORTANT: For people with shared URLs (team pages), use composite key for deduplication
-    // This overrides the default URL-only deduplication in MITBrainSchema
-    _dedupeKey: `person:${firstName}:${lastName}:${url}`,
+    // People on shared team pages are told apart by MITBrainSchema's ID
+    // (email, or name + URL), so a shared URL is fine here
 
     firstName: fixText(firstName),
     lastName: fixText(lastName),
@@ -392,7 +390,7 @@ async function scrapeMitPeopleFromSpreadsheet({ xlsxPath, dryRun, skipAI, limit
   console.log(`  Brain name: ${schema.brainName}`);
   console.log(`  Brain dir: ${schema.brainDir}`);
   console.log(`  JSONL: ${schema.brainDir}/${schema.brainName}.jsonl`);
-  console.log(`  CSV: ${schema.brainDir}/${schema.brainName}.csv`);
+  if (schema.csvEnabled) console.log(`  CSV: ${schema.brainDir}/${schema.brainName}.csv`);
   
   const peopleRecords = [];
 
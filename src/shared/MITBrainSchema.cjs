@@ -4,20 +4,86 @@
 // Handles writing to CSV and JSONL with consistent formatting,
 // deduplication, and validation.
 //
-// CSV Truncation: Fields exceeding 32,000 characters are automatically
-// truncated with "WARNING - TEXT TRUNCATED: " prefix. This conservative limit
-// ensures compatibility across all Excel versions and import methods.
-// JSONL files maintain full fidelity with no truncation.
+// Crash safety: every write() is logged to <brain>.journal.jsonl until the
+// final flush(); if a run dies first, the next MITBrainSchema to load the
+// brain replays the journal (or sets it aside with MIT_BRAIN_RECOVERY=discard).
+// Full writes replace the brain JSONL/CSV whole, via a temp file + rename.
+// Auto-flushes fsync the journal, then append new records in place, so a
+// crash mid-append can leave a torn last line; readers skip it and the
+// replay rewrites the file. Both are read and written a line at a time
+// (see jsonlStream.cjs).
+//
+// Locking: loading or writing takes brain/<MIT_BRAIN>.lock (see brainLock.cjs)
+// until flush(), so two writers can't rewrite the same brain; a second one
+// gets a BrainLockError naming the holder.
+//
+// History: every brain write logs which fields of which records changed
+// (run ID, script, old/new value hashes) to <brain>.history.jsonl - see
+// recordHistory.cjs and the brainHistory.cjs CLI. MIT_BRAIN_HISTORY=off
+// turns it off.
+//
+// Validation: write() checks each record as the scraper handed it over,
+// before normalizing, against the per-kind schema in recordSchema.cjs
+// (required fields, types, enums); violations are tallied and listed by
+// printStats().
+//
+// Migrations: the brain's schemaVersion is kept in <brain>.meta.json; older
+// brains are brought up to date by migrate() (see brainMigrations.cjs and
+// the migrateBrain.cjs CLI).
+//
+// Identity: every record carries a stable `id` (see recordId.cjs) built
+// from its natural key - DOI/arXiv for papers, videoId for videos, email
+// for people, canonical URL otherwise. Deduplication and updates go by id.
+//
+// Storage: JSONL by default. MIT_BRAIN_BACKEND=sqlite keeps the brain
+// in <brain>.sqlite instead (see sqliteBrain.cjs); the write API is the
+// same, flushes only write the rows that changed, and brainSqlite.cjs
+// exports the canonical JSONL/CSV.
+//
+// CSV: the JSONL's CSV twin is only written with MIT_BRAIN_CSV=on. Use
+// exportBrain.cjs (or /api/admin/export) for CSV, XLSX and other exports.
+// In the twin, fields exceeding 32,000 characters are truncated with a
+// "WARNING - TEXT TRUNCATED: " prefix for Excel; JSONL files maintain full
+// fidelity with no truncation.
 
 const fs = require("fs");
 const path = require("path");
 const he = require("he");
 const { parse } = require("csv-parse/sync");
+const { canonicalizeUrl, naturalKey, canMatchByUrl, recordId } = require("./recordId.cjs");
+const {
+  BrainLockError,
+  isProcessAlive,
+  acquireBrainLock,
+  refreshBrainLock,
+  verifyBrainLock,
+  releaseBrainLock,
+} = require("./brainLock.cjs");
+const { recordHash, diffRecords, appendHistory } = require("./recordHistory.cjs");
+const {
+  SCHEMA_VERSION,
+  CORE_FIELDS,
+  OPTIONAL_FIELDS,
+  ARRAY_FIELDS,
+  validateRecord,
+} = require("./recordSchema.cjs");
+const {
+  readBrainMeta,
+  writeBrainMeta,
+  getMetaPath,
+  pendingMigrations,
+  applyMigrations,
+} = require("./brainMigrations.cjs");
+const { SqliteBrain } = require("./sqliteBrain.cjs");
+const { readLinesSync, readJsonlSync, LineWriter, writeJsonlSync } = require("./jsonlStream.cjs");
 
 // Excel-safe cell limit (conservative)
 const EXCEL_CELL_LIMIT = 32000;
 const TRUNCATION_WARNING = "WARNING - TEXT TRUNCATED:";
 
+// How often a long run refreshes its brain lock
+const LOCK_REFRESH_MS = 60 * 1000;
+
 // Helper to safely normalize text (decode HTML entities, collapse whitespace)
 function fixText(str) {
   if (str == null) return "";
@@ -36,13 +102,19 @@ function normalizeDate(dateStr) {
 }
 
 class MITBrainSchema {
-  constructor() {
+  // options.backend overrides MIT_BRAIN_BACKEND (used by brainSqlite.cjs)
+  constructor({ backend } = {}) {
     this.brainName = process.env.MIT_BRAIN || "mit_brain";
     // Updated for new directory structure
     this.brainDir =
       process.env.BRAIN_DIR || path.join(__dirname, "../..", "brain");
     this.inputDir =
       process.env.INPUT_DIR || path.join(__dirname, "../..", "input");
+    // Storage backend: "jsonl" (JSONL + CSV files) or "sqlite"
+    this.backend = (backend || process.env.MIT_BRAIN_BACKEND) === "sqlite" ? "sqlite" : "jsonl";
+    this._store = this.backend === "sqlite" ? new SqliteBrain(this.brainDir, this.brainName) : null;
+    // The CSV twin of the JSONL is opt-in (exportBrain.cjs makes CSVs on demand)
+    this.csvEnabled = !this._store && process.env.MIT_BRAIN_CSV === "on";
     // Legacy aliases for compatibility
     this.outputRoot = this.brainDir;
     this.dataRoot = this.inputDir;
@@ -53,114 +125,27 @@ class MITBrainSchema {
       : 500; // Default: flush every 500 records
     this.recordsSinceLastFlush = 0;
 
-    // Core schema fields (always present)
-    this.fields = [
-      "kind",
-      "source",
-      "sourceType",
-      "title",
-      "url",
-      "publishedAt",
-      "rawDate",
-      "dateAddedToBrain",  // NEW: When item was added to brain (YYYY-MM-DD)
-      "summary",
-      "fullText",
-      "tags",
-      "authors",
-      "mitGroups",
-      "mitAuthors",
-      "eventName",
-      "ilpSummary",
-      "ilpKeywords",
-    ];
-
-    // Optional / extended fields
-    this.optionalFields = [
-      "rssFeed",
-      "citationCount",
-      "venue",
-      "doi",
-      "arxivId",
-      "pdfUrl",
-      "grants",
-      "videoId",
-      "durationSeconds",
-      "thumbnailUrl",
-      "recordingDate",
-      "speakers",
-      "viewCount",
-      "likeCount",
-      "commentCount",
-      "companyName",
-      "employees",
-      "headquarters",
-      "country",
-      "region",
-      "capitalRaised",
-      "capitalStage",
-      "lastFundingDate",
-      "lastFundingAmount",
-      "valuation",
-      "totalFundingRounds",
-      "investors",
-      "leadInvestors",
-      "mitInvestors",
-      "founders",
-      "mitFounders",
-      "ceo",
-      "keyExecutives",
-      "companyStatus",
-      "businessModel",
-      "industries",
-      "technology",
-      "technologyDescription",
-      "mitConnection",
-      "mitLicensedTechnology",
-      "mitLabs",
-      "exitDate",
-      "exitType",
-      "acquiredBy",
-      "acquisitionAmount",
-      "ipoTicker",
-      "revenue",
-      "revenueGrowthRate",
-      "isProfitable",
-      "customerCount",
-      "linkedinUrl",
-      "crunchbaseUrl",
-      "twitterHandle",
-      "contacts",
-      "profileUrl",
-      "pitchbookId",
-      "updatedAt",
-      "futureEventDate",
-      "location",
-      "eventType",
-      "generalAdmission",
-      "ilpAdmission",
-      "eventTime",
-      "eventNote",
-      // NEW: MIT People fields
-      "firstName",
-      "lastName",
-      "city",
-      "state",
-      "mobile",
-      "email",
-      "dlc",
-      "mitPeopleCategory",
-      "assistant",
-      "officeLocation",
-      "linkedIn",
-      "keywords",
-    ];
+    // Columns come from the declarative schema (see recordSchema.cjs):
+    // core fields are written for every record, optional ones when set
+    this.schemaVersion = SCHEMA_VERSION;
+    this.fields = [...CORE_FIELDS];
+    this.optionalFields = [...OPTIONAL_FIELDS];
 
     this.records = [];
-    this.existingUrls = new Set();
-    this.sessionUrls = new Set();
+    this.existingIds = new Set();
+    this.sessionIds = new Set();
     this._existingRecordsLoaded = false;
-    this._existingRecordsByUrl = new Map();
-    this._updatedRecords = new Set(); // CRITICAL FIX: Track which existing records were updated
+    this._existingRecordsById = new Map(); // id -> record, loaded AND new this session (what flush() writes)
+    this._existingRecordsByUrl = new Map(); // raw URL -> record, for scripts that look up by URL
+    this._idsByUrl = new Map(); // canonical URL -> id (existing + session), for isDuplicate
+    this._updatedRecords = new Set(); // CRITICAL FIX: Track which existing records (ids) were updated
+    this._mergedDuplicates = []; // { id, keptUrl, mergedUrl } for records that collapsed on load
+    this._journalFd = null; // open write-ahead journal for this run (see _journal)
+    this.runId = getRunId();
+    this._lockHeld = false;
+    this._lockRefreshedAt = 0;
+    this._persistedHashes = null; // id -> record hash as on disk (for history diffs)
+    this._historyValueHashes = new Set(); // history values already stored by this run
 
     this.stats = {
       written: 0,
@@ -169,18 +154,23 @@ class MITBrainSchema {
       errors: 0,
       truncated: 0,
       autoFlushCount: 0,
+      idsAssigned: 0,
+      invalid: 0, // records that broke the schema (see _reportViolations)
     };
+    this._violations = new Map(); // "kind.field rule" -> { message, count, example }
   }
 
   // ---------- Public write APIs ----------
 
-  // Check if a URL is already in the dataset (useful for avoiding unnecessary API calls)
+  // Check if a URL is already in the dataset (useful for avoiding unnecessary API calls).
+  // Compares canonical URLs (see canonicalizeUrl in recordId.cjs), so http/https,
+  // www, trailing slashes, tracking params and youtu.be / doi.org / arXiv pdf links match.
   isDuplicate(url, trackAsSkipped = false) {
     if (!url) return false;
     
     this._loadExistingRecords();
     
-    const isDupe = this.existingUrls.has(url) || this.sessionUrls.has(url);
+    const isDupe = this._idsByUrl.has(canonicalizeUrl(url));
     
     if (isDupe && trackAsSkipped) {
       this.stats.skipped += 1;
@@ -191,6 +181,7 @@ class MITBrainSchema {
 
   write(record) {
     try {
+      this._reportViolations(record, validateRecord(record));
       const normalized = this._normalizeRecord(record);
       const url = normalized.url;
 
@@ -202,22 +193,23 @@ class MITBrainSchema {
 
       this._loadExistingRecords();
 
-      // Use custom deduplication key if provided (for people with shared URLs)
-      const dedupeKey = normalized._dedupeKey || url;
-      
-      if (!this.existingUrls.has(dedupeKey) && this._existingRecordsByUrl.has(url)) {
-        this.existingUrls.add(dedupeKey);
-      }
-
-      if (this.existingUrls.has(dedupeKey) || this.sessionUrls.has(dedupeKey)) {
-        const updated = this._updateExistingRecord(url, normalized);
-        if (updated) this.stats.updated += 1;
-        else this.stats.skipped += 1;
-        return { written: false, skipped: !updated, updated: updated };
+      const matchId = this._findExistingId(normalized);
+      if (matchId) {
+        const updated = this._updateExistingRecord(matchId, normalized);
+        if (updated) {
+          this.stats.updated += 1;
+          this._journal({ op: "update", id: matchId, record: normalized });
+        } else {
+          this.stats.skipped += 1;
+        }
+        return { written: false, skipped: !updated, updated: updated, id: matchId };
       }
 
-      this.records.push(normalized);
-      this.sessionUrls.add(dedupeKey);
+      this.records.push(normalized); // pending until the next (auto-)flush
+      this.sessionIds.add(normalized.id);
+      this._existingRecordsById.set(normalized.id, normalized);
+      this._indexUrl(normalized);
+      this._journal({ op: "put", record: normalized });
       this.stats.written += 1;
       this.recordsSinceLastFlush += 1;
 
@@ -227,85 +219,96 @@ class MITBrainSchema {
         this._autoFlush();
       }
       
-      return { written: true, skipped: false, updated: false };
+      return { written: true, skipped: false, updated: false, id: normalized.id };
     } catch (err) {
+      if (err instanceof BrainLockError) throw err; // not a per-record problem
       this.stats.errors += 1;
       console.error("Error writing record:", err);
       return { written: false, skipped: false, updated: false, error: true };
     }
   }
 
+  // Tally schema violations for printStats(); each distinct one is also
+  // logged the first time it's seen
+  _reportViolations(record, violations) {
+    if (violations.length === 0) return;
+    this.stats.invalid += 1;
+    for (const v of violations) {
+      const key = `${record.kind}.${v.field} ${v.rule}`;
+      const seen = this._violations.get(key);
+      if (seen) {
+        seen.count += 1;
+        continue;
+      }
+      const example = record.url || record.title || "(no url)";
+      this._violations.set(key, { kind: record.kind, message: v.message, count: 1, example });
+      console.warn(`⚠️  Schema: ${record.kind}: ${v.message} (${example})`);
+    }
+  }
+
   writeBatch(records) {
     if (!Array.isArray(records)) return;
     for (const r of records) this.write(r);
   }
 
+  // Final flush: rewrite both files with every record - loaded, auto-flushed
+  // and new - so updates are saved no matter how many auto-flushes ran.
+  // A run that wrote nothing still loads the brain first: the rewrite must
+  // hold every stored record, not an empty set.
   flush() {
-    // CRITICAL: If auto-flush happened, DON'T rewrite (would lose auto-flushed records)
-    // Instead, just append remaining records
-    
-    if (this.stats.autoFlushCount > 0) {
-      // Auto-flush happened - just append remaining records
-      if (this.records.length > 0) {
-        console.log(`\n💾 Final flush: Appending ${this.records.length} remaining records...`);
-        this._ensureDirectories();
-        const csvPath = this._getCsvPath();
-        const jsonlPath = this._getJsonlPath();
-        this._appendToCsv(csvPath, this.records);
-        this._appendToJsonl(jsonlPath, this.records);
-        console.log(`   ✅ Flush complete!`);
-      }
-      this.records = [];
-      this.recordsSinceLastFlush = 0;
-      this._updatedRecords.clear();
-      return;
-    }
-    
-    // No auto-flush happened - do full rewrite to save any updates
+    this._loadExistingRecords();
     console.log(`\n💾 Final flush: Rewriting all records to ensure updates are saved...`);
     
     this._ensureDirectories();
     const csvPath = this._getCsvPath();
     const jsonlPath = this._getJsonlPath();
     
-    // Collect ALL records: existing (including updated) + new
-    const allRecords = [];
-    
-    // Add all existing records (some may have been updated)
-    for (const record of this._existingRecordsByUrl.values()) {
-      allRecords.push(record);
-    }
-    
-    // Add new records from this session
-    for (const record of this.records) {
-      allRecords.push(record);
-    }
+    // The map holds ALL records: existing (including updated) + new this session
+    const allRecords = [...this._existingRecordsById.values()];
     
     console.log(`   Total records to write: ${allRecords.length}`);
-    console.log(`   - Existing (may include updates): ${this._existingRecordsByUrl.size}`);
-    console.log(`   - New this session: ${this.records.length}`);
-    console.log(`   - Updated existing: ${this._updatedRecords.size}`);
+    console.log(`   - Existing (may include updates): ${this.existingIds.size}`);
+    console.log(`   - New this session: ${this.sessionIds.size}`);
+    console.log(`   - Updated existing: ${this.stats.updated}`);
     
-    // REWRITE both files completely with all records
-    this._rewriteCsv(csvPath, allRecords);
-    this._rewriteJsonl(jsonlPath, allRecords);
+    // REWRITE the brain completely with all records
+    this._writeBrainFiles(allRecords);
+    if (!this.csvEnabled && !this._store && fs.existsSync(csvPath)) {
+      console.log(`   ℹ️  ${path.basename(csvPath)} is no longer updated (MIT_BRAIN_CSV=on keeps it; or node exportBrain.cjs --format csv)`);
+    }
+
+    // A brand-new brain is written in the current schema
+    if (this.existingIds.size === 0 && !fs.existsSync(getMetaPath(this.brainDir, this.brainName))) {
+      writeBrainMeta(this.brainDir, this.brainName, { schemaVersion: SCHEMA_VERSION, migrations: [] });
+    }
     
     this.records = []; // Clear after final flush
     this.recordsSinceLastFlush = 0;
     this._updatedRecords.clear(); // Clear update tracking
+    this._closeJournal();
+    this._releaseLock();
     
     console.log(`   ✅ Flush complete!`);
   }
 
-  // Internal auto-flush (called periodically during long runs)
+  // Internal auto-flush (called periodically during long runs).
+  // The journal already holds every write, so it is the only thing fsynced;
+  // new records are then appended in place. Updates to a JSONL brain wait
+  // for the final flush's rewrite (a crash replays them from the journal);
+  // the SQLite store saves them now, row by row.
   _autoFlush() {
-    if (this.records.length === 0) return;
+    if (this.records.length === 0 && this._updatedRecords.size === 0) return;
     
     this._ensureDirectories();
-    const csvPath = this._getCsvPath();
-    const jsonlPath = this._getJsonlPath();
-    this._appendToCsv(csvPath, this.records);
-    this._appendToJsonl(jsonlPath, this.records);
+    if (this._journalFd !== null) fs.fsyncSync(this._journalFd);
+    if (this._store) {
+      const updated = [...this._updatedRecords].map((id) => this._existingRecordsById.get(id));
+      this._writeBrainFiles([...new Set([...this.records, ...updated])], { append: true });
+      this._updatedRecords.clear();
+    } else {
+      this._writeBrainFiles(this.records, { append: true });
+    }
+    this._refreshLock();
     
     this.stats.autoFlushCount += 1;
     this.records = []; // Clear after writing to avoid duplicates
@@ -329,9 +332,19 @@ class MITBrainSchema {
     console.log(`Errors: ${this.stats.errors}`);
     console.log(`Fields truncated for CSV: ${this.stats.truncated}`);
     console.log(`Auto-flushes (every ${this.autoFlushThreshold} records): ${this.stats.autoFlushCount}`);
+    console.log(`IDs assigned to existing records: ${this.stats.idsAssigned}`);
+    console.log(`Duplicates merged on load: ${this._mergedDuplicates.length}`);
+    console.log("-".repeat(60));
+    console.log(`Schema v${this.schemaVersion} violations: ${this.stats.invalid} records`);
+    const violations = [...this._violations.values()].sort((a, b) => b.count - a.count);
+    for (const v of violations.slice(0, 20)) {
+      console.log(`  ${String(v.count).padStart(5)} × ${v.kind}: ${v.message}`);
+      console.log(`          e.g. ${v.example}`);
+    }
+    if (violations.length > 20) console.log(`  ... and ${violations.length - 20} more kinds of violation`);
     console.log("-".repeat(60));
-    console.log(`Total unique URLs (existing+new): ${this.existingUrls.size}`);
-    console.log(`New URLs this session: ${this.sessionUrls.size}`);
+    console.log(`Total unique IDs (existing+new): ${this.existingIds.size + this.sessionIds.size}`);
+    console.log(`New IDs this session: ${this.sessionIds.size}`);
     console.log("=".repeat(60) + "\n");
   }
 
@@ -341,18 +354,23 @@ class MITBrainSchema {
   }
 
   sanityCheck() {
+    if (this._store) return this._sqliteSanityCheck();
     const csvPath = this._getCsvPath();
     const jsonlPath = this._getJsonlPath();
 
-    if (!fs.existsSync(csvPath) || !fs.existsSync(jsonlPath)) {
+    if ((this.csvEnabled && !fs.existsSync(csvPath)) || !fs.existsSync(jsonlPath)) {
       console.warn("⚠️ Missing output files");
       return { csv: 0, jsonl: 0, match: false };
     }
 
     // JSONL is easy - one line per record
-    const jsonlContent = fs.readFileSync(jsonlPath, "utf8");
-    const jsonlLines = jsonlContent.trim().split("\n").filter(Boolean);
-    const jsonlCount = jsonlLines.length;
+    let jsonlCount = 0;
+    for (const { text } of readLinesSync(jsonlPath)) {
+      if (text.trim()) jsonlCount += 1;
+    }
+
+    // No CSV twin: nothing to compare against (csv is null)
+    if (!this.csvEnabled) return { csv: null, jsonl: jsonlCount, match: true };
 
     // CSV is tricky - fields can contain newlines, so we need to parse properly
     // Count records by looking for quoted field boundaries
@@ -378,17 +396,52 @@ class MITBrainSchema {
     }
   }
 
+  // SQLite backend: every record row must have its row in the FTS index
+  _sqliteSanityCheck() {
+    if (!this._store.exists()) {
+      console.warn("⚠️ Missing SQLite brain");
+      return { records: 0, fts: 0, match: false };
+    }
+    const records = this._store.count();
+    const fts = this._store.ftsCount();
+    return { records, fts, match: records === fts };
+  }
+
   printSanityCheck() {
+    if (this._store) {
+      const { records, fts, match } = this.sanityCheck();
+      console.log("\n" + "=".repeat(60));
+      console.log("Sanity Check: SQLite records vs FTS index");
+      console.log("=".repeat(60));
+      console.log(`Records:     ${records}`);
+      console.log(`FTS entries: ${fts}`);
+      console.log(`Match: ${match ? "✅ Yes" : "❌ No"}`);
+      console.log("=".repeat(60) + "\n");
+      return;
+    }
     console.log("\n" + "=".repeat(60));
     console.log("Sanity Check: CSV vs JSONL");
     console.log("=".repeat(60));
     const { csv, jsonl, match } = this.sanityCheck();
-    console.log(`CSV records:   ${csv}`);
+    console.log(`CSV records:   ${csv === null ? "not written (MIT_BRAIN_CSV=on to enable)" : csv}`);
     console.log(`JSONL records: ${jsonl}`);
     console.log(`Match: ${match ? "✅ Yes" : "❌ No"}`);
     console.log("=".repeat(60) + "\n");
   }
 
+  // ---------- Export ----------
+
+  // Write the canonical JSONL and CSV (to `jsonlPath` / `csvPath`, default
+  // the brain's own file names) from whatever backend holds the brain.
+  // Returns the number of records written.
+  exportFiles({ jsonlPath = this._getJsonlPath(), csvPath = this._getCsvPath() } = {}) {
+    const records = [...this._readPersistedRecords(null).values()];
+    this._ensureDirectories();
+    this._rewriteJsonl(jsonlPath, records);
+    this._rewriteCsv(csvPath, records);
+    return records.length;
+  }
+
   // ---------- Internal helpers ----------
 
   _ensureDirectories() {
@@ -425,24 +478,33 @@ class MITBrainSchema {
     }).flat(); // Flatten in case we got nested arrays
   }
 
+  // An array field's value as a clean array. A scraper that hands over a
+  // single string keeps its data: a stringified JSON array is parsed,
+  // "a | b" and "a; b" (the CSV twin's separator) are split, anything else
+  // becomes a one-item list. write() has already reported the type
+  // violation against the raw record.
+  _toArrayField(value) {
+    if (Array.isArray(value)) return this._cleanArrayField(value);
+    if (value == null || value === "") return [];
+    if (typeof value !== "string") return [typeof value === "object" ? JSON.stringify(value) : String(value)];
+
+    const text = value.trim();
+    if (text.startsWith("[")) return this._cleanArrayField([text]);
+    const separator = text.includes("|") ? "|" : ";";
+    return text.split(separator).map((item) => item.trim()).filter(Boolean);
+  }
+
   _normalizeRecord(record) {
     this._loadExistingRecords();
 
     const normalized = {};
 
-    // List of all array fields that should never be stringified
-    const arrayFields = [
-      'tags', 'authors', 'mitGroups', 'mitAuthors', 'speakers',
-      'ilpKeywords', 'investors', 'leadInvestors', 'mitInvestors',
-      'founders', 'mitFounders', 'keyExecutives', 'industries', 'contacts'
-    ];
+    // Array fields should never be stringified
+    const arrayFields = ARRAY_FIELDS;
 
     this.fields.forEach((f) => {
       if (arrayFields.includes(f)) {
-        // Ensure it's an array and clean any stringified values
-        let arr = Array.isArray(record[f]) ? record[f] : [];
-        arr = this._cleanArrayField(arr);
-        normalized[f] = arr.map((v) => fixText(v));
+        normalized[f] = this._toArrayField(record[f]).map((v) => fixText(v));
       } else {
         normalized[f] = record[f] != null ? record[f] : "";
       }
@@ -451,8 +513,8 @@ class MITBrainSchema {
     this.optionalFields.forEach((f) => {
       if (record[f] != null) {
         // Clean array fields in optional fields too
-        if (arrayFields.includes(f) && Array.isArray(record[f])) {
-          normalized[f] = this._cleanArrayField(record[f]).map((v) => fixText(v));
+        if (arrayFields.includes(f)) {
+          normalized[f] = this._toArrayField(record[f]).map((v) => fixText(v));
         } else {
           normalized[f] = record[f];
         }
@@ -462,16 +524,14 @@ class MITBrainSchema {
     if (normalized.url) normalized.url = fixText(normalized.url);
     if (normalized.title) normalized.title = fixText(normalized.title);
 
+    // Keep an ID the caller already has (e.g. re-writing a loaded record)
+    normalized.id = record.id ? String(record.id) : recordId(normalized);
+
     // AUTO-SET dateAddedToBrain for NEW records (don't overwrite existing)
     if (!normalized.dateAddedToBrain || normalized.dateAddedToBrain === "") {
       normalized.dateAddedToBrain = new Date().toISOString().split('T')[0];
     }
 
-    // Preserve custom deduplication key (if provided) for internal use
-    if (record._dedupeKey) {
-      normalized._dedupeKey = record._dedupeKey;
-    }
-
     return normalized;
   }
 
@@ -485,7 +545,122 @@ class MITBrainSchema {
     return path.join(this.brainDir, `${this.brainName}.jsonl`);
   }
 
+  _getJournalPath() {
+    return path.join(this.brainDir, `${this.brainName}.journal.jsonl`);
+  }
+
+
+
+  // The one place the brain is written. JSONL backend: append new records,
+  // or replace the JSONL (and CSV twin, if on) with the complete record set. SQLite backend:
+  // only rows that changed (or were removed) are written. Changes are
+  // logged to the record history once they are safely stored.
+  _writeBrainFiles(records, { append = false } = {}) {
+    this._verifyLock();
+    const historyOn = process.env.MIT_BRAIN_HISTORY !== "off";
+    const changes = historyOn || this._store ? this._findChanges(records, { complete: !append }) : null;
+    const history = historyOn ? this._historyDiffs(changes) : [];
+
+    if (this._store) {
+      this._store.write(changes.changed, changes.removed);
+    } else if (append) {
+      if (this.csvEnabled) this._appendToCsv(this._getCsvPath(), records);
+      this._appendToJsonl(this._getJsonlPath(), records);
+    } else {
+      if (this.csvEnabled) this._rewriteCsv(this._getCsvPath(), records);
+      this._rewriteJsonl(this._getJsonlPath(), records);
+    }
 
+    appendHistory(this.brainDir, this.brainName, history, this._historyValueHashes);
+    if (changes) {
+      for (const record of changes.changed) this._persistedHashes.set(record.id, changes.hashes.get(record.id));
+      for (const id of changes.removed) this._persistedHashes.delete(id);
+    }
+  }
+
+  // Which of `records` differ from what is stored. With `complete`, stored
+  // records missing from `records` count as removed - but only once this
+  // run has loaded the brain; otherwise `records` is not the whole set.
+  _findChanges(records, { complete = false } = {}) {
+    if (this._persistedHashes === null) this._loadPersistedHashes();
+    complete = complete && this._existingRecordsLoaded;
+
+    const changed = [];
+    const hashes = new Map();
+    for (const record of records) {
+      const h = recordHash(record);
+      hashes.set(record.id, h);
+      if (this._persistedHashes.get(record.id) !== h) changed.push(record);
+    }
+    const removed = complete ? [...this._persistedHashes.keys()].filter((id) => !hashes.has(id)) : [];
+    return { changed, removed, hashes };
+  }
+
+  // Whether the brain has been stored yet (either backend)
+  _brainExists() {
+    return this._store ? this._store.exists() : fs.existsSync(this._getJsonlPath());
+  }
+
+  // Every stored record, in brain order (malformed JSONL lines are skipped
+  // with a warning giving the line number)
+  *_iteratePersisted() {
+    if (this._store) {
+      if (this._store.exists()) yield* this._store.iterate();
+      return;
+    }
+    const jsonlPath = this._getJsonlPath();
+    if (!fs.existsSync(jsonlPath)) return;
+    for (const { record } of readJsonlSync(jsonlPath)) yield record;
+  }
+
+  // ---------- Record history ----------
+
+  // History entries for a set of changes, old versions read from storage
+  _historyDiffs({ changed, removed }) {
+    if (changed.length === 0 && removed.length === 0) return [];
+
+    const previousIds = new Set([...changed.map((r) => r.id), ...removed].filter((id) => this._persistedHashes.has(id)));
+    const previous = this._readPersistedRecords(previousIds);
+
+    const context = { runId: this.runId, script: path.basename(process.argv[1] || "node") };
+    const diffs = [];
+    for (const record of changed) {
+      const diff = diffRecords(previous.get(record.id) || null, record, context);
+      if (diff) diffs.push(diff);
+    }
+    for (const id of removed) {
+      const diff = diffRecords(previous.get(id) || null, null, context);
+      if (diff) diffs.push(diff);
+    }
+    return diffs;
+  }
+
+  // Hash of every stored record, by ID
+  _loadPersistedHashes() {
+    if (this._store) {
+      this._persistedHashes = this._store.exists() ? this._store.hashes() : new Map();
+      return;
+    }
+    this._persistedHashes = new Map();
+    for (const record of this._readPersistedRecords(null).values()) {
+      this._persistedHashes.set(record.id, recordHash(record));
+    }
+  }
+
+  // Stored records (all, or only `ids`), keyed by ID; records written
+  // before IDs existed get the ID MITBrainSchema would give them
+  _readPersistedRecords(ids) {
+    if (ids && ids.size === 0) return new Map();
+    if (this._store && ids) return this._store.exists() ? this._store.getMany(ids) : new Map();
+
+    const found = new Map();
+    for (const record of this._iteratePersisted()) {
+      const id = record.id || recordId(record);
+      if (found.has(id) || (ids && !ids.has(id))) continue;
+      found.set(id, record.id ? record : { id, ...record });
+    }
+    return found;
+  }
 
   _truncateForCsv(value) {
     if (value == null) return "";
@@ -503,10 +678,10 @@ class MITBrainSchema {
 
     const allFields = [...this.fields, ...this.optionalFields];
     const needsHeader = !fs.existsSync(csvPath);
-    const lines = [];
+    const lines = new LineWriter(csvPath, { inPlace: true });
 
     if (needsHeader) {
-      lines.push(allFields.join(","));
+      lines.writeLine(allFields.join(","));
     }
 
     for (const rec of records) {
@@ -527,10 +702,10 @@ class MITBrainSchema {
         val = String(val).replace(/"/g, '""');
         row.push(`"${val}"`);
       }
-      lines.push(row.join(","));
+      lines.writeLine(row.join(","));
     }
 
-    fs.appendFileSync(csvPath, lines.join("\n") + "\n", "utf8");
+    lines.close();
   }
 
   // CRITICAL FIX: Add method to completely rewrite CSV (for updates)
@@ -538,10 +713,10 @@ class MITBrainSchema {
     if (!records || !records.length) return;
 
     const allFields = [...this.fields, ...this.optionalFields];
-    const lines = [];
+    const lines = new LineWriter(csvPath);
 
     // Always write header
-    lines.push(allFields.join(","));
+    lines.writeLine(allFields.join(","));
 
     for (const rec of records) {
       const row = [];
@@ -561,72 +736,323 @@ class MITBrainSchema {
         val = String(val).replace(/"/g, '""');
         row.push(`"${val}"`);
       }
-      lines.push(row.join(","));
+      lines.writeLine(row.join(","));
     }
 
-    fs.writeFileSync(csvPath, lines.join("\n") + "\n", "utf8");
+    lines.close();
   }
 
   _appendToJsonl(jsonlPath, records) {
     if (!records || !records.length) return;
-    // Remove internal _dedupeKey before writing
-    const cleanRecords = records.map(r => {
-      const { _dedupeKey, ...clean } = r;
-      return clean;
-    });
-    const lines = cleanRecords.map((r) => JSON.stringify(r));
-    fs.appendFileSync(jsonlPath, lines.join("\n") + "\n", "utf8");
+    writeJsonlSync(jsonlPath, records, { inPlace: true });
   }
 
   // CRITICAL FIX: Add method to completely rewrite JSONL (for updates)
   _rewriteJsonl(jsonlPath, records) {
     if (!records || !records.length) return;
-    // Remove internal _dedupeKey before writing
-    const cleanRecords = records.map(r => {
-      const { _dedupeKey, ...clean } = r;
-      return clean;
-    });
-    const lines = cleanRecords.map((r) => JSON.stringify(r));
-    fs.writeFileSync(jsonlPath, lines.join("\n") + "\n", "utf8");
+    writeJsonlSync(jsonlPath, records);
   }
 
   _loadExistingRecords() {
     if (this._existingRecordsLoaded) return;
-    const jsonlPath = this._getJsonlPath();
-    if (!fs.existsSync(jsonlPath)) {
+    this._acquireLock();
+    if (!this._brainExists()) {
       this._existingRecordsLoaded = true;
+      this._recoverJournal(); // a brand-new brain whose first run died
       return;
     }
 
-    const jsonlData = fs.readFileSync(jsonlPath, "utf8");
-    jsonlData
-      .split("\n")
-      .filter(Boolean)
-      .forEach((line) => {
-        try {
-          const rec = JSON.parse(line);
-          if (rec.url) {
-            this._existingRecordsByUrl.set(rec.url, rec);
-            this.existingUrls.add(rec.url);
-          }
-        } catch {
-          // ignore malformed
-        }
-      });
+    for (let rec of this._iteratePersisted()) {
+      if (!rec.url && !rec.title) continue;
+
+      // Brains written before IDs existed: assign one now (saved on the next full flush)
+      if (!rec.id) {
+        rec = { id: recordId(rec), ...rec };
+        this.stats.idsAssigned += 1;
+      }
+
+      const existing = this._existingRecordsById.get(rec.id);
+      if (existing) {
+        // Same item stored twice under different URL forms: keep the first, fill its gaps
+        this._fillMissingFields(existing, rec);
+        this._mergedDuplicates.push({ id: rec.id, keptUrl: existing.url, mergedUrl: rec.url });
+        continue;
+      }
+      this._addExistingRecord(rec);
+    }
 
     this._existingRecordsLoaded = true;
-    console.log(`📚 Loaded ${this._existingRecordsByUrl.size} existing records from JSONL`);
+    this._persistedHashes = new Map();
+    for (const [id, rec] of this._existingRecordsById) this._persistedHashes.set(id, recordHash(rec));
+    console.log(`📚 Loaded ${this._existingRecordsById.size} existing records from ${this._store ? "SQLite" : "JSONL"}`);
+    if (this.stats.idsAssigned > 0) {
+      console.log(`🆔 Assigned IDs to ${this.stats.idsAssigned} records without one`);
+    }
+    if (this._mergedDuplicates.length > 0) {
+      console.log(`🔗 Merged ${this._mergedDuplicates.length} duplicate records sharing an ID`);
+    }
+    this._warnIfOutdated();
+
+    this._recoverJournal();
+  }
+
+  _warnIfOutdated() {
+    if (this._existingRecordsById.size === 0) return;
+    try {
+      const { schemaVersion } = readBrainMeta(this.brainDir, this.brainName);
+      if (schemaVersion < SCHEMA_VERSION) {
+        console.warn(`⚠️  Brain is at schema v${schemaVersion}, current is v${SCHEMA_VERSION}: run node migrateBrain.cjs`);
+      }
+    } catch (err) {
+      console.warn(`⚠️  Could not read ${getMetaPath(this.brainDir, this.brainName)}: ${err.message}`);
+    }
+  }
+
+  // ---------- Migrations ----------
+
+  // Apply pending migrations to every record and record the new
+  // schemaVersion. With dryRun nothing is written; either way the report
+  // says what changed: { from, to, report } (see applyMigrations).
+  migrate({ dryRun = false } = {}) {
+    this._loadExistingRecords();
+    const meta = readBrainMeta(this.brainDir, this.brainName);
+    const pending = pendingMigrations(meta);
+    // Nothing to write: let go unless this run has writes pending
+    if (pending.length === 0) {
+      if (this._journalFd === null) this._releaseLock();
+      return { from: meta.schemaVersion, to: meta.schemaVersion, report: [] };
+    }
+
+    const { records, report } = applyMigrations([...this._existingRecordsById.values()], pending);
+    const to = pending[pending.length - 1].version;
+    if (dryRun) {
+      if (this._journalFd === null) this._releaseLock();
+      return { from: meta.schemaVersion, to, report };
+    }
+
+    for (const record of records) {
+      if (record === this._existingRecordsById.get(record.id)) continue;
+      this._existingRecordsById.set(record.id, record);
+      this._updatedRecords.add(record.id);
+    }
+    this.flush();
+
+    const appliedAt = new Date().toISOString();
+    writeBrainMeta(this.brainDir, this.brainName, {
+      ...meta,
+      schemaVersion: to,
+      migrations: [
+        ...meta.migrations,
+        ...report.map(({ version, name, changed }) => ({ version, name, appliedAt, runId: this.runId, changed })),
+      ],
+    });
+    return { from: meta.schemaVersion, to, report };
+  }
+
+  _addExistingRecord(rec) {
+    this._existingRecordsById.set(rec.id, rec);
+    this.existingIds.add(rec.id);
+    if (rec.url && !this._existingRecordsByUrl.has(rec.url)) this._existingRecordsByUrl.set(rec.url, rec);
+    this._indexUrl(rec);
+  }
+
+  // ---------- Write-ahead journal ----------
+
+  // Log a pending write. The first entry starts the journal with a header
+  // naming the owning process; flush() removes it once everything is saved.
+  // Entries are not fsynced one by one (a killed process loses nothing the
+  // kernel already has); auto-flushes fsync the journal.
+  _journal(entry) {
+    if (this._journalFd === null) {
+      this._acquireLock();
+      fs.mkdirSync(this.brainDir, { recursive: true });
+      this._journalFd = fs.openSync(this._getJournalPath(), "a");
+      const header = { op: "begin", pid: process.pid, runId: this.runId, startedAt: new Date().toISOString() };
+      fs.writeSync(this._journalFd, JSON.stringify(header) + "\n");
+    }
+    fs.writeSync(this._journalFd, JSON.stringify(entry) + "\n");
+    if (Date.now() - this._lockRefreshedAt > LOCK_REFRESH_MS) this._refreshLock();
+  }
+
+  // ---------- Brain lock ----------
+
+  _acquireLock() {
+    if (this._lockHeld) return;
+    acquireBrainLock(this.brainDir, this.brainName, { runId: this.runId });
+    this._lockHeld = true;
+    this._lockRefreshedAt = Date.now();
+    // Scripts that never call flush() still let go on exit
+    if (!this._exitHookInstalled) {
+      process.once("exit", () => this._releaseLock());
+      this._exitHookInstalled = true;
+    }
+  }
+
+  _refreshLock() {
+    if (!this._lockHeld) return;
+    refreshBrainLock(this.brainDir, this.brainName);
+    this._lockRefreshedAt = Date.now();
+  }
+
+  // Stop before writing if another writer took the lock over
+  _verifyLock() {
+    if (!this._lockHeld) return;
+    verifyBrainLock(this.brainDir, this.brainName, { runId: this.runId });
+  }
+
+  _releaseLock() {
+    if (!this._lockHeld) return;
+    releaseBrainLock(this.brainDir, this.brainName);
+    this._lockHeld = false;
+  }
+
+  // Called once the brain files hold every journaled write
+  _closeJournal() {
+    if (this._journalFd === null) return;
+    fs.closeSync(this._journalFd);
+    this._journalFd = null;
+    fs.rmSync(this._getJournalPath(), { force: true });
+  }
+
+  // A journal left on disk means a run died before its final flush.
+  // Replaying is idempotent: entries are matched by record ID, so records
+  // that an auto-flush already saved are merged rather than duplicated.
+  _recoverJournal() {
+    const journalPath = this._getJournalPath();
+    this._removeStaleTempFiles();
+    if (!fs.existsSync(journalPath)) return;
+
+    let header = null;
+    let torn = 0;
+    const entries = [];
+    // A malformed line means the process died mid-line
+    for (const { record: entry } of readJsonlSync(journalPath, { onError: () => (torn += 1) })) {
+      if (entry.op === "begin") header = entry;
+      else entries.push(entry);
+    }
+
+    if (header && header.pid !== process.pid && isProcessAlive(header.pid)) {
+      console.warn(`⚠️  Journal belongs to running process ${header.pid} (run ${header.runId}); not recovering it`);
+      return;
+    }
+
+    const runLabel = header ? `run ${header.runId} (started ${header.startedAt})` : "unknown run";
+
+    if (process.env.MIT_BRAIN_RECOVERY === "discard") {
+      const discardedPath = `${journalPath}.discarded-${Date.now()}`;
+      fs.renameSync(journalPath, discardedPath);
+      console.warn(`🗑️  Discarded ${entries.length} pending writes from interrupted ${runLabel}`);
+      console.warn(`   Journal kept at: ${discardedPath}`);
+      return;
+    }
+
+    let added = 0;
+    let updated = 0;
+    for (const entry of entries) {
+      const record = entry.record;
+      const id = entry.id || record?.id;
+      if (!record || !id) continue;
+
+      if (this._existingRecordsById.has(id)) {
+        if (this._updateExistingRecord(id, record)) updated += 1;
+      } else if (entry.op === "put") {
+        this._addExistingRecord(record);
+        added += 1;
+      }
+    }
+
+    this._writeBrainFiles([...this._existingRecordsById.values()]);
+    this._updatedRecords.clear();
+    fs.rmSync(journalPath, { force: true });
+
+    console.log(`🩹 Recovered interrupted ${runLabel}: ${added} records added, ${updated} updated`);
+    if (torn > 0) console.log(`   Ignored ${torn} incomplete journal lines`);
+  }
+
+  // Temp files from LineWriter (jsonlStream.cjs) whose process is gone
+  _removeStaleTempFiles() {
+    if (!fs.existsSync(this.brainDir)) return;
+    const prefixes = [this._getJsonlPath(), this._getCsvPath()].map((p) => `${path.basename(p)}.tmp-`);
+    for (const file of fs.readdirSync(this.brainDir)) {
+      const prefix = prefixes.find((p) => file.startsWith(p));
+      if (!prefix) continue;
+      const pid = parseInt(file.slice(prefix.length), 10);
+      if (pid === process.pid || isProcessAlive(pid)) continue;
+      fs.rmSync(path.join(this.brainDir, file), { force: true });
+    }
+  }
+
+  // Remember which ID a canonical URL belongs to (first record wins)
+  _indexUrl(record) {
+    const canonical = canonicalizeUrl(record.url);
+    if (canonical && !this._idsByUrl.has(canonical)) this._idsByUrl.set(canonical, record.id);
+  }
+
+  // ID of the existing or session record a normalized record refers to, or null.
+  // Falls back to the canonical URL when one side has no stronger natural key,
+  // e.g. a paper first stored without its DOI.
+  _findExistingId(record) {
+    if (this.existingIds.has(record.id) || this.sessionIds.has(record.id)) return record.id;
+
+    const byUrl = this._idsByUrl.get(canonicalizeUrl(record.url));
+    if (!byUrl) return null;
+    return canMatchByUrl(record, this._existingRecordsById.get(byUrl)) ? byUrl : null;
+  }
+
+  // Existing records that today's dedupe rules would treat as one item: a
+  // later record whose natural key or canonical URL matches an earlier one
+  // (first in brain order wins, as in _indexUrl). Brains stored before a
+  // canonicalization rule was added can hold such pairs under separate IDs;
+  // nothing is merged here (and nothing locked: it reads the stored brain).
+  // Returns [{ keep, duplicates: [{ record, reason }] }].
+  findDuplicates() {
+    const records = this._readPersistedRecords(null);
+    const idsByKey = new Map();
+    const idsByUrl = new Map();
+    const groups = new Map(); // kept id -> group
+
+    for (const record of records.values()) {
+      const key = naturalKey(record);
+      const canonical = canonicalizeUrl(record.url);
+
+      let keptId = idsByKey.get(key);
+      let reason = keptId ? `same key ${key}` : null;
+      if (!keptId && canonical && idsByUrl.has(canonical)) {
+        const other = records.get(idsByUrl.get(canonical));
+        if (canMatchByUrl(record, other)) {
+          keptId = other.id;
+          reason = `same canonical URL ${canonical}`;
+        }
+      }
+
+      if (keptId) {
+        if (!groups.has(keptId)) groups.set(keptId, { keep: records.get(keptId), duplicates: [] });
+        groups.get(keptId).duplicates.push({ record, reason });
+        continue;
+      }
+      idsByKey.set(key, record.id);
+      if (canonical && !idsByUrl.has(canonical)) idsByUrl.set(canonical, record.id);
+    }
+    return [...groups.values()];
+  }
+
+  _fillMissingFields(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      const current = target[key];
+      const isEmpty = current == null || current === "" || (Array.isArray(current) && current.length === 0);
+      if (isEmpty && value != null && value !== "") target[key] = value;
+    }
   }
 
-  _updateExistingRecord(url, newRecord) {
-    const existing = this._existingRecordsByUrl.get(url);
+  _updateExistingRecord(id, newRecord) {
+    const existing = this._existingRecordsById.get(id);
     if (!existing) return false;
 
     let hasChanges = false;
     
     for (const [key, value] of Object.entries(newRecord)) {
-      // NEVER overwrite dateAddedToBrain on updates (preserve original)
-      if (key === 'dateAddedToBrain') continue;
+      // NEVER overwrite dateAddedToBrain on updates (preserve original), or the stored ID
+      if (key === 'dateAddedToBrain' || key === 'id') continue;
       
       if (
         value != null &&
@@ -643,7 +1069,7 @@ class MITBrainSchema {
 
     // CRITICAL FIX: Track that this record was updated
     if (hasChanges) {
-      this._updatedRecords.add(url);
+      this._updatedRecords.add(id);
     }
 
     return hasChanges;
@@ -668,6 +1094,7 @@ function getRunId() {
 
 module.exports = {
   MITBrainSchema,
+  BrainLockError,
   fixText,
   normalizeDate,
   getRunId,
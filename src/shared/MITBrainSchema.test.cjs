@@ -0,0 +1,213 @@
+// shared/MITBrainSchema.test.cjs
+//
+// Regression test: updates to existing records must survive auto-flushes.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const AUTO_FLUSH_RECORDS = 5;
+
+function withBrain(fn) {
+  const brainDir = fs.mkdtempSync(path.join(os.tmpdir(), "mit-brain-test-"));
+  const saved = {
+    BRAIN_DIR: process.env.BRAIN_DIR,
+    MIT_BRAIN: process.env.MIT_BRAIN,
+    AUTO_FLUSH_RECORDS: process.env.AUTO_FLUSH_RECORDS,
+    MIT_BRAIN_CSV: process.env.MIT_BRAIN_CSV,
+  };
+  // CSV twin on, so the sanity check below compares it with the JSONL
+  Object.assign(process.env, { BRAIN_DIR: brainDir, MIT_BRAIN: "test_brain", AUTO_FLUSH_RECORDS: String(AUTO_FLUSH_RECORDS), MIT_BRAIN_CSV: "on" });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn(brainDir);
+  } finally {
+    console.log = log;
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(brainDir, { recursive: true, force: true });
+  }
+}
+
+function readJsonl(filePath) {
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+const paper = (i, extra = {}) => ({
+  kind: "paper",
+  source: "test",
+  title: `Paper ${i}`,
+  url: `https://example.mit.edu/papers/${i}`,
+  citationCount: 0,
+  ...extra,
+});
+
+test("flush keeps updates made before and after auto-flushes", () => {
+  withBrain(() => {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+
+    // Existing brain with a few records
+    const seed = new MITBrainSchema();
+    for (let i = 0; i < 3; i++) seed.write(paper(i));
+    seed.flush();
+
+    // Long run: more than AUTO_FLUSH_RECORDS new records, mixed with updates
+    // to loaded records and to records an auto-flush already wrote
+    const schema = new MITBrainSchema();
+    for (let i = 3; i < 3 + AUTO_FLUSH_RECORDS * 3; i++) {
+      schema.write(paper(i));
+      if (i === 4) schema.write(paper(0, { citationCount: 10 })); // before any auto-flush
+      if (i === 9) schema.write(paper(1, { citationCount: 20 })); // after the first
+      if (i === 14) schema.write(paper(5, { citationCount: 30 })); // a record auto-flushed this run
+    }
+    schema.write(paper(2, { citationCount: 40 })); // after the last auto-flush
+    assert.ok(schema.stats.autoFlushCount >= 2, "test must exercise auto-flush");
+    schema.flush();
+
+    const records = readJsonl(schema._getJsonlPath());
+    const byTitle = new Map(records.map((r) => [r.title, r]));
+
+    assert.strictEqual(records.length, 3 + AUTO_FLUSH_RECORDS * 3, "no lost or duplicated records");
+    assert.strictEqual(new Set(records.map((r) => r.id)).size, records.length, "IDs are unique");
+    assert.strictEqual(byTitle.get("Paper 0").citationCount, 10);
+    assert.strictEqual(byTitle.get("Paper 1").citationCount, 20);
+    assert.strictEqual(byTitle.get("Paper 5").citationCount, 30);
+    assert.strictEqual(byTitle.get("Paper 2").citationCount, 40);
+
+    const sanity = schema.sanityCheck();
+    assert.ok(sanity.match, `CSV and JSONL agree (csv=${sanity.csv}, jsonl=${sanity.jsonl})`);
+    assert.ok(!fs.existsSync(schema._getJournalPath()), "journal removed after flush");
+  });
+});
+
+test("writes dedupe on canonical URLs and findDuplicates reports stored pairs", () => {
+  withBrain((brainDir) => {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const article = (id, url) => ({ id, kind: "article", source: "test", title: `Article ${id}`, url });
+
+    // Stored before www / index.html / doi.org links were canonicalized
+    const stored = [
+      article("a1", "https://news.mit.edu/2025/x"),
+      article("a2", "http://www.news.mit.edu/2025/x/index.html"),
+      paper(1, { id: "p1", url: "https://dl.acm.org/doi/abs/10.1145/ABC" }),
+      paper(2, { id: "p2", url: "https://doi.org/10.1145/abc" }),
+      paper(3, { id: "p3", url: "https://example.mit.edu/listing", doi: "10.1/one" }),
+      paper(4, { id: "p4", url: "https://example.mit.edu/listing/", doi: "10.1/two" }),
+    ];
+    fs.writeFileSync(path.join(brainDir, "test_brain.jsonl"), stored.map((r) => JSON.stringify(r)).join("\n") + "\n");
+
+    const schema = new MITBrainSchema();
+    const groups = schema.findDuplicates().map((g) => [g.keep.id, g.duplicates.map((d) => d.record.id)]);
+    assert.deepStrictEqual(groups, [["a1", ["a2"]], ["p1", ["p2"]]], "papers with different DOIs stay apart");
+
+    assert.ok(schema.isDuplicate("https://WWW.news.mit.edu/2025/x/?utm_source=rss&fbclid=1#top"));
+    assert.strictEqual(schema.isDuplicate("https://arxiv.org/pdf/2401.00001v2.pdf"), false);
+    const { id, ...update } = article("a1", "https://news.mit.edu/2025/x/?utm_medium=email");
+    const result = schema.write({ ...update, summary: "new" });
+    assert.strictEqual(result.id, "a1", "tracking params and trailing slash map to the stored record");
+    schema.flush();
+    assert.strictEqual(readJsonl(schema._getJsonlPath()).length, stored.length);
+  });
+});
+
+test("auto-flush appends new records in place and leaves updates to the final flush", () => {
+  withBrain(() => {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const seed = new MITBrainSchema();
+    for (let i = 0; i < 3; i++) seed.write(paper(i));
+    seed.flush();
+
+    const schema = new MITBrainSchema();
+    const jsonlPath = schema._getJsonlPath();
+    const inode = fs.statSync(jsonlPath).ino;
+    schema.write(paper(0, { citationCount: 10 }));
+    for (let i = 3; i < 3 + AUTO_FLUSH_RECORDS; i++) schema.write(paper(i));
+    assert.strictEqual(schema.stats.autoFlushCount, 1);
+
+    assert.strictEqual(fs.statSync(jsonlPath).ino, inode, "same file, no temp copy renamed over it");
+    const onDisk = readJsonl(jsonlPath);
+    assert.strictEqual(onDisk.length, 3 + AUTO_FLUSH_RECORDS);
+    assert.strictEqual(onDisk[0].citationCount, 0, "update not written yet");
+    assert.ok(fs.readFileSync(schema._getJournalPath(), "utf8").includes('"citationCount":10'), "but it is journaled");
+
+    schema.flush();
+    assert.strictEqual(readJsonl(jsonlPath)[0].citationCount, 10);
+    assert.ok(schema.sanityCheck().match);
+  });
+});
+
+test("a run that died mid-write is recovered from its journal on the next load", () => {
+  withBrain((brainDir) => {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const seed = new MITBrainSchema();
+    for (let i = 0; i < 3; i++) seed.write(paper(i));
+    seed.flush();
+
+    // A scraper that auto-flushes, updates a stored record, then dies in the
+    // middle of an append and of a full rewrite (torn JSONL line, temp file)
+    const crashed = spawnSync(process.execPath, ["-e", `
+      const fs = require("fs");
+      const { MITBrainSchema } = require(${JSON.stringify(require.resolve("./MITBrainSchema.cjs"))});
+      const paper = ${paper.toString()};
+      const schema = new MITBrainSchema();
+      for (let i = 3; i < 10; i++) schema.write(paper(i));
+      schema.write(paper(1, { citationCount: 20 }));
+      fs.appendFileSync(schema._getJsonlPath(), '{"id":"torn","title":"Pap');
+      fs.writeFileSync(schema._getJsonlPath() + ".tmp-" + process.pid, '{"id":"partial"');
+      process.exit(1);
+    `], { env: process.env, encoding: "utf8" });
+    assert.strictEqual(crashed.status, 1, crashed.stderr);
+    assert.strictEqual(fs.readdirSync(brainDir).filter((f) => f.includes(".tmp-")).length, 1);
+
+    const schema = new MITBrainSchema();
+    const warn = console.warn;
+    console.warn = () => {}; // the torn line is reported
+    try {
+      schema._loadExistingRecords();
+    } finally {
+      console.warn = warn;
+    }
+
+    const records = readJsonl(schema._getJsonlPath());
+    const byTitle = new Map(records.map((r) => [r.title, r]));
+    assert.strictEqual(records.length, 10, "seeded, auto-flushed and journal-only records, no torn line");
+    assert.strictEqual(byTitle.get("Paper 9").url, "https://example.mit.edu/papers/9", "written after the last auto-flush");
+    assert.strictEqual(byTitle.get("Paper 1").citationCount, 20, "update replayed");
+    assert.ok(!fs.existsSync(schema._getJournalPath()), "journal removed");
+    assert.deepStrictEqual(fs.readdirSync(brainDir).filter((f) => f.includes(".tmp-")), [], "dead run's temp file removed");
+    schema._releaseLock();
+  });
+});
+
+test("array fields given as strings are split, not dropped, and reported", () => {
+  withBrain(() => {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const schema = new MITBrainSchema();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      schema.write(paper(0, { authors: "Ada Lovelace; Alan Turing", mitGroups: "CSAIL | LIDS", tags: '["ai","robots"]', speakers: "Daniela Rus" }));
+    } finally {
+      console.warn = warn;
+    }
+    schema.flush();
+
+    const [record] = readJsonl(schema._getJsonlPath());
+    assert.deepStrictEqual(record.authors, ["Ada Lovelace", "Alan Turing"]);
+    assert.deepStrictEqual(record.mitGroups, ["CSAIL", "LIDS"]);
+    assert.deepStrictEqual(record.tags, ["ai", "robots"]);
+    assert.deepStrictEqual(record.speakers, ["Daniela Rus"], "optional array fields too");
+
+    const violations = [...schema._violations.keys()];
+    for (const field of ["authors", "mitGroups", "tags", "speakers"]) {
+      assert.ok(violations.includes(`paper.${field} type`), `${field} type violation counted`);
+    }
+  });
+});
@@ -0,0 +1,212 @@
+// shared/brainExport.cjs
+//
+// Exports of brain records, for the exportBrain.cjs CLI and
+// GET /api/admin/export. Formats:
+//
+//   csv       header + one row per record, every cell quoted, arrays
+//             joined with "; " (the layout of the old CSV twin), no truncation
+//   xlsx      one sheet; cells over Excel's 32,767-character limit are
+//             truncated with TRUNCATION_WARNING
+//   columnar  one JSON document with an array per column (Parquet-style):
+//             { columns, rowCount, data: { <column>: [values] } }
+//   ndjson    one JSON object per line, only the chosen columns
+//
+// Columns default to the core fields plus every optional field the
+// exported records use, in schema order (see recordSchema.cjs).
+// filterRecords() narrows by kind and date; search-query filtering is up to
+// the caller (the server's search, or the CLI's matcher).
+//
+// createExport() checks the format and columns up front and renders lazily,
+// in chunks, so a large CSV or NDJSON export is never one string.
+
+const fs = require("fs");
+const { FIELDS, CORE_FIELDS, OPTIONAL_FIELDS } = require("./recordSchema.cjs");
+const { recordDate } = require("./sqliteBrain.cjs");
+
+const EXCEL_CELL_LIMIT = 32767;
+const TRUNCATION_WARNING = "WARNING - TEXT TRUNCATED:";
+
+// Rows per chunk for the line formats
+const ROWS_PER_CHUNK = 500;
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExportError";
+  }
+}
+
+// ---------- Filtering ----------
+
+// YYYY-MM-DD of the record's date (event date for events), or null
+function recordDay(record) {
+  const raw = recordDate(record);
+  if (!raw) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(raw)) return raw.slice(0, 10);
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+function checkDay(value, name) {
+  if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new ExportError(`${name} must be YYYY-MM-DD, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Records (any iterable) of the given kinds within [dateFrom, dateTo]
+ * (inclusive, YYYY-MM-DD). With a date filter, undated records are left out.
+ */
+function filterRecords(records, { kinds = [], dateFrom = null, dateTo = null } = {}) {
+  checkDay(dateFrom, "dateFrom");
+  checkDay(dateTo, "dateTo");
+  const kindSet = kinds.length > 0 ? new Set(kinds) : null;
+
+  const result = [];
+  for (const record of records) {
+    if (kindSet && !kindSet.has(record.kind)) continue;
+    if (dateFrom || dateTo) {
+      const day = recordDay(record);
+      if (!day || (dateFrom && day < dateFrom) || (dateTo && day > dateTo)) continue;
+    }
+    result.push(record);
+  }
+  return result;
+}
+
+// ---------- Formats ----------
+
+function exportColumns(records, requested) {
+  if (requested && requested.length > 0) {
+    const unknown = requested.filter((column) => !FIELDS[column]);
+    if (unknown.length > 0) throw new ExportError(`unknown column(s): ${unknown.join(", ")}`);
+    return requested;
+  }
+  const used = new Set();
+  for (const record of records) {
+    for (const field of OPTIONAL_FIELDS) {
+      if (!used.has(field) && record[field] != null && record[field] !== "") used.add(field);
+    }
+  }
+  return [...CORE_FIELDS, ...OPTIONAL_FIELDS.filter((field) => used.has(field))];
+}
+
+// Spreadsheet cell: arrays of strings joined, other objects as JSON
+function cellValue(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) {
+    return value.every((v) => typeof v !== "object" || v === null) ? value.join("; ") : JSON.stringify(value);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function csvCell(value) {
+  return `"${String(cellValue(value)).replace(/"/g, '""')}"`;
+}
+
+function xlsxCell(value) {
+  const cell = cellValue(value);
+  if (typeof cell !== "string" || cell.length <= EXCEL_CELL_LIMIT) return cell;
+  return `${TRUNCATION_WARNING} ${cell.slice(0, EXCEL_CELL_LIMIT - TRUNCATION_WARNING.length - 1)}`;
+}
+
+function pick(record, columns) {
+  const picked = {};
+  for (const column of columns) {
+    if (record[column] !== undefined) picked[column] = record[column];
+  }
+  return picked;
+}
+
+function* inChunks(records, toLine) {
+  for (let i = 0; i < records.length; i += ROWS_PER_CHUNK) {
+    yield records.slice(i, i + ROWS_PER_CHUNK).map((r) => toLine(r) + "\n").join("");
+  }
+}
+
+function* renderCsv(records, columns) {
+  yield columns.join(",") + "\n";
+  yield* inChunks(records, (record) => columns.map((column) => csvCell(record[column])).join(","));
+}
+
+function* renderNdjson(records, columns) {
+  yield* inChunks(records, (record) => JSON.stringify(pick(record, columns)));
+}
+
+// Written a column at a time, so only one column is ever a string
+function* renderColumnar(records, columns) {
+  yield `{"columns":${JSON.stringify(columns)},"rowCount":${records.length},"data":{`;
+  for (const [i, column] of columns.entries()) {
+    const values = records.map((record) => (record[column] === undefined ? null : record[column]));
+    yield `${i > 0 ? "," : ""}${JSON.stringify(column)}:${JSON.stringify(values)}`;
+  }
+  yield "}}\n";
+}
+
+function* renderXlsx(records, columns) {
+  const XLSX = require("xlsx");
+  const rows = [columns, ...records.map((record) => columns.map((column) => xlsxCell(record[column])))];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), "Brain");
+  yield XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8", render: renderCsv },
+  xlsx: {
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    render: renderXlsx,
+  },
+  columnar: { extension: "columns.json", contentType: "application/json", render: renderColumnar },
+  ndjson: { extension: "ndjson", contentType: "application/x-ndjson", render: renderNdjson },
+};
+
+/**
+ * Prepare an export of `records` (an array). Throws ExportError for an
+ * unknown format or column. Returns { format, columns, extension,
+ * contentType, chunks } where chunks is a generator of strings/Buffers.
+ */
+function createExport(records, { format = "csv", columns = null } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new ExportError(`unknown format ${JSON.stringify(format)} (expected ${Object.keys(EXPORT_FORMATS).join(", ")})`);
+  }
+  const resolved = exportColumns(records, columns);
+  return {
+    format,
+    columns: resolved,
+    extension: spec.extension,
+    contentType: spec.contentType,
+    chunks: spec.render(records, resolved),
+  };
+}
+
+/**
+ * Write an export to a file (temp file + rename). Returns the export.
+ */
+function writeExportFile(filePath, records, options) {
+  const exported = createExport(records, options);
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    for (const chunk of exported.chunks) fs.writeSync(fd, chunk);
+    fs.fsyncSync(fd);
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tmpPath, filePath);
+  return exported;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ExportError,
+  filterRecords,
+  createExport,
+  writeExportFile,
+};
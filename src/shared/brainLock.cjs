@@ -0,0 +1,159 @@
+// shared/brainLock.cjs
+//
+// Advisory lock around a brain file, so scrape.sh, enrich.sh, scrapers
+// spawned by the web server and ad-hoc scripts don't rewrite the same
+// brain/<MIT_BRAIN>.jsonl at once (last writer wins).
+//
+// The lock is brain/<MIT_BRAIN>.lock, created exclusively, holding the
+// owner's PID, host, run ID and script. The owner refreshes `updatedAt`
+// while it works. A lock is stale - and may be taken over - when its owner
+// process is gone. Owners on another host can't be checked, so theirs is
+// stale once it hasn't been refreshed for MIT_BRAIN_LOCK_STALE_MINUTES
+// (default 30); a live owner on this host is never stale, however long it
+// has been quiet (enrichers may go a long time between writes).
+// Writers call verifyBrainLock() before touching the brain, so one whose
+// lock was taken over stops instead of overwriting the new owner's work.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_STALE_MINUTES = 30;
+
+class BrainLockError extends Error {
+  constructor(holder, prefix = "Brain is locked") {
+    super(
+      `${prefix} by PID ${holder.pid} on ${holder.host} ` +
+        `(run ${holder.runId}, ${holder.script}, since ${holder.acquiredAt})`
+    );
+    this.name = "BrainLockError";
+    this.holder = holder;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM"; // exists, owned by someone else
+  }
+}
+
+function getLockPath(brainDir, brainName) {
+  return path.join(brainDir, `${brainName}.lock`);
+}
+
+function staleAfterMs() {
+  const minutes = parseFloat(process.env.MIT_BRAIN_LOCK_STALE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_STALE_MINUTES) * 60 * 1000;
+}
+
+function isStale(holder) {
+  if (holder.host === os.hostname()) return !isProcessAlive(holder.pid);
+  const lastSeen = Date.parse(holder.updatedAt || holder.acquiredAt);
+  return !Number.isFinite(lastSeen) || Date.now() - lastSeen > staleAfterMs();
+}
+
+function readLockFile(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch {
+    return null; // missing, or caught mid-write
+  }
+}
+
+/**
+ * Current holder of the brain lock, or null if the brain is free
+ * (no lock file, or only a stale one)
+ */
+function readBrainLock(brainDir, brainName) {
+  const holder = readLockFile(getLockPath(brainDir, brainName));
+  if (!holder || isStale(holder)) return null;
+  return holder;
+}
+
+/**
+ * Take the lock for this process. Re-entrant within a process; replaces a
+ * stale lock. Throws BrainLockError if another live writer holds it.
+ */
+function acquireBrainLock(brainDir, brainName, { runId, script } = {}) {
+  const lockPath = getLockPath(brainDir, brainName);
+  fs.mkdirSync(brainDir, { recursive: true });
+
+  const now = new Date().toISOString();
+  const holder = {
+    pid: process.pid,
+    host: os.hostname(),
+    runId: runId || "",
+    script: script || path.basename(process.argv[1] || "node"),
+    acquiredAt: now,
+    updatedAt: now,
+  };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(holder, null, 2), { flag: "wx" });
+      return holder;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    const current = readLockFile(lockPath);
+    if (current && current.pid === process.pid && current.host === holder.host) return current;
+    if (current && !isStale(current)) throw new BrainLockError(current);
+
+    console.warn(`⚠️  Removing stale brain lock${current ? ` (PID ${current.pid}, run ${current.runId})` : ""}`);
+    fs.rmSync(lockPath, { force: true });
+  }
+
+  throw new BrainLockError(readLockFile(lockPath) || holder);
+}
+
+/**
+ * Refresh updatedAt so long runs don't look stale
+ */
+function refreshBrainLock(brainDir, brainName) {
+  const lockPath = getLockPath(brainDir, brainName);
+  const current = readLockFile(lockPath);
+  if (!current || current.pid !== process.pid) return;
+  current.updatedAt = new Date().toISOString();
+  const tmpPath = `${lockPath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, JSON.stringify(current, null, 2));
+  fs.renameSync(tmpPath, lockPath);
+}
+
+/**
+ * Check that the lock file still names this process before writing.
+ * Throws BrainLockError if another writer has taken it over; a lock that
+ * is gone (released by another MITBrainSchema in this process) is taken
+ * again.
+ */
+function verifyBrainLock(brainDir, brainName, options = {}) {
+  const current = readLockFile(getLockPath(brainDir, brainName));
+  if (!current) return acquireBrainLock(brainDir, brainName, options);
+  if (current.pid === process.pid && current.host === os.hostname()) return current;
+  throw new BrainLockError(current, "Brain lock was taken over");
+}
+
+/**
+ * Release the lock if this process holds it
+ */
+function releaseBrainLock(brainDir, brainName) {
+  const lockPath = getLockPath(brainDir, brainName);
+  const current = readLockFile(lockPath);
+  if (current && current.pid === process.pid && current.host === os.hostname()) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+module.exports = {
+  BrainLockError,
+  isProcessAlive,
+  getLockPath,
+  readBrainLock,
+  acquireBrainLock,
+  refreshBrainLock,
+  verifyBrainLock,
+  releaseBrainLock,
+};
@@ -0,0 +1,98 @@
+// shared/brainLock.test.cjs
+//
+// Brain lock: acquiring, taking over stale locks, never taking a live
+// same-host owner's lock, and noticing a takeover before writing.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  BrainLockError,
+  getLockPath,
+  readBrainLock,
+  acquireBrainLock,
+  verifyBrainLock,
+  releaseBrainLock,
+} = require("./brainLock.cjs");
+
+const BRAIN = "test_brain";
+const HOURS_AGO = new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString();
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brain-lock-test-"));
+  const warn = console.warn;
+  console.warn = () => {}; // stale lock removals are reported
+  try {
+    return fn(dir);
+  } finally {
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function writeLock(dir, holder) {
+  const lock = { host: os.hostname(), runId: "other-run", script: "enrichIlpFields.js", acquiredAt: HOURS_AGO, updatedAt: HOURS_AGO, ...holder };
+  fs.writeFileSync(getLockPath(dir, BRAIN), JSON.stringify(lock));
+  return lock;
+}
+
+// PID of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("acquire is exclusive, re-entrant and released by its owner", () => {
+  withDir((dir) => {
+    const holder = acquireBrainLock(dir, BRAIN, { runId: "run-1", script: "scrape.js" });
+    assert.strictEqual(holder.pid, process.pid);
+    assert.deepStrictEqual(readBrainLock(dir, BRAIN), holder);
+    assert.strictEqual(acquireBrainLock(dir, BRAIN, { runId: "run-2" }).runId, "run-1", "same process keeps its lock");
+    assert.strictEqual(verifyBrainLock(dir, BRAIN).runId, "run-1");
+
+    releaseBrainLock(dir, BRAIN);
+    assert.strictEqual(readBrainLock(dir, BRAIN), null);
+    assert.ok(!fs.existsSync(getLockPath(dir, BRAIN)));
+  });
+});
+
+test("stale locks are taken over", () => {
+  withDir((dir) => {
+    writeLock(dir, { pid: deadPid(), updatedAt: new Date().toISOString() });
+    assert.strictEqual(readBrainLock(dir, BRAIN), null, "owner process is gone");
+    assert.strictEqual(acquireBrainLock(dir, BRAIN, { runId: "run-1" }).pid, process.pid);
+
+    writeLock(dir, { pid: 12345, host: "other-host.mit.edu" });
+    assert.strictEqual(readBrainLock(dir, BRAIN), null, "other host, not refreshed for hours");
+    assert.strictEqual(acquireBrainLock(dir, BRAIN, { runId: "run-2" }).runId, "run-2");
+    releaseBrainLock(dir, BRAIN);
+  });
+});
+
+test("a live owner on this host keeps its lock however long it has been quiet", () => {
+  withDir((dir) => {
+    const lock = writeLock(dir, { pid: process.ppid });
+    assert.deepStrictEqual(readBrainLock(dir, BRAIN), lock);
+    assert.throws(() => acquireBrainLock(dir, BRAIN), (err) => err instanceof BrainLockError && err.holder.pid === process.ppid);
+
+    const recent = writeLock(dir, { pid: 12345, host: "other-host.mit.edu", updatedAt: new Date().toISOString() });
+    assert.deepStrictEqual(readBrainLock(dir, BRAIN), recent, "other host, refreshed recently");
+  });
+});
+
+test("a writer whose lock was taken over stops before writing", () => {
+  withDir((dir) => {
+    acquireBrainLock(dir, BRAIN, { runId: "run-1" });
+    writeLock(dir, { pid: process.ppid, runId: "run-2" });
+    assert.throws(() => verifyBrainLock(dir, BRAIN), /Brain lock was taken over by PID \d+ .*run run-2/);
+    releaseBrainLock(dir, BRAIN);
+    assert.ok(fs.existsSync(getLockPath(dir, BRAIN)), "the new owner's lock is left alone");
+
+    fs.rmSync(getLockPath(dir, BRAIN));
+    assert.strictEqual(verifyBrainLock(dir, BRAIN, { runId: "run-1" }).pid, process.pid, "a released lock is taken again");
+    releaseBrainLock(dir, BRAIN);
+  });
+});
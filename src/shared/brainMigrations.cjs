@@ -0,0 +1,111 @@
+// shared/brainMigrations.cjs
+//
+// Numbered, idempotent migrations for existing brain files.
+//
+// Each file in migrations/ is NNN-name.cjs and exports
+//   { description, up(record) }
+// where up() returns the migrated record (the same object if there is
+// nothing to do). Migrations never change a record's id, and running one
+// twice must be harmless.
+//
+// The brain's version lives in a sidecar, brain/<MIT_BRAIN>.meta.json:
+//   { schemaVersion, migrations: [{ version, name, appliedAt, runId, changed }] }
+// A brain without one is version 0. The last migration's number is the
+// current SCHEMA_VERSION (recordSchema.cjs); add a migration whenever you
+// bump it.
+//
+// MITBrainSchema.migrate() applies pending migrations; migrateBrain.cjs is
+// the CLI (with --dry-run).
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d{3})-([\w-]+)\.cjs$/;
+
+// How many example diffs a report keeps per migration
+const REPORT_EXAMPLES = 5;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, number, name]) => {
+      const { description, up } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(number, 10), name, description, up };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function getMetaPath(brainDir, brainName) {
+  return path.join(brainDir, `${brainName}.meta.json`);
+}
+
+function readBrainMeta(brainDir, brainName) {
+  const metaPath = getMetaPath(brainDir, brainName);
+  if (!fs.existsSync(metaPath)) return { schemaVersion: 0, migrations: [] };
+  const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  return { schemaVersion: 0, migrations: [], ...meta };
+}
+
+function writeBrainMeta(brainDir, brainName, meta) {
+  const metaPath = getMetaPath(brainDir, brainName);
+  const tmpPath = `${metaPath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...meta, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+  fs.renameSync(tmpPath, metaPath);
+}
+
+function pendingMigrations(meta, migrations = loadMigrations()) {
+  return migrations.filter((m) => m.version > meta.schemaVersion);
+}
+
+function fieldDiff(before, after) {
+  const fields = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      fields[key] = [before[key], after[key]];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Run migrations over records (in order; nothing is written).
+ * Returns { records, report } where report has one entry per migration:
+ * { version, name, description, changed, examples: [{ id, title, fields }] }
+ */
+function applyMigrations(records, migrations) {
+  let current = records;
+  const report = [];
+
+  for (const migration of migrations) {
+    const entry = { version: migration.version, name: migration.name, description: migration.description, changed: 0, examples: [] };
+    current = current.map((record) => {
+      const migrated = migration.up(record);
+      if (migrated === record) return record;
+
+      const fields = fieldDiff(record, migrated);
+      if (Object.keys(fields).length === 0) return record;
+      if (fields.id) throw new Error(`Migration ${migration.version} changed the id of ${record.id}`);
+
+      entry.changed++;
+      if (entry.examples.length < REPORT_EXAMPLES) {
+        entry.examples.push({ id: record.id, title: record.title, fields });
+      }
+      return migrated;
+    });
+    report.push(entry);
+  }
+
+  return { records: current, report };
+}
+
+module.exports = {
+  loadMigrations,
+  getMetaPath,
+  readBrainMeta,
+  writeBrainMeta,
+  pendingMigrations,
+  applyMigrations,
+};
@@ -0,0 +1,131 @@
+// shared/brainMigrations.test.cjs
+//
+// Migrations 001-003 on old-brain fixtures: what they fix, that a second
+// run changes nothing, and that migrate({ dryRun }) writes nothing.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMigrations, applyMigrations, readBrainMeta, getMetaPath } = require("./brainMigrations.cjs");
+const { getLockPath } = require("./brainLock.cjs");
+const { SCHEMA_VERSION } = require("./recordSchema.cjs");
+
+// Records as older scrapers and enrichers left them
+const FIXTURES = [
+  {
+    id: "a1",
+    kind: "article",
+    title: "No dateAddedToBrain, nested mitGroups, pipe keywords",
+    mitGroups: ['["[\\"CSAIL\\"]"]', '["LIDS","CSAIL"]', " Media Lab "],
+    ilpKeywords: "robotics | soft grippers | robotics",
+  },
+  {
+    id: "a2",
+    kind: "article",
+    title: "Comma keywords",
+    dateAddedToBrain: "2025-06-01",
+    mitGroups: ["\"CSAIL\""],
+    authors: ['["Ada Lovelace"]', ""],
+    ilpKeywords: "batteries, solid-state electrolytes ,energy storage",
+  },
+  {
+    id: "a3",
+    kind: "paper",
+    title: "Semicolon keywords",
+    dateAddedToBrain: "2025-06-02",
+    mitGroups: ["[not json"],
+    ilpKeywords: "climate; carbon capture;",
+  },
+  { id: "a4", kind: "paper", title: "Already current", dateAddedToBrain: "2025-06-03", mitGroups: ["CSAIL"], ilpKeywords: ["ai"] },
+  { id: "a5", kind: "video", title: "No keywords", dateAddedToBrain: "2025-06-04", ilpKeywords: null },
+];
+
+const EXPECTED = {
+  a1: {
+    dateAddedToBrain: "2025-12-21",
+    mitGroups: ["CSAIL", "LIDS", "Media Lab"],
+    ilpKeywords: ["robotics", "soft grippers"],
+  },
+  a2: { mitGroups: ["CSAIL"], authors: ["Ada Lovelace"], ilpKeywords: ["batteries", "solid-state electrolytes", "energy storage"] },
+  a3: { mitGroups: ["[not json"], ilpKeywords: ["climate", "carbon capture"] },
+  a4: {},
+  a5: { ilpKeywords: [] },
+};
+
+test("migrations 001-003 bring old records up to date", () => {
+  const migrations = loadMigrations();
+  assert.deepStrictEqual(migrations.map((m) => m.version), [1, 2, 3]);
+  assert.strictEqual(migrations[migrations.length - 1].version, SCHEMA_VERSION);
+
+  const { records, report } = applyMigrations(FIXTURES, migrations);
+  for (const [i, record] of records.entries()) {
+    assert.deepStrictEqual(record, { ...FIXTURES[i], ...EXPECTED[record.id] }, record.id);
+  }
+  assert.strictEqual(records[3], FIXTURES[3], "unchanged records are the same object");
+  assert.deepStrictEqual(report.map((r) => [r.name, r.changed]), [
+    ["date-added-to-brain", 1],
+    ["flatten-array-fields", 2],
+    ["ilp-keywords-array", 4],
+  ]);
+});
+
+test("every migration is idempotent", () => {
+  const migrations = loadMigrations();
+  for (const migration of migrations) {
+    for (const fixture of FIXTURES) {
+      const once = migration.up(fixture);
+      assert.strictEqual(migration.up(once), once, `${migration.name} on ${fixture.id}`);
+    }
+  }
+
+  const { records } = applyMigrations(FIXTURES, migrations);
+  const second = applyMigrations(records, migrations);
+  assert.deepStrictEqual(second.report.map((r) => r.changed), [0, 0, 0]);
+  assert.ok(second.records.every((record, i) => record === records[i]));
+});
+
+test("migrate() with dryRun writes nothing and releases the lock; a real run is not repeated", () => {
+  const brainDir = fs.mkdtempSync(path.join(os.tmpdir(), "brain-migrations-test-"));
+  const saved = { BRAIN_DIR: process.env.BRAIN_DIR, MIT_BRAIN: process.env.MIT_BRAIN };
+  Object.assign(process.env, { BRAIN_DIR: brainDir, MIT_BRAIN: "test_brain" });
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {}; // "brain is at schema v0"
+  try {
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const jsonlPath = path.join(brainDir, "test_brain.jsonl");
+    const fixtures = FIXTURES.map((r) => ({ ...r, url: `https://news.mit.edu/${r.id}` }));
+    fs.writeFileSync(jsonlPath, fixtures.map((r) => JSON.stringify(r)).join("\n") + "\n");
+    const before = fs.readFileSync(jsonlPath, "utf8");
+
+    const dryRun = new MITBrainSchema().migrate({ dryRun: true });
+    assert.deepStrictEqual([dryRun.from, dryRun.to], [0, SCHEMA_VERSION]);
+    assert.deepStrictEqual(dryRun.report.map((r) => r.changed), [1, 2, 4]);
+    assert.strictEqual(fs.readFileSync(jsonlPath, "utf8"), before, "brain untouched");
+    assert.deepStrictEqual(fs.readdirSync(brainDir), ["test_brain.jsonl"], "no meta, history, journal or lock");
+    assert.ok(!fs.existsSync(getLockPath(brainDir, "test_brain")));
+
+    const real = new MITBrainSchema().migrate();
+    assert.deepStrictEqual(real.report.map((r) => r.changed), [1, 2, 4]);
+    assert.strictEqual(readBrainMeta(brainDir, "test_brain").schemaVersion, SCHEMA_VERSION);
+    const migrated = fs.readFileSync(jsonlPath, "utf8");
+
+    const again = new MITBrainSchema().migrate();
+    assert.deepStrictEqual(again, { from: SCHEMA_VERSION, to: SCHEMA_VERSION, report: [] });
+    assert.strictEqual(fs.readFileSync(jsonlPath, "utf8"), migrated);
+    assert.strictEqual(JSON.parse(fs.readFileSync(getMetaPath(brainDir, "test_brain"), "utf8")).migrations.length, 3);
+    assert.ok(!fs.existsSync(getLockPath(brainDir, "test_brain")));
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(brainDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,218 @@
+// shared/jsonlStream.cjs
+//
+// Line-at-a-time reading and writing of brain files, so a brain full of
+// transcripts is never held in memory as one string.
+//
+// Reading: readJsonlSync() (generator) and readJsonl() (async generator)
+// yield { record, line } for every non-blank line, `line` being its 1-based
+// line number. A malformed line is skipped and handed to
+// onError({ line, error, text }) - by default a warning naming the line.
+// CRLF line endings and a UTF-8 BOM are accepted. Memory use is one read
+// chunk plus the longest line.
+//
+// Writing: LineWriter buffers lines into a temp file and renames it over
+// the target on close(), so readers see the old file or the new one, never
+// a partial write; abort() leaves the target untouched. With `inPlace` it
+// appends straight to the target instead (no copy, no fsync) for writes a
+// fsynced journal already covers; a crash can then leave a torn last line,
+// which readers skip.
+
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+
+// Read chunk and write buffer size
+const CHUNK_SIZE = 1024 * 1024;
+
+// Splits decoded chunks into lines; a line may span any number of chunks
+class LineSplitter {
+  constructor() {
+    this._decoder = new StringDecoder("utf8");
+    this._partial = "";
+    this._lineNumber = 0;
+  }
+
+  // Complete lines in `chunk` (a Buffer), as { line, text }
+  push(chunk) {
+    const text = this._decoder.write(chunk);
+    const lines = [];
+    let start = 0;
+    let newline;
+    while ((newline = text.indexOf("\n", start)) !== -1) {
+      lines.push(this._line(this._partial + text.slice(start, newline)));
+      this._partial = "";
+      start = newline + 1;
+    }
+    this._partial += text.slice(start);
+    return lines;
+  }
+
+  // The last line, if the file doesn't end with a newline
+  end() {
+    const text = this._partial + this._decoder.end();
+    this._partial = "";
+    return text ? [this._line(text)] : [];
+  }
+
+  _line(text) {
+    this._lineNumber += 1;
+    if (this._lineNumber === 1 && text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    if (text.endsWith("\r")) text = text.slice(0, -1);
+    return { line: this._lineNumber, text };
+  }
+}
+
+/**
+ * Every line of a file as { line, text }, read in chunks
+ */
+function* readLinesSync(filePath, { chunkSize = CHUNK_SIZE } = {}) {
+  const splitter = new LineSplitter();
+  const buffer = Buffer.allocUnsafe(chunkSize);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, chunkSize, null)) > 0) {
+      yield* splitter.push(buffer.subarray(0, bytesRead));
+    }
+    yield* splitter.end();
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Async version of readLinesSync (for the web server)
+ */
+async function* readLines(filePath, { chunkSize = CHUNK_SIZE } = {}) {
+  const splitter = new LineSplitter();
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: chunkSize })) {
+    yield* splitter.push(chunk);
+  }
+  yield* splitter.end();
+}
+
+function warnMalformed(filePath) {
+  return ({ line, error }) => {
+    console.warn(`⚠️  ${path.basename(filePath)} line ${line}: malformed JSON skipped (${error.message})`);
+  };
+}
+
+function parseLine({ line, text }, onError) {
+  if (!text.trim()) return null;
+  try {
+    return { record: JSON.parse(text), line };
+  } catch (error) {
+    onError({ line, error, text });
+    return null;
+  }
+}
+
+/**
+ * Every JSON value in a JSONL file as { record, line }
+ */
+function* readJsonlSync(filePath, { onError = warnMalformed(filePath), chunkSize } = {}) {
+  for (const line of readLinesSync(filePath, { chunkSize })) {
+    const parsed = parseLine(line, onError);
+    if (parsed) yield parsed;
+  }
+}
+
+/**
+ * Async version of readJsonlSync
+ */
+async function* readJsonl(filePath, { onError = warnMalformed(filePath), chunkSize } = {}) {
+  for await (const line of readLines(filePath, { chunkSize })) {
+    const parsed = parseLine(line, onError);
+    if (parsed) yield parsed;
+  }
+}
+
+/**
+ * Buffered writer to `<filePath>.tmp-<pid>`, renamed over filePath on
+ * close(). With `append`, starts from a copy of the existing file; with
+ * `inPlace`, appends to filePath itself (abort() then keeps what was
+ * already drained).
+ */
+class LineWriter {
+  constructor(filePath, { append = false, inPlace = false, bufferSize = CHUNK_SIZE } = {}) {
+    this.filePath = filePath;
+    this.tmpPath = inPlace ? null : `${filePath}.tmp-${process.pid}`;
+    this.count = 0;
+    this._bufferSize = bufferSize;
+    this._pending = [];
+    this._pendingLength = 0;
+
+    const existing = (append || inPlace) && fs.existsSync(filePath);
+    if (inPlace) {
+      this._fd = fs.openSync(filePath, "a+");
+    } else {
+      if (existing) fs.copyFileSync(filePath, this.tmpPath);
+      this._fd = fs.openSync(this.tmpPath, existing ? "a+" : "w");
+    }
+    // Don't glue the first new line onto an unterminated last line
+    if (existing && !endsWithNewline(this._fd)) this._pending.push("\n");
+  }
+
+  writeLine(text) {
+    this._pending.push(text, "\n");
+    this._pendingLength += text.length + 1;
+    this.count += 1;
+    if (this._pendingLength >= this._bufferSize) this._drain();
+  }
+
+  writeRecord(record) {
+    this.writeLine(JSON.stringify(record));
+  }
+
+  close() {
+    this._drain();
+    if (this.tmpPath === null) return fs.closeSync(this._fd);
+    fs.fsyncSync(this._fd);
+    fs.closeSync(this._fd);
+    fs.renameSync(this.tmpPath, this.filePath);
+  }
+
+  abort() {
+    fs.closeSync(this._fd);
+    if (this.tmpPath !== null) fs.rmSync(this.tmpPath, { force: true });
+  }
+
+  _drain() {
+    if (this._pending.length > 0) fs.writeSync(this._fd, this._pending.join(""));
+    this._pending = [];
+    this._pendingLength = 0;
+  }
+}
+
+function endsWithNewline(fd) {
+  const { size } = fs.fstatSync(fd);
+  if (size === 0) return true;
+  const last = Buffer.alloc(1);
+  fs.readSync(fd, last, 0, 1, size - 1);
+  return last[0] === 0x0a;
+}
+
+/**
+ * Write records (any iterable) as JSONL, atomically unless `inPlace`
+ * (see LineWriter). Returns the count.
+ */
+function writeJsonlSync(filePath, records, { append = false, inPlace = false } = {}) {
+  const writer = new LineWriter(filePath, { append, inPlace });
+  try {
+    for (const record of records) writer.writeRecord(record);
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+  writer.close();
+  return writer.count;
+}
+
+module.exports = {
+  readLinesSync,
+  readLines,
+  readJsonlSync,
+  readJsonl,
+  LineWriter,
+  writeJsonlSync,
+};
@@ -0,0 +1,69 @@
+// shared/jsonlStream.test.cjs
+//
+// Streaming JSONL reader/writer: line numbers, CRLF, BOM, lines that span
+// read chunks, atomic writes.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readJsonlSync, readJsonl, LineWriter, writeJsonlSync } = require("./jsonlStream.cjs");
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsonl-stream-test-"));
+  return Promise.resolve().then(() => fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test("reads CRLF and BOM files and reports malformed line numbers", () =>
+  withDir(async (dir) => {
+    const filePath = path.join(dir, "brain.jsonl");
+    fs.writeFileSync(filePath, '\uFEFF{"id":"a"}\r\n\r\n{"id":"b"\r\n{"id":"c","title":"café"}');
+
+    for (const read of [
+      (onError) => [...readJsonlSync(filePath, { onError, chunkSize: 3 })],
+      async (onError) => {
+        const result = [];
+        for await (const entry of readJsonl(filePath, { onError, chunkSize: 3 })) result.push(entry);
+        return result;
+      },
+    ]) {
+      const errors = [];
+      const entries = await read(({ line }) => errors.push(line));
+      assert.deepStrictEqual(entries, [
+        { record: { id: "a" }, line: 1 },
+        { record: { id: "c", title: "café" }, line: 4 },
+      ]);
+      assert.deepStrictEqual(errors, [3]);
+    }
+  }));
+
+test("writes atomically and appends after an unterminated last line", () =>
+  withDir((dir) => {
+    const filePath = path.join(dir, "brain.jsonl");
+    assert.strictEqual(writeJsonlSync(filePath, [{ id: "a" }, { id: "b" }]), 2);
+
+    fs.appendFileSync(filePath, '{"id":"c"}');
+    writeJsonlSync(filePath, [{ id: "d" }], { append: true });
+    assert.deepStrictEqual([...readJsonlSync(filePath)].map((e) => e.record.id), ["a", "b", "c", "d"]);
+
+    const writer = new LineWriter(filePath);
+    writer.writeRecord({ id: "lost" });
+    writer.abort();
+    assert.deepStrictEqual([...readJsonlSync(filePath)].map((e) => e.record.id), ["a", "b", "c", "d"]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["brain.jsonl"]);
+  }));
+
+test("in-place appends write to the file itself", () =>
+  withDir((dir) => {
+    const filePath = path.join(dir, "brain.jsonl");
+    writeJsonlSync(filePath, [{ id: "a" }]);
+    fs.appendFileSync(filePath, '{"id":"b"}');
+    const inode = fs.statSync(filePath).ino;
+
+    assert.strictEqual(writeJsonlSync(filePath, [{ id: "c" }], { inPlace: true }), 1);
+    assert.strictEqual(fs.statSync(filePath).ino, inode);
+    assert.deepStrictEqual([...readJsonlSync(filePath)].map((e) => e.record.id), ["a", "b", "c"]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["brain.jsonl"]);
+  }));
@@ -0,0 +1,15 @@
+// 001: every record has dateAddedToBrain.
+//
+// Records that predate the field get the day it was introduced, as
+// backfillDateAddedToBrain.cjs did.
+
+const FIELD_INTRODUCED = "2025-12-21";
+
+module.exports = {
+  description: "Fill in missing dateAddedToBrain",
+
+  up(record) {
+    if (record.dateAddedToBrain) return record;
+    return { ...record, dateAddedToBrain: FIELD_INTRODUCED };
+  },
+};
@@ -0,0 +1,47 @@
+// 002: array fields hold plain strings.
+//
+// Older scrapes stored mitGroups (and a few other lists) as arrays of
+// stringified JSON arrays, sometimes several levels deep:
+//   ["[\"[\\\"CSAIL\\\"]\"]"]  ->  ["CSAIL"]
+// Same unwrapping as archive/cleanJSONL.cjs, plus trimming and dropping
+// empty / repeated entries.
+
+const ARRAY_FIELDS = [
+  "tags", "authors", "mitGroups", "mitAuthors", "speakers",
+  "ilpKeywords", "investors", "leadInvestors", "mitInvestors",
+  "founders", "mitFounders", "keyExecutives", "industries", "contacts", "mitLabs",
+];
+
+function unwrap(item, depth = 0) {
+  if (typeof item !== "string") return item == null ? [] : [String(item)];
+  const text = item.trim();
+  if (depth < 20 && (text.startsWith("[") || text.startsWith('"'))) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed.flatMap((p) => unwrap(p, depth + 1));
+      if (typeof parsed === "string") return unwrap(parsed, depth + 1);
+    } catch {
+      // not JSON - keep the text
+    }
+  }
+  return [text];
+}
+
+module.exports = {
+  description: "Unwrap stringified JSON inside array fields (mitGroups etc.)",
+
+  up(record) {
+    let result = record;
+    for (const field of ARRAY_FIELDS) {
+      const value = record[field];
+      // ilpKeywords strings are migration 003's job
+      if (!Array.isArray(value)) continue;
+
+      const flat = [...new Set(value.flatMap((item) => unwrap(item)).filter(Boolean))];
+      if (JSON.stringify(flat) === JSON.stringify(value)) continue;
+      if (result === record) result = { ...record };
+      result[field] = flat;
+    }
+    return result;
+  },
+};
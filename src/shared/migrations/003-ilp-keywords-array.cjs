@@ -0,0 +1,19 @@
+// 003: ilpKeywords is an array.
+//
+// enrichIlpFields.js used to store the model's "a | b | c" string as-is.
+// Older values may be comma or semicolon separated instead.
+
+function splitKeywords(text) {
+  const separator = text.includes("|") ? "|" : /[;,]/;
+  return [...new Set(text.split(separator).map((k) => k.trim()).filter(Boolean))];
+}
+
+module.exports = {
+  description: "Split ilpKeywords strings into arrays",
+
+  up(record) {
+    if (Array.isArray(record.ilpKeywords)) return record;
+    const text = record.ilpKeywords == null ? "" : String(record.ilpKeywords);
+    return { ...record, ilpKeywords: splitKeywords(text) };
+  },
+};
@@ -0,0 +1,190 @@
+// shared/recordHistory.cjs
+//
+// Per-record change history for a brain.
+//
+// brain/<MIT_BRAIN>.history.jsonl - one line per changed record per write:
+//   { at, run, script, id, op: "add" | "update" | "remove",
+//     fields: { <field>: [oldHash | null, newHash | null] } }
+// brain/<MIT_BRAIN>.history-values.jsonl - the values behind those hashes:
+//   { h, v }  (each distinct value is stored once per run)
+//
+// The log only ever grows. Going back in time means undoing entries on top
+// of the current brain, newest first (see undoEntry / recordsAsOfRun).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJsonlSync } = require("./jsonlStream.cjs");
+
+function hash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 16);
+}
+
+function valueHash(value) {
+  return hash(JSON.stringify(value));
+}
+
+function recordHash(record) {
+  return hash(JSON.stringify(record));
+}
+
+function getHistoryPaths(brainDir, brainName) {
+  return {
+    log: path.join(brainDir, `${brainName}.history.jsonl`),
+    values: path.join(brainDir, `${brainName}.history-values.jsonl`),
+  };
+}
+
+/**
+ * Field-level diff of two versions of a record (either may be null for an
+ * add or a remove). Returns { entry, values } or null if nothing changed;
+ * values maps hash -> value for every hash the entry mentions.
+ */
+function diffRecords(before, after, { runId, script }) {
+  const fields = {};
+  const values = new Map();
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const oldHash = before && key in before ? valueHash(before[key]) : null;
+    const newHash = after && key in after ? valueHash(after[key]) : null;
+    if (oldHash === newHash) continue;
+    fields[key] = [oldHash, newHash];
+    if (oldHash) values.set(oldHash, before[key]);
+    if (newHash) values.set(newHash, after[key]);
+  }
+  if (Object.keys(fields).length === 0) return null;
+
+  return {
+    entry: {
+      at: new Date().toISOString(),
+      run: runId,
+      script,
+      id: (after || before).id,
+      op: !before ? "add" : !after ? "remove" : "update",
+      fields,
+    },
+    values,
+  };
+}
+
+/**
+ * Append diffs to the log. Values already written by this process
+ * (tracked in `writtenHashes`) are not stored again.
+ */
+function appendHistory(brainDir, brainName, diffs, writtenHashes = new Set()) {
+  if (diffs.length === 0) return;
+  const paths = getHistoryPaths(brainDir, brainName);
+
+  const valueLines = [];
+  for (const { values } of diffs) {
+    for (const [h, v] of values) {
+      if (writtenHashes.has(h)) continue;
+      writtenHashes.add(h);
+      valueLines.push(JSON.stringify({ h, v }));
+    }
+  }
+  // Values first: a log entry must never point at a value that isn't stored
+  if (valueLines.length) fs.appendFileSync(paths.values, valueLines.join("\n") + "\n", "utf8");
+  fs.appendFileSync(paths.log, diffs.map((d) => JSON.stringify(d.entry)).join("\n") + "\n", "utf8");
+}
+
+// Streamed; a malformed line is a torn last line from an interrupted append
+function* readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return;
+  for (const { record } of readJsonlSync(filePath, { onError: () => {} })) yield record;
+}
+
+function readHistory(brainDir, brainName) {
+  return [...readJsonLines(getHistoryPaths(brainDir, brainName).log)];
+}
+
+/**
+ * hash -> value for the given hashes (all values if `wanted` is omitted)
+ */
+function readValues(brainDir, brainName, wanted = null) {
+  const values = new Map();
+  for (const { h, v } of readJsonLines(getHistoryPaths(brainDir, brainName).values)) {
+    if ((!wanted || wanted.has(h)) && !values.has(h)) values.set(h, v);
+  }
+  return values;
+}
+
+/**
+ * Undo one entry on a record (null = record doesn't exist).
+ * Returns the earlier version, or null if the entry added the record.
+ */
+function undoEntry(record, entry, values) {
+  if (entry.op === "add") return null;
+
+  const earlier = entry.op === "remove" ? {} : { ...record };
+  for (const [field, [oldHash]] of Object.entries(entry.fields)) {
+    if (oldHash === null) {
+      delete earlier[field];
+    } else if (values.has(oldHash)) {
+      earlier[field] = values.get(oldHash);
+    } else {
+      throw new Error(`History value ${oldHash} (${entry.id}.${field}) is missing`);
+    }
+  }
+  return earlier;
+}
+
+/**
+ * Index just after the last entry of a run, or -1 if the run isn't in the log
+ */
+function runEnd(entries, runId) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].run === runId) return i + 1;
+  }
+  return -1;
+}
+
+/**
+ * Rebuild records as they were when `runId` finished, starting from the
+ * current records (Map id -> record) and undoing every later entry.
+ * Only ids in `onlyIds` are touched if given.
+ */
+function recordsAsOfRun(currentRecords, entries, runId, values, onlyIds = null) {
+  const end = runEnd(entries, runId);
+  if (end === -1) throw new Error(`Run ${runId} not found in history`);
+
+  const records = new Map(currentRecords);
+  for (let i = entries.length - 1; i >= end; i--) {
+    const entry = entries[i];
+    if (onlyIds && !onlyIds.has(entry.id)) continue;
+    const earlier = undoEntry(records.get(entry.id) || null, entry, values);
+    if (earlier) records.set(entry.id, earlier);
+    else records.delete(entry.id);
+  }
+  return records;
+}
+
+/**
+ * Hashes needed to undo entries after `runId`
+ */
+function hashesToUndo(entries, runId, onlyIds = null) {
+  const hashes = new Set();
+  const end = runEnd(entries, runId);
+  for (let i = Math.max(end, 0); i < entries.length; i++) {
+    if (onlyIds && !onlyIds.has(entries[i].id)) continue;
+    for (const [oldHash] of Object.values(entries[i].fields)) {
+      if (oldHash) hashes.add(oldHash);
+    }
+  }
+  return hashes;
+}
+
+module.exports = {
+  valueHash,
+  recordHash,
+  getHistoryPaths,
+  diffRecords,
+  appendHistory,
+  readHistory,
+  readValues,
+  undoEntry,
+  runEnd,
+  recordsAsOfRun,
+  hashesToUndo,
+};
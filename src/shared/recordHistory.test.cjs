@@ -0,0 +1,201 @@
+// shared/recordHistory.test.cjs
+//
+// Record history: field diffs, undoing entries, rebuilding a brain as of a
+// run, runs that write nothing, and brainHistory.cjs restore.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  valueHash,
+  diffRecords,
+  readHistory,
+  readValues,
+  undoEntry,
+  recordsAsOfRun,
+  hashesToUndo,
+} = require("./recordHistory.cjs");
+
+const BRAIN_HISTORY_CLI = path.join(__dirname, "../../brainHistory.cjs");
+const context = { runId: "run-1", script: "test.js" };
+
+function withBrain(fn) {
+  const brainDir = fs.mkdtempSync(path.join(os.tmpdir(), "record-history-test-"));
+  const saved = { BRAIN_DIR: process.env.BRAIN_DIR, MIT_BRAIN: process.env.MIT_BRAIN, MIT_BRAIN_RUN_ID: process.env.MIT_BRAIN_RUN_ID };
+  Object.assign(process.env, { BRAIN_DIR: brainDir, MIT_BRAIN: "test_brain" });
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {}; // schema warnings for the minimal test records
+  try {
+    return fn(brainDir);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(brainDir, { recursive: true, force: true });
+  }
+}
+
+// One run of a scraper or enricher writing `records`
+function runWith(runId, records) {
+  process.env.MIT_BRAIN_RUN_ID = runId;
+  const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+  const schema = new MITBrainSchema();
+  for (const record of records) schema.write(record);
+  schema.flush();
+  return schema;
+}
+
+function brainRecords(schema) {
+  return schema._readPersistedRecords(null);
+}
+
+const paper = (i, extra = {}) => ({
+  kind: "paper",
+  source: "test",
+  title: `Paper ${i}`,
+  url: `https://example.mit.edu/papers/${i}`,
+  ...extra,
+});
+
+test("diffRecords lists changed fields with old and new value hashes", () => {
+  const before = { id: "p1", title: "Old", tags: ["a"], summary: "same" };
+  const after = { id: "p1", title: "New", summary: "same", ilpSummary: "added" };
+  const { entry, values } = diffRecords(before, after, context);
+
+  assert.strictEqual(entry.op, "update");
+  assert.strictEqual(entry.id, "p1");
+  assert.strictEqual(entry.run, "run-1");
+  assert.deepStrictEqual(entry.fields, {
+    title: [valueHash("Old"), valueHash("New")],
+    tags: [valueHash(["a"]), null],
+    ilpSummary: [null, valueHash("added")],
+  });
+  assert.strictEqual(values.get(valueHash(["a"]))[0], "a");
+
+  assert.strictEqual(diffRecords(before, { ...before }, context), null, "no change, no entry");
+  assert.strictEqual(diffRecords(null, after, context).entry.op, "add");
+  assert.strictEqual(diffRecords(before, null, context).entry.op, "remove");
+});
+
+test("undoEntry reverses an add, an update and a remove", () => {
+  const before = { id: "p1", title: "Old", tags: ["a"] };
+  const after = { id: "p1", title: "New", ilpSummary: "added" };
+
+  const update = diffRecords(before, after, context);
+  assert.deepStrictEqual(undoEntry(after, update.entry, update.values), before);
+
+  const add = diffRecords(null, after, context);
+  assert.strictEqual(undoEntry(after, add.entry, add.values), null);
+
+  const remove = diffRecords(before, null, context);
+  assert.deepStrictEqual(undoEntry(null, remove.entry, remove.values), before);
+
+  assert.throws(() => undoEntry(after, update.entry, new Map()), /History value \w+ \(p1\.\w+\) is missing/);
+});
+
+test("recordsAsOfRun undoes every later entry, newest first", () => {
+  const v1 = { id: "p1", title: "One" };
+  const v2 = { id: "p1", title: "Two" };
+  const v3 = { id: "p1", title: "Three", summary: "s" };
+  const other = { id: "p2", title: "Other" };
+  const diffs = [
+    diffRecords(null, v1, { runId: "r1", script: "s" }),
+    diffRecords(v1, v2, { runId: "r2", script: "s" }),
+    diffRecords(null, other, { runId: "r3", script: "s" }),
+    diffRecords(v2, v3, { runId: "r3", script: "s" }),
+  ];
+  const entries = diffs.map((d) => d.entry);
+  const values = new Map(diffs.flatMap((d) => [...d.values]));
+  const current = new Map([["p1", v3], ["p2", other]]);
+
+  assert.deepStrictEqual(recordsAsOfRun(current, entries, "r2", values), new Map([["p1", v2]]));
+  assert.deepStrictEqual(recordsAsOfRun(current, entries, "r1", values), new Map([["p1", v1]]));
+  assert.deepStrictEqual(recordsAsOfRun(current, entries, "r3", values), current);
+  assert.deepStrictEqual(
+    recordsAsOfRun(current, entries, "r1", values, new Set(["p2"])),
+    new Map([["p1", v3]]),
+    "onlyIds leaves other records as they are"
+  );
+  assert.throws(() => recordsAsOfRun(current, entries, "r9", values), /Run r9 not found/);
+});
+
+test("write, enrich, then the brain as of the first run is what it wrote", () => {
+  withBrain((brainDir) => {
+    const scrape = runWith("scrape-1", [paper(0), paper(1)]);
+    const afterScrape = brainRecords(scrape);
+
+    const enrich = runWith("enrich-1", [paper(0, { ilpSummary: "Robots for labs", citationCount: 4 }), paper(2)]);
+    const afterEnrich = brainRecords(enrich);
+    assert.strictEqual(afterEnrich.size, 3);
+
+    const entries = readHistory(brainDir, "test_brain");
+    assert.deepStrictEqual(
+      entries.map((e) => [e.run, e.op]),
+      [["scrape-1", "add"], ["scrape-1", "add"], ["enrich-1", "update"], ["enrich-1", "add"]]
+    );
+
+    const values = readValues(brainDir, "test_brain", hashesToUndo(entries, "scrape-1"));
+    assert.deepStrictEqual(recordsAsOfRun(afterEnrich, entries, "scrape-1", values), afterScrape);
+    assert.deepStrictEqual(recordsAsOfRun(afterEnrich, entries, "enrich-1", values), afterEnrich);
+  });
+});
+
+test("a run that writes nothing logs no history and keeps the brain", () => {
+  withBrain((brainDir) => {
+    runWith("scrape-1", [paper(0), paper(1)]);
+    const empty = runWith("scrape-2", []);
+    assert.strictEqual(brainRecords(empty).size, 2);
+
+    const entries = readHistory(brainDir, "test_brain");
+    assert.deepStrictEqual(entries.map((e) => [e.run, e.op]), [["scrape-1", "add"], ["scrape-1", "add"]]);
+
+    // Even a brain write that skips the load only diffs what it was given
+    const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+    const unloaded = new MITBrainSchema();
+    unloaded._acquireLock();
+    unloaded._writeBrainFiles([]);
+    unloaded._releaseLock();
+    assert.strictEqual(readHistory(brainDir, "test_brain").length, 2, "no op:remove entries");
+    assert.strictEqual(brainRecords(unloaded).size, 2);
+  });
+});
+
+test("brainHistory.cjs restore puts a record back and logs the change", () => {
+  withBrain((brainDir) => {
+    const scrape = runWith("scrape-1", [paper(0)]);
+    const [[id, original]] = brainRecords(scrape);
+    runWith("enrich-1", [paper(0, { ilpSummary: "Robots for labs" }), paper(1)]);
+
+    const restore = (ref, ...args) =>
+      spawnSync(process.execPath, [BRAIN_HISTORY_CLI, "restore", ref, "--run", "scrape-1", ...args], {
+        env: { ...process.env, MIT_BRAIN_RUN_ID: "restore-1" },
+        encoding: "utf8",
+      });
+
+    const dryRun = restore(id, "--dry-run");
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /Would restore/);
+    assert.strictEqual(brainRecords(scrape).get(id).ilpSummary, "Robots for labs", "dry run writes nothing");
+
+    const restored = restore(id);
+    assert.strictEqual(restored.status, 0, restored.stderr);
+    assert.deepStrictEqual(brainRecords(scrape).get(id), original);
+
+    const removed = restore("https://example.mit.edu/papers/1");
+    assert.strictEqual(removed.status, 0, removed.stderr);
+    assert.deepStrictEqual([...brainRecords(scrape).keys()], [id], "record added later is removed");
+
+    const latest = readHistory(brainDir, "test_brain").filter((e) => e.run === "restore-1");
+    assert.deepStrictEqual(latest.map((e) => e.op), ["update", "remove"]);
+    assert.ok(!fs.existsSync(path.join(brainDir, "test_brain.lock")), "lock released");
+  });
+});
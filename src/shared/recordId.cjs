@@ -0,0 +1,190 @@
+// shared/recordId.cjs
+//
+// Stable record IDs for the MIT Brain.
+//
+// Every record gets an `id` derived from its natural key, so the same item
+// keeps the same ID when its URL changes shape (http vs https, tracking
+// params, youtu.be vs youtube.com/watch):
+//
+//   paper            -> DOI, else arXiv ID, else canonical URL
+//   video            -> YouTube videoId, else canonical URL
+//   person/mit_person -> email, else name + canonical URL (team pages share URLs)
+//   everything else  -> canonical URL
+//
+// A paper with no doi/arxivId field but a DOI or arXiv URL gets the DOI or
+// arXiv key all the same.
+//
+// The ID is the first 16 hex chars of the SHA-1 of that key. Once a record
+// has an ID it is stored in the brain and never recomputed.
+
+const crypto = require("crypto");
+
+// Query params that only identify the referrer or campaign, never the content
+const TRACKING_PARAMS =
+  /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$/i;
+
+// Bumped whenever canonicalizeUrl() changes its output, so stored canonical
+// URLs (the SQLite canonical_url column) get recomputed
+const CANONICAL_URL_VERSION = 2;
+
+// Index documents that are the same page as their directory
+const INDEX_PAGE = /\/(?:index\.(?:html?|php|aspx?)|default\.aspx?)$/i;
+
+const PERSON_KINDS = new Set(["person", "mit_person"]);
+
+// YouTube video ID from a watch / youtu.be / embed / shorts / live URL
+function youtubeVideoId(url) {
+  const match = String(url || "").match(
+    /(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/|v\/)|youtu\.be\/)([\w-]{6,})/i
+  );
+  return match ? match[1] : null;
+}
+
+// DOI in a doi.org link or a publisher's /doi/[abs|full|pdf|epdf]/<doi> page
+function doiFromUrl(parsed) {
+  const pathname = safeDecode(parsed.pathname);
+  if (/^(?:www\.|dx\.)?doi\.org$/.test(parsed.hostname)) {
+    const doi = pathname.slice(1);
+    return /^10\.\d+\/\S+$/.test(doi) ? doi.toLowerCase() : null;
+  }
+  const match = pathname.match(/\/doi\/(?:(?:abs|full|pdf|epdf|reader)\/)?(10\.\d+\/\S+)$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// arXiv ID (no version) in an abs / pdf / html link
+function arxivIdFromUrl(parsed) {
+  if (!/^(?:www\.|export\.)?arxiv\.org$/.test(parsed.hostname)) return null;
+  const match = parsed.pathname.match(/^\/(?:abs|pdf|html)\/(.+?)(?:\.pdf)?\/?$/i);
+  return match ? normalizeArxivId(match[1]) || null : null;
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// Canonical form of a URL for identity and dedupe:
+//   - https, lowercase host without "www.", no fragment
+//   - no tracking params, remaining params sorted
+//   - no trailing slash or index page (index.html, ...)
+//   - one form per YouTube video, DOI (https://doi.org/<doi>) and arXiv
+//     paper (https://arxiv.org/abs/<id>, any version)
+// Strings that don't parse as http(s) URLs are only trimmed.
+function canonicalizeUrl(url) {
+  const raw = String(url || "").trim();
+  if (!raw) return "";
+
+  const videoId = youtubeVideoId(raw);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+
+  const parsed = parseHttpUrl(raw);
+  if (!parsed) return raw;
+
+  parsed.hostname = parsed.hostname.replace(/^www\./, "");
+  const doi = doiFromUrl(parsed);
+  if (doi) return `https://doi.org/${doi}`;
+  const arxivId = arxivIdFromUrl(parsed);
+  if (arxivId) return `https://arxiv.org/abs/${arxivId}`;
+
+  parsed.protocol = "https:";
+  parsed.hash = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+  }
+  parsed.searchParams.sort();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(INDEX_PAGE, "/").replace(/\/+$/, "") || "/";
+  }
+
+  // Host is lowercased by URL; a bare "https://host/" loses its slash too
+  const result = parsed.toString();
+  return parsed.pathname === "/" && !parsed.search ? result.slice(0, -1) : result;
+}
+
+function normalizeDoi(doi) {
+  return String(doi || "")
+    .trim()
+    .replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, "")
+    .toLowerCase();
+}
+
+function normalizeArxivId(arxivId) {
+  return String(arxivId || "")
+    .trim()
+    .replace(/^(?:https?:\/\/arxiv\.org\/(?:abs|pdf)\/|arxiv:\s*)/i, "")
+    .replace(/\.pdf$/i, "")
+    .replace(/v\d+$/i, "")
+    .toLowerCase();
+}
+
+// Identity key for a record, e.g. "doi:10.1145/3597503" or "url:https://..."
+function naturalKey(record) {
+  const kind = record.kind || "";
+
+  if (kind === "paper") {
+    const parsed = parseHttpUrl(String(record.url || "").trim());
+    const doi = normalizeDoi(record.doi) || (parsed && doiFromUrl(parsed));
+    if (doi) return `doi:${doi}`;
+    const arxivId = normalizeArxivId(record.arxivId) || (parsed && arxivIdFromUrl(parsed));
+    if (arxivId) return `arxiv:${arxivId}`;
+  }
+
+  if (kind === "video") {
+    const videoId = String(record.videoId || "").trim() || youtubeVideoId(record.url);
+    if (videoId) return `youtube:${videoId}`;
+  }
+
+  const url = canonicalizeUrl(record.url);
+
+  if (PERSON_KINDS.has(kind)) {
+    const email = String(record.email || "").trim().toLowerCase();
+    if (email) return `email:${email}`;
+    const name = `${record.firstName || ""} ${record.lastName || ""}`.trim().toLowerCase();
+    if (name) return `person:${name}:${url}`;
+  }
+
+  if (url) return `url:${url}`;
+  return `title:${kind}:${String(record.title || "").trim().toLowerCase()}`;
+}
+
+// Whether a key is only as good as the record's URL (no DOI, email, ...)
+function isUrlKey(key) {
+  return key.startsWith("url:");
+}
+
+// Whether `record` may be deduplicated against `other` (the record already
+// holding its canonical URL) by URL alone: not when both have a stronger
+// key, e.g. two papers with different DOIs linking the same listing page,
+// and never for a person with an email or name (team pages share URLs)
+function canMatchByUrl(record, other) {
+  if (isUrlKey(naturalKey(record))) return true;
+  if (PERSON_KINDS.has(record.kind)) return false;
+  return !other || isUrlKey(naturalKey(other));
+}
+
+function recordId(record) {
+  return crypto.createHash("sha1").update(naturalKey(record)).digest("hex").slice(0, 16);
+}
+
+module.exports = {
+  CANONICAL_URL_VERSION,
+  canonicalizeUrl,
+  naturalKey,
+  isUrlKey,
+  canMatchByUrl,
+  recordId,
+  youtubeVideoId,
+};
@@ -0,0 +1,309 @@
+// shared/recordSchema.cjs
+//
+// Declarative definition of a brain record.
+//
+// FIELDS lists every column the brain stores, in CSV column order, with its
+// type; `core` columns are written for every record, the rest only when set.
+// `generated` fields are filled in by MITBrainSchema, not by scrapers.
+// KINDS says, per kind, which fields a scraper must supply (`required`) and
+// which it may (`optional`), plus the allowed sourceType values.
+//
+// MITBrainSchema takes its column lists from here and checks every write()
+// with validateRecord(). Violations are counted and shown by printStats();
+// the record is still written, normalized (a string in an array field is
+// split into a list, not dropped).
+//
+// Bump SCHEMA_VERSION whenever a field is added, dropped or changes type,
+// with a migration of the same number in migrations/ that brings existing
+// brains up to date (see brainMigrations.cjs).
+
+const SCHEMA_VERSION = 3;
+
+// Types:
+//   string, number, integer, boolean
+//   url       - http(s) URL
+//   date      - YYYY-MM-DD
+//   string[]  - array of strings
+//   object[]  - array of objects
+//   { enum }  - one of the listed strings
+// A list of types means any of them.
+const FIELDS = {
+  id: { type: "string", core: true, generated: true },
+  kind: { type: "string", core: true },
+  source: { type: "string", core: true },
+  sourceType: { type: "string", core: true },
+  title: { type: "string", core: true },
+  url: { type: "url", core: true },
+  publishedAt: { type: "date", core: true },
+  rawDate: { type: "string", core: true },
+  dateAddedToBrain: { type: "date", core: true, generated: true },
+  summary: { type: "string", core: true },
+  fullText: { type: "string", core: true },
+  tags: { type: "string[]", core: true },
+  authors: { type: "string[]", core: true },
+  mitGroups: { type: "string[]", core: true },
+  mitAuthors: { type: "string[]", core: true },
+  eventName: { type: "string", core: true },
+  ilpSummary: { type: "string", core: true },
+  ilpKeywords: { type: "string[]", core: true },
+
+  // Articles
+  rssFeed: { type: "string" },
+
+  // Papers
+  citationCount: { type: "integer" },
+  venue: { type: "string" },
+  doi: { type: "string" },
+  arxivId: { type: "string" },
+  pdfUrl: { type: "url" },
+  grants: { type: "object[]" },
+
+  // Videos
+  videoId: { type: "string" },
+  durationSeconds: { type: "integer" },
+  thumbnailUrl: { type: "url" },
+  recordingDate: { type: "date" },
+  speakers: { type: "string[]" },
+  viewCount: { type: "integer" },
+  likeCount: { type: "integer" },
+  commentCount: { type: "integer" },
+
+  // Startups
+  companyName: { type: "string" },
+  employees: { type: ["string", "integer"] },
+  headquarters: { type: "string" },
+  country: { type: "string" },
+  region: { type: "string" },
+  capitalRaised: { type: ["string", "number"] },
+  capitalStage: { type: "string" },
+  lastFundingDate: { type: "string" },
+  lastFundingAmount: { type: ["string", "number"] },
+  valuation: { type: ["string", "number"] },
+  totalFundingRounds: { type: ["string", "integer"] },
+  investors: { type: "string[]" },
+  leadInvestors: { type: "string[]" },
+  mitInvestors: { type: "string[]" },
+  founders: { type: "string[]" },
+  mitFounders: { type: "string[]" },
+  ceo: { type: "string" },
+  keyExecutives: { type: "string[]" },
+  companyStatus: { type: "string" },
+  businessModel: { type: "string" },
+  industries: { type: "string[]" },
+  technology: { type: "string" },
+  technologyDescription: { type: "string" },
+  mitConnection: { type: "string" },
+  mitLicensedTechnology: { type: "boolean" },
+  mitLabs: { type: "string[]" },
+  exitDate: { type: "string" },
+  exitType: { type: "string" },
+  acquiredBy: { type: "string" },
+  acquisitionAmount: { type: ["string", "number"] },
+  ipoTicker: { type: "string" },
+  revenue: { type: ["string", "number"] },
+  revenueGrowthRate: { type: ["string", "number"] },
+  isProfitable: { type: "boolean" },
+  customerCount: { type: ["string", "integer"] },
+  linkedinUrl: { type: "url" },
+  crunchbaseUrl: { type: "url" },
+  twitterHandle: { type: "string" },
+  contacts: { type: "string[]" },
+  profileUrl: { type: "url" },
+  pitchbookId: { type: "string" },
+  updatedAt: { type: "string" },
+
+  // Events
+  futureEventDate: { type: "date" },
+  location: { type: "string" },
+  eventType: { type: { enum: ["In-Person", "Virtual", "Hybrid"] } },
+  generalAdmission: { type: "string" },
+  ilpAdmission: { type: "string" },
+  eventTime: { type: "string" },
+  eventNote: { type: "string" },
+
+  // People
+  firstName: { type: "string" },
+  lastName: { type: "string" },
+  city: { type: "string" },
+  state: { type: "string" },
+  mobile: { type: "string" },
+  email: { type: "string" },
+  dlc: { type: "string" },
+  mitPeopleCategory: { type: "string" },
+  assistant: { type: "string" },
+  officeLocation: { type: "string" },
+  linkedIn: { type: "url" },
+  keywords: { type: "string" },
+};
+
+// Fields every kind may carry
+const COMMON_REQUIRED = ["kind", "source", "sourceType", "title", "url"];
+const COMMON_OPTIONAL = [
+  "id", "publishedAt", "rawDate", "dateAddedToBrain", "summary", "fullText",
+  "tags", "authors", "mitGroups", "mitAuthors", "eventName", "ilpSummary", "ilpKeywords",
+];
+
+const KINDS = {
+  article: {
+    sourceTypes: ["news", "external_news"],
+    required: ["publishedAt"],
+    optional: ["rssFeed"],
+  },
+  paper: {
+    sourceTypes: ["paper"],
+    required: ["authors"],
+    optional: ["citationCount", "venue", "doi", "arxivId", "pdfUrl", "grants"],
+  },
+  video: {
+    sourceTypes: ["video", "public channel"],
+    required: ["videoId", "publishedAt"],
+    optional: [
+      "durationSeconds", "thumbnailUrl", "recordingDate", "speakers",
+      "viewCount", "likeCount", "commentCount",
+    ],
+  },
+  event: {
+    sourceTypes: ["event"],
+    required: ["publishedAt"],
+    optional: ["location", "speakers", "eventType", "eventTime"],
+  },
+  future_event: {
+    sourceTypes: ["spreadsheet"],
+    required: ["futureEventDate"],
+    optional: ["location", "eventType", "generalAdmission", "ilpAdmission", "eventTime", "eventNote"],
+  },
+  startup: {
+    sourceTypes: ["website"],
+    required: ["companyName"],
+    optional: [
+      "employees", "headquarters", "country", "region", "capitalRaised", "capitalStage",
+      "lastFundingDate", "lastFundingAmount", "valuation", "totalFundingRounds",
+      "investors", "leadInvestors", "mitInvestors", "founders", "mitFounders", "ceo",
+      "keyExecutives", "companyStatus", "businessModel", "industries", "technology",
+      "technologyDescription", "mitConnection", "mitLicensedTechnology", "mitLabs",
+      "exitDate", "exitType", "acquiredBy", "acquisitionAmount", "ipoTicker", "revenue",
+      "revenueGrowthRate", "isProfitable", "customerCount", "linkedinUrl", "crunchbaseUrl",
+      "twitterHandle", "contacts", "profileUrl", "pitchbookId", "updatedAt",
+    ],
+  },
+  person: {
+    sourceTypes: ["person"],
+    required: ["firstName", "lastName"],
+    optional: [
+      "city", "state", "country", "mobile", "email", "dlc", "mitPeopleCategory",
+      "assistant", "officeLocation", "linkedIn", "keywords",
+    ],
+  },
+  mit_person: {
+    sourceTypes: ["directory"],
+    required: [],
+    optional: ["email", "officeLocation", "dlc", "citationCount", "industries", "linkedIn", "keywords"],
+  },
+};
+
+const CORE_FIELDS = Object.keys(FIELDS).filter((f) => FIELDS[f].core);
+const OPTIONAL_FIELDS = Object.keys(FIELDS).filter((f) => !FIELDS[f].core);
+const ARRAY_FIELDS = Object.keys(FIELDS).filter((f) => FIELDS[f].type === "string[]");
+
+// null, "" and [] all mean "not set"
+function isEmpty(value) {
+  return value == null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+function typeName(type) {
+  if (Array.isArray(type)) return type.map(typeName).join(" | ");
+  if (type.enum) return type.enum.map((v) => JSON.stringify(v)).join(" | ");
+  return type;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some((t) => matchesType(value, t));
+  if (type.enum) return type.enum.includes(value);
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "url":
+      return typeof value === "string" && /^https?:\/\/\S+$/i.test(value);
+    case "date":
+      return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    case "object[]":
+      return Array.isArray(value) && value.every((v) => v && typeof v === "object" && !Array.isArray(v));
+    default:
+      return false;
+  }
+}
+
+// '["a","b"]' inside a string[] - arrays that were serialized somewhere upstream
+function isStringifiedArray(value) {
+  if (!/^\s*\[/.test(value)) return false;
+  try {
+    return Array.isArray(JSON.parse(value));
+  } catch {
+    return false;
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return value.some((v) => typeof v !== "string") ? "array with non-strings" : "array";
+  return typeof value;
+}
+
+/**
+ * Check a record as a scraper hands it to MITBrainSchema.write().
+ * Returns a list of { field, rule, message }; empty when the record is valid.
+ * Rules: kind, required, type, sourceType, unexpected (a known field the
+ * kind doesn't use), unknown (a field the brain doesn't store - dropped).
+ */
+function validateRecord(record) {
+  const violations = [];
+  const add = (field, rule, message) => violations.push({ field, rule, message });
+
+  const kind = KINDS[record.kind];
+  if (!kind) {
+    add("kind", "kind", `unknown kind ${JSON.stringify(record.kind)} (expected ${Object.keys(KINDS).join(", ")})`);
+    return violations;
+  }
+
+  for (const field of [...COMMON_REQUIRED, ...kind.required]) {
+    if (isEmpty(record[field])) add(field, "required", `${field} is required for ${record.kind}`);
+  }
+
+  const allowed = new Set([...COMMON_REQUIRED, ...COMMON_OPTIONAL, ...kind.required, ...kind.optional]);
+  for (const [field, value] of Object.entries(record)) {
+    if (isEmpty(value)) continue;
+    const def = FIELDS[field];
+    if (!def) {
+      add(field, "unknown", `${field} is not a brain field and is dropped`);
+    } else if (!matchesType(value, def.type)) {
+      add(field, "type", `${field} should be ${typeName(def.type)}, got ${describe(value)}`);
+    } else if (def.type === "string[]" && value.some(isStringifiedArray)) {
+      add(field, "type", `${field} holds stringified JSON arrays instead of strings`);
+    } else if (!allowed.has(field)) {
+      add(field, "unexpected", `${field} is not a ${record.kind} field`);
+    }
+  }
+
+  if (!isEmpty(record.sourceType) && !kind.sourceTypes.includes(record.sourceType)) {
+    add("sourceType", "sourceType", `sourceType ${JSON.stringify(record.sourceType)} is not one of ${kind.sourceTypes.join(", ")}`);
+  }
+
+  return violations;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FIELDS,
+  KINDS,
+  CORE_FIELDS,
+  OPTIONAL_FIELDS,
+  ARRAY_FIELDS,
+  validateRecord,
+};
@@ -0,0 +1,80 @@
+// shared/recordSchema.test.cjs
+//
+// Per-kind record validation: required fields, types, enums, and fields
+// a kind doesn't use.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { KINDS, validateRecord } = require("./recordSchema.cjs");
+
+// A valid record of every kind
+const VALID = {
+  article: { kind: "article", source: "mit_news", sourceType: "news", title: "T", url: "https://news.mit.edu/a", publishedAt: "2025-01-02" },
+  paper: { kind: "paper", source: "openalex", sourceType: "paper", title: "T", url: "https://doi.org/10.1/x", authors: ["A. Author"], citationCount: 3 },
+  video: { kind: "video", source: "youtube", sourceType: "video", title: "T", url: "https://www.youtube.com/watch?v=abc", videoId: "abc", publishedAt: "2025-01-02", durationSeconds: 90 },
+  event: { kind: "event", source: "ilp", sourceType: "event", title: "T", url: "https://ilp.mit.edu/e", publishedAt: "2025-01-02", eventType: "Virtual" },
+  future_event: { kind: "future_event", source: "ilp", sourceType: "spreadsheet", title: "T", url: "https://ilp.mit.edu/f", futureEventDate: "2026-03-04" },
+  startup: { kind: "startup", source: "stex", sourceType: "website", title: "T", url: "https://startup.example.com", companyName: "Co", employees: 12, mitLicensedTechnology: true },
+  person: { kind: "person", source: "ilp", sourceType: "person", title: "T", url: "https://people.mit.edu/p", firstName: "Ada", lastName: "Lovelace" },
+  mit_person: { kind: "mit_person", source: "directory", sourceType: "directory", title: "T", url: "https://directory.mit.edu/p" },
+};
+
+const rules = (record) => validateRecord(record).map((v) => `${v.field} ${v.rule}`);
+
+test("a valid record of every kind passes", () => {
+  assert.deepStrictEqual(Object.keys(VALID).sort(), Object.keys(KINDS).sort(), "every kind is covered");
+  for (const [kind, record] of Object.entries(VALID)) {
+    assert.deepStrictEqual(validateRecord(record), [], kind);
+  }
+});
+
+test("each kind's required fields are enforced, empty values included", () => {
+  for (const [kind, record] of Object.entries(VALID)) {
+    for (const field of ["source", "sourceType", "title", "url", ...KINDS[kind].required]) {
+      const { [field]: _, ...missing } = record;
+      assert.deepStrictEqual(rules(missing), [`${field} required`], `${kind} without ${field}`);
+    }
+  }
+  assert.deepStrictEqual(rules({ ...VALID.paper, authors: [] }), ["authors required"]);
+  assert.deepStrictEqual(rules({ ...VALID.person, lastName: "" }), ["lastName required"]);
+});
+
+test("field types are checked", () => {
+  const cases = [
+    [{ ...VALID.paper, authors: "A. Author" }, "authors type", /authors should be string\[\], got string/],
+    [{ ...VALID.paper, authors: ["A", 2] }, "authors type", /got array with non-strings/],
+    [{ ...VALID.paper, citationCount: 2.5 }, "citationCount type", /should be integer/],
+    [{ ...VALID.article, publishedAt: "Jan 2, 2025" }, "publishedAt type", /should be date/],
+    [{ ...VALID.article, url: "news.mit.edu/a" }, "url type", /should be url/],
+    [{ ...VALID.startup, mitLicensedTechnology: "yes" }, "mitLicensedTechnology type", /should be boolean/],
+    [{ ...VALID.startup, employees: "11-50" }, null, null],
+    [{ ...VALID.startup, capitalRaised: NaN }, "capitalRaised type", /should be string \| number/],
+    [{ ...VALID.article, mitGroups: ['["CSAIL"]'] }, "mitGroups type", /stringified JSON arrays/],
+  ];
+  for (const [record, expected, message] of cases) {
+    const violations = validateRecord(record);
+    if (!expected) {
+      assert.deepStrictEqual(violations, []);
+      continue;
+    }
+    assert.deepStrictEqual(violations.map((v) => `${v.field} ${v.rule}`), [expected]);
+    assert.match(violations[0].message, message);
+  }
+});
+
+test("enums: kind, sourceType per kind and eventType", () => {
+  assert.deepStrictEqual(rules({ ...VALID.article, kind: "podcast" }), ["kind kind"], "unknown kind stops there");
+  assert.deepStrictEqual(rules({ ...VALID.article, sourceType: "external_news" }), []);
+  assert.deepStrictEqual(rules({ ...VALID.article, sourceType: "paper" }), ["sourceType sourceType"]);
+  assert.deepStrictEqual(rules({ ...VALID.video, sourceType: "public channel" }), []);
+  assert.deepStrictEqual(rules({ ...VALID.event, eventType: "In-Person" }), []);
+  assert.match(validateRecord({ ...VALID.event, eventType: "online" })[0].message, /eventType should be "In-Person" \| "Virtual" \| "Hybrid"/);
+});
+
+test("fields the kind doesn't use, or the brain doesn't store, are flagged", () => {
+  assert.deepStrictEqual(rules({ ...VALID.article, videoId: "abc" }), ["videoId unexpected"]);
+  assert.deepStrictEqual(rules({ ...VALID.paper, companyName: "Co" }), ["companyName unexpected"]);
+  assert.deepStrictEqual(rules({ ...VALID.paper, pageCount: 12 }), ["pageCount unknown"]);
+  assert.deepStrictEqual(rules({ ...VALID.paper, pageCount: null, venue: "" }), [], "empty values are ignored");
+});
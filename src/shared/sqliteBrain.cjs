@@ -0,0 +1,283 @@
+// shared/sqliteBrain.cjs
+//
+// SQLite storage for a brain: brain/<MIT_BRAIN>.sqlite.
+//
+// Selected with MIT_BRAIN_BACKEND=sqlite. MITBrainSchema then reads and
+// writes records here instead of the JSONL/CSV pair, and only touches the
+// rows that changed on each flush; the web server queries it directly
+// instead of holding every record in memory. The canonical JSONL/CSV are
+// produced on demand with `node brainSqlite.cjs export`.
+//
+// Tables:
+//   records      one row per record: the record as JSON in `data`, plus
+//                columns for lookups and filters (kind, canonical URL,
+//                date, lowercase qualifier text)
+//   records_fts  FTS5 index of the searchable text fields, same rowid
+//
+// PRAGMA user_version is the CANONICAL_URL_VERSION canonical_url was
+// computed with; older values are recomputed on open.
+//
+// Row order (rowid) is brain order, so an export matches the JSONL a
+// JSONL-backed brain would have written.
+
+const fs = require("fs");
+const path = require("path");
+const { CANONICAL_URL_VERSION, canonicalizeUrl } = require("./recordId.cjs");
+const { recordHash } = require("./recordHistory.cjs");
+
+// Searchable text, in FTS column order (same set as the server's SEARCH_FIELDS)
+const FTS_FIELDS = ["title", "summary", "fullText", "ilpSummary", "ilpKeywords", "tags", "authors"];
+
+// Lowercase "a, b, c" text kept for field qualifiers (source:, author:, ...)
+const QUALIFIER_COLUMNS = {
+  source: "source_text",
+  authors: "authors_text",
+  mitGroups: "mit_groups_text",
+  industries: "industries_text",
+  dlc: "dlc_text",
+};
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS records (
+    rowid INTEGER PRIMARY KEY,
+    id TEXT NOT NULL UNIQUE,
+    kind TEXT,
+    url TEXT,
+    canonical_url TEXT,
+    title TEXT,
+    date TEXT,
+    hash TEXT NOT NULL,
+    source_text TEXT,
+    authors_text TEXT,
+    mit_groups_text TEXT,
+    industries_text TEXT,
+    dlc_text TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS records_kind ON records (kind);
+  CREATE INDEX IF NOT EXISTS records_canonical_url ON records (canonical_url);
+  CREATE INDEX IF NOT EXISTS records_date ON records (date);
+  CREATE VIRTUAL TABLE IF NOT EXISTS records_fts USING fts5(
+    ${FTS_FIELDS.join(", ")},
+    tokenize = 'porter unicode61 remove_diacritics 2'
+  );
+`;
+
+function listText(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return value.map(listText).filter(Boolean).join(", ");
+  return String(value);
+}
+
+// Date used for date filters and facets: the event date for events, the
+// publish date for everything else (same choice as the in-memory search)
+function recordDate(record) {
+  const raw = record.kind === "future_event" || record.kind === "event"
+    ? record.eventDate || record.event_date || record.futureEventDate || record.date
+    : record.date || record.publishedAt || record.published;
+  return raw ? String(raw) : null;
+}
+
+class SqliteBrain {
+  constructor(brainDir, brainName) {
+    this.filePath = path.join(brainDir, `${brainName}.sqlite`);
+    this._db = null;
+    this._statements = null;
+  }
+
+  static pathFor(brainDir, brainName) {
+    return path.join(brainDir, `${brainName}.sqlite`);
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  // Opened on first use, so JSONL-only setups never load better-sqlite3
+  get db() {
+    if (!this._db) {
+      const Database = require("better-sqlite3");
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this._db = new Database(this.filePath);
+      this._db.pragma("journal_mode = WAL");
+      this._db.exec(SCHEMA_SQL);
+      this._refreshCanonicalUrls();
+    }
+    return this._db;
+  }
+
+  // Recompute canonical_url after canonicalizeUrl() changed its rules
+  _refreshCanonicalUrls() {
+    const db = this._db;
+    if (db.pragma("user_version", { simple: true }) >= CANONICAL_URL_VERSION) return;
+    const update = db.prepare("UPDATE records SET canonical_url = ? WHERE rowid = ?");
+    db.transaction(() => {
+      for (const row of db.prepare("SELECT rowid, url FROM records").all()) {
+        update.run(canonicalizeUrl(row.url) || null, row.rowid);
+      }
+      db.pragma(`user_version = ${CANONICAL_URL_VERSION}`);
+    })();
+  }
+
+  get statements() {
+    if (!this._statements) {
+      const db = this.db;
+      this._statements = {
+        upsert: db.prepare(`
+          INSERT INTO records (id, kind, url, canonical_url, title, date, hash,
+            source_text, authors_text, mit_groups_text, industries_text, dlc_text, data)
+          VALUES (@id, @kind, @url, @canonical_url, @title, @date, @hash,
+            @source_text, @authors_text, @mit_groups_text, @industries_text, @dlc_text, @data)
+          ON CONFLICT (id) DO UPDATE SET
+            kind = excluded.kind, url = excluded.url, canonical_url = excluded.canonical_url,
+            title = excluded.title, date = excluded.date, hash = excluded.hash,
+            source_text = excluded.source_text, authors_text = excluded.authors_text,
+            mit_groups_text = excluded.mit_groups_text, industries_text = excluded.industries_text,
+            dlc_text = excluded.dlc_text, data = excluded.data
+          RETURNING rowid`),
+        deleteFts: db.prepare("DELETE FROM records_fts WHERE rowid = ?"),
+        insertFts: db.prepare(
+          `INSERT INTO records_fts (rowid, ${FTS_FIELDS.join(", ")}) VALUES (?, ${FTS_FIELDS.map(() => "?").join(", ")})`
+        ),
+        rowidOf: db.prepare("SELECT rowid FROM records WHERE id = ?"),
+        remove: db.prepare("DELETE FROM records WHERE id = ?"),
+        get: db.prepare("SELECT data FROM records WHERE id = ?"),
+        getByCanonicalUrl: db.prepare("SELECT data FROM records WHERE canonical_url = ? ORDER BY rowid LIMIT 1"),
+        all: db.prepare("SELECT data FROM records ORDER BY rowid"),
+        hashes: db.prepare("SELECT id, hash FROM records"),
+        count: db.prepare("SELECT COUNT(*) AS n FROM records"),
+        ftsCount: db.prepare("SELECT COUNT(*) AS n FROM records_fts"),
+        countByKind: db.prepare("SELECT COALESCE(kind, 'unknown') AS kind, COUNT(*) AS n FROM records GROUP BY 1"),
+      };
+    }
+    return this._statements;
+  }
+
+  _row(record) {
+    const row = {
+      id: record.id,
+      kind: record.kind || null,
+      url: record.url || null,
+      canonical_url: canonicalizeUrl(record.url) || null,
+      title: record.title || null,
+      date: recordDate(record),
+      hash: recordHash(record),
+      data: JSON.stringify(record),
+    };
+    for (const [field, column] of Object.entries(QUALIFIER_COLUMNS)) {
+      row[column] = listText(record[field]).toLowerCase();
+    }
+    return row;
+  }
+
+  /**
+   * Insert or replace records (by id) and delete `removedIds`, in one transaction
+   */
+  write(records, removedIds = []) {
+    const s = this.statements;
+    this.db.transaction(() => {
+      for (const record of records) {
+        const { rowid } = s.upsert.get(this._row(record));
+        s.deleteFts.run(rowid);
+        s.insertFts.run(rowid, ...FTS_FIELDS.map((f) => listText(record[f])));
+      }
+      for (const id of removedIds) {
+        const found = s.rowidOf.get(id);
+        if (!found) continue;
+        s.deleteFts.run(found.rowid);
+        s.remove.run(id);
+      }
+    })();
+  }
+
+  /**
+   * Replace every record of the given kinds with `records`
+   * (the events spreadsheet upload replaces all future_events)
+   */
+  replaceKinds(kinds, records) {
+    const placeholders = kinds.map(() => "?").join(", ");
+    const removed = this.db.prepare(`SELECT id FROM records WHERE kind IN (${placeholders})`).all(...kinds).map((r) => r.id);
+    const keep = new Set(records.map((r) => r.id));
+    this.write(records, removed.filter((id) => !keep.has(id)));
+    return removed.length;
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  getByUrl(url) {
+    const row = this.statements.getByCanonicalUrl.get(canonicalizeUrl(url));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Records for the given IDs, as a Map id -> record (unknown IDs left out)
+   */
+  getMany(ids) {
+    const found = new Map();
+    for (const id of ids) {
+      const record = this.get(id);
+      if (record) found.set(id, record);
+    }
+    return found;
+  }
+
+  /**
+   * Records of the given kinds in brain order. `omit` drops large fields
+   * (e.g. ["fullText"]) in SQL, before the JSON is parsed.
+   */
+  byKind(kinds, { omit = [] } = {}) {
+    const data = omit.length > 0 ? `json_remove(data, ${omit.map(() => "?").join(", ")})` : "data";
+    return this.db
+      .prepare(`SELECT ${data} AS data FROM records WHERE kind IN (${kinds.map(() => "?").join(", ")}) ORDER BY rowid`)
+      .all(...omit.map((field) => `$.${field}`), ...kinds)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * Every record in brain order, one at a time
+   */
+  *iterate() {
+    for (const row of this.statements.all.iterate()) yield JSON.parse(row.data);
+  }
+
+  all() {
+    return [...this.iterate()];
+  }
+
+  /**
+   * Map id -> record hash (see recordHistory.recordHash) of every record
+   */
+  hashes() {
+    return new Map(this.statements.hashes.all().map((r) => [r.id, r.hash]));
+  }
+
+  count() {
+    return this.statements.count.get().n;
+  }
+
+  ftsCount() {
+    return this.statements.ftsCount.get().n;
+  }
+
+  countByKind() {
+    const counts = {};
+    for (const { kind, n } of this.statements.countByKind.all()) counts[kind] = n;
+    return counts;
+  }
+
+  close() {
+    if (this._db) this._db.close();
+    this._db = null;
+    this._statements = null;
+  }
+}
+
+module.exports = {
+  SqliteBrain,
+  FTS_FIELDS,
+  QUALIFIER_COLUMNS,
+  recordDate,
+};
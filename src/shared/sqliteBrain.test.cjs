@@ -0,0 +1,132 @@
+// shared/sqliteBrain.test.cjs
+//
+// SQLite backend: write/update round trip through MITBrainSchema, a flush
+// with no writes, export identical to the JSONL brain it came from, and
+// canonical_url recomputed when canonicalizeUrl's rules change.
+// Run with: npm test   (or node --test src/shared/)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { SqliteBrain } = require("./sqliteBrain.cjs");
+const { CANONICAL_URL_VERSION } = require("./recordId.cjs");
+
+const BRAIN_SQLITE_CLI = path.join(__dirname, "../../brainSqlite.cjs");
+
+function withBrain(fn) {
+  const brainDir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-brain-test-"));
+  const saved = { BRAIN_DIR: process.env.BRAIN_DIR, MIT_BRAIN: process.env.MIT_BRAIN, MIT_BRAIN_BACKEND: process.env.MIT_BRAIN_BACKEND };
+  Object.assign(process.env, { BRAIN_DIR: brainDir, MIT_BRAIN: "test_brain" });
+  delete process.env.MIT_BRAIN_BACKEND;
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {}; // schema warnings for the minimal test records
+  try {
+    return fn(brainDir);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(brainDir, { recursive: true, force: true });
+  }
+}
+
+const paper = (i, extra = {}) => ({
+  kind: "paper",
+  source: "test",
+  title: `Soft robot gripper ${i}`,
+  url: `https://example.mit.edu/papers/${i}`,
+  authors: ["Daniela Rus"],
+  ...extra,
+});
+
+function runWith(backend, records) {
+  const { MITBrainSchema } = require("./MITBrainSchema.cjs");
+  const schema = new MITBrainSchema({ backend });
+  for (const record of records) schema.write(record);
+  schema.flush();
+  return schema;
+}
+
+test("records written through MITBrainSchema round-trip, updates included", () => {
+  withBrain(() => {
+    const first = runWith("sqlite", [paper(0), paper(1), paper(2)]);
+    const store = first._store;
+    assert.strictEqual(store.count(), 3);
+    assert.strictEqual(store.ftsCount(), 3, "one FTS row per record");
+
+    const second = runWith("sqlite", [paper(1, { citationCount: 7, ilpSummary: "Grippers for warehouses" }), paper(3)]);
+    const records = second._readPersistedRecords(null);
+    assert.strictEqual(records.size, 4);
+    const updated = [...records.values()].find((r) => r.url.endsWith("/1"));
+    assert.strictEqual(updated.citationCount, 7);
+    assert.deepStrictEqual(second._store.get(updated.id), updated);
+    assert.deepStrictEqual(second._store.getByUrl("http://www.example.mit.edu/papers/1/"), updated, "found by canonical URL");
+    assert.deepStrictEqual(
+      [...records.values()].map((r) => r.title),
+      ["Soft robot gripper 0", "Soft robot gripper 1", "Soft robot gripper 2", "Soft robot gripper 3"],
+      "brain order kept on update"
+    );
+
+    second._store.write([], [updated.id]);
+    assert.strictEqual(second._store.count(), 3);
+    assert.strictEqual(second._store.ftsCount(), 3, "FTS row removed with the record");
+    assert.ok(second.sanityCheck().match);
+    second._store.close();
+  });
+});
+
+test("a flush with no writes keeps every record", () => {
+  withBrain(() => {
+    runWith("sqlite", [paper(0), paper(1)])._store.close();
+
+    // A scraper that found nothing still calls flush()
+    const empty = runWith("sqlite", []);
+    assert.strictEqual(empty._store.count(), 2);
+    assert.strictEqual(empty._store.ftsCount(), 2);
+    empty._store.close();
+  });
+});
+
+test("export from SQLite gives back the JSONL brain it was imported from", () => {
+  withBrain((brainDir) => {
+    runWith("jsonl", [paper(0), paper(1, { mitGroups: ["CSAIL"] }), paper(2)]);
+    runWith("jsonl", [paper(1, { citationCount: 3 }), paper(3, { kind: "article", sourceType: "news", publishedAt: "2025-02-03" })]);
+    const jsonlPath = path.join(brainDir, "test_brain.jsonl");
+
+    const cli = (...args) => spawnSync(process.execPath, [BRAIN_SQLITE_CLI, ...args], { env: process.env, encoding: "utf8" });
+    const imported = cli("import");
+    assert.strictEqual(imported.status, 0, imported.stderr);
+    const outDir = path.join(brainDir, "export");
+    const exported = cli("export", "--out-dir", outDir);
+    assert.strictEqual(exported.status, 0, exported.stderr);
+
+    assert.strictEqual(fs.readFileSync(path.join(outDir, "test_brain.jsonl"), "utf8"), fs.readFileSync(jsonlPath, "utf8"));
+    assert.ok(fs.existsSync(path.join(outDir, "test_brain.csv")));
+  });
+});
+
+test("canonical_url is recomputed when CANONICAL_URL_VERSION goes up", () => {
+  withBrain((brainDir) => {
+    const store = new SqliteBrain(brainDir, "test_brain");
+    store.write([{ id: "p1", kind: "paper", title: "T", url: "https://www.news.mit.edu/2025/x/index.html?utm_source=rss" }]);
+    // As an older canonicalizeUrl would have left it
+    store.db.prepare("UPDATE records SET canonical_url = ?").run("https://www.news.mit.edu/2025/x/index.html");
+    store.db.pragma(`user_version = ${CANONICAL_URL_VERSION - 1}`);
+    store.close();
+
+    const reopened = new SqliteBrain(brainDir, "test_brain");
+    assert.strictEqual(reopened.db.pragma("user_version", { simple: true }), CANONICAL_URL_VERSION);
+    assert.strictEqual(reopened.getByUrl("http://news.mit.edu/2025/x").id, "p1");
+    const { canonical_url: canonical } = reopened.db.prepare("SELECT canonical_url FROM records").get();
+    assert.notStrictEqual(canonical, "https://www.news.mit.edu/2025/x/index.html");
+    reopened.close();
+  });
+});
@@ -0,0 +1,172 @@
+// src/webapp/alertEmail.js
+//
+// Alert emails as HTML: one alert's matches (also served as a re-opened
+// digest from the run history), plus the score colors and labels the
+// consolidated daily email shares.
+//
+// Everything interpolated comes from stored alerts and runs - names and
+// phrases users typed, titles from scraped pages, the model's reasons - so
+// each value is HTML-escaped and links are kept to http(s) URLs.
+
+import { DEFAULT_RELEVANCE_THRESHOLD } from "./smartMatch.js";
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// An escaped http(s) URL for an href; anything else (javascript:, data:) is "#"
+export function safeHref(url) {
+  try {
+    const parsed = new URL(String(url));
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? escapeHtml(parsed.href) : "#";
+  } catch {
+    return "#";
+  }
+}
+
+export function getScoreColor(score) {
+  if (score >= 9) return '#27ae60'; // Green - exceptional
+  if (score >= 7) return '#2ecc71'; // Light green - highly relevant
+  if (score >= 5) return '#f39c12'; // Orange - moderately relevant
+  if (score >= 3) return '#e67e22'; // Dark orange - somewhat relevant
+  return '#95a5a6'; // Gray - weakly relevant
+}
+
+export function getScoreLabel(score) {
+  if (score >= 9) return 'Exceptional';
+  if (score >= 7) return 'Highly Relevant';
+  if (score >= 5) return 'Moderately Relevant';
+  if (score >= 3) return 'Somewhat Relevant';
+  return 'Weakly Relevant';
+}
+
+/**
+ * One alert's matches as an HTML email. `generatedAt` is shown in the
+ * footer (a re-opened digest passes its run's start time).
+ */
+export function generateAlertEmailHTML(alert, matches, generatedAt = new Date()) {
+  const matchesHTML = matches.map(m => {
+    const score = m.relevanceScore || 0;
+    const scoreColor = getScoreColor(score);
+    const scoreLabel = getScoreLabel(score);
+    const isAutoIncluded = m.autoIncluded || false;
+    
+    return `
+      <div style="border-left: 4px solid ${scoreColor}; padding: 15px; margin: 15px 0; background: #f9f9f9;">
+        <h3 style="margin: 0 0 8px 0;">
+          <a href="${safeHref(m.url)}" style="color: #2c3e50; text-decoration: none;">${escapeHtml(m.title)}</a>
+        </h3>
+        ${score > 0 ? `
+          <div style="margin: 8px 0;">
+            <span style="display: inline-block; padding: 4px 10px; background: ${scoreColor}; color: white; border-radius: 4px; font-size: 0.85em; font-weight: bold;">
+              ${escapeHtml(score)}/10 - ${scoreLabel}
+            </span>
+          </div>
+        ` : ''}
+        ${m.kind ? `<div style="font-size: 0.9em; color: #666; margin: 5px 0;"><strong>Type:</strong> ${escapeHtml(m.kind)}</div>` : ''}
+        <div style="font-size: 0.9em; color: #555; margin: 8px 0; line-height: 1.5;">
+          <strong>Why relevant:</strong> ${escapeHtml(m.reason)}
+        </div>
+        ${isAutoIncluded ? `<div style="font-size: 0.85em; color: #27ae60; margin-top: 5px;">✓ Auto-included (ILP/STEX event)</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  const threshold = alert.relevanceThreshold ?? DEFAULT_RELEVANCE_THRESHOLD;
+  
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 0;
+    }
+    .container {
+      background: #ffffff;
+    }
+    .header {
+      background: linear-gradient(135deg, #e67e22 0%, #d35400 100%);
+      color: white;
+      padding: 30px 20px;
+      text-align: center;
+    }
+    .header h1 {
+      margin: 0 0 10px 0;
+      font-size: 24px;
+    }
+    .header p {
+      margin: 5px 0;
+      font-size: 14px;
+      opacity: 0.9;
+    }
+    .content {
+      padding: 30px 20px;
+    }
+    .summary {
+      background: #f0f8ff;
+      border-left: 4px solid #3498db;
+      padding: 15px;
+      margin: 0 0 25px 0;
+      border-radius: 4px;
+    }
+    .footer {
+      background: #f5f5f5;
+      padding: 20px;
+      text-align: center;
+      font-size: 0.9em;
+      color: #666;
+      border-top: 1px solid #ddd;
+    }
+    .footer a {
+      color: #e67e22;
+      text-decoration: none;
+    }
+    .footer a:hover {
+      text-decoration: underline;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔔 New Matches for ${escapeHtml(alert.memberName)}</h1>
+      <p>Alert: <strong>${escapeHtml(alert.alertName)}</strong></p>
+      <p>Search: "${escapeHtml(alert.searchParams?.phrase)}"${alert.useSmartMatch ? ` | Threshold: ≥${escapeHtml(threshold)}/10` : ''}</p>
+    </div>
+    
+    <div class="content">
+      <div class="summary">
+        <strong>📊 Summary:</strong> Found <strong>${matches.length}</strong> new relevant items matching your criteria.
+      </div>
+      
+      ${matchesHTML}
+    </div>
+    
+    <div class="footer">
+      <p>This is an automated alert from MIT Brain.</p>
+      <p>
+        <a href="http://localhost:3000">View in MIT Brain</a> | 
+        <a href="http://localhost:3000">Manage Alerts</a>
+      </p>
+      <p style="font-size: 0.85em; color: #999; margin-top: 15px;">
+        Alert ID: ${escapeHtml(alert.alertId)} | Run: ${escapeHtml(generatedAt.toLocaleString())}
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
@@ -0,0 +1,53 @@
+// src/webapp/alertEmail.test.js
+//
+// Alert email HTML: stored names, phrases, titles and model reasons are
+// escaped, links are http(s) only, and the footer shows the given run time.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { generateAlertEmailHTML, escapeHtml, safeHref } from "./alertEmail.js";
+
+const SCRIPT = `<script>alert("x")</script>`;
+
+const alert = {
+  alertId: "alert-1",
+  alertName: `Weekly ${SCRIPT}`,
+  memberName: `Acme <img src=x onerror=alert(1)>`,
+  searchParams: { phrase: `"robots" AND <b>` },
+  useSmartMatch: true,
+  relevanceThreshold: 7,
+};
+
+const matches = [
+  { id: "a1", url: "https://news.mit.edu/a1?x=1&y=2", title: `Grippers ${SCRIPT}`, kind: "article", relevanceScore: 8, reason: `Because '${SCRIPT}'` },
+  { id: "a2", url: "javascript:alert(1)", title: "Bad link", kind: "paper", reason: "r" },
+];
+
+test("every stored value is HTML-escaped", () => {
+  const html = generateAlertEmailHTML(alert, matches, new Date("2026-03-10T14:00:00Z"));
+  assert.ok(!html.includes("<script>"), "no live script tags");
+  assert.ok(!html.includes("<img"), "no injected elements");
+  assert.ok(!html.includes("<b>"));
+  assert.ok(html.includes("Weekly &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;"));
+  assert.ok(html.includes("Because &#39;&lt;script&gt;"));
+  assert.ok(html.includes(`Search: "&quot;robots&quot; AND &lt;b&gt;"`));
+});
+
+test("links are kept to http(s) URLs", () => {
+  const html = generateAlertEmailHTML(alert, matches);
+  assert.ok(html.includes(`href="https://news.mit.edu/a1?x=1&amp;y=2"`));
+  assert.ok(!html.includes("javascript:"));
+  assert.ok(html.includes(`<a href="#" style="color: #2c3e50; text-decoration: none;">Bad link</a>`));
+
+  assert.strictEqual(safeHref("http://example.org/a b"), "http://example.org/a%20b");
+  for (const url of ["javascript:alert(1)", " JavaScript:alert(1)", "data:text/html,<p>", "/relative", "", null]) {
+    assert.strictEqual(safeHref(url), "#", String(url));
+  }
+});
+
+test("the footer shows the run's time, not the time it was rendered", () => {
+  const startedAt = new Date("2026-03-10T14:00:00Z");
+  const html = generateAlertEmailHTML(alert, matches, startedAt);
+  assert.ok(html.includes(`Run: ${escapeHtml(startedAt.toLocaleString())}`));
+});
@@ -0,0 +1,251 @@
+// src/webapp/alertSchedule.js
+//
+// When an alert runs. The schedule lives in alert.emailSettings:
+//
+//   frequency       "daily" | "weekly" | "monthly" | "cron"
+//   sendTime        "HH:MM" local time (daily / weekly / monthly)
+//   dayOfWeek       0-6, Sunday = 0 (weekly, default Monday)
+//   dayOfMonth      1-31 (monthly, default 1; short months use their last day)
+//   cronExpression  "minute hour day-of-month month day-of-week" (cron)
+//   timeZone        IANA zone of the recipient, e.g. "America/New_York"
+//                   (default: ALERT_TIME_ZONE, else the server's zone)
+//
+// nextRunAfter() gives the first run strictly after an instant; the server
+// stores it as alert.metadata.nextRunAt and runs the alert once that time
+// has passed (so runs missed while it was down happen on startup, once).
+//
+// Cron expressions are the standard five fields: numbers, "*", lists,
+// ranges and steps, month and weekday names, 7 = Sunday. As in cron, when
+// both day fields are restricted a day matching either one runs; if either
+// starts with "*" (even a step like "*/2") a day must match both.
+
+export const FREQUENCIES = ["daily", "weekly", "monthly", "cron"];
+
+const DEFAULT_SEND_TIME = "09:00";
+
+// How far ahead to look for a cron match (Feb 29 recurs within 8 years)
+const MAX_DAYS_AHEAD = 366 * 8;
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 },
+];
+
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+// ---------- Cron parsing ----------
+
+function cronValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const value = named !== -1 ? named + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new ScheduleError(`invalid ${field.name} "${text}" in cron expression`);
+  }
+  return value;
+}
+
+// Allowed values of one field, and whether it starts with "*" (matters for days)
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new ScheduleError(`invalid step "${part}" in cron expression`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = cronValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : cronValue(end, field);
+      if (to < from) throw new ScheduleError(`invalid range "${range}" in cron expression`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, any: text.startsWith("*") };
+}
+
+/**
+ * Parse a five-field cron expression. Throws ScheduleError.
+ */
+export function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ScheduleError(`cron expression needs 5 fields (minute hour day month weekday), got "${expression}"`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.values.has(7)) weekdays.values.add(0);
+  return { minutes, hours, days, months, weekdays };
+}
+
+// ---------- Schedules ----------
+
+function parseSendTime(sendTime) {
+  const match = String(sendTime || DEFAULT_SEND_TIME).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new ScheduleError(`sendTime must be HH:MM, got "${sendTime}"`);
+  }
+  return [Number(match[1]), Number(match[2])];
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new ScheduleError(`unknown time zone "${timeZone}"`);
+  }
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * The schedule in emailSettings with defaults filled in. Throws
+ * ScheduleError for an unknown frequency, time, day, zone or cron syntax.
+ */
+export function normalizeSchedule(emailSettings = {}) {
+  const frequency = emailSettings.frequency || "daily";
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ScheduleError(`frequency must be one of ${FREQUENCIES.join(", ")}, got "${frequency}"`);
+  }
+  const timeZone =
+    emailSettings.timeZone || process.env.ALERT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  checkTimeZone(timeZone);
+
+  const schedule = { frequency, timeZone };
+  if (frequency === "cron") {
+    schedule.cronExpression = String(emailSettings.cronExpression || "").trim();
+    parseCron(schedule.cronExpression);
+    return schedule;
+  }
+
+  const [hour, minute] = parseSendTime(emailSettings.sendTime);
+  schedule.sendTime = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+  if (frequency === "weekly") {
+    schedule.dayOfWeek = emailSettings.dayOfWeek == null || emailSettings.dayOfWeek === "" ? 1 : Number(emailSettings.dayOfWeek);
+    if (!Number.isInteger(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) {
+      throw new ScheduleError(`dayOfWeek must be 0-6 (Sunday = 0), got "${emailSettings.dayOfWeek}"`);
+    }
+  }
+  if (frequency === "monthly") {
+    schedule.dayOfMonth = emailSettings.dayOfMonth == null || emailSettings.dayOfMonth === "" ? 1 : Number(emailSettings.dayOfMonth);
+    if (!Number.isInteger(schedule.dayOfMonth) || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) {
+      throw new ScheduleError(`dayOfMonth must be 1-31, got "${emailSettings.dayOfMonth}"`);
+    }
+  }
+  return schedule;
+}
+
+// { matchesDay(year, month, day, weekday), times: [[hour, minute], ...] ascending }
+function scheduleMatcher(schedule) {
+  if (schedule.frequency === "cron") {
+    const cron = parseCron(schedule.cronExpression);
+    const times = [];
+    for (const hour of [...cron.hours.values].sort((a, b) => a - b)) {
+      for (const minute of [...cron.minutes.values].sort((a, b) => a - b)) times.push([hour, minute]);
+    }
+    return {
+      times,
+      matchesDay: (year, month, day, weekday) => {
+        if (!cron.months.values.has(month)) return false;
+        const byDay = cron.days.values.has(day);
+        const byWeekday = cron.weekdays.values.has(weekday);
+        if (cron.days.any || cron.weekdays.any) return byDay && byWeekday;
+        return byDay || byWeekday;
+      },
+    };
+  }
+
+  const times = [parseSendTime(schedule.sendTime)];
+  if (schedule.frequency === "weekly") return { times, matchesDay: (y, m, d, weekday) => weekday === schedule.dayOfWeek };
+  if (schedule.frequency === "monthly") {
+    return { times, matchesDay: (year, month, day) => day === Math.min(schedule.dayOfMonth, daysInMonth(year, month)) };
+  }
+  return { times, matchesDay: () => true };
+}
+
+// ---------- Time zones ----------
+
+const formatters = new Map();
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+// Instant of a wall-clock time in a time zone. A time skipped by a DST
+// change comes out an hour later; a repeated one is its first occurrence.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wall;
+  for (let i = 0; i < 3; i++) {
+    const p = zonedParts(new Date(instant), timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant;
+    const next = wall - offset;
+    if (next === instant) break;
+    instant = next;
+  }
+  return new Date(instant);
+}
+
+/**
+ * First run of an alert's schedule strictly after `after` (a Date),
+ * as a Date. Throws ScheduleError for an invalid schedule.
+ */
+export function nextRunAfter(emailSettings, after = new Date()) {
+  const schedule = normalizeSchedule(emailSettings);
+  const { times, matchesDay } = scheduleMatcher(schedule);
+  const start = zonedParts(after, schedule.timeZone);
+
+  for (let i = 0; i <= MAX_DAYS_AHEAD; i++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!matchesDay(year, month, day, date.getUTCDay())) continue;
+    for (const [hour, minute] of times) {
+      const run = zonedTime(year, month, day, hour, minute, schedule.timeZone);
+      if (run > after) return run;
+    }
+  }
+  throw new ScheduleError(`schedule never runs: "${schedule.cronExpression}"`);
+}
+
+/**
+ * Short description for logs and the dashboard, e.g. "weekly on Monday at 09:00 (Europe/London)"
+ */
+export function describeSchedule(emailSettings) {
+  const s = normalizeSchedule(emailSettings);
+  const zone = `(${s.timeZone})`;
+  if (s.frequency === "cron") return `cron "${s.cronExpression}" ${zone}`;
+  if (s.frequency === "weekly") {
+    const weekday = new Date(Date.UTC(2024, 0, 7 + s.dayOfWeek)).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
+    return `weekly on ${weekday} at ${s.sendTime} ${zone}`;
+  }
+  if (s.frequency === "monthly") return `monthly on day ${s.dayOfMonth} at ${s.sendTime} ${zone}`;
+  return `daily at ${s.sendTime} ${zone}`;
+}
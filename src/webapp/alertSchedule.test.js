@@ -0,0 +1,91 @@
+// src/webapp/alertSchedule.test.js
+//
+// nextRunAfter() across DST changes, in zones ahead of UTC, with short
+// months, and for cron weekday lists, ranges and steps.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { nextRunAfter, normalizeSchedule, describeSchedule, ScheduleError } from "./alertSchedule.js";
+
+const next = (emailSettings, after) => nextRunAfter(emailSettings, new Date(after)).toISOString();
+
+test("daily runs keep their local time across DST changes", () => {
+  const daily = { frequency: "daily", sendTime: "09:00", timeZone: "America/New_York" };
+  assert.strictEqual(next(daily, "2026-03-07T15:00:00Z"), "2026-03-08T13:00:00.000Z", "EDT from March 8");
+  assert.strictEqual(next(daily, "2026-10-31T15:00:00Z"), "2026-11-01T14:00:00.000Z", "EST from November 1");
+});
+
+test("spring forward: a skipped time runs an hour later that day", () => {
+  const daily = { frequency: "daily", sendTime: "02:30", timeZone: "America/New_York" };
+  assert.strictEqual(next(daily, "2026-03-07T12:00:00Z"), "2026-03-08T07:30:00.000Z", "03:30 EDT");
+  assert.strictEqual(next(daily, "2026-03-08T07:30:00Z"), "2026-03-09T06:30:00.000Z", "02:30 EDT the next day");
+});
+
+test("fall back: a repeated time runs once, at its first occurrence", () => {
+  const daily = { frequency: "daily", sendTime: "01:30", timeZone: "America/New_York" };
+  assert.strictEqual(next(daily, "2026-10-31T12:00:00Z"), "2026-11-01T05:30:00.000Z", "01:30 EDT");
+  assert.strictEqual(next(daily, "2026-11-01T05:30:00Z"), "2026-11-02T06:30:00.000Z", "not again at 01:30 EST");
+});
+
+test("weekly in Tokyo runs on the local weekday, the day before in UTC", () => {
+  const weekly = { frequency: "weekly", dayOfWeek: 1, sendTime: "08:00", timeZone: "Asia/Tokyo" };
+  // Monday 08:00 JST is Sunday 23:00 UTC
+  assert.strictEqual(next(weekly, "2026-10-18T12:00:00Z"), "2026-10-18T23:00:00.000Z");
+  assert.strictEqual(next(weekly, "2026-10-18T23:00:00Z"), "2026-10-25T23:00:00.000Z");
+  // Late Monday in UTC is already Tuesday in Tokyo
+  assert.strictEqual(next(weekly, "2026-10-19T16:00:00Z"), "2026-10-25T23:00:00.000Z");
+});
+
+test("monthly on day 31 uses the last day of shorter months", () => {
+  const monthly = { frequency: "monthly", dayOfMonth: 31, sendTime: "09:00", timeZone: "UTC" };
+  assert.strictEqual(next(monthly, "2026-02-01T00:00:00Z"), "2026-02-28T09:00:00.000Z");
+  assert.strictEqual(next(monthly, "2026-02-28T09:00:00Z"), "2026-03-31T09:00:00.000Z");
+  assert.strictEqual(next(monthly, "2026-04-01T00:00:00Z"), "2026-04-30T09:00:00.000Z");
+  assert.strictEqual(next(monthly, "2028-02-01T00:00:00Z"), "2028-02-29T09:00:00.000Z", "leap year");
+});
+
+test("cron weekdays: names, ranges and 7 = Sunday", () => {
+  const cron = (cronExpression) => ({ frequency: "cron", cronExpression, timeZone: "UTC" });
+  // 2026-10-23 is a Friday
+  assert.strictEqual(next(cron("0 9 * * mon-fri"), "2026-10-23T10:00:00Z"), "2026-10-26T09:00:00.000Z");
+  assert.strictEqual(next(cron("0 9 * * 1-5"), "2026-10-23T08:00:00Z"), "2026-10-23T09:00:00.000Z");
+  assert.strictEqual(next(cron("0 9 * * 7"), "2026-10-23T10:00:00Z"), "2026-10-25T09:00:00.000Z");
+  assert.strictEqual(next(cron("0 9 * * SUN"), "2026-10-23T10:00:00Z"), "2026-10-25T09:00:00.000Z");
+  // Both day fields restricted: either one matches (2026-10-01 is a Thursday)
+  assert.strictEqual(next(cron("30 8 1 * mon"), "2026-10-01T09:00:00Z"), "2026-10-05T08:30:00.000Z");
+  // A "*/2" day field is unrestricted as in cron: odd days that are Mondays
+  assert.strictEqual(next(cron("0 9 */2 * 1"), "2026-10-19T10:00:00Z"), "2026-11-09T09:00:00.000Z");
+  assert.strictEqual(next(cron("0 9 1 * */2"), "2026-10-19T10:00:00Z"), "2026-11-01T09:00:00.000Z", "Nov 1 is a Sunday");
+});
+
+test("cron steps on minutes, hours and ranges", () => {
+  const cron = (cronExpression) => ({ frequency: "cron", cronExpression, timeZone: "UTC" });
+  assert.strictEqual(next(cron("*/15 * * * *"), "2026-10-19T10:07:00Z"), "2026-10-19T10:15:00.000Z");
+  assert.strictEqual(next(cron("*/15 * * * *"), "2026-10-19T10:45:00Z"), "2026-10-19T11:00:00.000Z");
+  assert.strictEqual(next(cron("0 */6 * * *"), "2026-10-19T07:00:00Z"), "2026-10-19T12:00:00.000Z");
+  assert.strictEqual(next(cron("0 9-17/4 * * *"), "2026-10-19T13:30:00Z"), "2026-10-19T17:00:00.000Z");
+  assert.strictEqual(next(cron("0 9-17/4 * * *"), "2026-10-19T17:00:00Z"), "2026-10-20T09:00:00.000Z");
+});
+
+test("invalid schedules throw ScheduleError", () => {
+  const bad = [
+    { frequency: "hourly" },
+    { frequency: "daily", sendTime: "25:00", timeZone: "UTC" },
+    { frequency: "daily", timeZone: "Mars/Olympus_Mons" },
+    { frequency: "weekly", dayOfWeek: 7, timeZone: "UTC" },
+    { frequency: "monthly", dayOfMonth: 0, timeZone: "UTC" },
+    { frequency: "cron", cronExpression: "0 9 * *", timeZone: "UTC" },
+    { frequency: "cron", cronExpression: "61 * * * *", timeZone: "UTC" },
+    { frequency: "cron", cronExpression: "*/0 * * * *", timeZone: "UTC" },
+  ];
+  for (const emailSettings of bad) {
+    assert.throws(() => normalizeSchedule(emailSettings), ScheduleError, JSON.stringify(emailSettings));
+  }
+  assert.throws(() => nextRunAfter({ frequency: "cron", cronExpression: "0 0 31 2 *", timeZone: "UTC" }), /never runs/);
+});
+
+test("describeSchedule fills in defaults", () => {
+  assert.strictEqual(describeSchedule({ frequency: "weekly", timeZone: "Asia/Tokyo" }), "weekly on Monday at 09:00 (Asia/Tokyo)");
+  assert.strictEqual(describeSchedule({ frequency: "monthly", dayOfMonth: 31, sendTime: "7:05", timeZone: "UTC" }), "monthly on day 31 at 07:05 (UTC)");
+});
@@ -0,0 +1,83 @@
+// src/webapp/personAccess.js
+//
+// Per-person data access. Alerts, settings, templates and member lists
+// live in people/<personId>/. A request acts for the logged-in user; only
+// admins may name another person (personId in the query, body or path),
+// and each such access is appended to the admin audit log
+// (people/admin-audit.jsonl).
+
+import * as fsSync from "fs";
+import * as path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { readJsonlSync } = require("../shared/jsonlStream.cjs");
+
+// A single path segment: no separators, no leading dot ("..", ".env")
+export function isSafeName(name) {
+  return typeof name === "string" && /^[\w. -]+$/.test(name) && !name.startsWith(".");
+}
+
+// peopleDir holds one folder per person. getUserDir(email) is passed in so
+// this module shares server.js's user lookup; it returns the user's folder
+// (created on first use) or null for an unknown user.
+export function createPersonAccess({ peopleDir, getUserDir, auditPath = path.join(peopleDir, "admin-audit.jsonl") }) {
+  function personDir(personId) {
+    return path.join(peopleDir, personId);
+  }
+
+  // The logged-in user's personId (their folder under people/), or null
+  function sessionPersonId(req) {
+    const userDir = req.session?.user && getUserDir(req.session.user.email);
+    return userDir ? path.basename(userDir) : null;
+  }
+
+  function appendAdminAudit(entry) {
+    fsSync.appendFileSync(auditPath, JSON.stringify(entry) + "\n", "utf8");
+  }
+
+  // Newest first; a torn last line (interrupted append) is skipped
+  function loadAdminAudit() {
+    if (!fsSync.existsSync(auditPath)) return [];
+    return [...readJsonlSync(auditPath, { onError: () => {} })].map((entry) => entry.record).reverse();
+  }
+
+  /**
+   * The personId a request may act for: the logged-in user's own, or
+   * `requested` when it names someone else and the user is an admin (audited).
+   * Otherwise sends 401/403/404 and returns null.
+   */
+  function resolvePerson(req, res, requested) {
+    if (!req.session?.user) {
+      res.status(401).json({ error: "Not authenticated" });
+      return null;
+    }
+    const own = sessionPersonId(req);
+    if (!own) {
+      res.status(404).json({ error: "User directory not found" });
+      return null;
+    }
+    if (!requested || requested === own) return own;
+
+    if (req.session.user.role !== 'admin') {
+      res.status(403).json({ error: "You can only access your own data" });
+      return null;
+    }
+    if (!isSafeName(requested) || !fsSync.existsSync(personDir(requested))) {
+      res.status(404).json({ error: "Person not found" });
+      return null;
+    }
+
+    appendAdminAudit({
+      at: new Date().toISOString(),
+      admin: req.session.user.email,
+      personId: requested,
+      action: `${req.method} ${req.path}`,
+      ...(req.params?.alertId && { alertId: req.params.alertId })
+    });
+    console.log(`🛡️  Admin ${req.session.user.email}: ${req.method} ${req.path} for ${requested}`);
+    return requested;
+  }
+
+  return { personDir, sessionPersonId, loadAdminAudit, resolvePerson };
+}
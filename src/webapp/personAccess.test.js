@@ -0,0 +1,117 @@
+// src/webapp/personAccess.test.js
+//
+// resolvePerson(): users act for themselves, non-admins get 403 for anyone
+// else, and an admin's access to another person is written to the audit log.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createPersonAccess, isSafeName } from "./personAccess.js";
+
+const USERS = {
+  "dana@mit.edu": { folder: "Dana-Director", role: "user" },
+  "ada@mit.edu": { folder: "Ada-Admin", role: "admin" },
+};
+
+// Runs fn(access, auditPath) against a people/ folder holding both users
+function withPeople(fn) {
+  const peopleDir = fs.mkdtempSync(path.join(os.tmpdir(), "person-access-test-"));
+  const { log } = console;
+  console.log = () => {};
+  try {
+    for (const { folder } of Object.values(USERS)) fs.mkdirSync(path.join(peopleDir, folder));
+    const getUserDir = (email) => (USERS[email] ? path.join(peopleDir, USERS[email].folder) : null);
+    fn(createPersonAccess({ peopleDir, getUserDir }), path.join(peopleDir, "admin-audit.jsonl"));
+  } finally {
+    console.log = log;
+    fs.rmSync(peopleDir, { recursive: true, force: true });
+  }
+}
+
+function request(email, { method = "GET", path: reqPath = "/api/alerts", params = {} } = {}) {
+  const session = email ? { user: { email, role: USERS[email]?.role || "user" } } : {};
+  return { session, method, path: reqPath, params };
+}
+
+// Records the status and body sent, like an Express response
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+test("a user acts for themselves, with or without naming their personId", () => {
+  withPeople(({ resolvePerson }, auditPath) => {
+    for (const requested of [undefined, "", "Dana-Director"]) {
+      const res = response();
+      assert.strictEqual(resolvePerson(request("dana@mit.edu"), res, requested), "Dana-Director");
+      assert.strictEqual(res.statusCode, 200);
+    }
+    assert.ok(!fs.existsSync(auditPath), "own data is not audited");
+  });
+});
+
+test("a non-admin gets 403 for another personId, and nothing is audited", () => {
+  withPeople(({ resolvePerson }, auditPath) => {
+    for (const requested of ["Ada-Admin", "No-Such-Person", "../Ada-Admin"]) {
+      const res = response();
+      assert.strictEqual(resolvePerson(request("dana@mit.edu"), res, requested), null);
+      assert.strictEqual(res.statusCode, 403, requested);
+      assert.deepStrictEqual(res.body, { error: "You can only access your own data" });
+    }
+    assert.ok(!fs.existsSync(auditPath));
+  });
+});
+
+test("an admin's access to another person writes one audit line each", () => {
+  withPeople(({ resolvePerson, loadAdminAudit }, auditPath) => {
+    const res = response();
+    const req = request("ada@mit.edu", { method: "DELETE", path: "/api/alerts/a1", params: { alertId: "a1" } });
+    assert.strictEqual(resolvePerson(req, res, "Dana-Director"), "Dana-Director");
+    resolvePerson(request("ada@mit.edu"), response(), "Dana-Director");
+    resolvePerson(request("ada@mit.edu"), response(), "Ada-Admin"); // their own: not audited
+
+    const lines = fs.readFileSync(auditPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(
+      { ...lines[0], at: undefined },
+      { at: undefined, admin: "ada@mit.edu", personId: "Dana-Director", action: "DELETE /api/alerts/a1", alertId: "a1" }
+    );
+    assert.ok(!Number.isNaN(Date.parse(lines[0].at)));
+    assert.deepStrictEqual(loadAdminAudit().map((e) => e.action), ["GET /api/alerts", "DELETE /api/alerts/a1"], "newest first");
+  });
+});
+
+test("an admin naming an unknown or unsafe personId gets 404, unaudited", () => {
+  withPeople(({ resolvePerson }, auditPath) => {
+    for (const requested of ["No-Such-Person", "../Dana-Director", ".hidden"]) {
+      const res = response();
+      assert.strictEqual(resolvePerson(request("ada@mit.edu"), res, requested), null);
+      assert.strictEqual(res.statusCode, 404, requested);
+    }
+    assert.ok(!fs.existsSync(auditPath));
+  });
+});
+
+test("no session is 401 and an unknown user is 404", () => {
+  withPeople(({ resolvePerson }) => {
+    const res = response();
+    assert.strictEqual(resolvePerson(request(null), res, "Dana-Director"), null);
+    assert.strictEqual(res.statusCode, 401);
+
+    const unknown = response();
+    assert.strictEqual(resolvePerson(request("ghost@mit.edu"), unknown), null);
+    assert.strictEqual(unknown.statusCode, 404);
+  });
+});
+
+test("isSafeName accepts single path segments only", () => {
+  for (const name of ["Dana-Director", "alert_1.json", "My Template"]) assert.ok(isSafeName(name), name);
+  for (const name of ["..", ".env", "a/b", "a\\b", "", null]) assert.ok(!isSafeName(name), String(name));
+});
@@ -231,6 +231,15 @@ let currentSubjectLine = ""; // Current subject line
 let lastGenerationParams = null; // Store params for regenerating subject
 let currentSort = "score-desc"; // Current sort order
 
+// Paging state: /api/matches returns one page; "Load more" follows nextCursor
+let searchPageUrl = "";     // the current search's URL, without cursor
+let searchNextCursor = null; // null when every result is loaded
+let searchTotal = 0;        // results on the server for the current search
+
+// Facet sidebar state (filters are applied server-side by /api/matches)
+let activeFacetFilters = {}; // facet -> array of selected values
+let lastFacetPhrase = "";    // a new phrase clears the facet selection
+
 // Date-range filter state (applies to whatever date field the current sort uses)
 let currentDateRange = { from: "", to: "" }; // YYYY-MM-DD strings (or "")
 
@@ -354,7 +363,7 @@ function showSmartMatchDialog(matches) {
     checkbox.type = "checkbox";
     checkbox.className = "match-item-checkbox";
     checkbox.checked = true; // Default to checked
-    checkbox.dataset.url = match.url; // Store URL for later
+    checkbox.dataset.id = match.id || ""; // Store record ID for later
     
     // Container for title and reason
     const content = document.createElement("div");
@@ -363,6 +372,7 @@ function showSmartMatchDialog(matches) {
     const title = document.createElement("div");
     title.className = "match-item-title";
     title.textContent = `${idx + 1}. ${match.title}`;
+    if (match.relevanceScore != null) title.textContent += ` (${match.relevanceScore}/10)`;
     
     const reason = document.createElement("div");
     reason.className = "match-item-reason";
@@ -389,8 +399,8 @@ function showSmartMatchDialog(matches) {
     const selectedMatches = [];
     checkboxes.forEach((checkbox) => {
       if (checkbox.checked) {
-        // Find the original match by URL
-        const match = matches.find(m => m.url === checkbox.dataset.url);
+        // Find the original match by record ID
+        const match = matches.find(m => m.id === checkbox.dataset.id);
         if (match) selectedMatches.push(match);
       }
     });
@@ -422,26 +432,18 @@ function checkMatchedBoxes(matches) {
     return;
   }
 
-  // Normalize URL for comparison (trim whitespace, handle encoding)
-  const normalizeUrl = (url) => {
-    if (!url) return "";
-    return url.trim();
-  };
-
-  // Extract URLs from matches and create a Set for fast lookup
-  const matchedUrls = matches.map(m => normalizeUrl(m.url));
-  const matchedUrlSet = new Set(matchedUrls);
-  console.log("🔍 checkMatchedBoxes - matchedUrls:", matchedUrls.length, "items");
+  // Extract record IDs from matches
+  const matchedIds = matches.map(m => m.id || "");
+  console.log("🔍 checkMatchedBoxes - matchedIds:", matchedIds.length, "items");
 
   let checkedCount = 0;
   const boxes = container.querySelectorAll("input.article-select");
   console.log("🔍 Total checkboxes in results:", boxes.length);
 
-  // Build a map of normalized box URLs for reverse lookup
-  const boxUrlMap = new Map();
+  // Map box record IDs for reverse lookup
+  const boxIdMap = new Map();
   boxes.forEach((box) => {
-    const normalizedUrl = normalizeUrl(box.dataset.url);
-    boxUrlMap.set(normalizedUrl, box);
+    boxIdMap.set(box.dataset.id, box);
   });
 
   // FIRST: Deselect all boxes
@@ -450,25 +452,25 @@ function checkMatchedBoxes(matches) {
   });
 
   // THEN: Select boxes that match
-  const unmatchedUrls = [];
-  matchedUrls.forEach((url) => {
-    const box = boxUrlMap.get(url);
+  const unmatchedIds = [];
+  matchedIds.forEach((id) => {
+    const box = boxIdMap.get(id);
     if (box) {
       box.checked = true;
       checkedCount++;
     } else {
-      unmatchedUrls.push(url);
+      unmatchedIds.push(id);
     }
   });
 
-  // Log unmatched URLs for debugging
-  if (unmatchedUrls.length > 0) {
-    console.warn(`⚠️ ${unmatchedUrls.length} URLs from Smart Match not found in results:`);
-    unmatchedUrls.forEach(url => console.warn("   Missing:", url));
+  // Log unmatched IDs for debugging
+  if (unmatchedIds.length > 0) {
+    console.warn(`⚠️ ${unmatchedIds.length} items from Smart Match not found in results:`);
+    unmatchedIds.forEach(id => console.warn("   Missing:", id));
   }
 
   showStatus(`Smart Match complete: ${checkedCount} items selected.`);
-  console.log(`✅ Checked ${checkedCount} of ${matchedUrls.length} matched boxes`);
+  console.log(`✅ Checked ${checkedCount} of ${matchedIds.length} matched boxes`);
 }
 
 function createArticleCard(article, index) {
@@ -557,7 +559,7 @@ function createArticleCard(article, index) {
   const checkbox = document.createElement("input");
   checkbox.type = "checkbox";
   checkbox.className = "article-select";
-  checkbox.dataset.url = article.url || "";  // Store URL instead of index
+  checkbox.dataset.id = article.id || "";  // Store record ID instead of index
 
   const label = document.createElement("span");
   label.textContent = " Include in email";
@@ -573,6 +575,32 @@ function createArticleCard(article, index) {
     card.appendChild(keywordsDiv);
   }
   card.appendChild(tagsDiv);
+
+  // Highlighted snippets (server-escaped HTML with <mark> around matches)
+  if (Array.isArray(article.snippets) && article.snippets.length > 0) {
+    const snippetsDiv = document.createElement("div");
+    snippetsDiv.className = "article-snippets";
+    article.snippets.forEach((snippet) => {
+      const row = document.createElement("div");
+      row.className = "article-snippet";
+      if (snippet.timestamp) {
+        const time = document.createElement(snippet.url ? "a" : "span");
+        time.className = "snippet-time";
+        time.textContent = `▶ ${snippet.timestamp}`;
+        if (snippet.url) {
+          time.href = snippet.url;
+          time.target = "_blank";
+          time.rel = "noopener noreferrer";
+        }
+        row.appendChild(time);
+      }
+      const text = document.createElement("span");
+      text.innerHTML = snippet.text;
+      row.appendChild(text);
+      snippetsDiv.appendChild(row);
+    });
+    card.appendChild(snippetsDiv);
+  }
   
   // Add event details for future_event items
   if (article.kind === 'future_event') {
@@ -734,16 +762,153 @@ function renderMatches(matches) {
     container.appendChild(card);
   });
 
+  if (searchNextCursor) {
+    const loadMoreBtn = document.createElement("button");
+    loadMoreBtn.id = "loadMoreBtn";
+    loadMoreBtn.textContent = `Load more (${lastRawResults.length} of ${searchTotal} loaded)`;
+    loadMoreBtn.addEventListener("click", loadMoreMatches);
+    container.appendChild(loadMoreBtn);
+  }
+
   // If a date range is active, make that clear in the status line.
   const activeField = getActiveDateFieldForSort(currentSort);
   const hasRange = !!(currentDateRange.from || currentDateRange.to);
+  const found = searchNextCursor ? `${searchTotal} item(s), showing ${lastResults.length}` : `${lastResults.length} item(s)`;
   if (activeField && hasRange) {
-    showStatus(`Found ${lastResults.length} item(s) (filtered by ${activeField} date).`);
+    showStatus(`Found ${found} (filtered by ${activeField} date).`);
   } else {
-    showStatus(`Found ${lastResults.length} item(s).`);
+    showStatus(`Found ${found}.`);
+  }
+}
+
+// Fetch the next page of the current search and add it to the results
+async function loadMoreMatches() {
+  if (!searchNextCursor) return;
+  showProgress("Loading more results...");
+
+  try {
+    const url = `${searchPageUrl}&cursor=${encodeURIComponent(searchNextCursor)}`;
+    console.log("➡️ Fetching:", url);
+    const res = await fetch(url);
+    if (!res.ok) {
+      const errBody = await res.json().catch(() => ({}));
+      throw new Error(errBody.details || `Server error: ${res.status}`);
+    }
+
+    const data = await res.json();
+    console.log("⬅️ Received:", data.matches?.length, "more matches");
+    searchNextCursor = data.nextCursor || null;
+    renderMatches([...lastRawResults, ...(data.matches || [])]);
+  } catch (err) {
+    console.error("Load more error:", err);
+    showStatus("Search error: " + err.message);
+  } finally {
+    hideProgress();
+  }
+}
+
+const FACET_LABELS = {
+  kind: "Type",
+  source: "Source",
+  year: "Year",
+  mitGroups: "MIT Group",
+  industries: "Industry",
+  dlc: "DLC",
+};
+
+function toggleFacetValue(facet, value) {
+  const values = activeFacetFilters[facet] || [];
+  const next = values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+  if (next.length) activeFacetFilters[facet] = next;
+  else delete activeFacetFilters[facet];
+  handleSearchClick();
+}
+
+function renderFacets(facets) {
+  const sidebar = document.getElementById("facetSidebar");
+  if (!sidebar) return;
+
+  sidebar.innerHTML = "";
+  if (!facets) {
+    sidebar.style.display = "none";
+    return;
+  }
+  sidebar.style.display = "block";
+
+  if (Object.keys(activeFacetFilters).length > 0) {
+    const clear = document.createElement("a");
+    clear.href = "#";
+    clear.className = "facet-clear";
+    clear.textContent = "Clear filters";
+    clear.addEventListener("click", (e) => {
+      e.preventDefault();
+      activeFacetFilters = {};
+      handleSearchClick();
+    });
+    sidebar.appendChild(clear);
+  }
+
+  for (const [facet, label] of Object.entries(FACET_LABELS)) {
+    const values = facets[facet] || [];
+    if (!values.length) continue;
+
+    const section = document.createElement("div");
+    section.className = "facet-section";
+    const heading = document.createElement("div");
+    heading.className = "facet-heading";
+    heading.textContent = label;
+    section.appendChild(heading);
+
+    values.forEach(({ value, count, selected }) => {
+      const row = document.createElement("a");
+      row.href = "#";
+      row.className = selected ? "facet-value selected" : "facet-value";
+      row.textContent = `${value} (${count})`;
+      row.title = selected ? "Remove filter" : "Filter by this value";
+      row.addEventListener("click", (e) => {
+        e.preventDefault();
+        toggleFacetValue(facet, value);
+      });
+      section.appendChild(row);
+    });
+
+    sidebar.appendChild(section);
   }
 }
 
+// "Did you mean" links (and a note when only approximate matches were found)
+function renderSuggestions(suggestions, fuzzy) {
+  const el = document.getElementById("searchSuggestions");
+  if (!el) return;
+  el.innerHTML = "";
+
+  if (fuzzy) {
+    const note = document.createElement("div");
+    note.textContent = "No exact matches — showing approximate matches.";
+    note.style.color = "#666";
+    el.appendChild(note);
+  }
+
+  if (!Array.isArray(suggestions) || suggestions.length === 0) return;
+
+  const line = document.createElement("div");
+  line.appendChild(document.createTextNode("Did you mean: "));
+  suggestions.forEach((suggestion, i) => {
+    if (i > 0) line.appendChild(document.createTextNode(", "));
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = suggestion;
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      const phraseEl = document.getElementById("phraseInput");
+      if (phraseEl) phraseEl.value = suggestion;
+      handleSearchClick();
+    });
+    line.appendChild(link);
+  });
+  el.appendChild(line);
+}
+
 function getSelectedArticles() {
   const container = document.getElementById("resultsContainer");
   if (!container) return [];
@@ -751,17 +916,17 @@ function getSelectedArticles() {
   // Get all checked checkboxes
   const boxes = container.querySelectorAll("input.article-select:checked");
   
-  // Build a set of selected URLs for fast lookup
-  const selectedUrls = new Set();
+  // Build a set of selected record IDs for fast lookup
+  const selectedIds = new Set();
   boxes.forEach((box) => {
-    const url = box.dataset.url;
-    if (url) selectedUrls.add(url);
+    const id = box.dataset.id;
+    if (id) selectedIds.add(id);
   });
   
   // Filter lastResults (which is already sorted correctly)
   // The filter preserves order, so selected articles will be in display order
   const selectedArticles = lastResults.filter(article => 
-    selectedUrls.has(article.url)
+    selectedIds.has(article.id)
   );
   
   console.log(`📋 Selected ${selectedArticles.length} articles in ${currentSort} order`);
@@ -826,7 +991,12 @@ async function handleSearchClick() {
     }
   }
 
-  console.log("🔍 Search params:", { phrase, minScore, dateFrom, dateTo, selectedKinds });
+  if (phrase !== lastFacetPhrase) {
+    activeFacetFilters = {};
+    lastFacetPhrase = phrase;
+  }
+
+  console.log("🔍 Search params:", { phrase, minScore, dateFrom, dateTo, selectedKinds, facets: activeFacetFilters });
 
   showStatus("Searching...");
   showProgress("Searching for matches...");
@@ -843,36 +1013,36 @@ async function handleSearchClick() {
       url += `&dateTo=${encodeURIComponent(dateTo)}`;
     }
 
+    // Content types are filtered on the server, before facets are counted
+    selectedKinds.forEach((kind) => {
+      url += `&contentTypes=${encodeURIComponent(kind)}`;
+    });
+
+    // Facet selections (repeatable params)
+    for (const [facet, values] of Object.entries(activeFacetFilters)) {
+      values.forEach((value) => {
+        url += `&${facet}=${encodeURIComponent(value)}`;
+      });
+    }
+
     console.log("➡️ Fetching:", url);
     const res = await fetch(url);
     
     if (!res.ok) {
-      throw new Error(`Server error: ${res.status}`);
+      // 400 = malformed query; the server says where it went wrong
+      const errBody = await res.json().catch(() => ({}));
+      throw new Error(errBody.details || `Server error: ${res.status}`);
     }
 
-    let matches = await res.json();
+    const data = await res.json();
+    const matches = Array.isArray(data) ? data : data.matches || [];
     console.log("⬅️ Received:", matches?.length, "matches");
+    searchPageUrl = url;
+    searchNextCursor = data.nextCursor || null;
+    searchTotal = data.total ?? matches.length;
+    renderFacets(data.facets);
+    renderSuggestions(data.suggestions, data.fuzzy);
     
-    // Filter by selected kinds if any are selected
-    if (selectedKinds.length > 0) {
-      matches = matches.filter(article => {
-        const articleKind = (article.kind || '').toLowerCase();
-        
-        // Special handling: "event" checkbox maps to "future_event" kind
-        for (const selectedKind of selectedKinds) {
-          if (selectedKind === 'event' && articleKind === 'future_event') {
-            return true;
-          }
-          if (selectedKind === articleKind) {
-            return true;
-          }
-        }
-        
-        return false;
-      });
-      console.log(`🔍 Filtered to ${matches.length} articles with kinds:`, selectedKinds);
-    }
-
     renderMatches(matches);
   } catch (err) {
     console.error("Search error:", err);
@@ -1379,6 +1549,7 @@ async function handleSmartMatch() {
 
     // Prepare articles for matching (include location for geographic matching)
     const articlesForMatching = lastResults.map(a => ({
+      id: a.id,
       url: a.url,
       title: a.title,
       kind: a.kind,
@@ -1405,7 +1576,8 @@ async function handleSmartMatch() {
     });
 
     if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `API error: ${response.status}`);
     }
 
     const data = await response.json();
@@ -1416,6 +1588,12 @@ async function handleSmartMatch() {
 
     hideProgress();
 
+    // The AI step failed but the ILP/STEX events were still auto-included
+    if (data.aiError) {
+      if (matches.length === 0) throw new Error(data.aiError);
+      showStatus(`AI selection failed (${data.aiError}); showing the ILP/STEX events only.`);
+    }
+
     if (matches.length === 0) {
       showStatus("Smart Match found no relevant items.");
       alert("No relevant matches found. Try a different search or member.");
@@ -1584,7 +1762,10 @@ async function handleSaveAlert() {
     emailSettings: {
       recipientEmail: alertEmail,
       frequency: alertFrequency,
-      sendTime: alertSendTime
+      sendTime: alertSendTime,
+      // Weekly alerts go out on Mondays, monthly ones on the 1st (the alert
+      // creator page offers other days and cron schedules)
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
     },
     useSmartMatch,
     relevanceThreshold,
@@ -2,11 +2,12 @@
 // MIT Brain Alert Creator - JavaScript
 // =============================================================================
 
-// Get personId from URL or localStorage
+// personId in the URL lets admins open someone else's alerts;
+// everyone else works on their own (the server enforces this)
 const urlParams = new URLSearchParams(window.location.search);
-let personId = urlParams.get('personId') || localStorage.getItem('currentPersonId');
+let personId = urlParams.get('personId');
 
-// Auto-detect personId if not set
+// Default to the logged-in user
 async function detectPersonId() {
   if (personId) {
     console.log('📋 Using personId:', personId);
@@ -14,22 +15,21 @@ async function detectPersonId() {
   }
   
   try {
-    const response = await fetch('/api/people');
-    const people = await response.json();
+    const response = await fetch('/api/me');
+    const data = await response.json();
     
-    if (people && people.length > 0) {
-      personId = people[0].id;
-      localStorage.setItem('currentPersonId', personId);
-      console.log('📋 Auto-detected personId:', personId);
+    if (data.user?.personId) {
+      personId = data.user.personId;
+      console.log('📋 Logged-in personId:', personId);
       return personId;
     }
   } catch (err) {
     console.error('❌ Error detecting personId:', err);
   }
   
-  // Fallback
-  personId = 'default';
-  console.warn('⚠️  Using default personId');
+  // Fallback: an empty personId means the session's user to the server
+  personId = '';
+  console.warn('⚠️  personId unknown, leaving it to the server');
   return personId;
 }
 
@@ -39,6 +39,8 @@ const memberSelect = document.getElementById('memberSelect');
 const smartMatchToggle = document.getElementById('smartMatchToggle');
 const smartMatchCheckbox = document.getElementById('useSmartMatch');
 const smartMatchWarning = document.getElementById('smartMatchWarning');
+const thresholdGroup = document.getElementById('thresholdGroup');
+const thresholdInput = document.getElementById('relevanceThreshold');
 const loadingOverlay = document.getElementById('loadingOverlay');
 const successModal = document.getElementById('successModal');
 const cancelBtn = document.getElementById('cancelBtn');
@@ -105,8 +107,18 @@ function setupEventListeners() {
       smartMatchToggle.classList.remove('active');
       smartMatchWarning.style.display = 'block';
     }
+    // Scores only exist with Smart Match
+    thresholdGroup.style.display = this.checked ? 'block' : 'none';
   });
   
+  thresholdInput.addEventListener('input', function() {
+    document.getElementById('thresholdValue').textContent = this.value;
+  });
+  
+  // Schedule fields follow the frequency
+  document.getElementById('frequency').addEventListener('change', updateScheduleFields);
+  document.getElementById('timeZone').placeholder = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  
   // Form submission
   form.addEventListener('submit', handleSubmit);
   
@@ -166,7 +178,7 @@ async function handleSubmit(e) {
     
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'Failed to create alert');
+      throw new Error(error.details ? `${error.error}: ${error.details}` : error.error || 'Failed to create alert');
     }
     
     const result = await response.json();
@@ -226,6 +238,13 @@ function validateForm() {
     return false;
   }
   
+  // Full cron syntax is checked by the server
+  if (document.getElementById('frequency').value === 'cron' && !document.getElementById('cronExpression').value.trim()) {
+    alert('Please enter a cron expression');
+    document.getElementById('cronExpression').focus();
+    return false;
+  }
+  
   // Check at least one content type selected
   const contentTypes = Array.from(document.querySelectorAll('input[name="contentTypes"]:checked'));
   if (contentTypes.length === 0) {
@@ -260,12 +279,41 @@ function getFormData() {
     },
     emailSettings: {
       recipientEmail: document.getElementById('recipientEmail').value.trim(),
-      frequency: document.getElementById('frequency').value
+      ...getScheduleSettings()
     },
-    useSmartMatch: smartMatchCheckbox.checked
+    useSmartMatch: smartMatchCheckbox.checked,
+    relevanceThreshold: Number(thresholdInput.value)
   };
 }
 
+// Only the fields the chosen frequency uses (see alertSchedule.js on the server)
+function getScheduleSettings() {
+  const frequency = document.getElementById('frequency').value;
+  const settings = {
+    frequency,
+    timeZone: document.getElementById('timeZone').value.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone
+  };
+  
+  if (frequency === 'cron') {
+    settings.cronExpression = document.getElementById('cronExpression').value.trim();
+    return settings;
+  }
+  
+  settings.sendTime = document.getElementById('sendTime').value || '09:00';
+  if (frequency === 'weekly') settings.dayOfWeek = Number(document.getElementById('dayOfWeek').value);
+  if (frequency === 'monthly') settings.dayOfMonth = Number(document.getElementById('dayOfMonth').value);
+  return settings;
+}
+
+// Show the schedule fields for the chosen frequency
+function updateScheduleFields() {
+  const frequency = document.getElementById('frequency').value;
+  document.getElementById('dayOfWeekGroup').style.display = frequency === 'weekly' ? 'block' : 'none';
+  document.getElementById('dayOfMonthGroup').style.display = frequency === 'monthly' ? 'block' : 'none';
+  document.getElementById('sendTimeGroup').style.display = frequency === 'cron' ? 'none' : 'block';
+  document.getElementById('cronExpressionGroup').style.display = frequency === 'cron' ? 'block' : 'none';
+}
+
 // =============================================================================
 // Test Alert
 // =============================================================================
@@ -341,6 +389,7 @@ function saveDraft() {
     minScore: document.getElementById('minScore').value,
     recipientEmail: document.getElementById('recipientEmail').value,
     useSmartMatch: smartMatchCheckbox.checked,
+    relevanceThreshold: thresholdInput.value,
     timestamp: new Date().toISOString()
   };
   
@@ -363,6 +412,8 @@ function loadDraft() {
         document.getElementById('minScore').value = data.minScore || '1.0';
         document.getElementById('recipientEmail').value = data.recipientEmail || '';
         smartMatchCheckbox.checked = data.useSmartMatch !== false;
+        thresholdInput.value = data.relevanceThreshold || '7';
+        document.getElementById('thresholdValue').textContent = thresholdInput.value;
         
         console.log('Loaded draft from localStorage');
       }
@@ -2,11 +2,12 @@
 // MIT Brain Alerts Dashboard - JavaScript
 // =============================================================================
 
-// Get personId from URL or localStorage
+// personId in the URL lets admins open someone else's alerts;
+// everyone else works on their own (the server enforces this)
 const urlParams = new URLSearchParams(window.location.search);
-let personId = urlParams.get('personId') || localStorage.getItem('currentPersonId');
+let personId = urlParams.get('personId');
 
-// Auto-detect personId if not set
+// Default to the logged-in user
 async function detectPersonId() {
   if (personId) {
     console.log('📋 Using personId:', personId);
@@ -14,22 +15,21 @@ async function detectPersonId() {
   }
   
   try {
-    const response = await fetch('/api/people');
-    const people = await response.json();
+    const response = await fetch('/api/me');
+    const data = await response.json();
     
-    if (people && people.length > 0) {
-      personId = people[0].id;
-      localStorage.setItem('currentPersonId', personId);
-      console.log('📋 Auto-detected personId:', personId);
+    if (data.user?.personId) {
+      personId = data.user.personId;
+      console.log('📋 Logged-in personId:', personId);
       return personId;
     }
   } catch (err) {
     console.error('❌ Error detecting personId:', err);
   }
   
-  // Fallback
-  personId = 'default';
-  console.warn('⚠️  Using default personId');
+  // Fallback: an empty personId means the session's user to the server
+  personId = '';
+  console.warn('⚠️  personId unknown, leaving it to the server');
   return personId;
 }
 
@@ -42,10 +42,17 @@ const deleteModal = document.getElementById('deleteModal');
 const deleteAlertName = document.getElementById('deleteAlertName');
 const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
 const cancelDeleteBtn = document.getElementById('cancelDeleteBtn');
+const historyModal = document.getElementById('historyModal');
+const historyTimeline = document.getElementById('historyTimeline');
+const historyMoreBtn = document.getElementById('historyMoreBtn');
 
 // State
 let alerts = [];
 let alertToDelete = null;
+let historyAlertId = null;
+let historyOffset = 0;
+
+const HISTORY_PAGE_SIZE = 20;
 
 // =============================================================================
 // Initialize
@@ -78,6 +85,13 @@ function setupEventListeners() {
   });
   
   confirmDeleteBtn.addEventListener('click', handleDelete);
+  
+  document.getElementById('closeHistoryBtn').addEventListener('click', function() {
+    historyModal.style.display = 'none';
+    historyAlertId = null;
+  });
+  
+  historyMoreBtn.addEventListener('click', () => loadRunHistory(false));
 }
 
 // =============================================================================
@@ -120,6 +134,20 @@ function updateSummaryCards() {
   
   document.getElementById('totalAlerts').textContent = activeAlerts;
   document.getElementById('todayMatches').textContent = totalMatches;
+  
+  // Soonest scheduled run among active alerts
+  const nextRuns = alerts
+    .filter(a => a.active && a.metadata?.nextRunAt)
+    .map(a => new Date(a.metadata.nextRunAt))
+    .sort((a, b) => a - b);
+  document.getElementById('nextDigest').textContent = nextRuns.length > 0
+    ? nextRuns[0].toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+    : '—';
+  
+  const frequencies = [...new Set(alerts.filter(a => a.active).map(a => a.emailSettings?.frequency || 'daily'))];
+  document.getElementById('frequencySummary').textContent = frequencies.length === 1
+    ? frequencies[0].charAt(0).toUpperCase() + frequencies[0].slice(1)
+    : frequencies.length > 1 ? 'Mixed' : '—';
 }
 
 // =============================================================================
@@ -166,6 +194,9 @@ function createAlertCard(alert) {
     ? new Date(alert.metadata.lastRunAt).toLocaleString()
     : 'Never';
   const matchCount = alert.metadata?.lastMatchCount || 0;
+  const nextRun = isActive && alert.metadata?.nextRunAt
+    ? new Date(alert.metadata.nextRunAt).toLocaleString()
+    : null;
   
   const contentTypes = alert.searchParams?.contentTypes || [];
   const contentTypeTags = contentTypes.map(type => 
@@ -181,6 +212,10 @@ function createAlertCard(alert) {
             <span class="status-badge ${isActive ? 'active' : 'paused'}">
               ${isActive ? 'Active' : 'Paused'}
             </span>
+            ${alert.metadata?.phraseError ? `
+            <span class="status-badge invalid" title="${escapeHtml(alert.metadata.phraseError)}">
+              Invalid phrase
+            </span>` : ''}
           </h3>
           <div class="alert-meta">
             Company: <strong>${alert.memberName}</strong> | 
@@ -191,6 +226,9 @@ function createAlertCard(alert) {
           <button class="btn-icon" data-action="run" data-alert-id="${alert.alertId}" title="Run Now">
             ▶️
           </button>
+          <button class="btn-icon" data-action="history" data-alert-id="${alert.alertId}" title="Run History">
+            🕘
+          </button>
           <button class="btn-icon" data-action="toggle" data-alert-id="${alert.alertId}" title="${isActive ? 'Pause' : 'Resume'}">
             ${isActive ? '⏸️' : '▶️'}
           </button>
@@ -209,11 +247,15 @@ function createAlertCard(alert) {
           <div class="detail-label">Content Types:</div>
           <div class="detail-value">${contentTypeTags || 'All types'}</div>
         </div>
+        <div class="detail-row">
+          <div class="detail-label">Schedule:</div>
+          <div class="detail-value">${describeSchedule(alert.emailSettings)}</div>
+        </div>
         <div class="detail-row">
           <div class="detail-label">Smart Match:</div>
           <div class="detail-value">
             ${alert.useSmartMatch 
-              ? '<span class="check-icon">✓</span> Enabled' 
+              ? `<span class="check-icon">✓</span> Enabled (score ≥ ${alert.relevanceThreshold ?? 7}/10)` 
               : '<span class="x-icon">✗</span> Disabled'}
           </div>
         </div>
@@ -234,15 +276,34 @@ function createAlertCard(alert) {
           <div class="activity-item">
             <span class="activity-highlight">${matchCount} matches found</span>
           </div>
+          ${nextRun ? `<div class="activity-item">Next run: <strong>${nextRun}</strong></div>` : ''}
         </div>
         <div class="activity-note">
-          📧 Included in daily digest to ${alert.emailSettings?.recipientEmail}
+          📧 Included in the digest to ${alert.emailSettings?.recipientEmail}
         </div>
       </div>
     </div>
   `;
 }
 
+// "Weekly on Monday at 09:00 (Europe/London)" - same fields as alertSchedule.js on the server
+function describeSchedule(settings = {}) {
+  const zone = settings.timeZone ? ` (${escapeHtml(settings.timeZone)})` : '';
+  const time = settings.sendTime || '09:00';
+  const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  
+  switch (settings.frequency) {
+    case 'cron':
+      return `Cron <code>${escapeHtml(settings.cronExpression)}</code>${zone}`;
+    case 'weekly':
+      return `Weekly on ${weekdays[settings.dayOfWeek ?? 1]} at ${time}${zone}`;
+    case 'monthly':
+      return `Monthly on day ${settings.dayOfMonth ?? 1} at ${time}${zone}`;
+    default:
+      return `Daily at ${time}${zone}`;
+  }
+}
+
 // =============================================================================
 // Attach Alert Action Listeners
 // =============================================================================
@@ -254,8 +315,10 @@ function attachAlertListeners(alertId) {
   const runBtn = card.querySelector('[data-action="run"]');
   const toggleBtn = card.querySelector('[data-action="toggle"]');
   const deleteBtn = card.querySelector('[data-action="delete"]');
+  const historyBtn = card.querySelector('[data-action="history"]');
   
   if (runBtn) runBtn.addEventListener('click', () => handleRun(alertId));
+  if (historyBtn) historyBtn.addEventListener('click', () => showHistoryModal(alertId));
   if (toggleBtn) toggleBtn.addEventListener('click', () => handleToggle(alertId));
   if (deleteBtn) deleteBtn.addEventListener('click', () => showDeleteModal(alertId));
 }
@@ -284,7 +347,10 @@ async function handleRun(alertId) {
     
     const result = await response.json();
     
-    alert(`Alert run complete!\n\nFound ${result.matchCount} matches.\nEmail ${result.emailSent ? 'sent' : 'not sent'}.`);
+    const smartMatchNote = result.smartMatchError
+      ? `\n\nSmart Match failed (${result.smartMatchError}); all new articles were included.`
+      : '';
+    alert(`Alert run complete!\n\nFound ${result.matchCount} matches.\nEmail ${result.emailSent ? 'sent' : 'not sent'}.${smartMatchNote}`);
     
     loadAlerts(); // Refresh
     
@@ -360,4 +426,109 @@ async function handleDelete() {
   }
 }
 
+// =============================================================================
+// Run History
+// =============================================================================
+
+function showHistoryModal(alertId) {
+  const alert = alerts.find(a => a.alertId === alertId);
+  if (!alert) return;
+  
+  historyAlertId = alertId;
+  document.getElementById('historyAlertName').textContent = alert.alertName;
+  historyModal.style.display = 'flex';
+  loadRunHistory(true);
+}
+
+async function loadRunHistory(reset) {
+  if (reset) {
+    historyOffset = 0;
+    historyTimeline.innerHTML = '<div class="loading-state"><div class="loading-spinner"></div></div>';
+  }
+  
+  try {
+    const response = await fetch(
+      `/api/alerts/${historyAlertId}/runs?personId=${encodeURIComponent(personId)}&limit=${HISTORY_PAGE_SIZE}&offset=${historyOffset}`
+    );
+    
+    if (!response.ok) {
+      throw new Error('Failed to load run history');
+    }
+    
+    const data = await response.json();
+    if (reset) historyTimeline.innerHTML = '';
+    
+    if (data.total === 0) {
+      historyTimeline.innerHTML = '<p style="color: #7f8c8d;">This alert has not run yet.</p>';
+    } else {
+      historyTimeline.insertAdjacentHTML('beforeend', data.runs.map(createRunEntry).join(''));
+    }
+    
+    historyOffset += data.runs.length;
+    historyMoreBtn.style.display = historyOffset < data.total ? 'inline-block' : 'none';
+    
+  } catch (error) {
+    console.error('Error loading run history:', error);
+    historyTimeline.innerHTML = `<p style="color: #e74c3c;">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+const TRIGGER_LABELS = { scheduled: 'Scheduled', manual: 'Run now', admin: 'Admin run' };
+
+const EMAIL_LABELS = {
+  sent: 'Email sent',
+  failed: 'Email failed',
+  not_configured: 'Email not configured',
+  skipped: 'No email (nothing new)'
+};
+
+function createRunEntry(run) {
+  const matches = run.matches || [];
+  const state = run.error ? 'failed' : matches.length === 0 ? 'no-matches' : '';
+  const email = run.email || {};
+  const emailLabel = EMAIL_LABELS[email.status] || 'Email pending';
+  const digestUrl = `/api/alerts/${encodeURIComponent(run.alertId)}/runs/${encodeURIComponent(run.runId)}/digest?personId=${encodeURIComponent(personId)}`;
+  
+  const smartMatch = run.smartMatch === 'used' ? 'Smart Match'
+    : run.smartMatch === 'unavailable' ? 'Smart Match unavailable'
+    : 'No Smart Match';
+  
+  return `
+    <div class="run-entry ${state}">
+      <div class="run-when">
+        ${new Date(run.startedAt).toLocaleString()}
+        <span class="run-status">${TRIGGER_LABELS[run.trigger] || run.trigger}</span>
+        <span class="run-status ${email.status === 'sent' ? 'sent' : email.status === 'failed' ? 'failed' : ''}">
+          ${emailLabel}${email.digest ? ' (digest)' : ''}
+        </span>
+      </div>
+      <div class="run-summary">
+        ${matches.length} sent of ${run.newArticles ?? 0} new / ${run.searchMatches ?? 0} matching · ${smartMatch}
+        ${run.belowThreshold ? ` · ${run.belowThreshold} below ${run.relevanceThreshold}/10` : ''}
+        ${email.recipient ? ` · to ${escapeHtml(email.recipient)}` : ''}
+      </div>
+      ${run.error ? `<div class="run-error">❌ ${escapeHtml(run.error)}</div>` : ''}
+      ${run.smartMatchError ? `<div class="run-error">⚠️ Smart Match failed: ${escapeHtml(run.smartMatchError)}</div>` : ''}
+      ${matches.length > 0 ? `
+        <details class="run-matches">
+          <summary>${matches.length} item${matches.length === 1 ? '' : 's'} · <a href="${digestUrl}" target="_blank" rel="noopener">Open digest ↗</a></summary>
+          <ul>
+            ${matches.map(m => `
+              <li>
+                <a href="${escapeHtml(m.url)}" target="_blank" rel="noopener">${escapeHtml(m.title)}</a>
+                ${m.relevanceScore != null ? ` <strong>${m.relevanceScore}/10</strong>` : ''}
+                <span class="run-reason">${escapeHtml(m.reason)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 console.log('Alerts Dashboard JS loaded');
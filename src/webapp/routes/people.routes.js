@@ -1,7 +1,10 @@
 // src/webapp/routes/people.routes.js
 import express from "express";
+import { analyze, words, compileTerm, matchesTokens } from "../search/textMatch.js";
+import { fuzzyVariants, suggestCorrections } from "../search/fuzzy.js";
 
-export default function peopleRouter({ articles }) {
+// Getters rather than values so results follow /api/reload
+export default function peopleRouter({ getArticles, getSearchIndex }) {
   const router = express.Router();
 
   // Search MIT People
@@ -16,13 +19,21 @@ export default function peopleRouter({ articles }) {
         });
       }
 
-      const query = q.trim().toLowerCase();
+      // Whole words, stemmed, plus synonyms (same rules as /api/matches).
+      // termLists holds one variant list per required term; every term has
+      // to match somewhere in the person's fields.
+      const index = getSearchIndex();
+      let termLists = [compileTerm(q.trim(), index?.synonyms)];
+      const fieldMatches = (value) => {
+        const tokens = analyze(value);
+        return termLists.every((variants) => matchesTokens(tokens, variants));
+      };
 
       // Filter for people only
-      const people = articles.filter(a => a.kind === "person");
+      const people = getArticles().filter(a => a.kind === "person");
 
       // Search across multiple fields
-      const matches = people.filter(person => {
+      const personMatches = (person) => {
         const searchFields = [
           person.title,
           person.firstName,
@@ -35,19 +46,30 @@ export default function peopleRouter({ articles }) {
           person.email,
           ...(person.ilpKeywords || []),
           ...(person.tags || [])
-        ].filter(Boolean).map(field => String(field).toLowerCase());
-
-        return searchFields.some(field => field.includes(query));
-      });
+        ].filter(Boolean).map(analyze);
+
+        return termLists.every((variants) => searchFields.some((tokens) => matchesTokens(tokens, variants)));
+      };
+
+      let matches = people.filter(personMatches);
+
+      // Nothing exact: each word may be misspelled and in any order
+      // ("Rus Daniella"), see search/fuzzy.js
+      let fuzzy = false;
+      if (matches.length === 0 && index) {
+        termLists = words(q).map((word) => fuzzyVariants(index, word));
+        if (termLists.length > 0 && termLists.every((variants) => variants.length > 0)) {
+          matches = people.filter(personMatches);
+          fuzzy = matches.length > 0;
+        }
+      }
 
       // Sort by relevance (title/name matches first)
       matches.sort((a, b) => {
-        const aName = `${a.firstName} ${a.lastName}`.toLowerCase();
-        const bName = `${b.firstName} ${b.lastName}`.toLowerCase();
-        const aTitleMatch = a.title?.toLowerCase().includes(query);
-        const bTitleMatch = b.title?.toLowerCase().includes(query);
-        const aNameMatch = aName.includes(query);
-        const bNameMatch = bName.includes(query);
+        const aTitleMatch = fieldMatches(a.title);
+        const bTitleMatch = fieldMatches(b.title);
+        const aNameMatch = fieldMatches(`${a.firstName} ${a.lastName}`);
+        const bNameMatch = fieldMatches(`${b.firstName} ${b.lastName}`);
 
         if (aNameMatch && !bNameMatch) return -1;
         if (!aNameMatch && bNameMatch) return 1;
@@ -64,6 +86,8 @@ export default function peopleRouter({ articles }) {
         ok: true,
         count: limitedMatches.length,
         total: matches.length,
+        fuzzy,
+        suggestions: index ? suggestCorrections(index, q) : [],
         people: limitedMatches
       });
     } catch (err) {
@@ -86,7 +110,7 @@ export default function peopleRouter({ articles }) {
         });
       }
 
-      const people = articles.filter(a => a.kind === "person");
+      const people = getArticles().filter(a => a.kind === "person");
 
       let person = null;
       if (email) {
@@ -124,7 +148,7 @@ export default function peopleRouter({ articles }) {
         offset = 0
       } = req.query;
 
-      let people = articles.filter(a => a.kind === "person");
+      let people = getArticles().filter(a => a.kind === "person");
 
       // Apply filters
       if (category) {
@@ -172,7 +196,7 @@ export default function peopleRouter({ articles }) {
   // Get unique categories and DLCs
   router.get("/metadata", (req, res) => {
     try {
-      const people = articles.filter(a => a.kind === "person");
+      const people = getArticles().filter(a => a.kind === "person");
 
       const categories = [...new Set(
         people.map(p => p.mitPeopleCategory).filter(Boolean)
@@ -0,0 +1,85 @@
+// src/webapp/search/bm25.js
+//
+// BM25F relevance ranking (ranking=bm25 on /api/matches and alert searches).
+// Unlike the flat per-field bonus in scoreArticleForTerm, a term that shows
+// up once in a 50k-character transcript scores far below the same term in
+// a short title: term frequency is normalized by each field's length
+// relative to the corpus average, then weighted by field boost.
+//
+// Matching uses the same word/stem/synonym rules as the default ranking
+// (countTermInField), so a record matches here exactly when it matches there.
+
+import { SEARCH_FIELDS, candidatesForTerm, countTermInField } from "./searchIndex.js";
+
+// Field boosts applied to length-normalized term frequency
+export const BM25_FIELD_BOOSTS = {
+  title: 3.0,
+  ilpKeywords: 2.5,
+  ilpSummary: 2.0,
+  tags: 2.0,
+  summary: 1.5,
+  authors: 1.5,
+  fullText: 1.0,
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+export function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Inverse document frequency for a search term.
+ * Document frequency comes from the index candidates for the term.
+ */
+export function termIdf(index, term) {
+  const total = index.articles.length;
+  const df = candidatesForTerm(index, term).size;
+  return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * BM25F score of one term against one record.
+ * Returns { score, fields } where fields is the per-field share of the score.
+ */
+export function scoreBm25ForTerm(index, docId, term, idf) {
+  const weighted = {};
+  let combinedTf = 0;
+
+  for (const field of SEARCH_FIELDS) {
+    const tf = countTermInField(index, docId, field, term);
+    if (tf === 0) continue;
+
+    const avgLength = index.avgFieldLength[field] || 1;
+    const length = index.fieldLengths[field][docId] || 1;
+    const normalizedTf = tf / (1 - B + B * (length / avgLength));
+    weighted[field] = BM25_FIELD_BOOSTS[field] * normalizedTf;
+    combinedTf += weighted[field];
+  }
+
+  if (combinedTf === 0) return { score: 0, fields: {} };
+
+  const score = (idf * combinedTf) / (K1 + combinedTf);
+  const fields = {};
+  for (const [field, value] of Object.entries(weighted)) {
+    fields[field] = (score * value) / combinedTf;
+  }
+  return { score, fields };
+}
+
+/**
+ * Sum per-field shares across the term results that matched a query.
+ */
+export function mergeBm25Fields(hits) {
+  const scoreBreakdown = {};
+  for (const hit of hits) {
+    for (const [field, value] of Object.entries(hit.fields)) {
+      scoreBreakdown[field] = (scoreBreakdown[field] || 0) + value;
+    }
+  }
+  for (const field of Object.keys(scoreBreakdown)) {
+    scoreBreakdown[field] = round(scoreBreakdown[field]);
+  }
+  return scoreBreakdown;
+}
@@ -0,0 +1,87 @@
+// src/webapp/search/bm25.test.js
+//
+// BM25F ordering: field boosts (a title hit outranks a body-only hit),
+// length normalization and term-frequency saturation.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { buildSearchIndex } from "./searchIndex.js";
+import { BM25_FIELD_BOOSTS, termIdf, scoreBm25ForTerm, mergeBm25Fields } from "./bm25.js";
+
+const { log } = console;
+test.before(() => {
+  console.log = () => {};
+});
+test.after(() => {
+  console.log = log;
+});
+
+function score(index, docId, term) {
+  return scoreBm25ForTerm(index, docId, term, termIdf(index, term));
+}
+
+test("a title hit outranks the same hit in the body only", () => {
+  const index = buildSearchIndex([
+    { title: "Soft gripper", summary: "A lab builds hands for fruit." },
+    { title: "Soft hands", summary: "A lab builds a gripper for fruit." },
+    { title: "Ocean carbon", summary: "Boats sample the Atlantic today." },
+  ]);
+  const inTitle = score(index, 0, "gripper");
+  const inSummary = score(index, 1, "gripper");
+  assert.ok(inTitle.score > inSummary.score, `${inTitle.score} > ${inSummary.score}`);
+  assert.deepStrictEqual(Object.keys(inTitle.fields), ["title"]);
+  assert.deepStrictEqual(Object.keys(inSummary.fields), ["summary"]);
+  assert.strictEqual(score(index, 2, "gripper").score, 0);
+});
+
+test("field shares follow the boosts when lengths are equal", () => {
+  const index = buildSearchIndex([
+    { title: "gripper demo", fullText: "gripper video" },
+    { title: "other thing", fullText: "other words" },
+  ]);
+  const { fields } = score(index, 0, "gripper");
+  assert.ok(Math.abs(fields.title / fields.fullText - BM25_FIELD_BOOSTS.title / BM25_FIELD_BOOSTS.fullText) < 1e-9);
+  assert.ok(BM25_FIELD_BOOSTS.title > BM25_FIELD_BOOSTS.summary && BM25_FIELD_BOOSTS.summary > BM25_FIELD_BOOSTS.fullText);
+});
+
+test("term frequency saturates: each extra occurrence adds less, never past idf", () => {
+  const filler = "word ".repeat(20);
+  const articles = [1, 2, 4, 8, 16].map((tf) => ({ fullText: `${"battery ".repeat(tf)}${filler}`.slice(0, -1) }));
+  articles.push({ fullText: filler }, { fullText: filler });
+  const index = buildSearchIndex(articles);
+  const idf = termIdf(index, "battery");
+
+  const scores = [0, 1, 2, 3, 4].map((docId) => scoreBm25ForTerm(index, docId, "battery", idf).score);
+  for (let i = 1; i < scores.length; i++) {
+    assert.ok(scores[i] > scores[i - 1], "more occurrences still score higher");
+    assert.ok(scores[i] < idf, "bounded by idf");
+  }
+  const gains = scores.slice(1).map((s, i) => s - scores[i]);
+  for (let i = 1; i < gains.length; i++) {
+    assert.ok(gains[i] < gains[i - 1], `doubling the count gains less each time: ${gains.map((g) => g.toFixed(3))}`);
+  }
+});
+
+test("one hit in a long transcript scores below one in a short one", () => {
+  const index = buildSearchIndex([
+    { fullText: "robots " + "filler ".repeat(500) },
+    { fullText: "robots in the lab" },
+    { fullText: "nothing here" },
+  ]);
+  assert.ok(score(index, 1, "robot").score > score(index, 0, "robot").score);
+});
+
+test("rarer terms weigh more, and shares merge across terms", () => {
+  const index = buildSearchIndex([
+    { title: "robot gripper" },
+    { title: "robot arm" },
+    { title: "robot boat" },
+  ]);
+  assert.ok(termIdf(index, "gripper") > termIdf(index, "robot"));
+
+  const hits = [score(index, 0, "robot"), score(index, 0, "gripper")];
+  const merged = mergeBm25Fields(hits);
+  assert.deepStrictEqual(Object.keys(merged), ["title"]);
+  assert.ok(Math.abs(merged.title - (hits[0].score + hits[1].score)) < 0.001);
+});
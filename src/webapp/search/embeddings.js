@@ -0,0 +1,99 @@
+// src/webapp/search/embeddings.js
+//
+// Pluggable embedding providers for the local semantic index.
+// Selected with EMBEDDING_PROVIDER in .env:
+//
+//   hash    (default) deterministic feature hashing of stems and stem
+//           bigrams. Offline, no API key, same vector on every machine,
+//           so tests and dev runs need no network.
+//   openai  OpenAI embeddings API (EMBEDDING_MODEL, default
+//           text-embedding-3-small). Uses OPENAI_API_KEY.
+//
+// A provider is { id, dimensions, batchSize, minSimilarity, embed(texts) -> Promise<Float32Array[]> }.
+// `id` is stored with the persisted index; a different id forces a rebuild.
+// `minSimilarity` is the default cut-off for semantic matches
+// (SEMANTIC_MIN_SIMILARITY overrides it), since scales differ per backend.
+
+import OpenAI from "openai";
+import { analyze } from "./textMatch.js";
+
+const HASH_DIMENSIONS = 512;
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function createHashProvider({ dimensions = HASH_DIMENSIONS } = {}) {
+  function embedOne(text) {
+    const vector = new Float32Array(dimensions);
+    const stems = analyze(text);
+    const features = [...stems];
+    for (let i = 1; i < stems.length; i++) features.push(`${stems[i - 1]} ${stems[i]}`);
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      // Low bits pick the dimension, the top bit the sign
+      vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+    return normalizeVector(vector);
+  }
+
+  return {
+    id: `hash-${dimensions}`,
+    dimensions,
+    batchSize: 1000,
+    minSimilarity: 0.1,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+function createOpenAIProvider({ model = "text-embedding-3-small", apiKey = process.env.OPENAI_API_KEY } = {}) {
+  const client = new OpenAI({ apiKey });
+
+  return {
+    id: `openai-${model}`,
+    dimensions: null, // whatever the model returns
+    batchSize: 100,
+    minSimilarity: 0.3,
+    async embed(texts) {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => normalizeVector(Float32Array.from(item.embedding)));
+    },
+  };
+}
+
+export const EMBEDDING_PROVIDERS = {
+  hash: createHashProvider,
+  openai: createOpenAIProvider,
+};
+
+/**
+ * Create a provider by name (see EMBEDDING_PROVIDERS)
+ */
+export function createEmbeddingProvider(name = "hash", options = {}) {
+  const factory = EMBEDDING_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (expected one of: ${Object.keys(EMBEDDING_PROVIDERS).join(", ")})`);
+  }
+  return factory(options);
+}
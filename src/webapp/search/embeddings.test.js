@@ -0,0 +1,48 @@
+// src/webapp/search/embeddings.test.js
+//
+// The hash provider must give the same unit vectors on every run, since
+// persisted indexes are reused across restarts and machines.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { createEmbeddingProvider, normalizeVector } from "./embeddings.js";
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test("hash embeddings are deterministic and unit length", async () => {
+  const text = "Soft robotic grippers for warehouse automation";
+  const [first] = await createEmbeddingProvider("hash").embed([text]);
+  const [second] = await createEmbeddingProvider("hash").embed([text]);
+
+  assert.strictEqual(first.length, 512);
+  assert.deepStrictEqual(Array.from(first), Array.from(second), "same text, same vector across providers");
+  assert.ok(Math.abs(dot(first, first) - 1) < 1e-5, "vector is normalized");
+});
+
+test("hash embeddings put related texts closer than unrelated ones", async () => {
+  const provider = createEmbeddingProvider("hash");
+  const [query, related, unrelated] = await provider.embed([
+    "robot arms",
+    "A new robot arm learns to grasp objects",
+    "Ocean carbon uptake measured across the Atlantic",
+  ]);
+
+  // Stemming makes "arms" and "arm" the same feature
+  assert.ok(dot(query, related) > provider.minSimilarity);
+  assert.ok(dot(query, related) > dot(query, unrelated));
+});
+
+test("empty text embeds to a zero vector and dimensions are configurable", async () => {
+  const provider = createEmbeddingProvider("hash", { dimensions: 64 });
+  const [vector] = await provider.embed([""]);
+
+  assert.strictEqual(provider.id, "hash-64");
+  assert.strictEqual(vector.length, 64);
+  assert.ok(vector.every((value) => value === 0));
+  assert.deepStrictEqual(Array.from(normalizeVector(new Float32Array(3))), [0, 0, 0]);
+});
+
+test("unknown providers are rejected", () => {
+  assert.throws(() => createEmbeddingProvider("word2vec"), /Unknown embedding provider "word2vec"/);
+});
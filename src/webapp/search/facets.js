@@ -0,0 +1,106 @@
+// src/webapp/search/facets.js
+//
+// Facet counts and facet filters for /api/matches.
+//
+// Filters are multi-valued: values within one facet are ORed, facets are
+// ANDed (?kind=paper&kind=video&year=2024). Counts for a facet ignore that
+// facet's own filter, so picking kind=paper still shows how many videos
+// the other choices would give.
+
+export const FACET_FIELDS = ["kind", "source", "year", "mitGroups", "industries", "dlc"];
+
+const MAX_FACET_VALUES = 50;
+
+// Same date choice as the search date filter: event date for events,
+// publish date for everything else
+function recordYear(article) {
+  const raw = article.kind === "future_event" || article.kind === "event"
+    ? article.eventDate || article.event_date || article.futureEventDate || article.date
+    : article.date || article.publishedAt || article.published;
+  if (!raw) return null;
+
+  const match = String(raw).match(/^(\d{4})/);
+  if (match) return match[1];
+  const parsed = new Date(raw);
+  return isNaN(parsed.getTime()) ? null : String(parsed.getFullYear());
+}
+
+/**
+ * Facet values of one record. List fields (mitGroups, industries, dlc)
+ * go through parseList, which should be server.js's parseMitGroups.
+ */
+export function facetValues(article, facet, parseList) {
+  switch (facet) {
+    case "kind":
+      return [article.kind || "unknown"];
+    case "source":
+      return article.source ? [String(article.source)] : [];
+    case "year": {
+      const year = recordYear(article);
+      return year ? [year] : [];
+    }
+    default:
+      return parseList(article[facet]).split(", ").filter(Boolean);
+  }
+}
+
+/**
+ * Read facet filters from an Express query object.
+ * Each facet may be repeated (?kind=paper&kind=video).
+ * Returns { facet: [lowercase values] } for facets that were given.
+ */
+export function parseFacetFilters(query) {
+  const filters = {};
+  for (const facet of FACET_FIELDS) {
+    const raw = query[facet];
+    if (raw == null || raw === "") continue;
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .map((v) => String(v).trim().toLowerCase())
+      .filter(Boolean);
+    if (values.length) filters[facet] = values;
+  }
+  return filters;
+}
+
+function matchesFilters(article, filters, parseList, skipFacet = null) {
+  for (const [facet, wanted] of Object.entries(filters)) {
+    if (facet === skipFacet) continue;
+    const values = facetValues(article, facet, parseList).map((v) => v.toLowerCase());
+    if (!values.some((v) => wanted.includes(v))) return false;
+  }
+  return true;
+}
+
+/**
+ * Records that pass every facet filter
+ */
+export function applyFacetFilters(records, filters, parseList) {
+  if (Object.keys(filters).length === 0) return records;
+  return records.filter((article) => matchesFilters(article, filters, parseList));
+}
+
+/**
+ * Facet counts for a result set:
+ * { kind: [{ value, count, selected }], ... } sorted by count, then value.
+ */
+export function computeFacets(records, filters, parseList) {
+  const facets = {};
+
+  for (const facet of FACET_FIELDS) {
+    const counts = new Map();
+    for (const article of records) {
+      if (!matchesFilters(article, filters, parseList, facet)) continue;
+      for (const value of new Set(facetValues(article, facet, parseList))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    const selected = filters[facet] || [];
+    facets[facet] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count, selected: selected.includes(value.toLowerCase()) }))
+      .sort((a, b) => b.count - a.count || (facet === "year" ? b.value.localeCompare(a.value) : a.value.localeCompare(b.value)))
+      .slice(0, MAX_FACET_VALUES);
+  }
+
+  return facets;
+}
@@ -0,0 +1,53 @@
+// src/webapp/search/facets.test.js
+//
+// Facet counts are taken from the results before the active filters cut
+// them down: a facet's own filter never hides its other values, while the
+// other facets' filters still apply.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { parseFacetFilters, applyFacetFilters, computeFacets } from "./facets.js";
+
+// Stand-in for server.js's parseMitGroups
+const parseList = (value) => [].concat(value || []).join(", ");
+
+const RECORDS = [
+  { kind: "paper", source: "openalex", date: "2024-05-01", mitGroups: ["CSAIL"] },
+  { kind: "paper", source: "openalex", date: "2023-01-10", mitGroups: ["CSAIL", "LIDS"] },
+  { kind: "video", source: "youtube", date: "2024-02-02" },
+  { kind: "future_event", source: "ilp", futureEventDate: "2025-09-01", date: "2024-01-01" },
+  { kind: "article", source: "mit_news", date: "2024-07-07", mitGroups: ["LIDS"] },
+];
+
+const counts = (facets, facet) => Object.fromEntries(facets[facet].map(({ value, count }) => [value, count]));
+
+test("counts come from the results before the kind filter is applied", () => {
+  const filters = parseFacetFilters({ kind: "paper" });
+  const facets = computeFacets(RECORDS, filters, parseList);
+  const shown = applyFacetFilters(RECORDS, filters, parseList);
+
+  assert.strictEqual(shown.length, 2);
+  assert.deepStrictEqual(counts(facets, "kind"), { paper: 2, video: 1, future_event: 1, article: 1 }, "other kinds still counted");
+  assert.deepStrictEqual(facets.kind.filter((f) => f.selected).map((f) => f.value), ["paper"]);
+  // Other facets count only what the kind filter lets through
+  assert.deepStrictEqual(counts(facets, "source"), { openalex: 2 });
+  assert.deepStrictEqual(counts(facets, "year"), { 2024: 1, 2023: 1 });
+});
+
+test("values within a facet are ORed, facets are ANDed", () => {
+  const filters = parseFacetFilters({ kind: ["Paper", "video"], year: "2024" });
+  assert.deepStrictEqual(filters, { kind: ["paper", "video"], year: ["2024"] });
+  assert.deepStrictEqual(applyFacetFilters(RECORDS, filters, parseList), [RECORDS[0], RECORDS[2]]);
+
+  const facets = computeFacets(RECORDS, filters, parseList);
+  assert.deepStrictEqual(counts(facets, "year"), { 2024: 2, 2023: 1 }, "year ignores its own filter");
+  assert.deepStrictEqual(counts(facets, "kind"), { paper: 1, video: 1, article: 1 }, "kind still honours year");
+});
+
+test("events count by event date; list fields count each value", () => {
+  const facets = computeFacets(RECORDS, {}, parseList);
+  assert.deepStrictEqual(counts(facets, "year"), { 2024: 3, 2025: 1, 2023: 1 });
+  assert.deepStrictEqual(counts(facets, "mitGroups"), { CSAIL: 2, LIDS: 2 });
+  assert.deepStrictEqual(applyFacetFilters(RECORDS, parseFacetFilters({ mitGroups: "lids" }), parseList), [RECORDS[1], RECORDS[4]]);
+});
@@ -0,0 +1,190 @@
+// src/webapp/search/fuzzy.js
+//
+// Typo tolerance for /api/matches and /api/people/search.
+//
+// - Fuzzy fallback: when exact matching finds nothing, each query word may
+//   match indexed stems within a small edit distance ("perovskit" ->
+//   "perovskite"), and multi-word phrases no longer need their words
+//   adjacent or in order ("Rus Daniella" -> "Daniela Rus").
+// - Suggestions: misspelled query words are corrected against the brain's
+//   own vocabulary (titles, ilpKeywords, person first/last names) to offer
+//   "did you mean" alternatives.
+
+import { words, stem } from "./textMatch.js";
+
+const MAX_FUZZY_VARIANTS = 16;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Allowed edits for a word: none for short words, 1 up to 5 chars, else 2
+ */
+export function maxEditsFor(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps).
+ * Stops early and returns max + 1 once the distance must exceed `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Closest entries of `dictionary` (Map word -> weight) to `word`, within
+ * maxEditsFor(word); nearest first, then heaviest.
+ * `weight` turns a map value into a number (default: the value itself).
+ */
+export function closestWords(dictionary, word, { limit = 3, weight = (v) => v } = {}) {
+  const max = maxEditsFor(word);
+  if (max === 0) return [];
+
+  const found = [];
+  for (const [candidate, value] of dictionary) {
+    if (Math.abs(candidate.length - word.length) > max) continue;
+    const distance = editDistance(word, candidate, max);
+    if (distance <= max && distance > 0) found.push({ candidate, distance, weight: weight(value) });
+  }
+  return found
+    .sort((a, b) => a.distance - b.distance || b.weight - a.weight)
+    .slice(0, limit)
+    .map((f) => f.candidate);
+}
+
+/**
+ * Word -> frequency over titles, ilpKeywords and person names
+ */
+export function buildVocabulary(articles) {
+  const vocabulary = new Map();
+  const add = (text) => {
+    for (const word of words(text)) {
+      if (word.length < 3 || /\d/.test(word)) continue;
+      vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+    }
+  };
+
+  for (const article of articles) {
+    add(article.title);
+    add(Array.isArray(article.ilpKeywords) ? article.ilpKeywords.join(" ") : article.ilpKeywords);
+    if (article.kind === "person") {
+      add(article.firstName);
+      add(article.lastName);
+    }
+  }
+  return vocabulary;
+}
+
+/**
+ * Compiled variants (see textMatch.compileTerm) for a term under fuzzy
+ * matching: every stem that is not in the index is replaced by the
+ * nearest indexed stems. Empty if some word has no close match.
+ */
+export function fuzzyVariants(index, term) {
+  const byDocCount = { weight: (docs) => docs.length };
+  let variants = [[]];
+  for (const word of words(term)) {
+    const token = stem(word);
+    // Try the raw word too: stemming a typo can mangle it
+    // ("artifical" -> "artif", while "artificial" stays whole)
+    const options = index.postings.has(token)
+      ? [token]
+      : [...new Set([...closestWords(index.postings, token, byDocCount), ...closestWords(index.postings, word, byDocCount)])];
+    if (options.length === 0) return [];
+
+    variants = variants
+      .flatMap((prefix) => options.map((option) => [...prefix, option]))
+      .slice(0, MAX_FUZZY_VARIANTS);
+  }
+  return variants[0].length ? variants : [];
+}
+
+/**
+ * Rewrite a query AST for the fuzzy fallback: multi-word terms become an
+ * AND of their words, so word order and adjacency stop mattering.
+ */
+export function fuzzyQuery(ast) {
+  switch (ast.type) {
+    case "term": {
+      const parts = words(ast.value);
+      if (parts.length <= 1) return ast;
+      return { type: "and", children: parts.map((value) => ({ type: "term", value })) };
+    }
+    case "and":
+    case "or":
+      return { ...ast, children: ast.children.map(fuzzyQuery) };
+    case "not":
+      return { ...ast, child: fuzzyQuery(ast.child) };
+    default:
+      return ast;
+  }
+}
+
+// Keep the capitalization style of the word being replaced
+function matchCase(original, replacement) {
+  if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+/**
+ * "Did you mean" alternatives for a query string: words the brain does not
+ * know are replaced by the closest vocabulary words. Operators and field
+ * qualifiers are left alone. Returns up to three strings (empty if every
+ * word is known or nothing close exists).
+ */
+export function suggestCorrections(index, phrase) {
+  const text = String(phrase ?? "");
+  const corrections = []; // { start, end, original, options }
+
+  for (const m of text.matchAll(/[^\s()"]+/g)) {
+    const raw = m[0];
+    if (/^(and|or)$/i.test(raw) || raw === "NOT" || raw.includes(":")) continue;
+
+    for (const w of raw.matchAll(/[\p{L}\p{N}]+/gu)) {
+      const word = w[0];
+      const lower = word.toLowerCase();
+      if (/\d/.test(lower) || index.vocabulary.has(lower) || index.postings.has(stem(lower))) continue;
+
+      const options = closestWords(index.vocabulary, lower);
+      if (options.length === 0) continue;
+      const start = m.index + w.index;
+      corrections.push({ start, end: start + word.length, original: word, options });
+    }
+  }
+  if (corrections.length === 0) return [];
+
+  const suggestions = new Set();
+  for (let k = 0; k < MAX_SUGGESTIONS; k++) {
+    let result = "";
+    let pos = 0;
+    for (const c of corrections) {
+      const option = c.options[Math.min(k, c.options.length - 1)];
+      result += text.slice(pos, c.start) + matchCase(c.original, option);
+      pos = c.end;
+    }
+    suggestions.add(result + text.slice(pos));
+  }
+  return [...suggestions];
+}
@@ -0,0 +1,79 @@
+// src/webapp/search/fuzzy.test.js
+//
+// The fuzzy fallback only runs when the exact search finds nothing (and the
+// query has free text); typo-tolerant variants and "did you mean"
+// suggestions come from the brain's own vocabulary.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { buildSearchIndex, candidatesForQuery, matchWithFuzzyFallback } from "./searchIndex.js";
+import { parseQuery } from "./queryParser.js";
+import { editDistance, fuzzyVariants, fuzzyQuery, suggestCorrections } from "./fuzzy.js";
+
+const { log } = console;
+test.before(() => {
+  console.log = () => {};
+});
+test.after(() => {
+  console.log = log;
+});
+
+const ARTICLES = [
+  { title: "Perovskite solar cells", summary: "Graphite electrodes" },
+  { title: "Graphene startup", summary: "A graphite spinout" },
+  { title: "Soft robotics", authors: ["Daniela Rus"] },
+];
+
+// Stand-in for server.js's matchArticlesKeyword that records each call
+function spyMatcher() {
+  const calls = [];
+  const match = (index, ast) => {
+    calls.push({ fuzzy: Boolean(index.fuzzy), ast });
+    return new Map((candidatesForQuery(index, ast) || []).map((id) => [id, { id }]));
+  };
+  return { calls, match };
+}
+
+test("an exact hit never triggers the fuzzy retry", () => {
+  const index = buildSearchIndex(ARTICLES);
+  const { calls, match } = spyMatcher();
+  const scored = matchWithFuzzyFallback(index, parseQuery("graphene"), match);
+
+  assert.deepStrictEqual(calls.map((c) => c.fuzzy), [false]);
+  assert.deepStrictEqual([...scored.keys()], [1], "the close word 'graphite' is not pulled in");
+  assert.ok([...scored.values()].every((m) => !m.fuzzy));
+});
+
+test("no exact hit retries fuzzily, unordered, and flags the matches", () => {
+  const index = buildSearchIndex(ARTICLES);
+  const { calls, match } = spyMatcher();
+  const scored = matchWithFuzzyFallback(index, parseQuery('"Rus Daniella"'), match);
+
+  assert.deepStrictEqual(calls.map((c) => c.fuzzy), [false, true]);
+  assert.strictEqual(calls[1].ast.type, "and", "the phrase is split into words");
+  assert.deepStrictEqual([...scored.keys()], [2]);
+  assert.ok([...scored.values()].every((m) => m.fuzzy));
+});
+
+test("queries without free text are not retried", () => {
+  const index = buildSearchIndex(ARTICLES);
+  const { calls, match } = spyMatcher();
+  matchWithFuzzyFallback(index, parseQuery("kind:video"), match);
+  assert.strictEqual(calls.length, 1);
+});
+
+test("edit distance counts swaps as one edit and stops past the limit", () => {
+  assert.strictEqual(editDistance("robto", "robot"), 1);
+  assert.strictEqual(editDistance("kitten", "sitting"), 3);
+  assert.strictEqual(editDistance("kitten", "sitting", 1), 2);
+});
+
+test("variants and suggestions come from indexed words only", () => {
+  const index = buildSearchIndex(ARTICLES);
+  assert.deepStrictEqual(fuzzyVariants(index, "robotcs"), [["robot"]]);
+  assert.deepStrictEqual(fuzzyVariants(index, "zzzzzzzz"), []);
+  assert.deepStrictEqual(fuzzyQuery(parseQuery("soft")), parseQuery("soft"));
+  assert.deepStrictEqual(suggestCorrections(index, "Sollar AND kind:video"), ["Solar AND kind:video"]);
+  assert.deepStrictEqual(suggestCorrections(index, "solar"), []);
+});
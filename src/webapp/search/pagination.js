@@ -0,0 +1,83 @@
+// src/webapp/search/pagination.js
+//
+// Paging and projection for /api/matches.
+//
+// - limit / offset, or an opaque cursor from a previous page's nextCursor.
+//   Without limit a page holds DEFAULT_PAGE_SIZE results.
+//   Results are recomputed on every request, so the cursor just carries
+//   the offset plus a fingerprint of the query it belongs to.
+// - fields=title,url,score picks the returned fields (id is always kept);
+//   fields=* returns whole records. Without fields= every result is a
+//   compact card: the record minus its heavy text fields.
+//   GET /api/items/:id returns the full record for an expanded card.
+
+import crypto from "crypto";
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Left out of cards; fetch the item for these
+export const CARD_OMITTED_FIELDS = ["fullText"];
+
+export class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+/**
+ * Short hash of everything that determines a result list
+ */
+export function queryFingerprint(params) {
+  return crypto.createHash("sha1").update(JSON.stringify(params)).digest("hex").slice(0, 12);
+}
+
+export function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString("base64url");
+}
+
+/**
+ * Offset stored in a cursor. Throws InvalidCursorError if the cursor is
+ * malformed or was issued for a different query.
+ */
+export function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new InvalidCursorError("Malformed cursor");
+  }
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) throw new InvalidCursorError("Malformed cursor");
+  if (decoded.f !== fingerprint) throw new InvalidCursorError("Cursor belongs to a different query");
+  return decoded.o;
+}
+
+/**
+ * Parse fields= into an array, or null for the default card shape.
+ * "*" means whole records.
+ */
+export function parseFieldsParam(fields) {
+  if (fields == null || fields === "") return null;
+  const list = String(fields).split(",").map((f) => f.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Shape one result: fields=null -> card, ["*"] -> whole record,
+ * otherwise only the listed fields (plus id).
+ */
+export function projectRecord(record, fields) {
+  if (fields && fields.includes("*")) return record;
+
+  if (!fields) {
+    const card = { ...record };
+    for (const field of CARD_OMITTED_FIELDS) delete card[field];
+    return card;
+  }
+
+  const projected = { id: record.id };
+  for (const field of fields) {
+    if (field in record) projected[field] = record[field];
+  }
+  return projected;
+}
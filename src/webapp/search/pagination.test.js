@@ -0,0 +1,44 @@
+// src/webapp/search/pagination.test.js
+//
+// Cursors carry an offset for one query only: a cursor whose query
+// fingerprint differs, or that was tampered with, is rejected.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { queryFingerprint, encodeCursor, decodeCursor, InvalidCursorError, parseFieldsParam, projectRecord } from "./pagination.js";
+
+const QUERY = { phrase: "robot", minScore: 0, dateFrom: null, dateTo: null, ranking: null, mode: null, facetFilters: {}, contentTypes: [] };
+
+test("a cursor gives back its offset for the same query", () => {
+  const fingerprint = queryFingerprint(QUERY);
+  assert.strictEqual(fingerprint, queryFingerprint({ ...QUERY }), "stable for equal params");
+  assert.strictEqual(decodeCursor(encodeCursor(50, fingerprint), fingerprint), 50);
+});
+
+test("a cursor from a different query is rejected", () => {
+  const cursor = encodeCursor(50, queryFingerprint(QUERY));
+  for (const changed of [
+    { ...QUERY, phrase: "robots" },
+    { ...QUERY, facetFilters: { kind: ["paper"] } },
+    { ...QUERY, contentTypes: ["video"] },
+    { ...QUERY, ranking: "bm25" },
+  ]) {
+    assert.throws(() => decodeCursor(cursor, queryFingerprint(changed)), (err) => err instanceof InvalidCursorError && /different query/.test(err.message));
+  }
+});
+
+test("malformed cursors are rejected", () => {
+  const fingerprint = queryFingerprint(QUERY);
+  const forged = Buffer.from(JSON.stringify({ o: -5, f: fingerprint })).toString("base64url");
+  for (const cursor of ["not-a-cursor", forged, encodeCursor(1.5, fingerprint)]) {
+    assert.throws(() => decodeCursor(cursor, fingerprint), /Malformed cursor/, cursor);
+  }
+});
+
+test("cards leave out fullText; fields= picks fields and keeps id", () => {
+  const record = { id: "r1", title: "Gripper", url: "https://x", fullText: "long transcript" };
+  assert.deepStrictEqual(projectRecord(record, parseFieldsParam("")), { id: "r1", title: "Gripper", url: "https://x" });
+  assert.deepStrictEqual(projectRecord(record, parseFieldsParam("title, missing")), { id: "r1", title: "Gripper" });
+  assert.strictEqual(projectRecord(record, parseFieldsParam("*")), record);
+});
@@ -0,0 +1,297 @@
+// src/webapp/search/queryParser.js
+//
+// Boolean query language for /api/matches and alert searches.
+//
+//   battery AND "solid state"            quoted phrases
+//   (battery OR "solid state") AND NOT automotive
+//   author:Langer kind:paper             field qualifiers (implicitly ANDed)
+//
+// Grammar (AND binds tighter than OR):
+//   query   := or
+//   or      := and (OR and)*
+//   and     := unary ((AND)? unary)*
+//   unary   := NOT unary | primary
+//   primary := "(" or ")" | "phrase" | field:value | field:"value" | words
+//
+// Backward compatibility with saved alerts: AND/OR are case-insensitive
+// (as they always were), and consecutive bare words form a single phrase,
+// so "machine learning AND healthcare" still means the two terms
+// "machine learning" and "healthcare". NOT must be uppercase so ordinary
+// words like "not" keep working inside phrases.
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = "QuerySyntaxError";
+    this.position = position;
+  }
+}
+
+// Qualifier name (lowercase) -> schema field
+export const FIELD_QUALIFIERS = {
+  kind: "kind",
+  source: "source",
+  author: "authors",
+  authors: "authors",
+  mitgroup: "mitGroups",
+  mitgroups: "mitGroups",
+  group: "mitGroups",
+  dlc: "dlc",
+  industry: "industries",
+  industries: "industries",
+};
+
+const WORD_RE = /[^\s()"]+/y;
+
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) throw new QuerySyntaxError("Unterminated quoted phrase", i);
+      tokens.push({ type: "PHRASE", value: query.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+
+    WORD_RE.lastIndex = i;
+    const word = WORD_RE.exec(query)[0];
+    const start = i;
+    i += word.length;
+
+    if (/^(and|or)$/i.test(word)) {
+      tokens.push({ type: word.toUpperCase(), pos: start });
+      continue;
+    }
+    if (word === "NOT") {
+      tokens.push({ type: "NOT", pos: start });
+      continue;
+    }
+
+    const colon = word.indexOf(":");
+    const field = colon > 0 ? FIELD_QUALIFIERS[word.slice(0, colon).toLowerCase()] : null;
+    if (field) {
+      let value = word.slice(colon + 1);
+      if (!value && query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) throw new QuerySyntaxError("Unterminated quoted phrase", i);
+        value = query.slice(i + 1, end);
+        i = end + 1;
+      }
+      if (!value.trim()) throw new QuerySyntaxError(`Missing value for "${word.slice(0, colon)}:"`, start);
+      tokens.push({ type: "FIELD", field, value: value.trim(), pos: start });
+      continue;
+    }
+
+    // Merge runs of bare words into one phrase, keeping the original spacing
+    const prev = tokens[tokens.length - 1];
+    if (prev && prev.type === "WORDS") {
+      prev.value = query.slice(prev.pos, i);
+    } else {
+      tokens.push({ type: "WORDS", value: word, pos: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query into an AST.
+ * Node types: all, term ({ value }), field ({ field, value }),
+ * and/or ({ children }), not ({ child }).
+ * Throws QuerySyntaxError (with .position) on malformed input.
+ */
+export function parseQuery(query) {
+  const text = (query ?? "").toString().trim();
+  // Treat "*" (or empty) as a wildcard that returns everything.
+  if (text === "" || text === "*") return { type: "all" };
+
+  const tokens = lex(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const endPosition = () => text.length;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      const op = tokens[pos++];
+      if (!peek()) throw new QuerySyntaxError("Expected a search term after OR", op.pos);
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        const op = tokens[pos++];
+        if (!peek()) throw new QuerySyntaxError("Expected a search term after AND", op.pos);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token && token.type === "NOT") {
+      pos++;
+      if (!peek()) throw new QuerySyntaxError("Expected a search term after NOT", token.pos);
+      return { type: "not", child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new QuerySyntaxError("Unexpected end of query", endPosition());
+
+    switch (token.type) {
+      case "(": {
+        pos++;
+        if (peek() && peek().type === ")") throw new QuerySyntaxError("Empty parentheses", token.pos);
+        const inner = parseOr();
+        if (!peek() || peek().type !== ")") throw new QuerySyntaxError("Missing closing parenthesis for \"(\"", token.pos);
+        pos++;
+        return inner;
+      }
+      case "PHRASE":
+        pos++;
+        if (!token.value.trim()) throw new QuerySyntaxError("Empty quoted phrase", token.pos);
+        return { type: "term", value: token.value.trim() };
+      case "WORDS":
+        pos++;
+        return token.value === "*" ? { type: "all" } : { type: "term", value: token.value };
+      case "FIELD":
+        pos++;
+        return { type: "field", field: token.field, value: token.value };
+      case ")":
+        throw new QuerySyntaxError("Unexpected \")\"", token.pos);
+      default:
+        throw new QuerySyntaxError(`Unexpected ${token.type}`, token.pos);
+    }
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new QuerySyntaxError(token.type === ")" ? "Unexpected \")\"" : `Unexpected ${token.type}`, token.pos);
+  }
+  return ast;
+}
+
+/**
+ * Free-text terms in the query that are not negated
+ * (used for logging, IDF lookups and highlighting).
+ */
+export function queryTextTerms(ast, negated = false) {
+  switch (ast.type) {
+    case "term":
+      return negated ? [] : [ast.value];
+    case "and":
+    case "or":
+      return [...new Set(ast.children.flatMap((child) => queryTextTerms(child, negated)))];
+    case "not":
+      return queryTextTerms(ast.child, !negated);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Human-readable form of the AST for logs.
+ */
+export function describeQuery(ast) {
+  switch (ast.type) {
+    case "all":
+      return "*";
+    case "term":
+      return JSON.stringify(ast.value);
+    case "field":
+      return `${ast.field}:${JSON.stringify(ast.value)}`;
+    case "not":
+      return `NOT ${describeQuery(ast.child)}`;
+    default:
+      return `(${ast.children.map(describeQuery).join(` ${ast.type.toUpperCase()} `)})`;
+  }
+}
+
+/**
+ * Evaluate the AST against one record.
+ *   scoreTerm(value, negated)  -> { score, ... } (score > 0 means the term matched;
+ *                                 negated is true for terms under an odd number of NOTs)
+ *   matchField(field, value)   -> boolean
+ *   sumOr                      -> add OR scores instead of keeping the best
+ * Returns { matched, score, hits } where hits are the term results that
+ * contributed. AND sums child scores, OR keeps the best child (as the
+ * original AND/OR search did) unless sumOr is set, NOT contributes no score.
+ */
+export function evaluateQuery(ast, handlers, negated = false) {
+  const { scoreTerm, matchField, sumOr = false } = handlers;
+
+  switch (ast.type) {
+    case "all":
+      return { matched: true, score: 0, hits: [] };
+
+    case "term": {
+      const result = scoreTerm(ast.value, negated);
+      return result.score > 0
+        ? { matched: true, score: result.score, hits: [result] }
+        : { matched: false, score: 0, hits: [] };
+    }
+
+    case "field":
+      return { matched: !!matchField(ast.field, ast.value), score: 0, hits: [] };
+
+    case "not": {
+      const inner = evaluateQuery(ast.child, handlers, !negated);
+      return { matched: !inner.matched, score: 0, hits: [] };
+    }
+
+    case "and": {
+      let score = 0;
+      const hits = [];
+      for (const child of ast.children) {
+        const result = evaluateQuery(child, handlers, negated);
+        if (!result.matched) return { matched: false, score: 0, hits: [] };
+        score += result.score;
+        hits.push(...result.hits);
+      }
+      return { matched: true, score, hits };
+    }
+
+    case "or": {
+      let score = 0;
+      let matched = false;
+      const hits = [];
+      for (const child of ast.children) {
+        const result = evaluateQuery(child, handlers, negated);
+        if (!result.matched) continue;
+        matched = true;
+        score = sumOr ? score + result.score : Math.max(score, result.score);
+        hits.push(...result.hits);
+      }
+      return { matched, score, hits };
+    }
+
+    default:
+      throw new Error(`Unknown query node: ${ast.type}`);
+  }
+}
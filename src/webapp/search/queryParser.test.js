@@ -0,0 +1,97 @@
+// src/webapp/search/queryParser.test.js
+//
+// The boolean query language: precedence, parentheses, phrases, field
+// qualifiers, the lowercase and/or compatibility path, phrases saved by
+// older alerts, and where each QuerySyntaxError points.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { parseQuery, describeQuery, queryTextTerms, evaluateQuery, QuerySyntaxError } from "./queryParser.js";
+
+const parsed = (query) => describeQuery(parseQuery(query));
+
+test("AND binds tighter than OR, NOT tightest", () => {
+  assert.strictEqual(parsed("a OR b AND c"), '("a" OR ("b" AND "c"))');
+  assert.strictEqual(parsed("a AND b OR c"), '(("a" AND "b") OR "c")');
+  assert.strictEqual(parsed("NOT a OR b"), '(NOT "a" OR "b")');
+  assert.strictEqual(parsed("a NOT b"), '("a" AND NOT "b")', "implicit AND before NOT");
+});
+
+test("parentheses override precedence", () => {
+  assert.strictEqual(parsed("(a OR b) AND c"), '(("a" OR "b") AND "c")');
+  assert.strictEqual(parsed("NOT (a OR b)"), 'NOT ("a" OR "b")');
+  assert.strictEqual(parsed("((a))"), '"a"');
+});
+
+test("quoted phrases are single terms, implicitly ANDed with what follows", () => {
+  assert.strictEqual(parsed('"solid state" battery'), '("solid state" AND "battery")');
+  assert.strictEqual(parsed('"machine AND learning"'), '"machine AND learning"', "operators inside quotes are words");
+  assert.deepStrictEqual(queryTextTerms(parseQuery('"solid state" AND NOT lithium')), ["solid state"]);
+});
+
+test("field qualifiers map to schema fields; unknown ones stay text", () => {
+  assert.strictEqual(parsed("author:Langer kind:paper"), '(authors:"Langer" AND kind:"paper")');
+  assert.strictEqual(parsed('author:"Daniela Rus"'), 'authors:"Daniela Rus"');
+  assert.strictEqual(parsed("Industry:Energy OR group:CSAIL"), '(industries:"Energy" OR mitGroups:"CSAIL")');
+  assert.strictEqual(parsed("unknown:thing"), '"unknown:thing"');
+});
+
+test("lowercase and/or still work as operators; lowercase not is a word", () => {
+  assert.strictEqual(parsed("robots and ai"), '("robots" AND "ai")');
+  assert.strictEqual(parsed("Robots Or AI"), '("Robots" OR "AI")');
+  assert.strictEqual(parsed("not a robot"), '"not a robot"');
+  assert.strictEqual(parsed("ANDROID apps OR NOTE"), '("ANDROID apps" OR "NOTE")', "only whole words are operators");
+});
+
+test("phrases saved by older alerts keep their meaning", () => {
+  assert.strictEqual(parsed("*"), "*");
+  assert.strictEqual(parsed(""), "*");
+  assert.strictEqual(parsed("machine learning AND healthcare"), '("machine learning" AND "healthcare")');
+  assert.strictEqual(parsed("battery OR energy storage"), '("battery" OR "energy storage")');
+  assert.strictEqual(parsed("AI and machine learning"), '("AI" AND "machine learning")');
+  assert.strictEqual(parsed("Alzheimer's disease OR dementia"), '("Alzheimer\'s disease" OR "dementia")');
+  assert.strictEqual(parsed("COVID-19   vaccine"), '"COVID-19   vaccine"', "bare words merge, spacing kept");
+});
+
+test("each QuerySyntaxError reports where the problem is", () => {
+  const cases = [
+    ['"abc', 0, /Unterminated quoted phrase/],
+    ['author:"x', 7, /Unterminated quoted phrase/],
+    ["dlc:", 0, /Missing value for "dlc:"/],
+    ["a AND", 2, /after AND/],
+    ["a OR", 2, /after OR/],
+    ["NOT", 0, /after NOT/],
+    ["(a", 0, /Missing closing parenthesis/],
+    ["a)", 1, /Unexpected "\)"/],
+    ["()", 0, /Empty parentheses/],
+    ['""', 0, /Empty quoted phrase/],
+    ["OR a", 0, /Unexpected OR/],
+    ["(a OR) b", 5, /Unexpected "\)"/],
+    ["a AND AND b", 6, /Unexpected AND/],
+  ];
+  for (const [query, position, message] of cases) {
+    assert.throws(
+      () => parseQuery(query),
+      (err) => err instanceof QuerySyntaxError && err.position === position && message.test(err.message),
+      query
+    );
+  }
+});
+
+test("evaluateQuery: AND sums, OR keeps the best, NOT only filters", () => {
+  const text = "soft robot gripper";
+  const handlers = {
+    scoreTerm: (value) => ({ value, score: text.includes(value) ? value.length : 0 }),
+    matchField: () => true,
+  };
+  const run = (query) => {
+    const { matched, score } = evaluateQuery(parseQuery(query), handlers);
+    return [matched, score];
+  };
+  assert.deepStrictEqual(run("soft AND robot"), [true, 9]);
+  assert.deepStrictEqual(run("soft OR gripper"), [true, 7]);
+  assert.deepStrictEqual(run("soft AND NOT drone"), [true, 4]);
+  assert.deepStrictEqual(run("soft AND NOT robot"), [false, 0]);
+  assert.deepStrictEqual(run("drone OR (soft AND gripper)"), [true, 11]);
+});
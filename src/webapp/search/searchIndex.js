@@ -0,0 +1,219 @@
+// src/webapp/search/searchIndex.js
+//
+// Inverted index over the searchable text fields of the brain.
+// Built once in loadArticles() (and again on /api/reload) so /api/matches
+// only has to score the handful of records that can possibly match instead
+// of lowercasing every transcript on every request.
+//
+// Postings are keyed by stemmed token (see textMatch.js). A term can only
+// match a record that contains every stem of at least one of its synonym
+// variants, so intersecting postings gives the candidates; countTermInField
+// then checks the stems actually appear as a consecutive phrase.
+
+import { analyze, compileTerm, countMatches } from "./textMatch.js";
+import { buildVocabulary, fuzzyVariants, fuzzyQuery } from "./fuzzy.js";
+import { queryTextTerms } from "./queryParser.js";
+
+// Fields covered by search scoring (same set as scoreArticleForTerm)
+export const SEARCH_FIELDS = [
+  "ilpSummary",
+  "ilpKeywords",
+  "fullText",
+  "tags",
+  "authors",
+  "title",
+  "summary",
+];
+
+const MAX_CACHED_TERMS = 1000;
+const MAX_CACHED_DOCS = 500;
+
+/**
+ * Flatten a field value (string or array) into lowercase text
+ */
+export function fieldText(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return value.join(" ").toLowerCase();
+  return String(value).toLowerCase();
+}
+
+/**
+ * Build the index for an array of brain records.
+ * Doc IDs are positions in the array, so results can be returned
+ * in the same order as a full scan.
+ */
+export function buildSearchIndex(articles, { synonyms = [] } = {}) {
+  const startedAt = Date.now();
+  const postings = new Map(); // stem -> array of doc IDs (ascending)
+  const fieldLengths = {}; // field -> token count per doc (for BM25 length normalization)
+  const totalFieldLength = {};
+  for (const field of SEARCH_FIELDS) {
+    fieldLengths[field] = new Uint32Array(articles.length);
+    totalFieldLength[field] = 0;
+  }
+
+  articles.forEach((article, docId) => {
+    const seen = new Set();
+    for (const field of SEARCH_FIELDS) {
+      const tokens = analyze(fieldText(article[field]));
+      fieldLengths[field][docId] = tokens.length;
+      totalFieldLength[field] += tokens.length;
+      for (const token of tokens) {
+        if (seen.has(token)) continue;
+        seen.add(token);
+        let list = postings.get(token);
+        if (!list) {
+          list = [];
+          postings.set(token, list);
+        }
+        list.push(docId);
+      }
+    }
+  });
+
+  const avgFieldLength = {};
+  for (const field of SEARCH_FIELDS) {
+    avgFieldLength[field] = articles.length ? totalFieldLength[field] / articles.length : 0;
+  }
+
+  const index = {
+    articles,
+    postings,
+    fieldLengths,
+    avgFieldLength,
+    synonyms,
+    vocabulary: buildVocabulary(articles), // for "did you mean" suggestions
+    fuzzy: false,
+    termCache: new Map(),
+    fuzzyTermCache: new Map(),
+    docTokenCache: new Map(),
+    builtAt: new Date().toISOString(),
+  };
+
+  console.log(`🗂  Search index built: ${articles.length} records, ${postings.size} stems (${Date.now() - startedAt} ms)`);
+  return index;
+}
+
+/**
+ * The same index with fuzzy term matching (see fuzzy.js); shares postings
+ * and token caches with `index`
+ */
+export function fuzzyView(index) {
+  return { ...index, fuzzy: true, termCache: index.fuzzyTermCache };
+}
+
+/**
+ * `match(index, ast)` (a Map of matches), retried on the fuzzyView with
+ * fuzzyQuery(ast) only when nothing matches exactly and the query has free
+ * text; fallback matches are flagged `fuzzy`
+ */
+export function matchWithFuzzyFallback(index, ast, match) {
+  const exact = match(index, ast);
+  if (exact.size > 0 || queryTextTerms(ast).length === 0) return exact;
+
+  const fuzzy = match(fuzzyView(index), fuzzyQuery(ast));
+  for (const found of fuzzy.values()) found.fuzzy = true;
+  return fuzzy;
+}
+
+/**
+ * Stemmed phrase variants for a term (the term plus its synonyms, or its
+ * fuzzy alternatives on a fuzzyView), cached per index
+ */
+export function termVariants(index, term) {
+  let variants = index.termCache.get(term);
+  if (!variants) {
+    variants = index.fuzzy ? fuzzyVariants(index, term) : compileTerm(term, index.synonyms);
+    if (index.termCache.size >= MAX_CACHED_TERMS) index.termCache.clear();
+    index.termCache.set(term, variants);
+  }
+  return variants;
+}
+
+// Stemmed tokens of one field of one record; recently scored records are
+// cached so multi-term queries don't re-tokenize the same transcript
+function fieldTokens(index, docId, field) {
+  let fields = index.docTokenCache.get(docId);
+  if (!fields) {
+    if (index.docTokenCache.size >= MAX_CACHED_DOCS) index.docTokenCache.clear();
+    fields = {};
+    index.docTokenCache.set(docId, fields);
+  }
+  if (!fields[field]) fields[field] = analyze(fieldText(index.articles[docId][field]));
+  return fields[field];
+}
+
+/**
+ * Number of times a term (or one of its synonyms) occurs in a field of a record
+ */
+export function countTermInField(index, docId, field, term) {
+  const variants = termVariants(index, term);
+  if (variants.length === 0) return 0;
+  return countMatches(fieldTokens(index, docId, field), variants);
+}
+
+/**
+ * Candidate doc IDs for one search term: records containing every stem of
+ * at least one variant. Terms without word characters match nothing.
+ */
+export function candidatesForTerm(index, term) {
+  const result = new Set();
+
+  for (const variant of termVariants(index, term)) {
+    const lists = [...new Set(variant)]
+      .map((token) => index.postings.get(token) || [])
+      .sort((a, b) => a.length - b.length);
+    if (lists[0].length === 0) continue;
+
+    const others = lists.slice(1).map((list) => new Set(list));
+    for (const id of lists[0]) {
+      if (others.every((set) => set.has(id))) result.add(id);
+    }
+  }
+  return result;
+}
+
+// Candidate set for an AST node, or null when the node cannot narrow the
+// search (field qualifiers, NOT, wildcard)
+function candidatesForNode(index, node) {
+  switch (node.type) {
+    case "term":
+      return candidatesForTerm(index, node.value);
+    case "and": {
+      const bounded = node.children
+        .map((child) => candidatesForNode(index, child))
+        .filter(Boolean)
+        .sort((a, b) => a.size - b.size);
+      if (bounded.length === 0) return null;
+      const combined = new Set(bounded[0]);
+      for (const set of bounded.slice(1)) {
+        for (const id of combined) {
+          if (!set.has(id)) combined.delete(id);
+        }
+      }
+      return combined;
+    }
+    case "or": {
+      const combined = new Set();
+      for (const child of node.children) {
+        const set = candidatesForNode(index, child);
+        if (set === null) return null;
+        set.forEach((id) => combined.add(id));
+      }
+      return combined;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Candidate doc IDs for a parsed query AST (see queryParser.js).
+ * AND intersects child candidates, OR takes the union.
+ * Returns sorted doc IDs, or null if a full scan is required.
+ */
+export function candidatesForQuery(index, ast) {
+  const combined = candidatesForNode(index, ast);
+  if (combined === null) return null;
+  return [...combined].sort((a, b) => a - b);
+}
@@ -0,0 +1,114 @@
+// src/webapp/search/searchIndex.test.js
+//
+// The inverted index only narrows the search: scoring its candidates must
+// give exactly what a full scan of every record gives, for terms, phrases,
+// synonyms and boolean queries, and again once the brain has changed and
+// the index is rebuilt (as loadArticles() and /api/reload do).
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { SEARCH_FIELDS, buildSearchIndex, candidatesForQuery, countTermInField, fieldText } from "./searchIndex.js";
+import { analyze, compileTerm, countMatches } from "./textMatch.js";
+import { parseQuery, evaluateQuery } from "./queryParser.js";
+
+const SYNONYMS = [["AI", "artificial intelligence"].map((phrase) => analyze(phrase))];
+
+const ARTICLES = [
+  { kind: "paper", title: "Soft robotic grippers", summary: "Robots that handle fruit.", authors: ["Daniela Rus"] },
+  { kind: "article", title: "Ocean carbon uptake", summary: "Robot boats sample the Atlantic.", tags: ["climate"] },
+  { kind: "video", title: "AI in manufacturing", fullText: "(00:00:01) Factories said they maintain robots in Taiwan." },
+  { kind: "paper", title: "Artificial intelligence for batteries", ilpKeywords: ["solid state", "energy storage"] },
+  { kind: "article", title: "Solid-state battery startup", ilpSummary: "A state of the art solid electrolyte." },
+  { kind: "future_event", title: "Machine learning in healthcare", summary: "Learning machines for hospitals." },
+  { kind: "article", title: "Healthcare logistics", summary: "Machine shops that are learning to ship." },
+];
+
+const QUERIES = [
+  "robot",
+  "robotics",
+  "AI",
+  "artificial intelligence",
+  '"solid state"',
+  "battery AND solid state",
+  "machine learning",
+  "machine learning OR ocean",
+  "healthcare AND NOT logistics",
+  "(robot OR battery) AND kind:paper",
+  "kind:article",
+  "NOT robot",
+  "taiwan AND said",
+  "nothing-matches-this",
+];
+
+// Full scan: every record, every search field, no index
+function fullScan(articles, query) {
+  const ast = parseQuery(query);
+  return articles.flatMap((article, docId) => {
+    const handlers = {
+      scoreTerm: (value) => {
+        const variants = compileTerm(value, SYNONYMS);
+        const score = SEARCH_FIELDS.reduce((sum, field) => sum + countMatches(analyze(fieldText(article[field])), variants), 0);
+        return { score };
+      },
+      matchField: (field, value) => fieldText(article[field]).includes(value.toLowerCase()),
+    };
+    return evaluateQuery(ast, handlers).matched ? [docId] : [];
+  });
+}
+
+// Indexed: score only the candidates (every record when the query can't be narrowed)
+function indexed(index, query) {
+  const ast = parseQuery(query);
+  const candidates = candidatesForQuery(index, ast) ?? index.articles.map((_, docId) => docId);
+  return candidates.filter((docId) => {
+    const handlers = {
+      scoreTerm: (value) => ({ score: SEARCH_FIELDS.reduce((sum, field) => sum + countTermInField(index, docId, field, value), 0) }),
+      matchField: (field, value) => fieldText(index.articles[docId][field]).includes(value.toLowerCase()),
+    };
+    return evaluateQuery(ast, handlers).matched;
+  });
+}
+
+function assertIndexMatchesScan(articles) {
+  const index = buildSearchIndex(articles, { synonyms: SYNONYMS });
+  for (const query of QUERIES) {
+    const expected = fullScan(articles, query);
+    assert.deepStrictEqual(indexed(index, query), expected, query);
+
+    const candidates = candidatesForQuery(index, parseQuery(query));
+    if (candidates) assert.ok(expected.every((docId) => candidates.includes(docId)), `${query}: candidates cover every match`);
+  }
+  return index;
+}
+
+const { log } = console;
+test.before(() => {
+  console.log = () => {};
+});
+test.after(() => {
+  console.log = log;
+});
+
+test("index candidates give the same matches as a full scan", () => {
+  const index = assertIndexMatchesScan(ARTICLES);
+  // Spot checks that the fixture exercises what it should
+  assert.deepStrictEqual(indexed(index, "AI"), [2, 3], "synonym, not 'said' or 'Taiwan'");
+  assert.deepStrictEqual(indexed(index, "machine learning"), [5], "a phrase, not both words anywhere");
+  assert.strictEqual(candidatesForQuery(index, parseQuery("NOT robot")), null, "NOT alone needs a full scan");
+});
+
+test("after records are added, edited and removed the rebuilt index still matches a full scan", () => {
+  const before = buildSearchIndex(ARTICLES, { synonyms: SYNONYMS });
+  assert.deepStrictEqual(indexed(before, "robot"), [0, 1, 2]); // warms the term and token caches
+
+  const changed = [
+    ...ARTICLES.slice(0, 1),
+    { ...ARTICLES[1], summary: "Buoys sample the Atlantic." }, // loses "robot"
+    ...ARTICLES.slice(3), // one removed: later doc IDs shift down
+    { kind: "article", title: "Warehouse robots", summary: "Artificial intelligence picks orders." },
+  ];
+  const after = assertIndexMatchesScan(changed);
+  assert.deepStrictEqual(indexed(after, "robot"), [0, 6]);
+  assert.deepStrictEqual(indexed(after, "AI"), [2, 6]);
+});
@@ -0,0 +1,158 @@
+// src/webapp/search/semanticIndex.js
+//
+// Local embedding index over title + ilpSummary + ilpKeywords, used by
+// mode=semantic and mode=hybrid on /api/matches (no OpenAI vector store).
+//
+// Persisted next to the brain as <brain>.embeddings.jsonl:
+//   line 1:  { "provider": "hash-512", "dimensions": 512, "updatedAt": "..." }
+//   then:    { "url": "...", "textHash": "<sha1>", "vector": "<base64 float32>" }
+//
+// On every load only records with a new URL (or changed text) are embedded;
+// everything else is reused. Switching provider rebuilds from scratch.
+
+import * as fs from "fs/promises";
+import * as fsSync from "fs";
+import crypto from "crypto";
+
+/**
+ * Text that gets embedded for a record
+ */
+export function embeddingText(article) {
+  const keywords = Array.isArray(article.ilpKeywords)
+    ? article.ilpKeywords.join(", ")
+    : article.ilpKeywords || "";
+  return [article.title, article.ilpSummary, keywords].filter(Boolean).join("\n");
+}
+
+function textHash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString("base64");
+}
+
+function decodeVector(encoded) {
+  // Copy out of Node's shared buffer pool, which is not 4-byte aligned
+  const bytes = new Uint8Array(Buffer.from(encoded, "base64"));
+  return new Float32Array(bytes.buffer);
+}
+
+// url -> { textHash, vector } from the persisted file, or an empty map if
+// it is missing, unreadable, or was built with another provider
+async function readPersisted(filePath, providerId) {
+  const entries = new Map();
+  if (!fsSync.existsSync(filePath)) return entries;
+
+  try {
+    const lines = (await fs.readFile(filePath, "utf8")).split(/\r?\n/).filter((l) => l.trim());
+    const header = JSON.parse(lines[0] || "{}");
+    if (header.provider !== providerId) {
+      console.log(`🧭 Semantic index was built with "${header.provider}", rebuilding with "${providerId}"`);
+      return entries;
+    }
+    for (const line of lines.slice(1)) {
+      const entry = JSON.parse(line);
+      entries.set(entry.url, { textHash: entry.textHash, vector: decodeVector(entry.vector) });
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not read semantic index ${filePath}, rebuilding:`, err.message);
+    entries.clear();
+  }
+  return entries;
+}
+
+async function writePersisted(filePath, provider, entries) {
+  const lines = [JSON.stringify({ provider: provider.id, dimensions: provider.dimensions, updatedAt: new Date().toISOString() })];
+  for (const [url, entry] of entries) {
+    lines.push(JSON.stringify({ url, textHash: entry.textHash, vector: encodeVector(entry.vector) }));
+  }
+  // Write to a temp file first so a crash never leaves a truncated index
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, lines.join("\n") + "\n", "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Load the persisted index, embed records that are new or changed, drop
+ * records that left the brain, and save it back if anything changed.
+ * Returns { provider, vectors } where vectors[docId] lines up with `articles`
+ * (null for records without a URL or text).
+ */
+export async function syncSemanticIndex(articles, { filePath, provider }) {
+  const startedAt = Date.now();
+  const persisted = await readPersisted(filePath, provider.id);
+  const entries = new Map();
+  const pending = []; // { url, textHash, text }
+
+  for (const article of articles) {
+    if (!article.url || entries.has(article.url)) continue;
+    const text = embeddingText(article);
+    if (!text) continue;
+
+    const hash = textHash(text);
+    const existing = persisted.get(article.url);
+    if (existing && existing.textHash === hash) {
+      entries.set(article.url, existing);
+    } else {
+      entries.set(article.url, null);
+      pending.push({ url: article.url, textHash: hash, text });
+    }
+  }
+
+  for (let i = 0; i < pending.length; i += provider.batchSize) {
+    const batch = pending.slice(i, i + provider.batchSize);
+    const vectors = await provider.embed(batch.map((p) => p.text));
+    batch.forEach((p, j) => entries.set(p.url, { textHash: p.textHash, vector: vectors[j] }));
+  }
+
+  const removed = [...persisted.keys()].filter((url) => !entries.has(url)).length;
+  if (pending.length > 0 || removed > 0 || !fsSync.existsSync(filePath)) {
+    await writePersisted(filePath, provider, entries);
+  }
+
+  console.log(
+    `🧭 Semantic index (${provider.id}): ${entries.size - pending.length} reused, ${pending.length} embedded, ${removed} removed (${Date.now() - startedAt} ms)`
+  );
+
+  return {
+    provider,
+    vectors: articles.map((article) => entries.get(article.url)?.vector || null),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Cosine similarity of the query text against every indexed record
+ * (vectors are unit length, so this is a dot product).
+ * Returns Map docId -> similarity for records at or above minSimilarity.
+ */
+export async function semanticSimilarities(index, queryText, { minSimilarity = 0 } = {}) {
+  const [query] = await index.provider.embed([queryText]);
+  const similarities = new Map();
+
+  index.vectors.forEach((vector, docId) => {
+    if (!vector || vector.length !== query.length) return;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) dot += vector[i] * query[i];
+    if (dot >= minSimilarity) similarities.set(docId, dot);
+  });
+  return similarities;
+}
+
+/**
+ * mode=hybrid: equal blend of the keyword score (scaled to the best keyword
+ * hit) and the semantic similarity, so records found by either side rank.
+ * Takes Maps docId -> score and docId -> similarity; returns Map docId -> score.
+ */
+export function blendHybridScores(keywordScores, similarities) {
+  let maxKeyword = 0;
+  for (const score of keywordScores.values()) maxKeyword = Math.max(maxKeyword, score);
+
+  const blended = new Map();
+  for (const id of new Set([...keywordScores.keys(), ...similarities.keys()])) {
+    const keywordPart = maxKeyword > 0 ? (keywordScores.get(id) || 0) / maxKeyword : 0;
+    blended.set(id, 0.5 * keywordPart + 0.5 * (similarities.get(id) || 0));
+  }
+  return blended;
+}
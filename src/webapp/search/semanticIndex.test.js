@@ -0,0 +1,92 @@
+// src/webapp/search/semanticIndex.test.js
+//
+// Semantic ranking order, index reuse across loads, and the hybrid blend.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createEmbeddingProvider } from "./embeddings.js";
+import { syncSemanticIndex, semanticSimilarities, blendHybridScores } from "./semanticIndex.js";
+
+const ARTICLES = [
+  { url: "https://news.mit.edu/ocean", title: "Ocean carbon uptake", ilpSummary: "Measuring how the Atlantic absorbs carbon dioxide." },
+  { url: "https://news.mit.edu/gripper", title: "Robot gripper learns to grasp", ilpSummary: "A robot arm picks up soft objects.", ilpKeywords: ["robotics", "manipulation"] },
+  { url: "https://news.mit.edu/warehouse", title: "Warehouse logistics", ilpSummary: "Robots move shelves in a fulfillment center." },
+  { title: "No URL, never indexed" },
+];
+
+// Hash provider that counts how many texts it embedded
+function countingProvider() {
+  const provider = createEmbeddingProvider("hash");
+  const counting = { ...provider, embedded: 0 };
+  counting.embed = async (texts) => {
+    counting.embedded += texts.length;
+    return provider.embed(texts);
+  };
+  return counting;
+}
+
+async function withIndexFile(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "semantic-index-test-"));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn(path.join(dir, "test_brain.embeddings.jsonl"));
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("semantic similarities rank the closest record first", async () => {
+  await withIndexFile(async (filePath) => {
+    const index = await syncSemanticIndex(ARTICLES, { filePath, provider: createEmbeddingProvider("hash") });
+    assert.strictEqual(index.vectors[3], null, "records without a URL are skipped");
+
+    const similarities = await semanticSimilarities(index, "robot arm grasping");
+    const ranked = [...similarities].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+    assert.strictEqual(ranked[0], 1, "gripper story first");
+    assert.ok(similarities.get(1) > (similarities.get(0) || 0), "ocean story below it");
+
+    const strict = await semanticSimilarities(index, "robot arm grasping", { minSimilarity: similarities.get(1) });
+    assert.deepStrictEqual([...strict.keys()], [1], "minSimilarity cuts off the rest");
+  });
+});
+
+test("reloading embeds only new or changed records", async () => {
+  await withIndexFile(async (filePath) => {
+    const first = countingProvider();
+    await syncSemanticIndex(ARTICLES, { filePath, provider: first });
+    assert.strictEqual(first.embedded, 3);
+
+    const second = countingProvider();
+    const changed = ARTICLES.map((a) => (a.url === "https://news.mit.edu/ocean" ? { ...a, title: "Ocean heat uptake" } : a));
+    const index = await syncSemanticIndex(changed, { filePath, provider: second });
+    assert.strictEqual(second.embedded, 1, "only the edited record is embedded again");
+
+    const [expected] = await createEmbeddingProvider("hash").embed(["Robot gripper learns to grasp\nA robot arm picks up soft objects.\nrobotics, manipulation"]);
+    assert.deepStrictEqual(Array.from(index.vectors[1]), Array.from(expected), "reused vector survives the round trip");
+  });
+});
+
+test("hybrid blend ranks records found by either side", () => {
+  const keyword = new Map([[0, 10], [1, 5]]);
+  const semantic = new Map([[1, 0.8], [2, 0.6]]);
+  const blended = blendHybridScores(keyword, semantic);
+
+  assert.deepStrictEqual([...blended.keys()].sort(), [0, 1, 2]);
+  assert.strictEqual(blended.get(0), 0.5, "best keyword hit, no semantic match");
+  assert.strictEqual(blended.get(1), 0.5 * 0.5 + 0.5 * 0.8);
+  assert.strictEqual(blended.get(2), 0.3, "semantic-only record");
+
+  const order = [...blended].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+  assert.deepStrictEqual(order, [1, 0, 2]);
+});
+
+test("hybrid blend without keyword hits is half the similarity", () => {
+  const blended = blendHybridScores(new Map(), new Map([[4, 0.4]]));
+  assert.deepStrictEqual([...blended], [[4, 0.2]]);
+});
@@ -0,0 +1,127 @@
+// src/webapp/search/snippets.js
+//
+// Highlighted snippets for search results: up to three short passages
+// around the matched terms, with matches wrapped in <mark>.
+//
+// Video transcripts from loadSrts.js are stored inline as
+// "(HH:MM:SS) text (HH:MM:SS) text ...", so a snippet from a transcript
+// also carries the timestamp of the caption it falls in; the timestamp
+// markers themselves are stripped from the snippet text.
+
+import { tokenSpans, matchRanges } from "./textMatch.js";
+
+// Long-text fields worth quoting, in the order they are searched
+const SNIPPET_FIELDS = ["fullText", "ilpSummary", "summary"];
+const MAX_SNIPPETS = 3;
+const CONTEXT_CHARS = 80;
+
+const TIMESTAMP_RE = /\((\d{1,2}):(\d{2}):(\d{2})\)/g;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Start offset and seconds of every "(HH:MM:SS)" marker
+function transcriptMarkers(text) {
+  const markers = [];
+  for (const m of text.matchAll(TIMESTAMP_RE)) {
+    markers.push({ at: m.index, seconds: Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) });
+  }
+  return markers;
+}
+
+function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [h, m, s].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+function youtubeVideoId(article) {
+  if (article.videoId) return article.videoId;
+  const match = String(article.url || "").match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([\w-]{6,})/);
+  return match ? match[1] : null;
+}
+
+// Widen [start, end) by CONTEXT_CHARS on each side, snapped to spaces
+function contextWindow(text, start, end) {
+  let from = Math.max(0, start - CONTEXT_CHARS);
+  let to = Math.min(text.length, end + CONTEXT_CHARS);
+  if (from > 0) {
+    const space = text.indexOf(" ", from);
+    if (space !== -1 && space < start) from = space + 1;
+  }
+  if (to < text.length) {
+    const space = text.lastIndexOf(" ", to);
+    if (space > end) to = space;
+  }
+  return [from, to];
+}
+
+function renderSnippet(text, from, to, marks) {
+  let html = "";
+  let pos = from;
+  for (const [start, end] of marks) {
+    html += escapeHtml(text.slice(pos, start)) + "<mark>" + escapeHtml(text.slice(start, end)) + "</mark>";
+    pos = end;
+  }
+  html += escapeHtml(text.slice(pos, to));
+  html = html.replace(/\(\d{1,2}:\d{2}:\d{2}\)\s*/g, "").trim();
+  return `${from > 0 ? "…" : ""}${html}${to < text.length ? "…" : ""}`;
+}
+
+/**
+ * Build snippets for one record.
+ *   variantLists: compiled variants for each positive query term
+ *                 (see termVariants in searchIndex.js)
+ * Returns [{ field, text, timestamp?, seconds?, url? }] where text is HTML
+ * (escaped, with <mark> around matches) and url deep-links into the video.
+ */
+export function buildSnippets(article, variantLists) {
+  const snippets = [];
+  if (variantLists.length === 0) return snippets;
+
+  for (const field of SNIPPET_FIELDS) {
+    const text = typeof article[field] === "string" ? article[field] : "";
+    if (!text) continue;
+
+    const spans = tokenSpans(text);
+    const tokens = spans.map((s) => s.stem);
+    const hits = variantLists
+      .flatMap((variants) => matchRanges(tokens, variants))
+      .map(([first, last]) => [spans[first].start, spans[last].end])
+      .sort((a, b) => a[0] - b[0]);
+    if (hits.length === 0) continue;
+
+    const markers = field === "fullText" ? transcriptMarkers(text) : [];
+    const videoId = markers.length ? youtubeVideoId(article) : null;
+
+    let i = 0;
+    while (i < hits.length && snippets.length < MAX_SNIPPETS) {
+      const [from, to] = contextWindow(text, hits[i][0], hits[i][1]);
+      const marks = [];
+      for (; i < hits.length && hits[i][1] <= to; i++) {
+        const last = marks[marks.length - 1];
+        if (last && hits[i][0] < last[1]) last[1] = Math.max(last[1], hits[i][1]); // overlapping terms
+        else marks.push([...hits[i]]);
+      }
+
+      const snippet = { field, text: renderSnippet(text, from, to, marks) };
+      const marker = markers.filter((m) => m.at <= marks[0][0]).pop();
+      if (marker) {
+        snippet.timestamp = formatTimestamp(marker.seconds);
+        snippet.seconds = marker.seconds;
+        if (videoId) snippet.url = `https://www.youtube.com/watch?v=${videoId}&t=${marker.seconds}s`;
+      }
+      snippets.push(snippet);
+    }
+
+    if (snippets.length >= MAX_SNIPPETS) break;
+  }
+
+  return snippets;
+}
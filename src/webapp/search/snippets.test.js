@@ -0,0 +1,50 @@
+// src/webapp/search/snippets.test.js
+//
+// Snippets around transcript hits carry the timestamp of the caption the
+// hit falls in (and a deep link into the video); markers are stripped from
+// the text and matches are escaped and wrapped in <mark>.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { buildSnippets } from "./snippets.js";
+import { compileTerm } from "./textMatch.js";
+
+const filler = (word) => `${word} `.repeat(30).trim();
+
+const VIDEO = {
+  url: "https://www.youtube.com/watch?v=abc123XYZ",
+  fullText: [
+    `(00:00:01) Welcome to the lab. ${filler("intro")}`,
+    `(00:02:05) Our soft gripper picks fruit. ${filler("detail")}`,
+    `(01:10:30) ${filler("closing")} Questions about the gripper?`,
+  ].join(" "),
+};
+
+test("each transcript snippet carries the timestamp of its caption", () => {
+  const snippets = buildSnippets(VIDEO, [compileTerm("gripper")]);
+  assert.deepStrictEqual(snippets.map((s) => [s.field, s.timestamp, s.seconds]), [
+    ["fullText", "00:02:05", 125],
+    ["fullText", "01:10:30", 4230],
+  ]);
+  assert.strictEqual(snippets[0].url, "https://www.youtube.com/watch?v=abc123XYZ&t=125s");
+  assert.match(snippets[0].text, /Our soft <mark>gripper<\/mark> picks fruit/);
+  assert.ok(snippets.every((s) => !/\(\d{2}:\d{2}:\d{2}\)/.test(s.text)), "markers stripped from the text");
+});
+
+test("a hit before the first marker has no timestamp; other fields never do", () => {
+  const snippets = buildSnippets(
+    { fullText: "Gripper demo first. (00:00:09) then captions", summary: "A gripper for <fruit>" },
+    [compileTerm("gripper")]
+  );
+  assert.strictEqual(snippets[0].field, "fullText");
+  assert.strictEqual(snippets[0].timestamp, undefined);
+  assert.strictEqual(snippets[0].url, undefined);
+  assert.deepStrictEqual(snippets[1], { field: "summary", text: "A <mark>gripper</mark> for &lt;fruit&gt;" });
+});
+
+test("at most three snippets, none without query terms", () => {
+  const many = { fullText: [1, 2, 3, 4, 5].map((i) => `(00:0${i}:00) gripper ${filler("pad")}`).join(" ") };
+  assert.strictEqual(buildSnippets(many, [compileTerm("gripper")]).length, 3);
+  assert.deepStrictEqual(buildSnippets(many, []), []);
+});
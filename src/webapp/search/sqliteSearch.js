@@ -0,0 +1,131 @@
+// src/webapp/search/sqliteSearch.js
+//
+// Boolean queries (see queryParser.js) against the SQLite brain
+// (MIT_BRAIN_BACKEND=sqlite, see shared/sqliteBrain.cjs).
+//
+// The AST becomes one WHERE clause: a term is an FTS5 phrase match (its
+// words, or one of its synonym variants), kind: compares the kind column
+// and the other qualifiers search the lowercase qualifier columns. For
+// every term the query also reports which search fields it occurs in, so
+// the server scores matches with the same per-field weights as the
+// in-memory index. Stemming is FTS5's porter stemmer, so a few inflections
+// match where the in-memory index's stemmer doesn't (and vice versa).
+//
+// Rows come back as cards (no fullText); use SqliteBrain.get() for the
+// full record.
+
+import { createRequire } from "module";
+import { words, compileTerm } from "./textMatch.js";
+
+const require = createRequire(import.meta.url);
+const { FTS_FIELDS, QUALIFIER_COLUMNS } = require("../../shared/sqliteBrain.cjs");
+
+// Same aliases as the kind: qualifier on the in-memory search
+const KIND_ALIASES = {
+  event: ["event", "future_event"],
+  news: ["article"],
+};
+
+const FTS_MATCH = "r.rowid IN (SELECT rowid FROM records_fts WHERE records_fts MATCH ?)";
+
+/**
+ * FTS5 query for one search term: its words as a phrase, or any synonym
+ * variant. The FTS index does its own (porter) stemming, so `synonyms` are
+ * unstemmed groups: loadSynonyms(path, words). null when the term has no
+ * word characters (matches nothing).
+ */
+export function ftsQuery(term, synonyms = []) {
+  const phrases = compileTerm(term, synonyms, words).map((tokens) => `"${tokens.join(" ")}"`);
+  return phrases.length > 0 ? phrases.join(" OR ") : null;
+}
+
+function whereClause(ast, synonyms, params) {
+  switch (ast.type) {
+    case "all":
+      return "1";
+
+    case "term": {
+      const query = ftsQuery(ast.value, synonyms);
+      if (!query) return "0";
+      params.push(query);
+      return FTS_MATCH;
+    }
+
+    case "field": {
+      const needle = ast.value.toLowerCase();
+      if (ast.field === "kind") {
+        const kinds = KIND_ALIASES[needle] || [needle];
+        params.push(...kinds);
+        return `COALESCE(lower(r.kind), '') IN (${kinds.map(() => "?").join(", ")})`;
+      }
+      const column = QUALIFIER_COLUMNS[ast.field];
+      if (!column) return "0";
+      params.push(needle);
+      return `instr(r.${column}, ?) > 0`;
+    }
+
+    case "not":
+      return `NOT (${whereClause(ast.child, synonyms, params)})`;
+
+    default:
+      return `(${ast.children.map((child) => whereClause(child, synonyms, params)).join(ast.type === "and" ? " AND " : " OR ")})`;
+  }
+}
+
+// Every term in the query, negated ones included (NOT needs to know
+// whether they occur, too)
+function allTerms(ast) {
+  switch (ast.type) {
+    case "term":
+      return [ast.value];
+    case "not":
+      return allTerms(ast.child);
+    case "and":
+    case "or":
+      return [...new Set(ast.children.flatMap(allTerms))];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Run a parsed query against a SqliteBrain.
+ * Returns [{ record, termFields }] in brain order, where record is the card
+ * and termFields maps each term to the search fields it occurs in.
+ */
+export function searchSqlite(store, ast, { synonyms = [] } = {}) {
+  const columns = [];
+  const columnParams = [];
+  const termColumns = []; // [term, field, column alias]
+
+  allTerms(ast).forEach((term, i) => {
+    const query = ftsQuery(term, synonyms);
+    if (!query) return;
+    for (const field of FTS_FIELDS) {
+      const alias = `t${i}_${field}`;
+      columns.push(`${FTS_MATCH} AS ${alias}`);
+      columnParams.push(`${field} : (${query})`);
+      termColumns.push([term, field, alias]);
+    }
+  });
+
+  const whereParams = [];
+  const where = whereClause(ast, synonyms, whereParams);
+  const sql = `
+    SELECT json_remove(r.data, '$.fullText') AS card${columns.map((c) => `, ${c}`).join("")}
+    FROM records r
+    WHERE ${where}
+    ORDER BY r.rowid`;
+
+  return store.db
+    .prepare(sql)
+    .all(...columnParams, ...whereParams)
+    .map((row) => {
+      const termFields = {};
+      for (const [term, field, alias] of termColumns) {
+        if (!termFields[term]) termFields[term] = [];
+        if (row[alias]) termFields[term].push(field);
+      }
+      return { record: JSON.parse(row.card), termFields };
+    });
+}
@@ -0,0 +1,79 @@
+// src/webapp/search/sqliteSearch.test.js
+//
+// Boolean queries against the SQLite brain's FTS5 index: terms, phrases,
+// AND / OR / NOT, qualifiers, synonyms and the per-field term report.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createRequire } from "module";
+import { parseQuery } from "./queryParser.js";
+import { ftsQuery, searchSqlite } from "./sqliteSearch.js";
+
+const require = createRequire(import.meta.url);
+const { SqliteBrain } = require("../../shared/sqliteBrain.cjs");
+
+const RECORDS = [
+  { id: "r1", kind: "paper", source: "openalex", title: "Soft robotic grippers", summary: "Robots that handle fruit.", authors: ["Daniela Rus"], fullText: "long text" },
+  { id: "r2", kind: "article", source: "mit_news", title: "Ocean carbon uptake", summary: "Robot boats sample the Atlantic.", mitGroups: ["EAPS"] },
+  { id: "r3", kind: "future_event", source: "ilp", title: "Artificial intelligence in manufacturing", ilpKeywords: ["factories", "automation"] },
+  { id: "r4", kind: "video", source: "youtube", title: "Gripper demo", summary: "A soft gripper picks up a tomato." },
+];
+
+let brainDir;
+let store;
+
+test.before(() => {
+  brainDir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-search-test-"));
+  store = new SqliteBrain(brainDir, "test_brain");
+  store.write(RECORDS);
+});
+
+test.after(() => {
+  store.close();
+  fs.rmSync(brainDir, { recursive: true, force: true });
+});
+
+const ids = (query, options) => searchSqlite(store, parseQuery(query), options).map((r) => r.record.id);
+
+test("terms are stemmed FTS5 matches, phrases keep word order", () => {
+  assert.deepStrictEqual(ids("robot"), ["r1", "r2"], "robotic and Robots both match");
+  assert.deepStrictEqual(ids('"soft gripper"'), ["r4"]);
+  assert.deepStrictEqual(ids('"gripper soft"'), []);
+  assert.deepStrictEqual(ids("gripper"), ["r1", "r4"]);
+  assert.deepStrictEqual(ids("*"), ["r1", "r2", "r3", "r4"], "brain order");
+});
+
+test("AND, OR and NOT combine in SQL", () => {
+  assert.deepStrictEqual(ids("robot AND ocean"), ["r2"]);
+  assert.deepStrictEqual(ids("ocean OR tomato"), ["r2", "r4"]);
+  assert.deepStrictEqual(ids("gripper AND NOT robot"), ["r4"]);
+  assert.deepStrictEqual(ids("(ocean OR tomato) AND NOT kind:video"), ["r2"]);
+});
+
+test("qualifiers use the kind and lowercase qualifier columns", () => {
+  assert.deepStrictEqual(ids("kind:event"), ["r3"], "event includes future_event");
+  assert.deepStrictEqual(ids("kind:news"), ["r2"]);
+  assert.deepStrictEqual(ids("author:rus"), ["r1"]);
+  assert.deepStrictEqual(ids("source:YOUTUBE"), ["r4"]);
+  assert.deepStrictEqual(ids("robot AND mitGroups:eaps"), ["r2"]);
+});
+
+test("synonyms expand a term into FTS5 alternatives", () => {
+  const synonyms = [[["ai"], ["artificial", "intelligence"]]];
+  assert.strictEqual(ftsQuery("AI", synonyms), '"ai" OR "artificial intelligence"');
+  assert.strictEqual(ftsQuery("!!"), null);
+  assert.deepStrictEqual(ids("ai"), []);
+  assert.deepStrictEqual(ids("ai", { synonyms }), ["r3"]);
+});
+
+test("results are cards with the fields each term occurs in", () => {
+  const [first, second] = searchSqlite(store, parseQuery("gripper OR fruit"));
+  assert.strictEqual(first.record.id, "r1");
+  assert.ok(!("fullText" in first.record), "fullText left out of cards");
+  assert.deepStrictEqual(first.termFields, { gripper: ["title"], fruit: ["summary"] });
+  assert.deepStrictEqual(second.termFields, { gripper: ["title", "summary"], fruit: [] });
+});
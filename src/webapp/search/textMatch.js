@@ -0,0 +1,189 @@
+// src/webapp/search/textMatch.js
+//
+// Token-level term matching shared by /api/matches, alert runs and the
+// people search.
+//
+// - Word boundaries: text is split into word tokens, so "AI" no longer
+//   matches "said", "maintain" or "Taiwan".
+// - Light English stemming: plural and common suffixes are stripped from
+//   both the query and the text, so "robot" matches "robotics" and
+//   "battery" matches "batteries".
+// - Synonyms: a per-deployment file of equivalence groups, one group per
+//   line, comma-separated ("AI, artificial intelligence"). Lines starting
+//   with # are comments. A term matches if it or any synonym variant of it
+//   appears as a phrase.
+
+import * as fsSync from "fs";
+
+const TOKEN_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+const MAX_VARIANTS = 16;
+
+// Words that look plural but are not
+const INVARIANT_WORDS = new Set(["news", "series", "species", "bias", "gas", "lens", "always", "perhaps"]);
+
+// Suffix rules, tried in order; the first one that leaves a stem of at
+// least 3 characters wins
+const SUFFIX_RULES = [
+  ["ically", ""],
+  ["ization", "ize"],
+  ["izing", "ize"],
+  ["ized", "ize"],
+  ["ational", "ate"],
+  ["ation", "ate"],
+  ["ical", ""],
+  ["ness", ""],
+  ["ing", ""],
+  ["ed", ""],
+  ["ly", ""],
+  ["ic", ""],
+];
+
+/**
+ * Reduce a lowercase word to its search stem
+ */
+export function stem(word) {
+  let w = word.replace(/['’]s$/, "").replace(/['’]/g, "");
+  if (w.length < 3 || /\d/.test(w) || INVARIANT_WORDS.has(w)) return w;
+
+  // Plurals (short ones too, so "EVs" -> "ev")
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  if (w.length <= 3) return w;
+
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length) + replacement;
+      // "running" -> "runn" -> "run"
+      if (!replacement && /([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+
+  // "automate" / "automated" / "automation" all end up as "automat"
+  if (w.length > 4 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Text -> array of lowercase word tokens (unstemmed)
+ */
+export function words(text) {
+  return String(text ?? "").toLowerCase().match(TOKEN_RE) || [];
+}
+
+/**
+ * Lowercase text -> array of stemmed tokens
+ */
+export function analyze(text) {
+  return words(text).map(stem);
+}
+
+/**
+ * Stemmed tokens with their character offsets in the original text
+ * (for highlighting)
+ */
+export function tokenSpans(text) {
+  const spans = [];
+  for (const match of String(text ?? "").matchAll(TOKEN_RE)) {
+    spans.push({ stem: stem(match[0].toLowerCase()), start: match.index, end: match.index + match[0].length });
+  }
+  return spans;
+}
+
+/**
+ * Load synonym groups from a file. Missing file = no synonyms.
+ * Returns an array of groups, each an array of stemmed phrases
+ * (tokenized with `tokenize`; pass words() for unstemmed ones).
+ */
+export function loadSynonyms(filePath, tokenize = analyze) {
+  if (!filePath || !fsSync.existsSync(filePath)) return [];
+
+  const groups = [];
+  const lines = fsSync.readFileSync(filePath, "utf8").split(/\r?\n/);
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const group = trimmed
+      .split(",")
+      .map((phrase) => tokenize(phrase))
+      .filter((tokens) => tokens.length > 0);
+    if (group.length > 1) groups.push(group);
+  }
+
+  console.log(`🔤 Loaded ${groups.length} synonym groups from ${filePath}`);
+  return groups;
+}
+
+function indexOfSequence(tokens, sequence, from = 0) {
+  outer: for (let i = from; i <= tokens.length - sequence.length; i++) {
+    for (let j = 0; j < sequence.length; j++) {
+      if (tokens[i + j] !== sequence[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Compile a search term into the stemmed phrases that satisfy it:
+ * the term itself plus one variant per synonym substitution.
+ * An empty array means the term has no word characters and cannot match.
+ * `tokenize` must be the one the synonym groups were loaded with.
+ */
+export function compileTerm(term, synonymGroups = [], tokenize = analyze) {
+  const base = tokenize(term);
+  if (base.length === 0) return [];
+
+  const variants = new Map([[base.join(" "), base]]);
+  for (const group of synonymGroups) {
+    for (const member of group) {
+      const at = indexOfSequence(base, member);
+      if (at === -1) continue;
+      for (const alternative of group) {
+        if (alternative === member) continue;
+        const variant = [...base.slice(0, at), ...alternative, ...base.slice(at + member.length)];
+        variants.set(variant.join(" "), variant);
+        if (variants.size >= MAX_VARIANTS) return [...variants.values()];
+      }
+    }
+  }
+  return [...variants.values()];
+}
+
+/**
+ * Number of times any compiled variant occurs as a phrase in `tokens`
+ */
+export function countMatches(tokens, variants) {
+  let count = 0;
+  for (const variant of variants) {
+    let at = indexOfSequence(tokens, variant);
+    while (at !== -1) {
+      count++;
+      at = indexOfSequence(tokens, variant, at + variant.length);
+    }
+  }
+  return count;
+}
+
+/**
+ * Token ranges [first, last] where any compiled variant occurs, in text order
+ */
+export function matchRanges(tokens, variants) {
+  const ranges = [];
+  for (const variant of variants) {
+    let at = indexOfSequence(tokens, variant);
+    while (at !== -1) {
+      ranges.push([at, at + variant.length - 1]);
+      at = indexOfSequence(tokens, variant, at + variant.length);
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * True if any compiled variant occurs in `tokens`
+ */
+export function matchesTokens(tokens, variants) {
+  return variants.some((variant) => indexOfSequence(tokens, variant) !== -1);
+}
@@ -0,0 +1,90 @@
+// src/webapp/search/textMatch.test.js
+//
+// Word-boundary matching, stemming and synonym expansion: "AI" must not
+// match inside "said" or "Taiwan", and a synonym group must only apply to
+// whole words of the term, never leak into unrelated ones.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { stem, words, analyze, loadSynonyms, compileTerm, countMatches, matchRanges, matchesTokens } from "./textMatch.js";
+
+const SYNONYMS = [
+  ["AI", "artificial intelligence"],
+  ["ML", "machine learning"],
+  ["EV", "electric vehicle"],
+].map((group) => group.map((phrase) => analyze(phrase)));
+
+const matches = (term, text) => matchesTokens(analyze(text), compileTerm(term, SYNONYMS));
+
+test("terms match whole words only", () => {
+  assert.ok(matches("AI", "A new AI lab opens"));
+  assert.ok(matches("AI", "AI-driven design"));
+  for (const text of ["Officials said on Monday", "Crews maintain the turbines", "Chip plants in Taiwan", "Thai cuisine", "Email the team"]) {
+    assert.ok(!matches("AI", text), text);
+  }
+  assert.ok(!matches("art", "Artificial sweeteners"));
+});
+
+test("plurals and common suffixes stem together", () => {
+  const same = [
+    ["robot", "robots", "robotic", "robotics"],
+    ["battery", "batteries"],
+    ["automate", "automated", "automation"],
+    ["run", "running"],
+    ["class", "classes"],
+    ["ev", "EVs"],
+  ];
+  for (const group of same) {
+    const stems = new Set(group.map((w) => stem(w.toLowerCase())));
+    assert.strictEqual(stems.size, 1, `${group.join(", ")} -> ${[...stems].join(", ")}`);
+  }
+  for (const word of ["news", "series", "status", "analysis", "gas"]) {
+    assert.strictEqual(stem(word), word, `${word} is not a plural`);
+  }
+  assert.deepStrictEqual(words("Alzheimer’s disease, COVID-19"), ["alzheimer’s", "disease", "covid", "19"]);
+  assert.strictEqual(stem("alzheimer’s"), "alzheimer");
+});
+
+test("a synonym matches as a phrase, in either direction", () => {
+  assert.ok(matches("AI", "Advances in artificial intelligence"));
+  assert.ok(matches("artificial intelligence", "The AI team"));
+  assert.ok(matches("EVs", "Charging electric vehicles"));
+  assert.ok(!matches("AI", "Intelligence that is artificial"), "word order matters");
+  assert.ok(!matches("AI", "Artificial sweeteners and market intelligence"));
+});
+
+test("synonym expansion stays inside the term's own words", () => {
+  assert.deepStrictEqual(compileTerm("AI safety", SYNONYMS).map((v) => v.join(" ")), ["ai safety", "artificial intelligenc safety"]);
+  for (const term of ["aim", "email", "Thai", "machine", "learning", "vehicle"]) {
+    assert.strictEqual(compileTerm(term, SYNONYMS).length, 1, `${term} has no synonyms`);
+  }
+  assert.ok(!matches("machine", "Advances in ML"), "part of a group member is not the member");
+  assert.ok(!matches("AI safety", "artificial intelligence"), "the rest of the term still has to match");
+  assert.deepStrictEqual(compileTerm("!!!", SYNONYMS), [], "no word characters, no match");
+});
+
+test("counts and ranges cover every variant, in text order", () => {
+  const tokens = analyze("AI today. Artificial intelligence tomorrow. Then AI again.");
+  const variants = compileTerm("AI", SYNONYMS);
+  assert.strictEqual(countMatches(tokens, variants), 3);
+  assert.deepStrictEqual(matchRanges(tokens, variants), [[0, 0], [2, 3], [6, 6]]);
+});
+
+test("loadSynonyms skips comments and one-entry lines", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "synonyms-test-"));
+  const { log } = console;
+  console.log = () => {};
+  try {
+    const file = path.join(dir, "synonyms.txt");
+    fs.writeFileSync(file, "# comment\nAI, artificial intelligence\n\nlonely\nEV,  electric vehicles ,\n");
+    assert.deepStrictEqual(loadSynonyms(file), [[["ai"], ["artificial", "intelligenc"]], [["ev"], ["electr", "vehicl"]]]);
+    assert.deepStrictEqual(loadSynonyms(path.join(dir, "missing.txt")), []);
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -2,7 +2,8 @@
 //
 // Backend for MIT News Monitor
 // - Serves front-end from /public
-// - /api/matches                  → phrase-based article search
+// - /api/matches                  → boolean query search (ranking=bm25 for BM25F, mode=semantic|hybrid)
+// - /api/items/:id                → full record by record ID (IDs are also accepted as selectedArticles)
 // - /api/members                  → list of ILP members from member-profiles.csv
 // - /api/member-intro             → OpenAI-generated intro tailored to chosen member & tone
 // - /api/member-article-summaries → OpenAI-generated 2-sentence summaries per item
@@ -21,10 +22,56 @@ import multer from "multer";
 import session from "express-session";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import os from "os";
+import { createRequire } from "module";
+import { once } from "events";
+import { buildSearchIndex, candidatesForQuery, countTermInField, termVariants, fuzzyView, matchWithFuzzyFallback } from "./search/searchIndex.js";
+import { fuzzyQuery, suggestCorrections } from "./search/fuzzy.js";
+import { loadSynonyms, words } from "./search/textMatch.js";
+import { createEmbeddingProvider } from "./search/embeddings.js";
+import { syncSemanticIndex, semanticSimilarities, blendHybridScores } from "./search/semanticIndex.js";
+import { parseFacetFilters, applyFacetFilters, computeFacets } from "./search/facets.js";
+import { buildSnippets } from "./search/snippets.js";
+import {
+  parseFieldsParam,
+  projectRecord,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  InvalidCursorError,
+  DEFAULT_PAGE_SIZE,
+} from "./search/pagination.js";
+import { termIdf, scoreBm25ForTerm, mergeBm25Fields, round } from "./search/bm25.js";
+import { parseQuery, evaluateQuery, describeQuery, queryTextTerms, QuerySyntaxError } from "./search/queryParser.js";
+import { searchSqlite } from "./search/sqliteSearch.js";
+import { nextRunAfter, normalizeSchedule, describeSchedule, ScheduleError } from "./alertSchedule.js";
+import {
+  createSmartMatcher,
+  smartMatchItem,
+  normalizeRelevanceThreshold,
+  DEFAULT_RELEVANCE_THRESHOLD,
+  SmartMatchError,
+  SmartMatchInputError
+} from "./smartMatch.js";
+import { createPersonAccess, isSafeName } from "./personAccess.js";
+import { generateAlertEmailHTML, getScoreColor, getScoreLabel, escapeHtml, safeHref } from "./alertEmail.js";
 
 const { default: transcriptsRouter } = await import("./routes/transcripts.routes.js");
 const { default: peopleRouter } = await import("./routes/people.routes.js");
 
+// Record IDs are assigned by MITBrainSchema (CommonJS); brains written before
+// IDs existed get the same ID computed here until backfillRecordIds.cjs runs
+const require = createRequire(import.meta.url);
+const { recordId } = require("../shared/recordId.cjs");
+// Advisory lock shared with the scrapers (see shared/brainLock.cjs)
+const { readBrainLock, acquireBrainLock, releaseBrainLock, BrainLockError } = require("../shared/brainLock.cjs");
+// MIT_BRAIN_BACKEND=sqlite: query brain/<MIT_BRAIN>.sqlite instead of loading the JSONL
+const { SqliteBrain } = require("../shared/sqliteBrain.cjs");
+// Brain files are read and written a line at a time (see shared/jsonlStream.cjs)
+const { readJsonl, readJsonlSync, writeJsonlSync } = require("../shared/jsonlStream.cjs");
+// CSV / XLSX / columnar JSON / NDJSON downloads (GET /api/admin/export)
+const { ExportError, filterRecords, createExport } = require("../shared/brainExport.cjs");
+
 // Setup __dirname for ES modules (must be before dotenv.config)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -69,15 +116,55 @@ console.log("cwd:", process.cwd());
 // JSONL data file - configurable via MIT_BRAIN environment variable
 const MIT_BRAIN = process.env.MIT_BRAIN || "mit_brain_test17";
 const JSONL_FILENAME = `${MIT_BRAIN}.jsonl`;
-const jsonlPath = path.join(__dirname, "../../brain", JSONL_FILENAME);
+const BRAIN_DIR = path.join(__dirname, "../../brain");
+const jsonlPath = path.join(BRAIN_DIR, JSONL_FILENAME);
+// Local embedding index for mode=semantic / mode=hybrid, kept next to the brain
+const embeddingsPath = path.join(BRAIN_DIR, `${MIT_BRAIN}.embeddings.jsonl`);
+// Search synonym groups for this deployment - configurable via SEARCH_SYNONYMS
+const SYNONYMS_PATH = process.env.SEARCH_SYNONYMS || path.join(__dirname, "../../people/search-synonyms.txt");
 let articles = [];
 let articlesByKind = {}; // Track article counts by kind
 let dashboardCache = null; // Pre-calculated dashboard data
+let searchIndex = null; // Inverted index for /api/matches (rebuilt on every load)
+let ftsSynonyms = []; // Unstemmed synonym groups for SQLite full-text queries
+let semanticIndex = null; // Embedding vectors for semantic/hybrid search (null if unavailable)
+let articlesById = new Map(); // record ID -> record, for GET /api/items/:id and ID lookups
+// With the SQLite backend `articles` stays empty and records are read from the store
+const BRAIN_BACKEND = process.env.MIT_BRAIN_BACKEND === "sqlite" ? "sqlite" : "jsonl";
+const brainStore = BRAIN_BACKEND === "sqlite" ? new SqliteBrain(BRAIN_DIR, MIT_BRAIN) : null;
 const serverStartTime = new Date().toISOString(); // Track when server started
 
 // ---------- Temp Prospect Profiles (in-memory storage) ----------
 let tempProspects = {}; // personId -> array of temp profiles
 
+function getRecord(id) {
+  return brainStore ? brainStore.get(id) : articlesById.get(id) || null;
+}
+
+// Every record; reads the whole SQLite brain, so only for reports
+function allArticles() {
+  return brainStore ? brainStore.all() : articles;
+}
+
+function brainRecordCount() {
+  return brainStore ? brainStore.count() : articles.length;
+}
+
+// Resolve request-supplied items to brain records. Accepts record IDs or
+// item objects (matched by id, then URL); unknown objects are passed through
+// so callers can still send ad-hoc items.
+function resolveItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => {
+      if (typeof item === "string") return getRecord(item);
+      if (!item || typeof item !== "object") return null;
+      const record = (item.id && getRecord(String(item.id))) || null;
+      return record ? { ...record, ...item } : item;
+    })
+    .filter(Boolean);
+}
+
 // Helper function to calculate article counts by kind
 function calculateArticlesByKind(articles) {
   const counts = {};
@@ -129,21 +216,16 @@ function calculateDashboardCache(articles) {
 }
 
 async function loadArticles() {
+  if (brainStore) return loadSqliteBrain();
   try {
     console.log(`📂 Loading articles from: ${jsonlPath}`);
-    const content = await fs.readFile(jsonlPath, "utf8");
-    const lines = content.split(/\r?\n/).filter((l) => l.trim().length > 0);
-
-    articles = lines
-      .map((line, idx) => {
-        try {
-          return JSON.parse(line);
-        } catch (err) {
-          console.warn(`⚠️ Failed to parse line ${idx + 1}:`, err.message);
-          return null;
-        }
-      })
-      .filter(Boolean);
+    const loaded = [];
+    for await (const { record } of readJsonl(jsonlPath, {
+      onError: ({ line, error }) => console.warn(`⚠️ Failed to parse line ${line}:`, error.message),
+    })) {
+      loaded.push(record);
+    }
+    articles = loaded;
 
     // Calculate article counts by kind
     articlesByKind = calculateArticlesByKind(articles);
@@ -151,6 +233,18 @@ async function loadArticles() {
     // Pre-calculate dashboard data
     dashboardCache = calculateDashboardCache(articles);
 
+    // Every record needs an ID; older brains don't store one yet
+    for (const article of articles) {
+      if (!article.id) article.id = recordId(article);
+    }
+    articlesById = new Map(articles.map((a) => [a.id, a]));
+
+    // Rebuild the search index for the freshly loaded records
+    searchIndex = buildSearchIndex(articles, { synonyms: loadSynonyms(SYNONYMS_PATH) });
+
+    // Bring the embedding index up to date (only new or changed URLs are embedded)
+    semanticIndex = await loadSemanticIndex(articles);
+
     console.log(`✅ Loaded ${articles.length} articles from JSONL`);
     console.log(`📊 Articles by kind:`, articlesByKind);
     console.log(`📊 Dashboard cache: ${dashboardCache.recentArticles.length} articles, ${dashboardCache.recentVideos.length} videos, ${dashboardCache.recentPapers.length} papers, ${dashboardCache.upcomingEvents.length} events`);
@@ -161,10 +255,56 @@ async function loadArticles() {
     console.error("   Make sure the file exists and is readable");
     articles = [];
     articlesByKind = {};
+    articlesById = new Map();
+    searchIndex = buildSearchIndex(articles);
+    semanticIndex = null;
     return articles;
   }
 }
 
+// SQLite backend: records stay in the store and are queried per request
+// (see search/sqliteSearch.js); only counts, the dashboard and the synonym
+// groups are kept in memory. Semantic search needs the in-memory records.
+function loadSqliteBrain() {
+  articles = [];
+  articlesById = new Map();
+  semanticIndex = null;
+  // Empty index: carries the synonym groups for snippets and people search
+  searchIndex = buildSearchIndex([], { synonyms: loadSynonyms(SYNONYMS_PATH) });
+  ftsSynonyms = loadSynonyms(SYNONYMS_PATH, words);
+  try {
+    console.log(`📂 Using SQLite brain: ${brainStore.filePath}`);
+    if (!brainStore.exists()) throw new Error("SQLite brain not found (create it with: node brainSqlite.cjs import)");
+
+    articlesByKind = brainStore.countByKind();
+    dashboardCache = calculateDashboardCache(
+      brainStore.byKind(["article", "video", "paper", "event", "future_event"], { omit: ["fullText"] })
+    );
+
+    console.log(`✅ ${brainStore.count()} records in SQLite`);
+    console.log(`📊 Articles by kind:`, articlesByKind);
+    console.log(`📊 Dashboard cache: ${dashboardCache.recentArticles.length} articles, ${dashboardCache.recentVideos.length} videos, ${dashboardCache.recentPapers.length} papers, ${dashboardCache.upcomingEvents.length} events`);
+  } catch (err) {
+    console.error("❌ Error opening SQLite brain:", err.message);
+    articlesByKind = {};
+  }
+  return articles;
+}
+
+// Embedding provider comes from EMBEDDING_PROVIDER (default: offline "hash").
+// Failures only disable semantic search; keyword search keeps working.
+async function loadSemanticIndex(records) {
+  try {
+    const provider = createEmbeddingProvider(process.env.EMBEDDING_PROVIDER || "hash", {
+      model: process.env.EMBEDDING_MODEL || undefined,
+    });
+    return await syncSemanticIndex(records, { filePath: embeddingsPath, provider });
+  } catch (err) {
+    console.error("❌ Semantic index unavailable:", err.message);
+    return null;
+  }
+}
+
 // Helper function to parse and clean mitGroups field
 // Handles nested JSON-encoded strings like: ["[\"[\\\"MIT ILP\\\"]\"]"]
 function parseMitGroups(mitGroups) {
@@ -278,93 +418,228 @@ function processTemplateTags(templateContent, replacements) {
 }
 
 
-// ---------- Search (AND/OR support) ----------
-function parseSearchQuery(query) {
-  const qRaw = (query ?? "").toString().trim();
-  // Treat "*" (or empty) as a wildcard that returns everything.
-  if (qRaw === "*" || qRaw === "") {
-    return { operator: "WILDCARD", terms: [] };
-  }
+// ---------- Search (boolean queries, see search/queryParser.js) ----------
 
-  const queryUpper = qRaw.toUpperCase();
+// Field qualifiers: kind:, source:, authors:, mitGroups:, dlc:, industries:
+function matchFieldQualifier(article, field, value) {
+  const needle = value.toLowerCase();
 
-  if (queryUpper.includes(" AND ")) {
-    const terms = qRaw.split(/ AND /i).map((t) => t.trim()).filter(Boolean);
-    return { operator: "AND", terms };
+  if (field === "kind") {
+    const kind = (article.kind || "").toLowerCase();
+    // Same aliases the search page and alert creator use for content types
+    if (needle === "event") return kind === "event" || kind === "future_event";
+    if (needle === "news") return kind === "article";
+    return kind === needle;
   }
 
-  if (queryUpper.includes(" OR ")) {
-    const terms = qRaw.split(/ OR /i).map((t) => t.trim()).filter(Boolean);
-    return { operator: "OR", terms };
+  let text;
+  if (field === "mitGroups" || field === "industries") {
+    text = parseMitGroups(article[field]);
+  } else if (Array.isArray(article[field])) {
+    text = article[field].join(", ");
+  } else {
+    text = article[field] == null ? "" : String(article[field]);
   }
-
-  return { operator: "SIMPLE", terms: [qRaw] };
+  return text.toLowerCase().includes(needle);
 }
 
-function scoreArticleForTerm(article, term) {
+// Flat per-field bonus when a term (or one of its synonyms) occurs in the field
+const TERM_FIELD_WEIGHTS = {
+  ilpSummary: 1.0,
+  ilpKeywords: 0.8,
+  fullText: 0.7,
+  tags: 0.6,
+  authors: 0.5,
+  title: 0.5,
+  summary: 0.5,
+};
+
+function scoreArticleForTerm(index, docId, term) {
   let score = 0;
   let matchedIn = [];
-  const termLower = term.toLowerCase();
 
-  const summary = (article.ilpSummary || "").toLowerCase();
-  if (summary.includes(termLower)) {
-    score += 1.0;
-    matchedIn.push("ilpSummary");
+  for (const [field, weight] of Object.entries(TERM_FIELD_WEIGHTS)) {
+    if (countTermInField(index, docId, field, term) > 0) {
+      score += weight;
+      matchedIn.push(field);
+    }
   }
 
-  let keywordsStr = "";
-  if (Array.isArray(article.ilpKeywords)) keywordsStr = article.ilpKeywords.join(" ").toLowerCase();
-  else if (typeof article.ilpKeywords === "string") keywordsStr = article.ilpKeywords.toLowerCase();
+  return { score, matchedIn };
+}
+
+// Default ranking: flat per-field weights (see scoreArticleForTerm).
+// AND sums term scores, OR keeps the best term. Records matched only by
+// field qualifiers get filterScore.
+function matchArticlesWeighted(index, candidateIds, ast, filterScore) {
+  const docIds = candidateIds || articles.map((_, id) => id);
+
+  const matches = new Map();
+  for (const id of docIds) {
+    const article = articles[id];
+    const result = evaluateQuery(ast, {
+      scoreTerm: (term) => scoreArticleForTerm(index, id, term),
+      matchField: (field, value) => matchFieldQualifier(article, field, value),
+    });
+    if (!result.matched) continue;
 
-  if (keywordsStr.includes(termLower)) {
-    score += 0.8;
-    matchedIn.push("ilpKeywords");
+    const uniqueMatchedIn = [...new Set(result.hits.flatMap((r) => r.matchedIn))];
+    matches.set(id, {
+      ...article,
+      score: result.score || filterScore,
+      matchedIn: uniqueMatchedIn.join(", ") || "filter",
+    });
   }
+  return matches;
+}
 
-  const fullText = (article.fullText || "").toLowerCase();
-  if (fullText.includes(termLower)) {
-    score += 0.7;
-    matchedIn.push("fullText");
+// SQLite backend: the store does the matching (search/sqliteSearch.js) and
+// reports the fields each term occurs in; scores use TERM_FIELD_WEIGHTS as
+// in matchArticlesWeighted, so minScore means the same on both backends
+function matchArticlesSqlite(ast, filterScore) {
+  const matches = new Map();
+  for (const { record, termFields } of searchSqlite(brainStore, ast, { synonyms: ftsSynonyms })) {
+    const result = evaluateQuery(ast, {
+      scoreTerm: (term) => {
+        const matchedIn = termFields[term] || [];
+        return { score: matchedIn.reduce((sum, field) => sum + TERM_FIELD_WEIGHTS[field], 0), matchedIn };
+      },
+      matchField: (field, value) => matchFieldQualifier(record, field, value),
+    });
+    if (!result.matched) continue;
+
+    const uniqueMatchedIn = [...new Set(result.hits.flatMap((r) => r.matchedIn))];
+    matches.set(record.id, {
+      ...record,
+      score: result.score || filterScore,
+      matchedIn: uniqueMatchedIn.join(", ") || "filter",
+    });
   }
+  return matches;
+}
 
-  let tagsStr = "";
-  if (Array.isArray(article.tags)) tagsStr = article.tags.join(" ").toLowerCase();
-  else if (typeof article.tags === "string") tagsStr = article.tags.toLowerCase();
+// BM25F ranking: returns a per-field score breakdown instead of matchedIn
+function matchArticlesBm25(index, candidateIds, ast, filterScore) {
+  const docIds = candidateIds || articles.map((_, id) => id);
+  const idfs = new Map();
+  const idfFor = (term) => {
+    if (!idfs.has(term)) idfs.set(term, termIdf(index, term));
+    return idfs.get(term);
+  };
 
-  if (tagsStr.includes(termLower)) {
-    score += 0.6;
-    matchedIn.push("tags");
+  const matches = new Map();
+  for (const id of docIds) {
+    const article = articles[id];
+    const result = evaluateQuery(ast, {
+      scoreTerm: (term) => scoreBm25ForTerm(index, id, term, idfFor(term)),
+      matchField: (field, value) => matchFieldQualifier(article, field, value),
+      sumOr: true,
+    });
+    if (!result.matched) continue;
+    matches.set(id, {
+      ...article,
+      score: result.score ? round(result.score) : filterScore,
+      scoreBreakdown: mergeBm25Fields(result.hits),
+    });
   }
+  return matches;
+}
 
-  let authorsStr = "";
-  if (Array.isArray(article.authors)) authorsStr = article.authors.join(" ").toLowerCase();
-  else if (typeof article.authors === "string") authorsStr = article.authors.toLowerCase();
+// Semantic ranking: embedding similarity to the query's free text.
+// Positive terms are not required to appear literally; NOT terms and field
+// qualifiers still filter. Returns Map docId -> similarity.
+async function semanticMatchIds(ast) {
+  const queryText = queryTextTerms(ast).join(" ");
+  const minSimilarity = Number(process.env.SEMANTIC_MIN_SIMILARITY || semanticIndex.provider.minSimilarity);
+  const similarities = await semanticSimilarities(semanticIndex, queryText, { minSimilarity });
+
+  for (const id of similarities.keys()) {
+    const article = articles[id];
+    const result = evaluateQuery(ast, {
+      scoreTerm: (term, negated) => (negated ? scoreArticleForTerm(searchIndex, id, term) : { score: 1, matchedIn: [] }),
+      matchField: (field, value) => matchFieldQualifier(article, field, value),
+    });
+    if (!result.matched) similarities.delete(id);
+  }
+  return similarities;
+}
 
-  if (authorsStr.includes(termLower)) {
-    score += 0.5;
-    matchedIn.push("authors");
+// mode=semantic: score is the cosine similarity
+async function matchArticlesSemantic(ast) {
+  const matches = new Map();
+  for (const [id, similarity] of await semanticMatchIds(ast)) {
+    matches.set(id, { ...articles[id], score: round(similarity), semanticScore: round(similarity), matchedIn: "semantic" });
   }
+  return matches;
+}
 
-  const title = (article.title || "").toLowerCase();
-  if (title.includes(termLower)) {
-    score += 0.5;
-    matchedIn.push("title");
+// mode=hybrid: see blendHybridScores
+async function matchArticlesHybrid(ast, keywordMatches) {
+  const similarities = await semanticMatchIds(ast);
+  const keywordScores = new Map([...keywordMatches].map(([id, match]) => [id, match.score]));
+  const matches = new Map();
+
+  for (const [id, score] of blendHybridScores(keywordScores, similarities)) {
+    const keyword = keywordMatches.get(id);
+    matches.set(id, {
+      ...(keyword || articles[id]),
+      score: round(score),
+      keywordScore: keyword ? keyword.score : 0,
+      semanticScore: round(similarities.get(id) || 0),
+      matchedIn: keyword ? keyword.matchedIn || "keyword" : "semantic",
+    });
   }
+  return matches;
+}
+
+function matchArticlesKeyword(index, ast, ranking, filterScore) {
+  // Only score records the index says can match (falls back to a full scan
+  // when the query cannot be narrowed, e.g. only field qualifiers or NOT)
+  const candidateIds = candidatesForQuery(index, ast);
+  console.log(`   Candidates from index: ${candidateIds ? candidateIds.length : articles.length}`);
+
+  return ranking === "bm25"
+    ? matchArticlesBm25(index, candidateIds, ast, filterScore)
+    : matchArticlesWeighted(index, candidateIds, ast, filterScore);
+}
 
-  const summaryField = (article.summary || "").toLowerCase();
-  if (summaryField.includes(termLower)) {
-    score += 0.5;
-    matchedIn.push("summary");
+// Returns the QuerySyntaxError for a malformed phrase, or null if it parses
+function checkSearchPhrase(phrase) {
+  try {
+    parseQuery(phrase);
+    return null;
+  } catch (err) {
+    if (err instanceof QuerySyntaxError) return err;
+    throw err;
   }
+}
 
-  return { score, matchedIn };
+function sendQueryError(res, err) {
+  return res.status(400).json({ error: "Invalid search query", details: err.message, position: err.position });
+}
+
+// Content-type checkboxes (search page, alerts): "event" means future_event.
+// An empty list keeps everything.
+function filterByContentTypes(results, contentTypes) {
+  if (!contentTypes || contentTypes.length === 0) return results;
+  return results.filter((a) => {
+    const kind = (a.kind || "").toLowerCase();
+    return contentTypes.some((selectedKind) => selectedKind === kind || (selectedKind === "event" && kind === "future_event"));
+  });
 }
 
-function searchArticlesByPhrase(phrase, options = {}) {
+// Throws QuerySyntaxError for malformed queries (callers map it to a 400).
+// mode: "keyword" (default), "semantic" or "hybrid". minScore applies to
+// keyword scores only; semantic modes use the similarity threshold instead.
+// fuzzy: when nothing matches exactly, retry with typo-tolerant matching.
+// Only the interactive search sets it; alerts and exports stay exact.
+async function searchArticlesByPhrase(phrase, options = {}) {
   const minScore = options.minScore || 0;
   const dateFrom = options.dateFrom || null;
   const dateTo = options.dateTo || null;
-  const parsed = parseSearchQuery(phrase);
+  const ranking = options.ranking === "bm25" ? "bm25" : "weighted";
+  const ast = parseQuery(phrase);
+  let mode = ["semantic", "hybrid"].includes(options.mode) ? options.mode : "keyword";
 
   // Helper: Check if article is within date range
   function isWithinDateRange(article) {
@@ -397,12 +672,13 @@ function searchArticlesByPhrase(phrase, options = {}) {
     return true;
   }
 
-  if (parsed.operator === "WILDCARD") {
+  if (ast.type === "all") {
     // Ensure wildcard results are not accidentally filtered out by minScore.
     const wildcardScore = Math.max(1, minScore || 0);
-    console.log(`🔍 Wildcard search: returning all ${articles.length} articles (score=${wildcardScore})`);
+    console.log(`🔍 Wildcard search: returning all ${brainRecordCount()} articles (score=${wildcardScore})`);
     
-    let results = articles.map((a) => ({ ...a, score: wildcardScore, matchedIn: "wildcard" }));
+    const records = brainStore ? searchSqlite(brainStore, ast).map((m) => m.record) : articles;
+    let results = records.map((a) => ({ ...a, score: wildcardScore, matchedIn: "wildcard" }));
     
     // Apply date filter if specified
     if (dateFrom || dateTo) {
@@ -414,46 +690,42 @@ function searchArticlesByPhrase(phrase, options = {}) {
     return results;
   }
 
-  console.log(`🔍 Searching ${articles.length} articles`);
+  console.log(`🔍 Searching ${brainRecordCount()} articles`);
   console.log(`   Query: "${phrase}"`);
-  console.log(`   Operator: ${parsed.operator}`);
-  console.log(`   Terms: ${parsed.terms.join(", ")}`);
+  console.log(`   Parsed: ${describeQuery(ast)}`);
   console.log(`   Min score: ${minScore}`);
+  console.log(`   Ranking: ${ranking}`);
 
-  const matches = articles
-    .map((article) => {
-      let totalScore = 0;
-      let allMatchedIn = [];
-
-      if (parsed.operator === "AND") {
-        const termResults = parsed.terms.map((term) => scoreArticleForTerm(article, term));
-        const allTermsMatched = termResults.every((r) => r.score > 0);
-        if (!allTermsMatched) return null;
-
-        totalScore = termResults.reduce((sum, r) => sum + r.score, 0);
-        allMatchedIn = termResults.flatMap((r) => r.matchedIn);
-      } else if (parsed.operator === "OR") {
-        const termResults = parsed.terms.map((term) => scoreArticleForTerm(article, term));
-        const anyTermMatched = termResults.some((r) => r.score > 0);
-        if (!anyTermMatched) return null;
-
-        totalScore = Math.max(...termResults.map((r) => r.score));
-        allMatchedIn = termResults.filter((r) => r.score > 0).flatMap((r) => r.matchedIn);
-      } else {
-        const result = scoreArticleForTerm(article, parsed.terms[0]);
-        totalScore = result.score;
-        allMatchedIn = result.matchedIn;
-      }
+  if (brainStore && ranking === "bm25") {
+    console.log(`   BM25 ranking needs the in-memory index, using weighted ranking (SQLite backend)`);
+  }
+  if (mode !== "keyword" && !semanticIndex) {
+    console.warn(`   ⚠️ Semantic index unavailable, falling back to keyword search`);
+    mode = "keyword";
+  } else if (mode !== "keyword" && queryTextTerms(ast).length === 0) {
+    console.log(`   No free text to embed, using keyword search`);
+    mode = "keyword";
+  }
+  console.log(`   Mode: ${mode}`);
 
-      if (totalScore > 0) {
-        const uniqueMatchedIn = [...new Set(allMatchedIn)];
-        return { ...article, score: totalScore, matchedIn: uniqueMatchedIn.join(", ") };
-      }
+  let scored;
+  if (brainStore) {
+    scored = matchArticlesSqlite(ast, Math.max(1, minScore || 0));
+  } else if (mode === "semantic") {
+    scored = await matchArticlesSemantic(ast);
+  } else {
+    // Same convention as the wildcard: pure filter matches must survive minScore
+    const filterScore = Math.max(1, minScore || 0);
+    const match = (index, query) => matchArticlesKeyword(index, query, ranking, filterScore);
 
-      return null;
-    })
-    .filter(Boolean)
-    .filter((a) => a.score >= minScore)
+    // Nothing exact: retry with typo-tolerant matching (see search/fuzzy.js)
+    scored = options.fuzzy ? matchWithFuzzyFallback(searchIndex, ast, match) : match(searchIndex, ast);
+
+    if (mode === "hybrid") scored = await matchArticlesHybrid(ast, scored);
+  }
+
+  const matches = [...scored.values()]
+    .filter((a) => mode !== "keyword" || a.score >= minScore)
     .sort((a, b) => b.score - a.score);
 
   console.log(`   Found ${matches.length} matching articles`);
@@ -473,15 +745,12 @@ function searchArticlesByPhrase(phrase, options = {}) {
 await loadArticles();
 
 // Debug: Count articles by kind
-const kindCounts = {};
-articles.forEach(a => {
-  const kind = a.kind || 'unknown';
-  kindCounts[kind] = (kindCounts[kind] || 0) + 1;
-});
-console.log('📊 Loaded articles by kind:', kindCounts);
+console.log('📊 Loaded articles by kind:', articlesByKind);
 
 // Debug: Show first event if any exist
-const firstEvent = articles.find(a => a.kind === 'future_event' || a.kind === 'event');
+const firstEvent = brainStore
+  ? brainStore.byKind(['future_event', 'event'], { omit: ['fullText'] })[0]
+  : articles.find(a => a.kind === 'future_event' || a.kind === 'event');
 if (firstEvent) {
   console.log('📅 Sample event:', {
     title: firstEvent.title?.substring(0, 50),
@@ -766,6 +1035,7 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
 }
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const smartMatch = createSmartMatcher({ openai, parseMitGroups, stripXML });
 
 // ============================================================
 // Session Configuration
@@ -829,6 +1099,15 @@ function getUserDir(email) {
   return userDir;
 }
 
+// ============================================================
+// Per-person data access (see personAccess.js)
+// ============================================================
+
+const { personDir, sessionPersonId, loadAdminAudit, resolvePerson } = createPersonAccess({
+  peopleDir: path.join(__dirname, "../../people"),
+  getUserDir
+});
+
 // Authentication middleware
 function requireAuth(req, res, next) {
   // Allow login page and login API without auth
@@ -933,7 +1212,7 @@ app.post("/api/logout", (req, res) => {
 // Get current user
 app.get("/api/me", (req, res) => {
   if (req.session && req.session.user) {
-    res.json({ user: req.session.user });
+    res.json({ user: { ...req.session.user, personId: sessionPersonId(req) } });
   } else {
     res.status(401).json({ error: "Not authenticated" });
   }
@@ -1455,7 +1734,10 @@ app.post("/api/reset-password", async (req, res) => {
 });
 
 app.use("/api/transcripts", transcriptsRouter({ openai, webappDir: __dirname, getUserDir }));
-app.use("/api/people", peopleRouter({ articles }));
+app.use("/api/people", peopleRouter({
+  getArticles: () => (brainStore ? brainStore.byKind(["person"]) : articles),
+  getSearchIndex: () => searchIndex,
+}));
 
 // ============================================================
 // CSV PARSER + MEMBER LOADER
@@ -1547,8 +1829,11 @@ app.get("/api/people", async (req, res) => {
     const peopleDir = path.join(__dirname, "../../people");
     await fs.access(peopleDir);
     const entries = await fs.readdir(peopleDir, { withFileTypes: true });
+    // Admins can pick anyone; everyone else only sees themselves
+    const own = sessionPersonId(req);
     const people = entries
       .filter((e) => e.isDirectory() && !e.name.startsWith("."))
+      .filter((e) => req.session.user.role === 'admin' || e.name === own)
       .map((e) => ({ id: e.name, name: e.name.replace(/-/g, " ") }));
     res.json(people);
   } catch (err) {
@@ -1562,11 +1847,11 @@ app.get("/api/people", async (req, res) => {
 
 app.get("/api/people/:personId/data", async (req, res) => {
   try {
-    const { personId } = req.params;
+    const personId = resolvePerson(req, res, req.params.personId);
+    if (!personId) return;
 
-    const personDir = path.join(__dirname, "../../people", personId);
-    const myVoicePath = path.join(personDir, "my-voice.txt");
-    const templatesDir = path.join(personDir, "templates");
+    const myVoicePath = path.join(personDir(personId), "my-voice.txt");
+    const templatesDir = path.join(personDir(personId), "templates");
 
     let myVoice = "";
     try {
@@ -1596,8 +1881,12 @@ app.get("/api/people/:personId/data", async (req, res) => {
 
 app.get("/api/people/:personId/templates/:templateId", async (req, res) => {
   try {
-    const { personId, templateId } = req.params;
-    const templatePath = path.join(__dirname, "../../people", personId, "templates", `${templateId}.txt`);
+    const personId = resolvePerson(req, res, req.params.personId);
+    if (!personId) return;
+
+    const { templateId } = req.params;
+    if (!isSafeName(templateId)) return res.status(404).json({ error: "Template not found" });
+    const templatePath = path.join(personDir(personId), "templates", `${templateId}.txt`);
     const content = await fs.readFile(templatePath, "utf8");
     res.json({ content });
   } catch {
@@ -1674,6 +1963,7 @@ function deleteAlert(personId, alertId) {
   if (fsSync.existsSync(alertPath)) {
     fsSync.unlinkSync(alertPath);
   }
+  fsSync.rmSync(alertRunsPath(personId, alertId), { force: true });
   
   // Update index
   const indexPath = path.join(alertsDir, 'alerts.json');
@@ -1687,152 +1977,262 @@ function deleteAlert(personId, alertId) {
   console.log(`🗑 Deleted alert: ${alertId}`);
 }
 
-async function processAlert(alert, personId) {
+// ============================================================
+// Alert run history
+// ============================================================
+// One JSON line per run in people/<personId>/alerts/runs/<alertId>.jsonl,
+// oldest first: when and why it ran, what it matched (with the Smart Match
+// reasons), how the email went and the error if it failed.
+
+function alertRunsPath(personId, alertId) {
+  return path.join(__dirname, "../../people", personId, "alerts", "runs", `${alertId}.jsonl`);
+}
+
+function appendAlertRun(personId, run) {
+  const runsPath = alertRunsPath(personId, run.alertId);
+  fsSync.mkdirSync(path.dirname(runsPath), { recursive: true });
+  fsSync.appendFileSync(runsPath, JSON.stringify(run) + "\n", "utf8");
+}
+
+// Newest first; a torn last line (interrupted append) is skipped
+function loadAlertRuns(personId, alertId) {
+  const runsPath = alertRunsPath(personId, alertId);
+  if (!fsSync.existsSync(runsPath)) return [];
+  return [...readJsonlSync(runsPath, { onError: () => {} })].map((entry) => entry.record).reverse();
+}
+
+function emailDelivery(sent, recipient, { digest = false } = {}) {
+  return {
+    status: sent ? "sent" : emailTransporter ? "failed" : "not_configured",
+    recipient,
+    digest,
+    at: new Date().toISOString()
+  };
+}
+
+// Record the consolidated digest's outcome on each run it carried, and save the runs
+function recordDigestRuns(personId, allMatchesByAlert, emailSent, recipientEmail) {
+  const delivery = emailDelivery(emailSent, recipientEmail, { digest: true });
+  for (const { run } of allMatchesByAlert) appendAlertRun(personId, { ...run, email: delivery });
+}
+
+// Close a run: matches as sent (compact), finish time, email "skipped" when
+// there was nothing to send. Saved unless the caller sends a digest first.
+function finishAlertRun(personId, run, result, save) {
+  run.finishedAt = new Date().toISOString();
+  run.message = result.message;
+  run.matches = result.matches.map((m) => ({
+    id: m.id,
+    url: m.url,
+    title: m.title,
+    kind: m.kind,
+    reason: m.reason,
+    ...(m.relevanceScore != null && { relevanceScore: m.relevanceScore }),
+    ...(m.autoIncluded && { autoIncluded: true })
+  }));
+  if (!run.email && run.matches.length === 0) run.email = { status: "skipped" };
+  if (save) appendAlertRun(personId, run);
+  return { ...result, run };
+}
+
+// Runs an alert and records the run in its history. trigger: "manual",
+// "scheduled" or "admin". With deliver=false no email is sent and a run
+// with matches is not saved: the caller sends one digest for several alerts
+// and saves the runs with its outcome (recordDigestRuns). Failed runs are
+// always saved.
+async function processAlert(alert, personId, { trigger = "manual", deliver = true } = {}) {
   console.log(`\n🔔 Processing alert: ${alert.alertName}`);
 
+  const run = {
+    runId: crypto.randomUUID(),
+    alertId: alert.alertId,
+    alertName: alert.alertName,
+    memberName: alert.memberName,
+    trigger,
+    startedAt: new Date().toISOString(),
+    phrase: alert.searchParams?.phrase || "",
+    smartMatch: alert.useSmartMatch ? "used" : "off",
+    smartMatchError: null,
+    email: null,
+    error: null
+  };
+
   try {
     // 1. Run search with alert's search params
-    const allResults = searchArticlesByPhrase(
+    const allResults = await searchArticlesByPhrase(
       alert.searchParams.phrase,
       {
-        minScore: alert.searchParams.minScore
+        minScore: alert.searchParams.minScore,
+        ranking: alert.searchParams.ranking,
+        mode: alert.searchParams.mode
       }
     );
 
     console.log(`   🔍 Found ${allResults.length} total matches`);
 
     // 2. Filter by content types
-    let filteredResults = allResults;
-    if (alert.searchParams.contentTypes && alert.searchParams.contentTypes.length > 0) {
-      filteredResults = allResults.filter(a => {
-        const kind = (a.kind || '').toLowerCase();
-        // Handle event -> future_event mapping
-        return alert.searchParams.contentTypes.some(selectedKind => {
-          if (selectedKind === 'event' && kind === 'future_event') return true;
-          return selectedKind === kind;
-        });
-      });
+    const filteredResults = filterByContentTypes(allResults, alert.searchParams.contentTypes);
+    if (filteredResults.length !== allResults.length) {
       console.log(`   Filtered to ${filteredResults.length} by content types`);
     }
     
     // 3. Filter NEW articles (not seen before)
+    // seenArticleIds holds record IDs (older alerts may still list URLs)
     const seenIds = alert.metadata?.seenArticleIds || [];
-    const newArticles = filteredResults.filter(a => !seenIds.includes(a.url));
+    const seenSet = new Set(seenIds);
+    const newArticles = filteredResults.filter(a => !seenSet.has(a.id) && !seenSet.has(a.url));
     
     console.log(`   Found ${newArticles.length} NEW articles (not seen before)`);
+    run.searchMatches = filteredResults.length;
+    run.newArticles = newArticles.length;
     
     if (newArticles.length === 0) {
-      return { matches: [], emailSent: false, message: "No new articles" };
+      return finishAlertRun(personId, run, { matches: [], emailSent: false, message: "No new articles" }, true);
     }
     
     // 4. Use Smart Match logic if enabled
     let relevantMatches = [];
+    let belowThreshold = []; // picks scored under the alert's threshold (seen, not sent)
     
     if (alert.useSmartMatch) {
       console.log(`   Using Smart Match to find relevant articles...`);
       console.log(`   Skipping ILP/STEX auto-includes (directors already know about these)`);
       
-      // Prepare articles for smart match
-      const articlesForMatching = newArticles.map(a => ({
-        url: a.url,
-        title: a.title,
-        kind: a.kind,
-        summary: a.ilpSummary || a.summary || "",
-        keywords: a.ilpKeywords || a.keywords || "",
-        industries: a.industries || "",
-        techThemes: a.techThemes || "",
-        mitGroups: a.mitGroups || [],
-        location: a.location || ""
-      }));
-      
-      // Call smart match (reuse existing logic)
       // IMPORTANT: Set skipAutoIncludes=true for alerts
       // Program directors already know about ILP/STEX events
-      const smartMatchResponse = await fetch("http://localhost:3000/api/smart-match", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+      try {
+        const smartMatchData = await smartMatch({
           memberName: alert.memberName,
-          memberPhrases: alert.memberProfile.phrases || [],
+          memberPhrases: alert.memberProfile?.phrases || [],
           memberProfile: alert.memberProfile,
-          articles: articlesForMatching,
-          skipAutoIncludes: true  // NEW: Skip ILP/STEX auto-inclusion for alerts
-        })
-      });
-      
-      if (smartMatchResponse.ok) {
-        const smartMatchData = await smartMatchResponse.json();
-        relevantMatches = smartMatchData.matches || [];
-        console.log(`   Smart Match found ${relevantMatches.length} relevant matches`);
-      } else {
-        console.error("Smart Match failed, using all new articles");
+          articles: newArticles.map(smartMatchItem),
+          skipAutoIncludes: true
+        });
+        // Unscored picks are kept: there is nothing to compare
+        const threshold = alert.relevanceThreshold ?? DEFAULT_RELEVANCE_THRESHOLD;
+        relevantMatches = smartMatchData.matches.filter(m => m.relevanceScore == null || m.relevanceScore >= threshold);
+        belowThreshold = smartMatchData.matches.filter(m => !relevantMatches.includes(m));
+        run.relevanceThreshold = threshold;
+        run.belowThreshold = belowThreshold.length;
+        console.log(`   Smart Match found ${relevantMatches.length} relevant matches (${run.belowThreshold} below ${threshold}/10)`);
+      } catch (err) {
+        if (!(err instanceof SmartMatchError)) throw err;
+        console.error(`   ❌ Smart Match failed (${err.message}), using all new articles`);
+        run.smartMatch = "unavailable";
+        run.smartMatchError = err.message;
         relevantMatches = newArticles.map(a => ({
+          id: a.id,
           url: a.url,
           title: a.title,
+          kind: a.kind,
           reason: "New article (Smart Match unavailable)"
         }));
       }
     } else {
       // No Smart Match - include all new articles
       relevantMatches = newArticles.map(a => ({
+        id: a.id,
         url: a.url,
         title: a.title,
         kind: a.kind,
-        reason: "New article matching your search"
+        reason: "New article matching your search",
+        ...(a.scoreBreakdown && { scoreBreakdown: a.scoreBreakdown })
       }));
       console.log(`   Including all ${relevantMatches.length} new articles (Smart Match disabled)`);
     }
     
+    // 5. Update alert metadata. Picks below the threshold are marked seen
+    // too, so they are not re-scored (and maybe let through) on every run.
+    alert.metadata = alert.metadata || {};
+    const newlySeen = [...relevantMatches, ...belowThreshold].map(m => m.id || m.url);
+    alert.metadata.seenArticleIds = [...seenIds, ...newlySeen];
+    
     if (relevantMatches.length === 0) {
-      return { matches: [], emailSent: false, message: "No relevant matches" };
+      if (newlySeen.length > 0) saveAlert(personId, alert);
+      return finishAlertRun(personId, run, { matches: [], emailSent: false, message: "No relevant matches" }, true);
     }
     
-    // 5. Update alert metadata
-    alert.metadata = alert.metadata || {};
     alert.metadata.lastRunAt = new Date().toISOString();
     alert.metadata.lastMatchCount = relevantMatches.length;
-    alert.metadata.seenArticleIds = [
-      ...seenIds,
-      ...relevantMatches.map(m => m.url)
-    ];
     
     saveAlert(personId, alert);
     
     console.log(`   ✅ Alert processed successfully`);
-    console.log(`   📧 Sending email to: ${alert.emailSettings.recipientEmail}`);
     console.log(`   📊 Matches: ${relevantMatches.length}`);
     
-    // 5. Send email notification
+    const message = `Found ${relevantMatches.length} relevant matches`;
+    if (!deliver) {
+      return finishAlertRun(personId, run, { matches: relevantMatches, emailSent: false, message }, false);
+    }
+    
+    // 6. Send email notification
+    console.log(`   📧 Sending email to: ${alert.emailSettings.recipientEmail}`);
     const emailSent = await sendAlertEmail(alert, relevantMatches);
+    run.email = emailDelivery(emailSent, alert.emailSettings.recipientEmail);
     
-    return {
-      matches: relevantMatches,
-      emailSent: emailSent,
-      message: `Found ${relevantMatches.length} relevant matches`
-    };
+    return finishAlertRun(personId, run, { matches: relevantMatches, emailSent, message }, true);
     
   } catch (err) {
     console.error(`Error processing alert ${alert.alertId}:`, err);
+    run.error = err.message;
+    finishAlertRun(personId, run, { matches: [], emailSent: false, message: "Failed" }, true);
     throw err;
   }
 }
 
 // ============================================================
 // API: article matches from local search
+// Returns { matches, total, offset, limit, nextCursor, fuzzy, suggestions, facets }.
+// fuzzy is true when nothing matched exactly and typo-tolerant matching
+// was used; suggestions are corrected spellings of the query.
+// Facet filters (kind, source, year, mitGroups, industries, dlc) may be
+// repeated: ?kind=paper&kind=video. Paging: limit (default 50) + offset or cursor.
+// Results are compact cards (no fullText) unless fields= says otherwise;
+// see search/pagination.js. Each result carries up to three highlighted
+// snippets (with video timestamps for transcripts), see search/snippets.js.
 // ============================================================
 
-app.get("/api/matches", (req, res) => {
+app.get("/api/matches", async (req, res) => {
   try {
     const phrase = (req.query.phrase || "").toString();
     const minScore = Number(req.query.minScore || 0);
     const dateFrom = req.query.dateFrom || null;
     const dateTo = req.query.dateTo || null;
+    const ranking = req.query.ranking || null; // "bm25" for BM25F ranking with per-field breakdown
+    const mode = req.query.mode || null; // "semantic" or "hybrid" to use the local embedding index
+    const facetFilters = parseFacetFilters(req.query); // ?kind=paper&kind=video&year=2024 ...
+    // Content-type checkboxes, applied before facets are counted (?contentTypes=paper&contentTypes=event)
+    const contentTypes = [].concat(req.query.contentTypes || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+    const fields = parseFieldsParam(req.query.fields); // null = compact card
+
+    const limit = req.query.limit != null && req.query.limit !== "" ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+    let offset = req.query.offset != null && req.query.offset !== "" ? Number(req.query.offset) : 0;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "offset must be a non-negative integer" });
+    }
+    const fingerprint = queryFingerprint({ phrase, minScore, dateFrom, dateTo, ranking, mode, facetFilters, contentTypes });
+    if (req.query.cursor) offset = decodeCursor(req.query.cursor, fingerprint);
     
-    const results = searchArticlesByPhrase(phrase, { minScore, dateFrom, dateTo });
+    const searchResults = await searchArticlesByPhrase(phrase, { minScore, dateFrom, dateTo, ranking, mode, fuzzy: true });
     
     if (dateFrom || dateTo) {
       console.log(`📅 Date range filter applied: ${dateFrom || 'any'} to ${dateTo || 'any'}`);
     }
+
+    const allResults = filterByContentTypes(searchResults, contentTypes);
+    if (contentTypes.length > 0) {
+      console.log(`🗂  Content types ${contentTypes.join(", ")}: ${searchResults.length} → ${allResults.length}`);
+    }
+
+    // Counts come from the unfiltered result set (see facets.js)
+    const facets = computeFacets(allResults, facetFilters, parseMitGroups);
+    const results = applyFacetFilters(allResults, facetFilters, parseMitGroups);
+    if (Object.keys(facetFilters).length > 0) {
+      console.log(`🏷  Facet filters ${JSON.stringify(facetFilters)}: ${allResults.length} → ${results.length}`);
+    }
     
     // Debug: Log kind breakdown
     const kindCounts = {};
@@ -1842,19 +2242,49 @@ app.get("/api/matches", (req, res) => {
     });
     console.log(`📊 Results by kind:`, kindCounts);
     
-    res.json(results);
+    const end = offset + limit;
+    // Highlight what actually matched: fuzzy alternatives if the fallback ran
+    const fuzzy = results.some((r) => r.fuzzy);
+    const snippetIndex = fuzzy ? fuzzyView(searchIndex) : searchIndex;
+    const snippetAst = fuzzy ? fuzzyQuery(parseQuery(phrase)) : parseQuery(phrase);
+    const snippetTerms = queryTextTerms(snippetAst).map((term) => termVariants(snippetIndex, term));
+    const page = results
+      .slice(offset, end)
+      // SQLite results are cards; snippets and fields= need the full record
+      .map((r) => (brainStore ? { ...brainStore.get(r.id), ...r } : r))
+      .map((r) => projectRecord({ ...r, snippets: buildSnippets(r, snippetTerms) }, fields));
+    const nextCursor = end < results.length ? encodeCursor(end, fingerprint) : null;
+
+    // "Did you mean" alternatives for words the brain doesn't know
+    // (needs the in-memory vocabulary, so none with the SQLite backend)
+    const suggestions = brainStore ? [] : suggestCorrections(searchIndex, phrase);
+
+    res.json({ matches: page, total: results.length, offset, limit, nextCursor, fuzzy, suggestions, facets });
   } catch (err) {
+    if (err instanceof QuerySyntaxError) return sendQueryError(res, err);
+    if (err instanceof InvalidCursorError) return res.status(400).json({ error: "Invalid cursor", details: err.message });
     res.status(500).json({ error: "Internal server error", details: err.message });
   }
 });
 
+// Full record (including fullText) for an expanded result card
+app.get("/api/items/:id", (req, res) => {
+  const article = getRecord(req.params.id);
+  if (!article) {
+    return res.status(404).json({ error: "Item not found" });
+  }
+  res.json({ item: article });
+});
+
+
 // ============================================================
 // API: list ILP members
 // ============================================================
 
 app.get("/api/members", async (req, res) => {
   try {
-    const { personId } = req.query;
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
     const members = await loadMembers(personId);
 
     const simplified = (members || []).map((m) => ({
@@ -1953,7 +2383,7 @@ function languageInstruction(languageRaw) {
 app.post("/api/member-intro", async (req, res) => {
   try {
     const { member, selectedArticles, tone, language } = req.body || {};
-    const picked = Array.isArray(selectedArticles) ? selectedArticles : [];
+    const picked = resolveItems(selectedArticles);
 
     let memberName =
       (typeof member === "string" && member) ||
@@ -2051,8 +2481,12 @@ Write the paragraph now:
 
 app.post("/api/member-article-summaries", async (req, res) => {
   try {
-    const { member, selectedArticles, tone, language, personId } = req.body || {};
-    const picked = Array.isArray(selectedArticles) ? selectedArticles : [];
+    const { member, selectedArticles, tone, language, personId: requestedPerson } = req.body || {};
+    const picked = resolveItems(selectedArticles);
+
+    // The person's voice is optional here
+    const personId = requestedPerson ? resolvePerson(req, res, requestedPerson) : null;
+    if (requestedPerson && !personId) return;
 
     let memberName =
       (typeof member === "string" && member) ||
@@ -2182,8 +2616,12 @@ Write the 2 sentences now:
 
 app.post("/api/generate-template-text", async (req, res) => {
   try {
-    const { personId, templateId, member, selectedArticles, tone, language, myVoice, excludeItemType } = req.body || {};
-    const picked = Array.isArray(selectedArticles) ? selectedArticles : [];
+    const { personId: requestedPerson, templateId, member, selectedArticles, tone, language, myVoice, excludeItemType } = req.body || {};
+    const picked = resolveItems(selectedArticles);
+
+    // The person's members and templates are optional here
+    const personId = requestedPerson ? resolvePerson(req, res, requestedPerson) : null;
+    if (requestedPerson && !personId) return;
 
     if (!picked.length) return res.status(400).json({ error: "At least one article is required" });
 
@@ -2331,7 +2769,7 @@ Write the blurb now:
     // Load and apply template (optional)
     let finalText = knowledgeList;
 
-    if (personId && templateId) {
+    if (personId && isSafeName(templateId)) {
       try {
         const templatePath = path.join(__dirname, "../../people", personId, "templates", `${templateId}.txt`);
         const templateContent = await fs.readFile(templatePath, "utf8");
@@ -2619,190 +3057,34 @@ app.post("/api/test-language", async (req, res) => {
 
 app.post("/api/smart-match", async (req, res) => {
   try {
-    const { memberName, memberPhrases, memberProfile, articles, skipAutoIncludes } = req.body || {};
-
-    if (!memberName || !memberPhrases || !articles || articles.length === 0) {
+    const { memberName, memberPhrases, memberProfile, skipAutoIncludes } = req.body || {};
+    // Items may be sent as record IDs instead of prepared objects
+    const articles = (Array.isArray(req.body?.articles) ? req.body.articles : []).map((item) => {
+      if (typeof item !== "string") return item;
+      const a = getRecord(item);
+      return a && smartMatchItem(a);
+    }).filter(Boolean);
+
+    if (!memberName || !memberPhrases || articles.length === 0) {
       return res.status(400).json({ error: "Missing required parameters" });
     }
     
     // skipAutoIncludes flag:
     // - false (default): Auto-include ILP/STEX events (for email generation)
     // - true: Skip auto-includes (for alerts - directors already know about ILP events)
-    const shouldAutoInclude = skipAutoIncludes !== true;
-
-    let memberProfileText = `Member: ${memberName}\n`;
-    if (memberProfile?.mainIndustry) memberProfileText += `Main Industry: ${memberProfile.mainIndustry}\n`;
-    if (memberProfile?.description) memberProfileText += `Description: ${memberProfile.description}\n`;
-    if (memberProfile?.geographicConsiderations)
-      memberProfileText += `Geographic Considerations: ${memberProfile.geographicConsiderations}\n`;
-    memberProfileText += `Key Interests: ${memberPhrases.join(", ")}\n`;
-
-    const ilpEvents = [];
-    const stexEvents = [];
-    const otherArticles = [];
-
-    if (shouldAutoInclude) {
-      // Auto-include ILP/STEX events (for email generation)
-      articles.forEach((article) => {
-        const titleLower = (article.title || "").toLowerCase();
-        const summaryLower = (article.summary || "").toLowerCase();
-        const ilpSummaryLower = (article.ilpSummary || "").toLowerCase();
-        const mitGroupsLower = parseMitGroups(article.mitGroups).toLowerCase();
-        const eventNameLower = (article.eventName || "").toLowerCase();
-
-        const isILP =
-          titleLower.includes("ilp") ||
-          titleLower.includes("industrial liaison") ||
-          summaryLower.includes("industrial liaison program") ||
-          ilpSummaryLower.includes("industrial liaison program") ||
-          mitGroupsLower.includes("industrial liaison") ||
-          eventNameLower.includes("industrial liaison") ||
-          eventNameLower.includes("ilp");
-
-        const isSTEX =
-          titleLower.includes("stex") ||
-          titleLower.includes("startup exchange") ||
-          summaryLower.includes("startup exchange") ||
-          ilpSummaryLower.includes("startup exchange") ||
-          mitGroupsLower.includes("startup exchange") ||
-          eventNameLower.includes("startup exchange") ||
-          eventNameLower.includes("stex");
-
-        if (isILP) {
-          ilpEvents.push({ url: article.url, title: article.title, reason: "ILP event (auto)", autoIncluded: true, type: "ILP" });
-        } else if (isSTEX) {
-          stexEvents.push({ url: article.url, title: article.title, reason: "STEX event (auto)", autoIncluded: true, type: "STEX" });
-        } else {
-          otherArticles.push(article);
-        }
-      });
-    } else {
-      // Skip auto-includes (for alerts)
-      otherArticles.push(...articles);
-    }
-
-    // Geographic filtering (same as yours)
-    const memberLocation = (memberProfile?.geographicConsiderations || "").toLowerCase();
-    const isUSBased =
-      memberLocation.includes("us") ||
-      memberLocation.includes("united states") ||
-      memberLocation.includes("boston") ||
-      memberLocation.includes("new york") ||
-      memberLocation.includes("california");
-
-    let filteredOtherArticles = otherArticles;
-    if (isUSBased && otherArticles.length > 0) {
-      const badLocations = ["japan", "tokyo", "beijing", "china", "europe", "london", "paris", "berlin"];
-      filteredOtherArticles = otherArticles.filter((article) => {
-        const location = (article.location || "").toLowerCase();
-        const title = (article.title || "").toLowerCase();
-        const isEvent = article.kind === "future_event";
-        if (isEvent) {
-          for (const badLoc of badLocations) {
-            if (location.includes(badLoc) || title.includes(badLoc)) return false;
-          }
-        }
-        return true;
-      });
-    }
-
-    const articlesText = filteredOtherArticles
-      .map(
-        (a, idx) => `
-Article ${idx + 1}:
-URL: ${a.url}
-Title: ${stripXML(a.title)}
-Type: ${a.kind || "unknown"}
-Summary: ${a.summary || ""}
-Keywords: ${a.keywords || ""}
-Industries: ${a.industries || ""}
-Tech Themes: ${a.techThemes || ""}
-MIT Groups: ${parseMitGroups(a.mitGroups) || "N/A"}
-Event Location: ${a.location || "N/A"}
-`
-      )
-      .join("\n---\n");
-
-    const prompt = `You are an expert at matching MIT research content to corporate member interests.
-
-${memberProfileText}
-
-TASK: Select the TOP 10 MOST RELEVANT articles from the numbered list below for ${memberName}.
-
-NOTE: All ILP and STEX events have already been automatically included. You only need to pick the 10 best additional articles from this list.
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "matches": [
-    { "articleNumber": 1, "reason": "Why this is relevant (1 sentence)" },
-    { "articleNumber": 5, "reason": "Why this is relevant (1 sentence)" }
-  ]
-}
-
-Use the exact article numbers (1, 2, 3, etc.) as shown in the list. Do NOT include URLs.
-
-Articles:
-${articlesText}
-`;
-
-    let aiMatches = [];
-    if (filteredOtherArticles.length > 0) {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4.1-mini",
-        messages: [
-          { role: "system", content: "You match content to interests and return ONLY valid JSON with article numbers." },
-          { role: "user", content: prompt },
-        ],
-        temperature: 0.5,
-      });
-
-      const responseText = completion.choices?.[0]?.message?.content?.trim() || "{}";
-      try {
-        const cleanJson = responseText.replaceAll("```json", "").replaceAll("```", "").trim();
-        const parsed = JSON.parse(cleanJson);
-        const rawMatches = (parsed.matches || []).slice(0, 10);
-
-        // Map article numbers back to actual article data
-        aiMatches = rawMatches
-          .filter(match => {
-            const idx = match.articleNumber - 1; // Convert 1-based to 0-based
-            if (idx >= 0 && idx < filteredOtherArticles.length) {
-              return true;
-            } else {
-              console.warn(`   ⚠️ AI returned invalid article number: ${match.articleNumber}`);
-              return false;
-            }
-          })
-          .map(match => {
-            const article = filteredOtherArticles[match.articleNumber - 1];
-            return {
-              url: article.url,
-              title: article.title,
-              reason: match.reason
-            };
-          });
-
-        console.log(`   ✅ AI selected ${aiMatches.length} valid articles`);
-      } catch (e) {
-        console.error(`   ❌ Failed to parse AI response:`, e.message);
-        aiMatches = [];
-      }
-    }
-
-    const allMatches = [...ilpEvents, ...stexEvents, ...aiMatches];
-
-    res.json({
-      matches: allMatches,
-      count: allMatches.length,
+    // A failed AI step still returns the auto-included events (with aiError)
+    res.json(await smartMatch({
       memberName,
-      ilpCount: ilpEvents.length,
-      stexCount: stexEvents.length,
-      aiCount: aiMatches.length,
-      totalAnalyzed: articles.length,
-    });
+      memberPhrases,
+      memberProfile,
+      articles,
+      skipAutoIncludes: skipAutoIncludes === true,
+      allowAiFailure: true
+    }));
   } catch (err) {
     console.error("Error in smart-match endpoint:", err);
-    res.status(500).json({ error: err.message });
+    const status = err instanceof SmartMatchInputError ? 400 : err instanceof SmartMatchError ? 502 : 500;
+    res.status(status).json({ error: err.message });
   }
 });
 
@@ -2812,7 +3094,7 @@ ${articlesText}
 
 app.post("/api/temp-prospect", async (req, res) => {
   try {
-    const { memberName, Member, pointOfContact, PocFirstName, mainIndustry, phrases, personId } = req.body || {};
+    const { memberName, Member, pointOfContact, PocFirstName, mainIndustry, phrases } = req.body || {};
     
     const company = memberName || Member;
     const poc = pointOfContact || PocFirstName;
@@ -2821,8 +3103,8 @@ app.post("/api/temp-prospect", async (req, res) => {
       return res.status(400).json({ error: "Company name and contact first name are required" });
     }
     
-    // Get personId from query or body (default to 'default' if not provided)
-    const targetPersonId = personId || req.query.personId || 'default';
+    const targetPersonId = resolvePerson(req, res, req.body?.personId || req.query.personId);
+    if (!targetPersonId) return;
     
     // Initialize temp prospects array for this person if it doesn't exist
     if (!tempProspects[targetPersonId]) {
@@ -2873,7 +3155,8 @@ app.post("/api/temp-prospect", async (req, res) => {
 // API: Clear temp prospects (optional - clear all temp profiles for a person)
 app.delete("/api/temp-prospects", async (req, res) => {
   try {
-    const personId = req.query.personId || 'default';
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
     const count = tempProspects[personId]?.length || 0;
     
     tempProspects[personId] = [];
@@ -2894,144 +3177,6 @@ app.delete("/api/temp-prospects", async (req, res) => {
 // Email Template & Sending
 // ============================================================
 
-function getScoreColor(score) {
-  if (score >= 9) return '#27ae60'; // Green - exceptional
-  if (score >= 7) return '#2ecc71'; // Light green - highly relevant
-  if (score >= 5) return '#f39c12'; // Orange - moderately relevant
-  if (score >= 3) return '#e67e22'; // Dark orange - somewhat relevant
-  return '#95a5a6'; // Gray - weakly relevant
-}
-
-function getScoreLabel(score) {
-  if (score >= 9) return 'Exceptional';
-  if (score >= 7) return 'Highly Relevant';
-  if (score >= 5) return 'Moderately Relevant';
-  if (score >= 3) return 'Somewhat Relevant';
-  return 'Weakly Relevant';
-}
-
-function generateAlertEmailHTML(alert, matches) {
-  const matchesHTML = matches.map(m => {
-    const score = m.relevanceScore || 0;
-    const scoreColor = getScoreColor(score);
-    const scoreLabel = getScoreLabel(score);
-    const isAutoIncluded = m.autoIncluded || false;
-    
-    return `
-      <div style="border-left: 4px solid ${scoreColor}; padding: 15px; margin: 15px 0; background: #f9f9f9;">
-        <h3 style="margin: 0 0 8px 0;">
-          <a href="${m.url}" style="color: #2c3e50; text-decoration: none;">${m.title}</a>
-        </h3>
-        ${score > 0 ? `
-          <div style="margin: 8px 0;">
-            <span style="display: inline-block; padding: 4px 10px; background: ${scoreColor}; color: white; border-radius: 4px; font-size: 0.85em; font-weight: bold;">
-              ${score}/10 - ${scoreLabel}
-            </span>
-          </div>
-        ` : ''}
-        ${m.kind ? `<div style="font-size: 0.9em; color: #666; margin: 5px 0;"><strong>Type:</strong> ${m.kind}</div>` : ''}
-        <div style="font-size: 0.9em; color: #555; margin: 8px 0; line-height: 1.5;">
-          <strong>Why relevant:</strong> ${m.reason}
-        </div>
-        ${isAutoIncluded ? `<div style="font-size: 0.85em; color: #27ae60; margin-top: 5px;">✓ Auto-included (ILP/STEX event)</div>` : ''}
-      </div>
-    `;
-  }).join('');
-
-  const threshold = alert.relevanceThreshold || 7;
-  
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
-      line-height: 1.6;
-      color: #333;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 0;
-    }
-    .container {
-      background: #ffffff;
-    }
-    .header {
-      background: linear-gradient(135deg, #e67e22 0%, #d35400 100%);
-      color: white;
-      padding: 30px 20px;
-      text-align: center;
-    }
-    .header h1 {
-      margin: 0 0 10px 0;
-      font-size: 24px;
-    }
-    .header p {
-      margin: 5px 0;
-      font-size: 14px;
-      opacity: 0.9;
-    }
-    .content {
-      padding: 30px 20px;
-    }
-    .summary {
-      background: #f0f8ff;
-      border-left: 4px solid #3498db;
-      padding: 15px;
-      margin: 0 0 25px 0;
-      border-radius: 4px;
-    }
-    .footer {
-      background: #f5f5f5;
-      padding: 20px;
-      text-align: center;
-      font-size: 0.9em;
-      color: #666;
-      border-top: 1px solid #ddd;
-    }
-    .footer a {
-      color: #e67e22;
-      text-decoration: none;
-    }
-    .footer a:hover {
-      text-decoration: underline;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>🔔 New Matches for ${alert.memberName}</h1>
-      <p>Alert: <strong>${alert.alertName}</strong></p>
-      <p>Search: "${alert.searchParams.phrase}" | Threshold: ≥${threshold}/10</p>
-    </div>
-    
-    <div class="content">
-      <div class="summary">
-        <strong>📊 Summary:</strong> Found <strong>${matches.length}</strong> new relevant items matching your criteria.
-      </div>
-      
-      ${matchesHTML}
-    </div>
-    
-    <div class="footer">
-      <p>This is an automated alert from MIT Brain.</p>
-      <p>
-        <a href="http://localhost:3000">View in MIT Brain</a> | 
-        <a href="http://localhost:3000">Manage Alerts</a>
-      </p>
-      <p style="font-size: 0.85em; color: #999; margin-top: 15px;">
-        Alert ID: ${alert.alertId} | Run: ${new Date().toLocaleString()}
-      </p>
-    </div>
-  </div>
-</body>
-</html>
-  `;
-}
-
 async function sendAlertEmail(alert, matches) {
   if (!emailTransporter) {
     console.log("⚠️  Email transporter not configured, skipping email send");
@@ -3090,36 +3235,36 @@ async function sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipient
         return `
           <div style="border-left: 4px solid ${scoreColor}; padding: 12px; margin: 10px 0; background: #f9f9f9;">
             <h4 style="margin: 0 0 6px 0;">
-              <a href="${m.url}" style="color: #2c3e50; text-decoration: none;">${m.title}</a>
+              <a href="${safeHref(m.url)}" style="color: #2c3e50; text-decoration: none;">${escapeHtml(m.title)}</a>
             </h4>
             ${score > 0 ? `
               <div style="margin: 6px 0;">
                 <span style="display: inline-block; padding: 3px 8px; background: ${scoreColor}; color: white; border-radius: 3px; font-size: 0.8em; font-weight: bold;">
-                  ${score}/10 - ${scoreLabel}
+                  ${escapeHtml(score)}/10 - ${scoreLabel}
                 </span>
               </div>
             ` : ''}
-            ${m.kind ? `<div style="font-size: 0.85em; color: #666; margin: 4px 0;"><strong>Type:</strong> ${m.kind}</div>` : ''}
+            ${m.kind ? `<div style="font-size: 0.85em; color: #666; margin: 4px 0;"><strong>Type:</strong> ${escapeHtml(m.kind)}</div>` : ''}
             <div style="font-size: 0.85em; color: #555; margin: 6px 0; line-height: 1.4;">
-              <strong>Why relevant:</strong> ${m.reason}
+              <strong>Why relevant:</strong> ${escapeHtml(m.reason)}
             </div>
             ${isAutoIncluded ? `<div style="font-size: 0.8em; color: #27ae60; margin-top: 4px;">✓ Auto-included (ILP/STEX event)</div>` : ''}
           </div>
         `;
       }).join('');
 
-      const threshold = alert.relevanceThreshold || 7;
+      const threshold = alert.relevanceThreshold ?? DEFAULT_RELEVANCE_THRESHOLD;
       
       return `
         <div style="margin-bottom: 40px;">
           <div style="background: #f0f8ff; border-left: 4px solid #3498db; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
             <h3 style="margin: 0 0 8px 0; color: #2c3e50;">
-              🔔 ${alert.alertName}
+              🔔 ${escapeHtml(alert.alertName)}
             </h3>
             <div style="font-size: 0.9em; color: #555;">
-              <strong>Company:</strong> ${alert.memberName}<br>
-              <strong>Search:</strong> "${alert.searchParams.phrase}"<br>
-              <strong>Matches:</strong> ${matches.length} new items (threshold: ≥${threshold}/10)
+              <strong>Company:</strong> ${escapeHtml(alert.memberName)}<br>
+              <strong>Search:</strong> "${escapeHtml(alert.searchParams?.phrase)}"<br>
+              <strong>Matches:</strong> ${matches.length} new items${alert.useSmartMatch ? ` (threshold: ≥${escapeHtml(threshold)}/10)` : ''}
             </div>
           </div>
           ${matchesHTML}
@@ -3196,14 +3341,14 @@ async function sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipient
 <body>
   <div class="container">
     <div class="header">
-      <h1>📬 Daily MIT Brain Alert Digest</h1>
+      <h1>📬 MIT Brain Alert Digest</h1>
       <p><strong>${today}</strong></p>
       <p>${alertCount} Alert${alertCount !== 1 ? 's' : ''} • ${totalMatches} Total Match${totalMatches !== 1 ? 'es' : ''}</p>
     </div>
     
     <div class="content">
       <div class="summary">
-        <h2>📊 Daily Summary</h2>
+        <h2>📊 Summary</h2>
         <p>You have <strong>${totalMatches} new matches</strong> across <strong>${alertCount} active alert${alertCount !== 1 ? 's' : ''}</strong> for today.</p>
       </div>
       
@@ -3217,10 +3362,10 @@ async function sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipient
         <a href="http://localhost:3000">Manage Alerts</a>
       </p>
       <p style="font-size: 0.85em; color: #999; margin-top: 15px;">
-        Person: ${personId} | Sent: ${new Date().toLocaleString()}
+        Person: ${escapeHtml(personId)} | Sent: ${new Date().toLocaleString()}
       </p>
       <p style="font-size: 0.8em; color: #999; margin-top: 10px;">
-        This is your daily digest. All alerts are checked once per day and consolidated into this single email.
+        Alerts that came due at the same time are consolidated into this single email.
       </p>
     </div>
   </div>
@@ -3231,7 +3376,7 @@ async function sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipient
     const mailOptions = {
       from: EMAIL_CONFIG.from,
       to: recipientEmail,
-      subject: `📬 MIT Brain Daily Digest: ${totalMatches} new matches (${today})`,
+      subject: `📬 MIT Brain Alert Digest: ${totalMatches} new matches (${today})`,
       html: htmlContent,
     };
 
@@ -3253,19 +3398,34 @@ async function sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipient
 app.post("/api/alerts", async (req, res) => {
   try {
     const {
-      personId,
       memberName,
       memberProfile,
       searchParams,
       alertName,
       emailSettings,
-      useSmartMatch
+      useSmartMatch,
+      relevanceThreshold
     } = req.body || {};
 
-    if (!personId || !memberName || !alertName || !emailSettings) {
+    if (!memberName || !alertName || !emailSettings) {
       return res.status(400).json({ error: "Missing required parameters" });
     }
 
+    const personId = resolvePerson(req, res, req.body.personId);
+    if (!personId) return;
+
+    // Reject malformed queries up front instead of failing on every cron run
+    const queryError = checkSearchPhrase(searchParams?.phrase);
+    if (queryError) return sendQueryError(res, queryError);
+
+    let threshold;
+    try {
+      threshold = normalizeRelevanceThreshold(relevanceThreshold);
+    } catch (err) {
+      if (!(err instanceof SmartMatchInputError)) throw err;
+      return res.status(400).json({ error: "Invalid relevance threshold", details: err.message });
+    }
+
     // Generate alert ID
     const alertId = `${memberName.toLowerCase().replace(/[^a-z0-9]/g, '-')}-${Date.now()}`;
 
@@ -3277,6 +3437,7 @@ app.post("/api/alerts", async (req, res) => {
       searchParams: searchParams || {},
       emailSettings,
       useSmartMatch: useSmartMatch !== false, // Default to true
+      relevanceThreshold: threshold,
       active: true,
       metadata: {
         createdAt: new Date().toISOString(),
@@ -3286,12 +3447,20 @@ app.post("/api/alerts", async (req, res) => {
       }
     };
 
+    try {
+      scheduleAlert(alert);
+    } catch (err) {
+      if (err instanceof ScheduleError) return res.status(400).json({ error: "Invalid schedule", details: err.message });
+      throw err;
+    }
+
     saveAlert(personId, alert);
 
     console.log(`📬 Created alert: ${alertId} for ${personId}`);
 
     res.json({
       alertId,
+      nextRunAt: alert.metadata.nextRunAt,
       message: "Alert created successfully"
     });
 
@@ -3304,11 +3473,8 @@ app.post("/api/alerts", async (req, res) => {
 // List alerts for person
 app.get("/api/alerts", async (req, res) => {
   try {
-    const { personId } = req.query;
-
-    if (!personId) {
-      return res.status(400).json({ error: "Missing personId parameter" });
-    }
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
 
     const alerts = loadAlertsForPerson(personId);
 
@@ -3327,10 +3493,13 @@ app.get("/api/alerts", async (req, res) => {
 app.put("/api/alerts/:alertId", async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { personId, ...updates } = req.body || {};
+    const { personId: requestedPerson, ...updates } = req.body || {};
 
-    if (!personId) {
-      return res.status(400).json({ error: "Missing personId parameter" });
+    const personId = resolvePerson(req, res, requestedPerson);
+    if (!personId) return;
+
+    if (!isSafeName(alertId)) {
+      return res.status(404).json({ error: "Alert not found" });
     }
 
     const alertsDir = path.join(__dirname, "../../people", personId, "alerts");
@@ -3340,11 +3509,39 @@ app.put("/api/alerts/:alertId", async (req, res) => {
       return res.status(404).json({ error: "Alert not found" });
     }
 
+    if (updates.searchParams) {
+      const queryError = checkSearchPhrase(updates.searchParams.phrase);
+      if (queryError) return sendQueryError(res, queryError);
+    }
+
+    if ("relevanceThreshold" in updates) {
+      try {
+        updates.relevanceThreshold = normalizeRelevanceThreshold(updates.relevanceThreshold);
+      } catch (err) {
+        if (!(err instanceof SmartMatchInputError)) throw err;
+        return res.status(400).json({ error: "Invalid relevance threshold", details: err.message });
+      }
+    }
+
     const alertContent = fsSync.readFileSync(alertPath, 'utf8');
     const alert = JSON.parse(alertContent);
+    const wasActive = alert.active;
     
     // Apply updates
     Object.assign(alert, updates);
+
+    // The phrase was checked above, so a stored phrase error no longer applies
+    if (updates.searchParams && alert.metadata?.phraseError) delete alert.metadata.phraseError;
+
+    // New schedule, or resumed after a pause: the next run counts from now
+    if (updates.emailSettings || (alert.active && !wasActive)) {
+      try {
+        scheduleAlert(alert);
+      } catch (err) {
+        if (err instanceof ScheduleError) return res.status(400).json({ error: "Invalid schedule", details: err.message });
+        throw err;
+      }
+    }
     
     saveAlert(personId, alert);
 
@@ -3365,10 +3562,12 @@ app.put("/api/alerts/:alertId", async (req, res) => {
 app.delete("/api/alerts/:alertId", async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { personId } = req.query;
 
-    if (!personId) {
-      return res.status(400).json({ error: "Missing personId parameter" });
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
+
+    if (!isSafeName(alertId)) {
+      return res.status(404).json({ error: "Alert not found" });
     }
 
     deleteAlert(personId, alertId);
@@ -3387,10 +3586,12 @@ app.delete("/api/alerts/:alertId", async (req, res) => {
 app.post("/api/alerts/:alertId/run", async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { personId } = req.body || {};
 
-    if (!personId) {
-      return res.status(400).json({ error: "Missing personId parameter" });
+    const personId = resolvePerson(req, res, req.body?.personId);
+    if (!personId) return;
+
+    if (!isSafeName(alertId)) {
+      return res.status(404).json({ error: "Alert not found" });
     }
 
     const alertsDir = path.join(__dirname, "../../people", personId, "alerts");
@@ -3405,15 +3606,17 @@ app.post("/api/alerts/:alertId/run", async (req, res) => {
 
     console.log(`▶ Running alert manually: ${alertId}`);
 
-    const result = await processAlert(alert, personId);
+    const result = await processAlert(alert, personId, { trigger: 'manual' });
 
     res.json({
       alertId,
       alertName: alert.alertName,
+      runId: result.run.runId,
       matches: result.matches,
       matchCount: result.matches.length,
       emailSent: result.emailSent,
-      message: result.message
+      message: result.message,
+      smartMatchError: result.run.smartMatchError
     });
 
   } catch (err) {
@@ -3424,6 +3627,74 @@ app.post("/api/alerts/:alertId/run", async (req, res) => {
 
 
 
+// Run history, newest first: ?personId=...&limit=20&offset=0
+app.get("/api/alerts/:alertId/runs", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const limit = req.query.limit != null && req.query.limit !== "" ? Number(req.query.limit) : 20;
+    const offset = req.query.offset != null && req.query.offset !== "" ? Number(req.query.offset) : 0;
+
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
+
+    if (!isSafeName(alertId)) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "limit must be a positive integer and offset a non-negative one" });
+    }
+
+    const alertPath = path.join(__dirname, "../../people", personId, "alerts", `${alertId}.json`);
+    if (!fsSync.existsSync(alertPath)) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const runs = loadAlertRuns(personId, alertId);
+    res.json({
+      alertId,
+      runs: runs.slice(offset, offset + limit),
+      total: runs.length,
+      offset,
+      limit
+    });
+
+  } catch (err) {
+    console.error("Error loading alert runs:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A past run's matches rendered as the alert email, for re-opening in the browser
+app.get("/api/alerts/:alertId/runs/:runId/digest", async (req, res) => {
+  try {
+    const { alertId, runId } = req.params;
+
+    const personId = resolvePerson(req, res, req.query.personId);
+    if (!personId) return;
+
+    if (!isSafeName(alertId)) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const alertPath = path.join(__dirname, "../../people", personId, "alerts", `${alertId}.json`);
+    const run = fsSync.existsSync(alertPath) && loadAlertRuns(personId, alertId).find((r) => r.runId === runId);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    // Names as they were at the time of the run
+    const alert = { ...JSON.parse(fsSync.readFileSync(alertPath, 'utf8')), alertName: run.alertName, memberName: run.memberName };
+    // Values are escaped (see alertEmail.js); the page may not run scripts either way
+    res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:; sandbox");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type("html").send(generateAlertEmailHTML(alert, run.matches, new Date(run.startedAt)));
+
+  } catch (err) {
+    console.error("Error rendering alert digest:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Test email configuration
 app.post("/api/test-email", async (req, res) => {
   try {
@@ -3512,13 +3783,13 @@ app.post("/api/reload", async (req, res) => {
   try {
     console.log("\n🔄 Hot reload triggered...");
     
-    const oldCount = articles.length;
+    const oldCount = brainRecordCount();
     const oldKinds = { ...articlesByKind };
     
     // Reload articles from JSONL
     await loadArticles();
     
-    const newCount = articles.length;
+    const newCount = brainRecordCount();
     const addedCount = newCount - oldCount;
     
     console.log(`✅ Reload complete:`);
@@ -3553,8 +3824,9 @@ app.post("/api/reload", async (req, res) => {
  */
 app.get("/api/status", (req, res) => {
   res.json({
-    brainFile: JSONL_FILENAME,
-    articleCount: articles.length,
+    brainFile: brainStore ? path.basename(brainStore.filePath) : JSONL_FILENAME,
+    backend: BRAIN_BACKEND,
+    articleCount: brainRecordCount(),
     kinds: articlesByKind,
     loadedAt: serverStartTime,
     uptime: process.uptime()
@@ -3570,117 +3842,171 @@ app.get("/api/dashboard-recent", (req, res) => {
 });
 
 // ============================================================
-// Daily Alert Cron Job
+// Alert Scheduler
 // ============================================================
+// Every alert runs on its own schedule (daily, weekly, monthly or cron, in
+// the recipient's time zone - see alertSchedule.js). A tick every minute
+// runs the active alerts whose metadata.nextRunAt has passed and sends one
+// consolidated email per person. Runs missed while the server was down are
+// caught up on startup, once per alert. ALERT_SCHEDULER=off disables the
+// scheduler (e.g. on a second instance sharing the people/ directory).
+
+// When an alert next runs. Alerts saved before nextRunAt existed count from
+// their last run (or creation), so one that came due in the meantime runs now.
+function ensureNextRunAt(alert) {
+  alert.metadata = alert.metadata || {};
+  if (alert.metadata.nextRunAt) return new Date(alert.metadata.nextRunAt);
+  const since = alert.metadata.lastRunAt || alert.metadata.createdAt;
+  const nextRunAt = nextRunAfter(alert.emailSettings, since ? new Date(since) : new Date());
+  alert.metadata.nextRunAt = nextRunAt.toISOString();
+  return nextRunAt;
+}
 
-// Run every day at 9:00 AM
-cron.schedule('0 9 * * *', async () => {
-  console.log('\n========================================');
-  console.log('🔔 DAILY ALERT CHECK - ' + new Date().toLocaleString());
-  console.log('========================================\n');
+// emailSettings with the schedule validated and defaults filled in, plus the
+// first run from now. Throws ScheduleError.
+function scheduleAlert(alert) {
+  alert.emailSettings = { ...alert.emailSettings, ...normalizeSchedule(alert.emailSettings) };
+  alert.metadata = alert.metadata || {};
+  alert.metadata.nextRunAt = nextRunAfter(alert.emailSettings).toISOString();
+}
 
-  try {
-    // Get all person directories
-    const peopleDir = path.join(__dirname, '../../people');
-    if (!fsSync.existsSync(peopleDir)) {
-      console.log('No people directory found');
-      return;
+// Phrases saved before the query language existed can fail to parse now, or
+// parse as operators (parentheses, quotes, field:value, AND/OR/NOT). Checked
+// once at startup: unparseable phrases are recorded in
+// metadata.phraseError (the scheduler skips those alerts and the dashboard
+// flags them) and operator phrases are listed with how they now read.
+const OPERATOR_SYNTAX = /[()":]|\b(AND|OR|NOT)\b/;
+
+function checkStoredAlertPhrases() {
+  const peopleDir = path.join(__dirname, '../../people');
+  if (!fsSync.existsSync(peopleDir)) return { broken: [], operators: [] };
+
+  const broken = [];
+  const operators = [];
+  for (const personId of fsSync.readdirSync(peopleDir)) {
+    if (!fsSync.statSync(path.join(peopleDir, personId)).isDirectory()) continue;
+
+    for (const alert of loadAlertsForPerson(personId)) {
+      const phrase = alert.searchParams?.phrase || "";
+      const queryError = checkSearchPhrase(phrase);
+      const hadError = Boolean(alert.metadata?.phraseError);
+
+      if (queryError) {
+        broken.push({ personId, alert, error: queryError.message });
+        if (alert.metadata?.phraseError !== queryError.message) {
+          alert.metadata = { ...alert.metadata, phraseError: queryError.message };
+          saveAlert(personId, alert);
+        }
+        continue;
+      }
+      if (hadError) {
+        delete alert.metadata.phraseError;
+        saveAlert(personId, alert);
+      }
+      if (OPERATOR_SYNTAX.test(phrase)) {
+        operators.push({ personId, alert, readAs: describeQuery(parseQuery(phrase)) });
+      }
     }
+  }
 
-    const people = fsSync.readdirSync(peopleDir);
-    let totalPeople = 0;
-    let totalAlerts = 0;
-    let totalEmailsSent = 0;
+  for (const { personId, alert, error } of broken) {
+    console.error(`❌ Alert phrase invalid, alert will not run: ${personId}/${alert.alertName} "${alert.searchParams?.phrase}" (${error})`);
+  }
+  for (const { personId, alert, readAs } of operators) {
+    console.log(`⚠️  Alert phrase uses query operators: ${personId}/${alert.alertName} "${alert.searchParams.phrase}" is read as ${readAs}`);
+  }
+  if (broken.length > 0 || operators.length > 0) {
+    console.log(`🔎 Alert phrases: ${broken.length} invalid, ${operators.length} using query operators`);
+  }
+  return { broken, operators };
+}
 
-    // Process each person separately
-    for (const personId of people) {
-      const personPath = path.join(peopleDir, personId);
-      if (!fsSync.statSync(personPath).isDirectory()) continue;
+let alertTickRunning = false;
 
-      totalPeople++;
-      const alerts = loadAlertsForPerson(personId);
-      
-      if (alerts.length === 0) {
-        console.log(`\n👤 ${personId}: No alerts configured`);
-        continue;
-      }
+async function runDueAlerts(now = new Date()) {
+  if (alertTickRunning) return; // a slow run (Smart Match) must not overlap the next tick
+  alertTickRunning = true;
 
-      console.log(`\n👤 ${personId}: Processing ${alerts.length} alerts...`);
+  try {
+    const peopleDir = path.join(__dirname, '../../people');
+    if (!fsSync.existsSync(peopleDir)) return;
 
-      // Collect all matches for this person
-      const allMatchesByAlert = [];
-      let activeAlerts = 0;
+    for (const personId of fsSync.readdirSync(peopleDir)) {
+      if (!fsSync.statSync(path.join(peopleDir, personId)).isDirectory()) continue;
 
-      for (const alert of alerts) {
-        // Skip inactive alerts
-        if (!alert.active) {
-          console.log(`   ⏸  Skipped (paused): ${alert.alertName}`);
-          continue;
-        }
-
-        // Check frequency
-        if (alert.emailSettings.frequency !== 'daily') {
-          console.log(`   ⏭  Skipped (non-daily): ${alert.alertName} (${alert.emailSettings.frequency})`);
-          continue;
+      const due = [];
+      for (const alert of loadAlertsForPerson(personId)) {
+        if (!alert.active) continue;
+        try {
+          const hadNextRun = Boolean(alert.metadata?.nextRunAt);
+          const nextRunAt = ensureNextRunAt(alert);
+          if (nextRunAt <= now) due.push({ alert, dueAt: nextRunAt });
+          else if (!hadNextRun) saveAlert(personId, alert);
+        } catch (err) {
+          if (!(err instanceof ScheduleError)) throw err;
+          console.error(`   ❌ ${personId}/${alert.alertName}: invalid schedule, not run (${err.message})`);
         }
+      }
+      if (due.length === 0) continue;
 
-        activeAlerts++;
-        totalAlerts++;
-
-        console.log(`   ▶ Running: ${alert.alertName}`);
+      console.log('\n========================================');
+      console.log(`🔔 ALERTS DUE for ${personId} - ${now.toLocaleString()}`);
+      console.log('========================================');
 
-        try {
-          const result = await processAlert(alert, personId);
+      const allMatchesByAlert = [];
+      for (const { alert, dueAt } of due) {
+        const late = now - dueAt > 2 * 60 * 1000;
+        console.log(`   ▶ Running: ${alert.alertName} (${describeSchedule(alert.emailSettings)})${late ? `, catching up on ${dueAt.toISOString()}` : ''}`);
 
-          if (result.matches.length > 0) {
-            allMatchesByAlert.push({
-              alert: alert,
-              matches: result.matches
-            });
-            console.log(`     ✅ Found ${result.matches.length} new matches`);
-          } else {
-            console.log(`     ℹ️  No new matches`);
+        // Reported at startup; running it would only fail again
+        if (alert.metadata.phraseError) {
+          console.error(`     ❌ Skipped: invalid search phrase (${alert.metadata.phraseError})`);
+        } else {
+          try {
+            const result = await processAlert(alert, personId, { trigger: 'scheduled', deliver: false });
+            if (result.matches.length > 0) {
+              allMatchesByAlert.push({ alert, matches: result.matches, run: result.run });
+              console.log(`     ✅ Found ${result.matches.length} new matches`);
+            } else {
+              console.log(`     ℹ️  No new matches`);
+            }
+          } catch (err) {
+            console.error(`     ❌ Error: ${err.message}`);
           }
-
-        } catch (err) {
-          console.error(`     ❌ Error: ${err.message}`);
         }
+
+        // Next run counts from now: missed runs are caught up once, not once each
+        alert.metadata.nextRunAt = nextRunAfter(alert.emailSettings, now).toISOString();
+        saveAlert(personId, alert);
+        console.log(`     ⏭  Next run: ${alert.metadata.nextRunAt}`);
       }
 
       // Send ONE consolidated email if there are any matches
       if (allMatchesByAlert.length > 0) {
         const totalMatches = allMatchesByAlert.reduce((sum, item) => sum + item.matches.length, 0);
         console.log(`\n   📧 Sending consolidated email: ${allMatchesByAlert.length} alerts, ${totalMatches} total matches`);
-        
+
         // Get first alert's recipient email (all alerts for a person should use same email)
         const recipientEmail = allMatchesByAlert[0].alert.emailSettings.recipientEmail;
-        
         const emailSent = await sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipientEmail);
-        
-        if (emailSent) {
-          totalEmailsSent++;
-          console.log(`   ✅ Email sent to ${recipientEmail}`);
-        } else {
-          console.log(`   ⚠️  Email failed to send`);
-        }
-      } else if (activeAlerts > 0) {
-        console.log(`   ℹ️  No matches found across ${activeAlerts} active alerts`);
+        recordDigestRuns(personId, allMatchesByAlert, emailSent, recipientEmail);
+        console.log(emailSent ? `   ✅ Email sent to ${recipientEmail}` : `   ⚠️  Email failed to send`);
       }
     }
-
-    console.log('\n========================================');
-    console.log('📊 DAILY ALERT CHECK COMPLETE');
-    console.log(`   People processed: ${totalPeople}`);
-    console.log(`   Alerts checked: ${totalAlerts}`);
-    console.log(`   Emails sent: ${totalEmailsSent}`);
-    console.log('========================================\n');
-
   } catch (err) {
-    console.error('❌ Error in daily alert check:', err);
+    console.error('❌ Error in alert scheduler:', err);
+  } finally {
+    alertTickRunning = false;
   }
-});
+}
 
-console.log('⏰ Daily alert cron job scheduled (9:00 AM)');
+const ALERT_SCHEDULER_ENABLED = process.env.ALERT_SCHEDULER !== 'off';
+if (ALERT_SCHEDULER_ENABLED) {
+  cron.schedule('* * * * *', () => runDueAlerts());
+  console.log('⏰ Alert scheduler running (checks every minute)');
+} else {
+  console.log('⏸  Alert scheduler disabled (ALERT_SCHEDULER=off)');
+}
 
 // ============================================================
 // Admin API Routes - Data Loading
@@ -3690,6 +4016,19 @@ console.log('⏰ Daily alert cron job scheduled (9:00 AM)');
  * POST /api/admin/load/:type
  * Load data from various sources (people, events, startups)
  */
+// 409 with the current writer's details (PID, run ID, script, since when)
+function sendBrainLocked(res, holder) {
+  return res.status(409).json({
+    error: 'Brain is being written by another process',
+    details: `PID ${holder.pid} on ${holder.host}, run ${holder.runId || 'n/a'} (${holder.script}) since ${holder.acquiredAt}`,
+    holder
+  });
+}
+
+// Admin load spawned by this server and still running (its scraper may not
+// have taken the brain lock yet)
+let activeAdminLoad = null;
+
 app.post('/api/admin/load/:type', async (req, res) => {
   const { type } = req.params;
 
@@ -3740,6 +4079,19 @@ app.post('/api/admin/load/:type', async (req, res) => {
     });
   }
 
+  // Only one writer per brain: refuse while a scraper, enricher or another load holds it
+  const lockHolder = activeAdminLoad || readBrainLock(BRAIN_DIR, MIT_BRAIN);
+  if (lockHolder) {
+    return sendBrainLocked(res, lockHolder);
+  }
+  activeAdminLoad = {
+    pid: process.pid,
+    host: os.hostname(),
+    runId: '',
+    script: scraper.script,
+    acquiredAt: new Date().toISOString()
+  };
+
   console.log(`\n⚙️  Admin: Starting ${scraper.description} load...`);
   console.log(`   Script: ${scriptPath}`);
   console.log(`   Data: ${dataPath}`);
@@ -3814,7 +4166,7 @@ app.post('/api/admin/load/:type', async (req, res) => {
       success: true,
       message: `${scraper.description} loaded successfully`,
       count: count,
-      details: `Brain reloaded with ${articles.length} total articles`
+      details: `Brain reloaded with ${brainRecordCount()} total articles`
     });
 
   } catch (err) {
@@ -3823,6 +4175,8 @@ app.post('/api/admin/load/:type', async (req, res) => {
       error: `Failed to load ${scraper.description}`,
       details: err.message
     });
+  } finally {
+    activeAdminLoad = null;
   }
 });
 
@@ -3855,6 +4209,20 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
   console.log(`📁 Uploaded file: ${originalName}`);
   console.log(`   Temp path: ${uploadedFilePath}`);
 
+  // This endpoint rewrites the brain itself, so it takes the brain lock
+  const lockHolder = activeAdminLoad || readBrainLock(BRAIN_DIR, MIT_BRAIN);
+  if (lockHolder) {
+    await fs.unlink(uploadedFilePath).catch(() => {});
+    return sendBrainLocked(res, lockHolder);
+  }
+  try {
+    acquireBrainLock(BRAIN_DIR, MIT_BRAIN, { script: 'server.js events upload' });
+  } catch (err) {
+    await fs.unlink(uploadedFilePath).catch(() => {});
+    if (err instanceof BrainLockError) return sendBrainLocked(res, err.holder);
+    throw err;
+  }
+
   try {
     // Import required modules for processing
     const xlsxModule = await import('xlsx');
@@ -3867,10 +4235,12 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
     let existingRecords = [];
     let eventsDeleted = 0;
 
-    if (fsSync.existsSync(brainPath)) {
-      const fileContent = await fs.readFile(brainPath, 'utf-8');
-      const lines = fileContent.trim().split('\n').filter(line => line.trim());
-      existingRecords = lines.map(line => JSON.parse(line));
+    if (brainStore) {
+      // SQLite: only the future_event rows are replaced in Step 4
+      eventsDeleted = brainStore.countByKind().future_event || 0;
+      console.log(`   Found ${eventsDeleted} existing events to remove (${brainStore.filePath})`);
+    } else if (fsSync.existsSync(brainPath)) {
+      for await (const { record } of readJsonl(brainPath)) existingRecords.push(record);
       eventsDeleted = existingRecords.filter(r => r.kind === 'future_event').length;
       console.log(`   Found ${eventsDeleted} existing events to remove`);
       console.log(`   Keeping ${existingRecords.length - eventsDeleted} other records`);
@@ -3996,18 +4366,25 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
 
     console.log(`   Created ${newEvents.length} event records`);
 
-    // Step 4: Write to JSONL file
-    console.log('\nStep 4: Writing to Brain JSONL file...');
-    console.log(`   Writing to: ${brainPath}`);
-    const allRecords = [...nonEventRecords, ...newEvents];
-    const jsonlContent = allRecords.map(r => JSON.stringify(r)).join('\n') + '\n';
-    await fs.writeFile(brainPath, jsonlContent, 'utf-8');
-    console.log(`   Wrote ${allRecords.length} total records`);
+    if (brainStore) {
+      // Step 4: Replace the events in SQLite (one transaction)
+      console.log('\nStep 4: Replacing events in the SQLite brain...');
+      for (const event of newEvents) event.id = recordId(event);
+      brainStore.replaceKinds(['future_event'], newEvents);
+      console.log(`   Brain has ${brainStore.count()} total records`);
+    } else {
+      // Step 4: Write to JSONL file
+      console.log('\nStep 4: Writing to Brain JSONL file...');
+      console.log(`   Writing to: ${brainPath}`);
+      // Temp file + rename so nobody reads a half-written brain
+      const written = writeJsonlSync(brainPath, [...nonEventRecords, ...newEvents]);
+      console.log(`   Wrote ${written} total records`);
+    }
 
     // Step 5: Reload articles
     console.log('\nStep 5: Reloading articles...');
     await loadArticles();
-    console.log(`   Reloaded ${articles.length} articles`);
+    console.log(`   Reloaded ${brainRecordCount()} articles`);
 
     // Clean up uploaded file
     await fs.unlink(uploadedFilePath);
@@ -4016,7 +4393,7 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
     console.log('✅ EVENTS UPLOAD COMPLETED');
     console.log(`   Events deleted: ${eventsDeleted}`);
     console.log(`   Events loaded: ${newEvents.length}`);
-    console.log(`   Total articles: ${articles.length}`);
+    console.log(`   Total articles: ${brainRecordCount()}`);
     console.log('========================================\n');
 
     res.json({
@@ -4024,7 +4401,7 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
       message: 'Events loaded successfully',
       eventsDeleted: eventsDeleted,
       eventsLoaded: newEvents.length,
-      totalArticles: articles.length
+      totalArticles: brainRecordCount()
     });
 
   } catch (err) {
@@ -4038,6 +4415,8 @@ app.post('/api/admin/load/events/upload', upload.single('eventsFile'), async (re
       error: 'Failed to load events',
       details: err.message
     });
+  } finally {
+    releaseBrainLock(BRAIN_DIR, MIT_BRAIN);
   }
 });
 
@@ -4101,18 +4480,21 @@ app.post('/api/admin/run-alerts', async (req, res) => {
         console.log(`   ▶ Running: ${alert.alertName}`);
 
         try {
-          const result = await processAlert(alert, personId);
+          const result = await processAlert(alert, personId, { trigger: 'admin', deliver: false });
 
           details.push({
             alertName: alert.alertName,
             matches: result.matches.length,
-            status: result.matches.length > 0 ? 'matches_found' : 'no_matches'
+            status: result.matches.length > 0 ? 'matches_found' : 'no_matches',
+            runId: result.run.runId,
+            ...(result.run.smartMatchError && { smartMatchError: result.run.smartMatchError })
           });
 
           if (result.matches.length > 0) {
             allMatchesByAlert.push({
               alert: alert,
-              matches: result.matches
+              matches: result.matches,
+              run: result.run
             });
             console.log(`     ✅ Found ${result.matches.length} new matches`);
           } else {
@@ -4132,6 +4514,7 @@ app.post('/api/admin/run-alerts', async (req, res) => {
 
         const recipientEmail = allMatchesByAlert[0].alert.emailSettings.recipientEmail;
         const emailSent = await sendConsolidatedAlertEmail(personId, allMatchesByAlert, recipientEmail);
+        recordDigestRuns(personId, allMatchesByAlert, emailSent, recipientEmail);
 
         if (emailSent) {
           summary.emailsSent++;
@@ -4178,12 +4561,20 @@ app.post('/api/admin/run-alerts', async (req, res) => {
 app.get('/api/admin/jsonl-report', async (req, res) => {
   try {
     // Get file stats
-    const stats = await fs.stat(jsonlPath);
+    const brainPath = brainStore ? brainStore.filePath : jsonlPath;
+    const stats = await fs.stat(brainPath);
     const fileSizeBytes = stats.size;
     const fileSizeMB = (fileSizeBytes / (1024 * 1024)).toFixed(2);
     const lastModified = stats.mtime.toISOString();
 
+    // Lines the loader skipped (streamed, the records aren't kept)
+    const malformedLines = [];
+    if (!brainStore) {
+      for await (const _ of readJsonl(brainPath, { onError: ({ line }) => malformedLines.push(line) }));
+    }
+
     // Calculate statistics from loaded articles
+    const articles = allArticles();
     const totalObjects = articles.length;
 
     // Count by kind
@@ -4298,11 +4689,13 @@ app.get('/api/admin/jsonl-report', async (req, res) => {
       success: true,
       report: {
         file: {
-          name: JSONL_FILENAME,
-          path: jsonlPath,
+          name: path.basename(brainPath),
+          path: brainPath,
           sizeMB: fileSizeMB,
           sizeBytes: fileSizeBytes,
-          lastModified: lastModified
+          lastModified: lastModified,
+          malformedLines: malformedLines.length,
+          malformedLineNumbers: malformedLines.slice(0, 50)
         },
         summary: {
           totalObjects,
@@ -4332,16 +4725,90 @@ app.get('/api/admin/jsonl-report', async (req, res) => {
   }
 });
 
+// ============================================================
+// Admin Audit Trail
+// ============================================================
+
+// Admin access to other people's data, newest first: ?limit=100&offset=0
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  try {
+    const limit = req.query.limit != null && req.query.limit !== "" ? Number(req.query.limit) : 100;
+    const offset = req.query.offset != null && req.query.offset !== "" ? Number(req.query.offset) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "limit must be a positive integer and offset a non-negative one" });
+    }
+
+    const entries = loadAdminAudit();
+    res.json({
+      entries: entries.slice(offset, offset + limit),
+      total: entries.length,
+      offset,
+      limit
+    });
+  } catch (err) {
+    console.error("Error reading admin audit trail:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================================
+// Export Endpoint
+// ============================================================
+
+/**
+ * GET /api/admin/export
+ * Download brain records (see shared/brainExport.cjs).
+ *   format   csv (default), xlsx, columnar, ndjson
+ *   kind     repeatable or comma-separated: ?kind=paper&kind=video
+ *   dateFrom / dateTo   YYYY-MM-DD, inclusive (event date for events)
+ *   q        search query, same language as /api/matches
+ *   columns  comma-separated column list (default: every field in use)
+ */
+app.get('/api/admin/export', requireAdmin, async (req, res) => {
+  try {
+    const list = (value) => [].concat(value || []).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+    const format = String(req.query.format || 'csv');
+    const kinds = list(req.query.kind);
+    const columns = list(req.query.columns);
+    const query = (req.query.q || '').toString().trim();
+
+    // Search results are cards with a score; export the stored records
+    const source = query
+      ? (await searchArticlesByPhrase(query)).map((match) => getRecord(match.id)).filter(Boolean)
+      : brainStore && kinds.length > 0 ? brainStore.byKind(kinds) : allArticles();
+    const records = filterRecords(source, { kinds, dateFrom: req.query.dateFrom || null, dateTo: req.query.dateTo || null });
+    const exported = createExport(records, { format, columns: columns.length > 0 ? columns : null });
+
+    console.log(`📤 Export: ${records.length} records as ${format}${query ? ` (query "${query}")` : ''}`);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${MIT_BRAIN}-${stamp}.${exported.extension}"`);
+    res.setHeader('X-Record-Count', String(records.length));
+    for (const chunk of exported.chunks) {
+      if (res.write(chunk)) continue;
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      if (res.destroyed) return; // client went away
+    }
+    res.end();
+  } catch (err) {
+    if (err instanceof QuerySyntaxError) return sendQueryError(res, err);
+    if (err instanceof ExportError) return res.status(400).json({ error: 'Invalid export', details: err.message });
+    console.error('❌ Export failed:', err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Export failed', details: err.message });
+  }
+});
+
 // ============================================================
 // User Settings API
 // ============================================================
 
 // Get My Voice
 app.get("/api/settings/my-voice", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'my-voice.txt');
   try {
@@ -4354,10 +4821,9 @@ app.get("/api/settings/my-voice", (req, res) => {
 
 // Save My Voice
 app.put("/api/settings/my-voice", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'my-voice.txt');
   try {
@@ -4370,10 +4836,9 @@ app.put("/api/settings/my-voice", (req, res) => {
 
 // Get Member Profiles
 app.get("/api/settings/member-profiles", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'member-profiles.csv');
   try {
@@ -4399,10 +4864,9 @@ app.get("/api/settings/member-profiles", (req, res) => {
 
 // Save Member Profiles
 app.put("/api/settings/member-profiles", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'member-profiles.csv');
   try {
@@ -4421,10 +4885,9 @@ app.put("/api/settings/member-profiles", (req, res) => {
 
 // Get Templates
 app.get("/api/settings/templates", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const templatesDir = path.join(userDir, 'templates');
   try {
@@ -4444,10 +4907,11 @@ app.get("/api/settings/templates", (req, res) => {
 
 // Get single template
 app.get("/api/settings/templates/:name", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  if (!isSafeName(req.params.name)) return res.status(400).json({ error: "Invalid template name" });
 
   const filePath = path.join(userDir, 'templates', `${req.params.name}.txt`);
   try {
@@ -4463,10 +4927,9 @@ app.get("/api/settings/templates/:name", (req, res) => {
 
 // Create/Update template
 app.put("/api/settings/templates/:name", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   // Sanitize filename
   const safeName = req.params.name.replace(/[^a-zA-Z0-9\-_ ]/g, '');
@@ -4483,10 +4946,11 @@ app.put("/api/settings/templates/:name", (req, res) => {
 
 // Delete template
 app.delete("/api/settings/templates/:name", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  if (!isSafeName(req.params.name)) return res.status(400).json({ error: "Invalid template name" });
 
   const filePath = path.join(userDir, 'templates', `${req.params.name}.txt`);
   try {
@@ -4501,10 +4965,9 @@ app.delete("/api/settings/templates/:name", (req, res) => {
 
 // Get user's settings summary (for settings page)
 app.get("/api/settings/summary", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   try {
     const myVoicePath = path.join(userDir, 'my-voice.txt');
@@ -4546,10 +5009,9 @@ app.get("/api/settings/summary", (req, res) => {
 
 // Get Dropbox settings
 app.get("/api/settings/dropbox", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'dropbox-settings.json');
   try {
@@ -4573,10 +5035,9 @@ app.get("/api/settings/dropbox", (req, res) => {
 
 // Save Dropbox settings
 app.put("/api/settings/dropbox", (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'dropbox-settings.json');
   try {
@@ -4607,10 +5068,9 @@ app.put("/api/settings/dropbox", (req, res) => {
 
 // Test Dropbox connection
 app.post("/api/settings/dropbox/test", async (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Not authenticated" });
-
-  const userDir = getUserDir(req.session.user.email);
-  if (!userDir) return res.status(404).json({ error: "User directory not found" });
+  const personId = resolvePerson(req, res, req.query.personId);
+  if (!personId) return;
+  const userDir = personDir(personId);
 
   const filePath = path.join(userDir, 'dropbox-settings.json');
   try {
@@ -4737,5 +5197,8 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   
-  
+  checkStoredAlertPhrases();
+
+  // Catch up on alerts that came due while the server was down
+  if (ALERT_SCHEDULER_ENABLED) runDueAlerts();
 });
\ No newline at end of file
@@ -0,0 +1,291 @@
+// src/webapp/smartMatch.js
+//
+// Smart Match: the model picks the items most relevant to a member.
+// Used by POST /api/smart-match and, in-process, by the alert pipeline.
+//
+// ILP and STEX events are auto-included ahead of the model's picks unless
+// skipAutoIncludes is set (alerts set it: directors already know about
+// those events). For US-based members, events abroad are left out.
+//
+// Each pick carries a relevanceScore from 0 to 10, scored against the
+// rubric in the prompt (the bands match the labels in alert emails).
+// Alerts keep picks scoring at least their relevanceThreshold.
+//
+// Failures (the OpenAI call, an unreadable response) throw SmartMatchError
+// so callers can say what went wrong instead of silently falling back; bad
+// input throws its subclass SmartMatchInputError. With allowAiFailure (the
+// interactive route) a failed AI step instead returns the auto-included
+// events alone, with the reason in aiError.
+
+const MODEL = "gpt-4.1-mini";
+const MAX_AI_MATCHES = 10;
+
+export const DEFAULT_RELEVANCE_THRESHOLD = 7;
+
+const BAD_LOCATIONS_FOR_US = ["japan", "tokyo", "beijing", "china", "europe", "london", "paris", "berlin"];
+
+export class SmartMatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SmartMatchError";
+  }
+}
+
+// Missing or malformed arguments (the caller's fault, not the model's)
+export class SmartMatchInputError extends SmartMatchError {
+  constructor(message) {
+    super(message);
+    this.name = "SmartMatchInputError";
+  }
+}
+
+/**
+ * An alert's relevance threshold (0-10, default 7). Throws
+ * SmartMatchInputError for anything else.
+ */
+export function normalizeRelevanceThreshold(value) {
+  if (value == null || value === "") return DEFAULT_RELEVANCE_THRESHOLD;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 10) {
+    throw new SmartMatchInputError(`relevanceThreshold must be a number from 0 to 10, got ${JSON.stringify(value)}`);
+  }
+  return threshold;
+}
+
+// Model scores as numbers in 0-10 (one decimal), null when missing
+function relevanceScore(value) {
+  const score = Number(value);
+  if (value == null || value === "" || !Number.isFinite(score)) return null;
+  return Math.round(Math.min(10, Math.max(0, score)) * 10) / 10;
+}
+
+/**
+ * The fields of a brain record that Smart Match looks at.
+ */
+export function smartMatchItem(record) {
+  return {
+    id: record.id,
+    url: record.url,
+    title: record.title,
+    kind: record.kind,
+    summary: record.ilpSummary || record.summary || "",
+    keywords: record.ilpKeywords || record.keywords || "",
+    industries: record.industries || "",
+    techThemes: record.techThemes || "",
+    mitGroups: record.mitGroups || [],
+    location: record.location || ""
+  };
+}
+
+// Dependencies are passed in so this module shares server.js's OpenAI
+// client and text helpers
+export function createSmartMatcher({ openai, parseMitGroups, stripXML }) {
+  function autoIncludeType(article) {
+    const titleLower = (article.title || "").toLowerCase();
+    const summaryLower = (article.summary || "").toLowerCase();
+    const ilpSummaryLower = (article.ilpSummary || "").toLowerCase();
+    const mitGroupsLower = parseMitGroups(article.mitGroups).toLowerCase();
+    const eventNameLower = (article.eventName || "").toLowerCase();
+
+    const isILP =
+      titleLower.includes("ilp") ||
+      titleLower.includes("industrial liaison") ||
+      summaryLower.includes("industrial liaison program") ||
+      ilpSummaryLower.includes("industrial liaison program") ||
+      mitGroupsLower.includes("industrial liaison") ||
+      eventNameLower.includes("industrial liaison") ||
+      eventNameLower.includes("ilp");
+    if (isILP) return "ILP";
+
+    const isSTEX =
+      titleLower.includes("stex") ||
+      titleLower.includes("startup exchange") ||
+      summaryLower.includes("startup exchange") ||
+      ilpSummaryLower.includes("startup exchange") ||
+      mitGroupsLower.includes("startup exchange") ||
+      eventNameLower.includes("startup exchange") ||
+      eventNameLower.includes("stex");
+    return isSTEX ? "STEX" : null;
+  }
+
+  function isUSBased(memberProfile) {
+    const memberLocation = (memberProfile?.geographicConsiderations || "").toLowerCase();
+    return (
+      memberLocation.includes("us") ||
+      memberLocation.includes("united states") ||
+      memberLocation.includes("boston") ||
+      memberLocation.includes("new york") ||
+      memberLocation.includes("california")
+    );
+  }
+
+  function buildPrompt(memberName, memberPhrases, memberProfile, articles) {
+    let memberProfileText = `Member: ${memberName}\n`;
+    if (memberProfile?.mainIndustry) memberProfileText += `Main Industry: ${memberProfile.mainIndustry}\n`;
+    if (memberProfile?.description) memberProfileText += `Description: ${memberProfile.description}\n`;
+    if (memberProfile?.geographicConsiderations)
+      memberProfileText += `Geographic Considerations: ${memberProfile.geographicConsiderations}\n`;
+    memberProfileText += `Key Interests: ${memberPhrases.join(", ")}\n`;
+
+    const articlesText = articles
+      .map(
+        (a, idx) => `
+Article ${idx + 1}:
+URL: ${a.url}
+Title: ${stripXML(a.title)}
+Type: ${a.kind || "unknown"}
+Summary: ${a.summary || ""}
+Keywords: ${a.keywords || ""}
+Industries: ${a.industries || ""}
+Tech Themes: ${a.techThemes || ""}
+MIT Groups: ${parseMitGroups(a.mitGroups) || "N/A"}
+Event Location: ${a.location || "N/A"}
+`
+      )
+      .join("\n---\n");
+
+    return `You are an expert at matching MIT research content to corporate member interests.
+
+${memberProfileText}
+
+TASK: Select the TOP 10 MOST RELEVANT articles from the numbered list below for ${memberName}.
+
+NOTE: All ILP and STEX events have already been automatically included. You only need to pick the 10 best additional articles from this list.
+
+Give each article you select a relevanceScore from 0 to 10 for ${memberName}:
+  9-10  exceptional: directly about their core business or stated interests
+  7-8   highly relevant: clear application to their industry or interests
+  5-6   moderately relevant: related field, indirect application
+  3-4   somewhat relevant: tangential connection
+  0-2   weakly relevant: little connection
+Score each article on its own merits against this scale. Do not inflate
+scores to fill the list; it is fine for every score to be low.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "matches": [
+    { "articleNumber": 1, "relevanceScore": 8, "reason": "Why this is relevant (1 sentence)" },
+    { "articleNumber": 5, "relevanceScore": 6, "reason": "Why this is relevant (1 sentence)" }
+  ]
+}
+
+Use the exact article numbers (1, 2, 3, etc.) as shown in the list. Do NOT include URLs.
+
+Articles:
+${articlesText}
+`;
+  }
+
+  // Model picks as { id, url, title, kind, relevanceScore, reason }, best first
+  async function aiSelect(prompt, articles) {
+    let completion;
+    try {
+      completion = await openai.chat.completions.create({
+        model: MODEL,
+        messages: [
+          { role: "system", content: "You match content to interests and return ONLY valid JSON with article numbers." },
+          { role: "user", content: prompt },
+        ],
+        temperature: 0.5,
+      });
+    } catch (err) {
+      throw new SmartMatchError(`OpenAI request failed: ${err.message}`);
+    }
+
+    const responseText = completion.choices?.[0]?.message?.content?.trim() || "{}";
+    let parsed;
+    try {
+      parsed = JSON.parse(responseText.replaceAll("```json", "").replaceAll("```", "").trim());
+    } catch (e) {
+      throw new SmartMatchError(`could not parse the model's response: ${e.message}`);
+    }
+
+    // Map article numbers back to actual article data
+    return (parsed.matches || [])
+      .slice(0, MAX_AI_MATCHES)
+      .filter((match) => {
+        const idx = match.articleNumber - 1; // Convert 1-based to 0-based
+        if (idx >= 0 && idx < articles.length) return true;
+        console.warn(`   ⚠️ AI returned invalid article number: ${match.articleNumber}`);
+        return false;
+      })
+      .map((match) => {
+        const article = articles[match.articleNumber - 1];
+        return {
+          id: article.id,
+          url: article.url,
+          title: article.title,
+          kind: article.kind,
+          relevanceScore: relevanceScore(match.relevanceScore),
+          reason: match.reason
+        };
+      })
+      .sort((a, b) => (b.relevanceScore ?? -1) - (a.relevanceScore ?? -1));
+  }
+
+  /**
+   * Pick the items most relevant to a member. `articles` are prepared
+   * items (see smartMatchItem). Returns { matches, count, memberName,
+   * ilpCount, stexCount, aiCount, totalAnalyzed }, plus aiError when
+   * allowAiFailure kept a failed AI step from throwing. Throws SmartMatchError.
+   */
+  return async function smartMatch({ memberName, memberPhrases, memberProfile, articles, skipAutoIncludes = false, allowAiFailure = false }) {
+    if (!memberName || !articles?.length) {
+      throw new SmartMatchInputError("memberName, memberPhrases and at least one item are required");
+    }
+    if (!Array.isArray(memberPhrases)) {
+      throw new SmartMatchInputError("memberPhrases must be an array of phrases");
+    }
+
+    const ilpEvents = [];
+    const stexEvents = [];
+    let otherArticles = articles;
+
+    if (!skipAutoIncludes) {
+      otherArticles = [];
+      for (const article of articles) {
+        const type = autoIncludeType(article);
+        if (type) {
+          const entry = { id: article.id, url: article.url, title: article.title, reason: `${type} event (auto)`, autoIncluded: true, type };
+          (type === "ILP" ? ilpEvents : stexEvents).push(entry);
+        } else {
+          otherArticles.push(article);
+        }
+      }
+    }
+
+    if (isUSBased(memberProfile)) {
+      otherArticles = otherArticles.filter((article) => {
+        if (article.kind !== "future_event") return true;
+        const location = (article.location || "").toLowerCase();
+        const title = (article.title || "").toLowerCase();
+        return !BAD_LOCATIONS_FOR_US.some((badLoc) => location.includes(badLoc) || title.includes(badLoc));
+      });
+    }
+
+    let aiMatches = [];
+    let aiError = null;
+    if (otherArticles.length > 0) {
+      try {
+        aiMatches = await aiSelect(buildPrompt(memberName, memberPhrases, memberProfile, otherArticles), otherArticles);
+        console.log(`   ✅ AI selected ${aiMatches.length} valid articles`);
+      } catch (err) {
+        if (!allowAiFailure || !(err instanceof SmartMatchError)) throw err;
+        console.warn(`   ⚠️ AI selection failed (${err.message}), returning the auto-included events only`);
+        aiError = err.message;
+      }
+    }
+
+    const matches = [...ilpEvents, ...stexEvents, ...aiMatches];
+    return {
+      ...(aiError && { aiError }),
+      matches,
+      count: matches.length,
+      memberName,
+      ilpCount: ilpEvents.length,
+      stexCount: stexEvents.length,
+      aiCount: aiMatches.length,
+      totalAnalyzed: articles.length,
+    };
+  };
+}
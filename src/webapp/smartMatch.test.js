@@ -0,0 +1,97 @@
+// src/webapp/smartMatch.test.js
+//
+// Smart Match with a stubbed OpenAI client: scored picks, input errors,
+// and what a failed AI step does with and without allowAiFailure.
+// Run with: npm test
+
+import test from "node:test";
+import assert from "node:assert";
+import { createSmartMatcher, normalizeRelevanceThreshold, DEFAULT_RELEVANCE_THRESHOLD, SmartMatchError, SmartMatchInputError } from "./smartMatch.js";
+
+const ARTICLES = [
+  { id: "ilp1", url: "https://ilp.mit.edu/e1", title: "ILP Research and Development Conference", kind: "future_event" },
+  { id: "stex1", url: "https://startupexchange.mit.edu/e2", title: "Startup Exchange showcase", kind: "future_event" },
+  { id: "a1", url: "https://news.mit.edu/a1", title: "Soft robotic grippers", kind: "article" },
+  { id: "a2", url: "https://news.mit.edu/a2", title: "Ocean carbon uptake", kind: "article" },
+];
+
+// A matcher whose model answers with `content` (or fails with `error`)
+function matcher({ content, error }) {
+  const openai = {
+    chat: {
+      completions: {
+        create: async () => {
+          if (error) throw error;
+          return { choices: [{ message: { content } }] };
+        },
+      },
+    },
+  };
+  return createSmartMatcher({ openai, parseMitGroups: (g) => [].concat(g || []).join(", "), stripXML: (t) => t });
+}
+
+// Keep the matcher's progress lines out of the test output
+const { log, warn } = console;
+test.before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+test.after(() => {
+  console.log = log;
+  console.warn = warn;
+});
+
+const request = { memberName: "Acme", memberPhrases: ["robotics"], articles: ARTICLES };
+
+test("auto-includes ILP and STEX events ahead of the model's scored picks", async () => {
+  const smartMatch = matcher({
+    content: '```json\n{"matches":[{"articleNumber":2,"relevanceScore":4,"reason":"r"},{"articleNumber":1,"relevanceScore":9.26,"reason":"r"}]}\n```',
+  });
+  const result = await smartMatch(request);
+  assert.deepStrictEqual(result.matches.map((m) => m.id), ["ilp1", "stex1", "a1", "a2"]);
+  assert.deepStrictEqual(result.matches.slice(2).map((m) => m.relevanceScore), [9.3, 4]);
+  assert.deepStrictEqual([result.ilpCount, result.stexCount, result.aiCount], [1, 1, 2]);
+  assert.strictEqual(result.aiError, undefined);
+});
+
+test("an unreadable response throws unless allowAiFailure keeps the auto-includes", async () => {
+  const smartMatch = matcher({ content: "Sorry, I can't help with that." });
+  await assert.rejects(smartMatch(request), (err) => err instanceof SmartMatchError && !(err instanceof SmartMatchInputError));
+
+  const result = await smartMatch({ ...request, allowAiFailure: true });
+  assert.deepStrictEqual(result.matches.map((m) => m.id), ["ilp1", "stex1"]);
+  assert.strictEqual(result.aiCount, 0);
+  assert.match(result.aiError, /could not parse the model's response/);
+});
+
+test("a failed OpenAI request is reported the same way", async () => {
+  const smartMatch = matcher({ error: new Error("429 rate limited") });
+  await assert.rejects(smartMatch(request), /OpenAI request failed: 429 rate limited/);
+  const result = await smartMatch({ ...request, allowAiFailure: true });
+  assert.match(result.aiError, /429 rate limited/);
+});
+
+test("alerts skip the auto-includes, so a failed AI step has nothing to return", async () => {
+  const smartMatch = matcher({ content: "not json" });
+  await assert.rejects(smartMatch({ ...request, skipAutoIncludes: true }), SmartMatchError);
+});
+
+test("missing or malformed input throws SmartMatchInputError", async () => {
+  const smartMatch = matcher({ content: '{"matches":[]}' });
+  for (const bad of [
+    { ...request, memberName: "" },
+    { ...request, articles: [] },
+    { ...request, memberPhrases: "robotics" },
+  ]) {
+    await assert.rejects(smartMatch(bad), SmartMatchInputError);
+  }
+});
+
+test("relevance thresholds outside 0-10 throw SmartMatchInputError", () => {
+  assert.strictEqual(normalizeRelevanceThreshold(undefined), DEFAULT_RELEVANCE_THRESHOLD);
+  assert.strictEqual(normalizeRelevanceThreshold(""), DEFAULT_RELEVANCE_THRESHOLD);
+  assert.strictEqual(normalizeRelevanceThreshold("8.5"), 8.5);
+  for (const bad of [-1, 11, "high", NaN]) {
+    assert.throws(() => normalizeRelevanceThreshold(bad), SmartMatchInputError, String(bad));
+  }
+});